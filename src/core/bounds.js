@@ -0,0 +1,121 @@
+import { Component } from './component.js';
+import { AABB } from './frustumCulling.js';
+
+/**
+ * Opts an entity into the scene's spatial index (scene.queryRadius,
+ * scene.queryAABB, scene.queryRay).
+ * The box is given in local space and follows the entity's world transform.
+ * The index is refreshed in lateUpdate, after other components have moved
+ * things, so queries see positions as of the end of the previous frame's
+ * late update; call refresh() after teleporting an entity to update it at once.
+ */
+export class BoundsComponent extends Component {
+  /** Run after other components' lateUpdate so this frame's movement is indexed. */
+  static executionOrder = 1000;
+
+  /**
+   * @param {Array<number>|Float32Array} [halfExtents=[0.5, 0.5, 0.5]] - Local half-size
+   * @param {Array<number>|Float32Array} [center=[0, 0, 0]] - Local center offset
+   */
+  constructor(halfExtents = [0.5, 0.5, 0.5], center = [0, 0, 0]) {
+    super();
+
+    /** @type {Float32Array} Local box center */
+    this.center = new Float32Array(center);
+
+    /** @type {Float32Array} Local box half-size */
+    this.halfExtents = new Float32Array(halfExtents);
+
+    /** @type {AABB} World-space box as last indexed */
+    this.worldAABB = new AABB(new Float32Array(3), new Float32Array(3));
+
+    /** @type {import('./scene.js').Scene|null} Scene whose index holds this entity */
+    this._indexedScene = null;
+
+    /** @type {number} Entity world matrix version when last indexed */
+    this._indexedVersion = -1;
+
+    /** @type {Float32Array} center and halfExtents when last indexed */
+    this._indexedLocal = new Float32Array(6);
+  }
+
+  /**
+   * Add the entity to the scene's spatial index.
+   */
+  onEnable() {
+    this._indexedScene = this.getScene();
+    this.refresh(true);
+  }
+
+  /**
+   * Remove the entity from the index. The entity may already be detached
+   * from its scene here, so use the scene it was indexed in.
+   */
+  onDisable() {
+    if (this._indexedScene) {
+      this._indexedScene.spatialIndex.remove(this.entity);
+      this._indexedScene = null;
+    }
+  }
+
+  /**
+   * Keep the index in sync with this frame's movement.
+   * @param {number} dt - Delta time in seconds
+   */
+  lateUpdate(dt) {
+    void dt;
+    this.refresh();
+  }
+
+  /**
+   * Recompute the world box and update the index if the entity transform
+   * or local box changed.
+   * @param {boolean} [force=false] - Update even if nothing appears to have changed
+   */
+  refresh(force = false) {
+    if (!this._indexedScene || !this.entity) return;
+
+    const m = this.entity.getWorldMatrix();
+    const local = this._indexedLocal;
+    const localChanged =
+      local[0] !== this.center[0] ||
+      local[1] !== this.center[1] ||
+      local[2] !== this.center[2] ||
+      local[3] !== this.halfExtents[0] ||
+      local[4] !== this.halfExtents[1] ||
+      local[5] !== this.halfExtents[2];
+    if (!force && !localChanged && this._indexedVersion === this.entity._worldVersion) {
+      return;
+    }
+    local.set(this.center, 0);
+    local.set(this.halfExtents, 3);
+    this._indexedVersion = this.entity._worldVersion;
+
+    // Transform the center, and size the box by the absolute rotation-scale
+    // so it encloses the rotated local box
+    const c = this.center;
+    const h = this.halfExtents;
+    const { min, max } = this.worldAABB;
+    for (let i = 0; i < 3; i++) {
+      const center = m[i] * c[0] + m[4 + i] * c[1] + m[8 + i] * c[2] + m[12 + i];
+      const extent =
+        Math.abs(m[i]) * h[0] + Math.abs(m[4 + i]) * h[1] + Math.abs(m[8 + i]) * h[2];
+      min[i] = center - extent;
+      max[i] = center + extent;
+    }
+
+    this._indexedScene.spatialIndex.update(this.entity, this.worldAABB);
+  }
+
+  toJSON() {
+    return {
+      center: Array.from(this.center),
+      halfExtents: Array.from(this.halfExtents),
+    };
+  }
+
+  fromJSON(data) {
+    this.center.set(data.center);
+    this.halfExtents.set(data.halfExtents);
+  }
+}
@@ -0,0 +1,184 @@
+/**
+ * Console command registry.
+ * Parses command lines, dispatches them to registered handlers and offers
+ * completions. Has no DOM dependency, so commands can also be run headless.
+ */
+
+/**
+ * @typedef {Object} CommandDefinition
+ * @property {string} [description] - One-line description shown by 'help'
+ * @property {string} [usage] - Argument synopsis, e.g. '<x> <y> <z>'
+ * @property {function(Array<string>, CommandRegistry): (string|Array<string>|void)} run - Runs the command; returns output lines. Throw an Error to report a failure.
+ * @property {function(number, Array<string>): Array<string>} [complete] - Returns candidates for the argument at an index, given the arguments so far
+ */
+
+/**
+ * Split a command line into words. Double quotes group words containing spaces.
+ * @param {string} line - Command line
+ * @returns {Array<string>} Words
+ */
+export function parseCommandLine(line) {
+  const words = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    words.push(match[1] !== undefined ? match[1] : match[2]);
+  }
+  return words;
+}
+
+/**
+ * Parse a numeric command argument.
+ * @param {string} value - Argument text
+ * @param {string} name - Argument name for the error message
+ * @returns {number} Parsed number
+ * @throws {Error} If the argument is missing or not a finite number
+ */
+export function parseNumberArg(value, name) {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) {
+    throw new Error(`${name} must be a number, got "${value ?? ''}"`);
+  }
+  return number;
+}
+
+/**
+ * Registry of named console commands.
+ */
+export class CommandRegistry {
+  constructor() {
+    /** @type {Map<string, CommandDefinition>} Commands by lower-case name */
+    this._commands = new Map();
+
+    this.register('help', {
+      description: 'List commands, or show usage for one',
+      usage: '[command]',
+      run: (args) => this._help(args[0]),
+      complete: (index) => (index === 0 ? this.getNames() : []),
+    });
+  }
+
+  /**
+   * Register a command.
+   * @param {string} name - Command name (case-insensitive, no spaces)
+   * @param {CommandDefinition} definition - Command definition
+   * @returns {CommandRegistry} This registry for chaining
+   * @throws {Error} If the name is invalid or already registered
+   */
+  register(name, definition) {
+    const key = name.toLowerCase();
+    if (!key || /\s/.test(key)) {
+      throw new Error(`Invalid command name "${name}"`);
+    }
+    if (this._commands.has(key)) {
+      throw new Error(`Command "${key}" is already registered`);
+    }
+    if (typeof definition.run !== 'function') {
+      throw new Error(`Command "${key}" needs a run() function`);
+    }
+    this._commands.set(key, definition);
+    return this;
+  }
+
+  /**
+   * Remove a command.
+   * @param {string} name - Command name
+   */
+  unregister(name) {
+    this._commands.delete(name.toLowerCase());
+  }
+
+  /**
+   * Check if a command is registered.
+   * @param {string} name - Command name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this._commands.has(name.toLowerCase());
+  }
+
+  /**
+   * Get registered command names, sorted.
+   * @returns {Array<string>} Command names
+   */
+  getNames() {
+    return [...this._commands.keys()].sort();
+  }
+
+  /**
+   * Run a command line.
+   * Errors thrown by the command are caught and reported in the result.
+   * @param {string} line - Command line, e.g. 'tp 0 1 0'
+   * @returns {{ok: boolean, output: Array<string>}} Success flag and output lines
+   */
+  execute(line) {
+    const [name, ...args] = parseCommandLine(line);
+    if (!name) {
+      return { ok: true, output: [] };
+    }
+
+    const command = this._commands.get(name.toLowerCase());
+    if (!command) {
+      return { ok: false, output: [`Unknown command "${name}"; type 'help' for a list`] };
+    }
+
+    try {
+      const result = command.run(args, this);
+      const output = result === undefined || result === null ? [] : [].concat(result);
+      return { ok: true, output: output.map(String) };
+    } catch (error) {
+      const lines = [error.message];
+      if (command.usage) {
+        lines.push(`Usage: ${name.toLowerCase()} ${command.usage}`);
+      }
+      return { ok: false, output: lines };
+    }
+  }
+
+  /**
+   * Get completions for the last word of a partial command line.
+   * @param {string} line - Partial command line
+   * @returns {{prefix: string, candidates: Array<string>}} Text before the word being completed, and matching words
+   */
+  complete(line) {
+    const endsWithSpace = /\s$/.test(line);
+    const words = parseCommandLine(line);
+    const partial = endsWithSpace ? '' : words.pop() || '';
+    const prefix = line.slice(0, line.length - partial.length);
+
+    let options;
+    if (words.length === 0) {
+      options = this.getNames();
+    } else {
+      const command = this._commands.get(words[0].toLowerCase());
+      options = command && command.complete ? command.complete(words.length - 1, words.slice(1)) : [];
+    }
+
+    const lower = partial.toLowerCase();
+    const candidates = options.filter((option) => option.toLowerCase().startsWith(lower));
+    return { prefix, candidates };
+  }
+
+  /**
+   * Build 'help' output.
+   * @param {string} [name] - Command to describe, or all if omitted
+   * @returns {Array<string>} Output lines
+   * @private
+   */
+  _help(name) {
+    if (name) {
+      const command = this._commands.get(name.toLowerCase());
+      if (!command) {
+        throw new Error(`Unknown command "${name}"`);
+      }
+      const key = name.toLowerCase();
+      return [`${key} ${command.usage || ''}`.trim(), command.description || ''];
+    }
+
+    return this.getNames().map((key) => {
+      const command = this._commands.get(key);
+      const synopsis = `${key} ${command.usage || ''}`.trim();
+      return `${synopsis.padEnd(24)} ${command.description || ''}`;
+    });
+  }
+}
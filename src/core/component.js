@@ -4,6 +4,15 @@
  * Components encapsulate behaviors and are attached to entities.
  */
 export class Component {
+  /**
+   * Update priority for this component class. Scene runs fixedUpdate(),
+   * update() and lateUpdate() in ascending order across all entities;
+   * components with equal order run in the order they were added.
+   * Override with a static field, e.g. `static executionOrder = -100;`.
+   * @type {number}
+   */
+  static executionOrder = 0;
+
   constructor() {
     /**
      * The entity this component is attached to.
@@ -13,10 +22,45 @@ export class Component {
     this.entity = null;
 
     /**
-     * Whether this component is enabled and should update.
+     * Backing field for `enabled`.
      * @type {boolean}
+     * @private
      */
-    this.enabled = true;
+    this._enabled = true;
+
+    /**
+     * Whether onEnable() has run without a matching onDisable().
+     * @type {boolean}
+     * @private
+     */
+    this._enabledInScene = false;
+
+    /**
+     * Cleanup functions for event subscriptions, run after onDestroy().
+     * @type {Array<function(): void>}
+     */
+    this._disposers = [];
+
+    /**
+     * Scheduled tasks to cancel after onDestroy(). Finished tasks are
+     * dropped whenever another is tracked, so the set stays small.
+     * @type {Set<import('./scheduler.js').ScheduledTask>}
+     */
+    this._tasks = new Set();
+  }
+
+  /**
+   * Whether this component is enabled and should update.
+   * Toggling it calls onEnable()/onDisable() while the entity is active in a scene.
+   * @type {boolean}
+   */
+  get enabled() {
+    return this._enabled;
+  }
+
+  set enabled(value) {
+    this._enabled = value;
+    this._refreshEnabledState();
   }
 
   /**
@@ -37,6 +81,42 @@ export class Component {
     void dt;
   }
 
+  /**
+   * Called zero or more times per frame at a fixed timestep, before update().
+   * Use for physics and other simulation that must be frame-rate independent.
+   * @param {number} fixedDt - Fixed delta time in seconds
+   */
+  fixedUpdate(fixedDt) {
+    // Override in subclasses
+    void fixedDt;
+  }
+
+  /**
+   * Called every frame after all components have run update().
+   * Use for work that depends on this frame's movement, e.g. camera follow.
+   * @param {number} dt - Delta time in seconds
+   */
+  lateUpdate(dt) {
+    // Override in subclasses
+    void dt;
+  }
+
+  /**
+   * Called when the component becomes enabled on an active entity in a scene:
+   * after start(), and whenever `enabled` or `entity.active` turns back on.
+   */
+  onEnable() {
+    // Override in subclasses
+  }
+
+  /**
+   * Called when the component stops being enabled on an active entity in a
+   * scene: when `enabled` or `entity.active` turns off, and before onDestroy().
+   */
+  onDisable() {
+    // Override in subclasses
+  }
+
   /**
    * Called when component is removed or entity is destroyed.
    * Use for cleanup: remove event listeners, release resources.
@@ -45,6 +125,150 @@ export class Component {
     // Override in subclasses
   }
 
+  /**
+   * Subscribe to a scene event for the lifetime of this component.
+   * The subscription is removed automatically after onDestroy() runs.
+   * Call from start() or later, once the entity is in a scene.
+   * @param {string} type - Event type (e.g. 'door_opened')
+   * @param {import('./eventBus.js').EventHandler} handler - Called with (payload, type)
+   * @returns {function(): void} Function that removes this subscription early
+   * @throws {Error} If the component's entity is not in a scene
+   */
+  subscribe(type, handler) {
+    const scene = this.getScene();
+    if (!scene) {
+      throw new Error('Component must be attached to an entity in a scene to subscribe to events');
+    }
+    const unsubscribe = scene.on(type, handler, this);
+    this._disposers.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Run a callback once after a delay in scene (scaled) time.
+   * Cancelled automatically when the component is destroyed.
+   * Pass a method name instead of a function to have the timer saved with the scene.
+   * @param {number} seconds - Seconds to wait
+   * @param {Function|string} callback - Function, or method name on this component
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  after(seconds, callback, ...args) {
+    return this._trackTask(this._getScheduler().after(seconds, callback, this, ...args));
+  }
+
+  /**
+   * Run a callback repeatedly in scene (scaled) time until cancelled.
+   * Cancelled automatically when the component is destroyed.
+   * @param {number} seconds - Seconds between runs
+   * @param {Function|string} callback - Function, or method name on this component
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  every(seconds, callback, ...args) {
+    return this._trackTask(this._getScheduler().every(seconds, callback, this, ...args));
+  }
+
+  /**
+   * Start a generator coroutine with this component as `this`.
+   * Cancelled automatically when the component is destroyed.
+   * @param {GeneratorFunction|string} routine - Generator function, or generator method name on this component
+   * @param {...*} args - Arguments passed to the routine
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  startCoroutine(routine, ...args) {
+    return this._trackTask(this._getScheduler().startCoroutine(routine, this, ...args));
+  }
+
+  /**
+   * Get the scene scheduler.
+   * @returns {import('./scheduler.js').Scheduler} Scheduler
+   * @throws {Error} If the component's entity is not in a scene
+   * @private
+   */
+  _getScheduler() {
+    const scene = this.getScene();
+    if (!scene) {
+      throw new Error('Component must be attached to an entity in a scene to schedule tasks');
+    }
+    return scene.scheduler;
+  }
+
+  /**
+   * Register a task for cancellation on destroy.
+   * @param {import('./scheduler.js').ScheduledTask} task - Task handle
+   * @returns {import('./scheduler.js').ScheduledTask} The task
+   * @private
+   */
+  _trackTask(task) {
+    for (const tracked of this._tasks) {
+      if (tracked.done) this._tasks.delete(tracked);
+    }
+    this._tasks.add(task);
+    return task;
+  }
+
+  /**
+   * Call onEnable() or onDisable() if the effective enabled state changed.
+   * Effective means enabled, on an active, live entity that is in a scene.
+   * @param {boolean} [forceOff=false] - Treat as disabled (component being removed)
+   * @private
+   */
+  _refreshEnabledState(forceOff = false) {
+    const entity = this.entity;
+    const shouldBeEnabled =
+      !forceOff &&
+      this._enabled &&
+      entity !== null &&
+      entity.active &&
+      !entity._destroyed &&
+      entity.scene !== null;
+
+    if (shouldBeEnabled === this._enabledInScene) return;
+    this._enabledInScene = shouldBeEnabled;
+    if (shouldBeEnabled) {
+      this.onEnable();
+    } else {
+      this.onDisable();
+    }
+  }
+
+  /**
+   * Remove event subscriptions and cancel scheduled tasks.
+   * Called by Entity after onDestroy().
+   * @private
+   */
+  _dispose() {
+    for (const dispose of this._disposers) {
+      dispose();
+    }
+    this._disposers = [];
+    for (const task of this._tasks) {
+      task.cancel();
+    }
+    this._tasks.clear();
+  }
+
+  /**
+   * Serialize component state for scene saves.
+   * Opt-in: return a plain JSON-compatible object to have this component
+   * saved. The default returns undefined, so the component is left out.
+   * @returns {Object|undefined} Serializable state or undefined to skip
+   */
+  toJSON() {
+    return undefined;
+  }
+
+  /**
+   * Restore component state from data produced by toJSON().
+   * Called after construction and attachment, before start().
+   * @param {Object} data - Previously serialized state
+   */
+  fromJSON(data) {
+    // Override in subclasses
+    void data;
+  }
+
   /**
    * Get the scene this component's entity belongs to.
    * @returns {import('./scene.js').Scene|null} Scene or null
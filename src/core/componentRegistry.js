@@ -0,0 +1,123 @@
+/**
+ * Component registry keyed by type name.
+ * Lets prefabs and scene saves refer to component classes by string.
+ */
+
+/**
+ * Assign plain property values onto a component.
+ * Arrays written to existing typed-array fields are copied in place so
+ * components keep their preallocated Float32Arrays.
+ * @param {import('./component.js').Component} component - Target component
+ * @param {Object} [props] - Property values to apply
+ * @returns {import('./component.js').Component} The component
+ */
+export function applyComponentProps(component, props) {
+  if (!props) return component;
+
+  for (const [key, value] of Object.entries(props)) {
+    const current = component[key];
+    if (ArrayBuffer.isView(current) && Array.isArray(value)) {
+      current.set(value);
+    } else {
+      component[key] = value;
+    }
+  }
+
+  return component;
+}
+
+/**
+ * Registry mapping type names to component classes and optional factories.
+ */
+export class ComponentRegistry {
+  constructor() {
+    /** @type {Map<string, {componentClass: Function, factory: Function|null}>} Registered types */
+    this._entries = new Map();
+  }
+
+  /**
+   * Register a component class under a name.
+   * Also sets a static typeName on the class (unless it defines one) so
+   * scene saves use the same name.
+   * @param {string} name - Type name used by prefabs and saves
+   * @param {Function} componentClass - Component class constructor
+   * @param {function(Object): import('./component.js').Component} [factory] - Builds an instance from prefab props; defaults to new componentClass() plus property assignment
+   * @returns {ComponentRegistry} This registry for chaining
+   * @throws {Error} If the name is already registered to another class
+   */
+  register(name, componentClass, factory = null) {
+    const existing = this._entries.get(name);
+    if (existing && existing.componentClass !== componentClass) {
+      throw new Error(`Component type "${name}" is already registered`);
+    }
+
+    this._entries.set(name, { componentClass, factory });
+
+    if (!Object.prototype.hasOwnProperty.call(componentClass, 'typeName')) {
+      componentClass.typeName = name;
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove a registered component type.
+   * @param {string} name - Type name
+   */
+  unregister(name) {
+    this._entries.delete(name);
+  }
+
+  /**
+   * Check if a type name is registered.
+   * @param {string} name - Type name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this._entries.has(name);
+  }
+
+  /**
+   * Get the component class registered under a name.
+   * @param {string} name - Type name
+   * @returns {Function|null} Component class or null
+   */
+  get(name) {
+    const entry = this._entries.get(name);
+    return entry ? entry.componentClass : null;
+  }
+
+  /**
+   * Get the registered name for a component class.
+   * @param {Function} componentClass - Component class constructor
+   * @returns {string|null} Type name or null if not registered
+   */
+  getName(componentClass) {
+    for (const [name, entry] of this._entries) {
+      if (entry.componentClass === componentClass) {
+        return name;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Create a component instance by type name.
+   * @param {string} name - Type name
+   * @param {Object} [props] - Prefab properties for the instance
+   * @returns {import('./component.js').Component} New component
+   * @throws {Error} If the type is not registered
+   */
+  create(name, props = {}) {
+    const entry = this._entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown component type "${name}"`);
+    }
+
+    if (entry.factory) {
+      return entry.factory(props);
+    }
+
+    return applyComponentProps(new entry.componentClass(), props);
+  }
+}
@@ -1,34 +1,74 @@
+/** @type {number} Number of profiler sections listed in the breakdown */
+const PROFILE_TOP_SECTIONS = 12;
+
+/** @type {number} Frame time shown at the top of the graph, in ms */
+const GRAPH_MAX_MS = 50;
+
+/** @type {number} Recent hitches listed under the pacing stats */
+const PACING_RECENT_HITCHES = 3;
+
 /**
  * Debug overlay for displaying FPS and other debug information.
  * Toggle-able with a configurable key (default: Tab).
+ * With a profiler attached it also shows a per-section breakdown and a
+ * frame-time graph; press the export key (default: F9) to download a capture.
+ * Frame pacing from Time (lows, percentiles, tagged hitches) is always
+ * shown; press the CSV key (default: F7) to download the frame times.
+ * Named toggles (e.g. debug draw layers) flip with their key while visible.
+ * Keys are handled in Input's gameplay context, so menus and the console
+ * above it block them.
  */
 export class DebugOverlay {
   /**
    * Create a debug overlay.
    * @param {import('./time.js').Time} time - Time system instance
+   * @param {import('./input.js').Input} input - Input whose gameplay context handles the keys
    * @param {string} [toggleKey='Tab'] - Key code to toggle overlay
+   * @param {string} [exportKey='F9'] - Key code to download a profiler capture
+   * @param {string} [csvKey='F7'] - Key code to download frame pacing as CSV
    */
-  constructor(time, toggleKey = 'Tab') {
+  constructor(time, input, toggleKey = 'Tab', exportKey = 'F9', csvKey = 'F7') {
     /** @type {import('./time.js').Time} Time system */
     this.time = time;
 
+    /** @type {import('./inputContext.js').InputContext} Context the keys are registered in */
+    this.context = input.gameplayContext;
+
     /** @type {string} Key code to toggle overlay */
     this.toggleKey = toggleKey;
 
+    /** @type {string} Key code to download a profiler capture */
+    this.exportKey = exportKey;
+
+    /** @type {string} Key code to download frame pacing as CSV */
+    this.csvKey = csvKey;
+
+    /** @type {import('./profiler.js').Profiler|null} Profiler shown in the overlay */
+    this.profiler = null;
+
     /** @type {boolean} Whether overlay is visible */
     this.visible = false;
 
     /** @type {HTMLDivElement|null} Overlay DOM element */
     this.element = null;
 
+    /** @type {HTMLDivElement|null} Text content element */
+    this._textElement = null;
+
+    /** @type {HTMLCanvasElement|null} Frame-time graph */
+    this._graphCanvas = null;
+
     /** @type {Object} Debug values to display */
     this._debugValues = {};
 
-    /** @type {Function} Bound key handler */
-    this._boundKeyHandler = this._onKeyDown.bind(this);
+    /** @type {Map<string, {code: string, enabled: boolean}>} Named toggles by name */
+    this._toggles = new Map();
+
+    /** @type {function(KeyboardEvent): boolean} Bound toggle key handler */
+    this._boundToggleKey = this._onToggleKey.bind(this);
 
     this._createOverlay();
-    this._setupEventListeners();
+    this._setupKeys();
   }
 
   /**
@@ -54,37 +94,161 @@ export class DebugOverlay {
       white-space: pre;
       min-width: 150px;
     `;
+
+    this._textElement = document.createElement('div');
+    this.element.appendChild(this._textElement);
+
+    this._graphCanvas = document.createElement('canvas');
+    this._graphCanvas.width = 240;
+    this._graphCanvas.height = 60;
+    this._graphCanvas.style.cssText = 'display: none; margin-top: 6px;';
+    this.element.appendChild(this._graphCanvas);
+
     document.body.appendChild(this.element);
   }
 
   /**
-   * Set up event listeners.
+   * Register the toggle and export keys.
    * @private
    */
-  _setupEventListeners() {
-    window.addEventListener('keydown', this._boundKeyHandler);
+  _setupKeys() {
+    this.context.onKey(this.toggleKey, () => this.toggle());
+    // Only taken while there is something to export, so the key passes through otherwise
+    this.context.onKey(this.exportKey, () => {
+      if (!this.visible || !this.profiler) return false;
+      this.exportProfile();
+      return true;
+    });
+    this.context.onKey(this.csvKey, () => {
+      if (!this.visible) return false;
+      this.exportPacingCSV();
+      return true;
+    });
   }
 
   /**
-   * Handle keydown for toggle.
+   * Flip the named toggles bound to a key. Keys pass through while hidden.
    * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if the key was used
    * @private
    */
-  _onKeyDown(event) {
-    if (event.code === this.toggleKey) {
-      this.toggle();
-      event.preventDefault();
+  _onToggleKey(event) {
+    if (!this.visible) return false;
+    for (const toggle of this._toggles.values()) {
+      if (toggle.code === event.code) {
+        toggle.enabled = !toggle.enabled;
+      }
     }
+    return true;
   }
 
   /**
-   * Toggle overlay visibility.
+   * Add a named toggle, flipped by a key while the overlay is visible.
+   * @param {string} name - Toggle name shown in the overlay
+   * @param {string} code - Key code that flips it (e.g. 'Digit1')
+   * @param {boolean} [enabled=false] - Initial state
    */
-  toggle() {
-    this.visible = !this.visible;
+  addToggle(name, code, enabled = false) {
+    this._toggles.set(name, { code, enabled });
+    this.context.onKey(code, this._boundToggleKey);
+  }
+
+  /**
+   * Check whether a toggle is on. Toggles only count while the overlay is
+   * visible, so hiding it turns every debug layer off at once.
+   * @param {string} name - Toggle name
+   * @returns {boolean} True if visible and toggled on
+   */
+  isToggled(name) {
+    const toggle = this._toggles.get(name);
+    return this.visible && toggle !== undefined && toggle.enabled;
+  }
+
+  /**
+   * Set a toggle's state.
+   * @param {string} name - Toggle name
+   * @param {boolean} enabled - New state
+   */
+  setToggle(name, enabled) {
+    const toggle = this._toggles.get(name);
+    if (toggle) {
+      toggle.enabled = enabled;
+    }
+  }
+
+  /**
+   * Attach a profiler. It is only enabled while the overlay is visible,
+   * so instrumentation costs nothing when hidden.
+   * @param {import('./profiler.js').Profiler|null} profiler - Profiler, or null to detach
+   */
+  setProfiler(profiler) {
+    if (this.profiler) {
+      this.profiler.enabled = false;
+    }
+    this.profiler = profiler;
+    if (profiler) {
+      profiler.enabled = this.visible;
+    }
+    if (this._graphCanvas) {
+      this._graphCanvas.style.display = profiler ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Download the profiler's current capture as a JSON file.
+   */
+  exportProfile() {
+    if (!this.profiler) return;
+    const json = JSON.stringify(this.profiler.exportCapture(), null, 2);
+    this._download(json, 'application/json', `profile-${Date.now()}.json`);
+  }
+
+  /**
+   * Download the frame pacing window as a CSV file.
+   */
+  exportPacingCSV() {
+    this._download(this.time.pacing.toCSV(), 'text/csv', `frame-pacing-${Date.now()}.csv`);
+  }
+
+  /**
+   * Save text as a file through a temporary link.
+   * @param {string} content - File content
+   * @param {string} type - MIME type
+   * @param {string} filename - Suggested file name
+   * @private
+   */
+  _download(content, type, filename) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  /**
+   * Apply visibility to the element and the attached profiler.
+   * @private
+   */
+  _applyVisibility() {
     if (this.element) {
       this.element.style.display = this.visible ? 'block' : 'none';
     }
+    if (this.profiler) {
+      // Start a fresh window so hidden time doesn't skew the stats
+      if (this.visible && !this.profiler.enabled) {
+        this.profiler.reset();
+      }
+      this.profiler.enabled = this.visible;
+    }
+  }
+
+  /**
+   * Toggle overlay visibility.
+   */
+  toggle() {
+    this.visible = !this.visible;
+    this._applyVisibility();
   }
 
   /**
@@ -92,9 +256,7 @@ export class DebugOverlay {
    */
   show() {
     this.visible = true;
-    if (this.element) {
-      this.element.style.display = 'block';
-    }
+    this._applyVisibility();
   }
 
   /**
@@ -102,9 +264,7 @@ export class DebugOverlay {
    */
   hide() {
     this.visible = false;
-    if (this.element) {
-      this.element.style.display = 'none';
-    }
+    this._applyVisibility();
   }
 
   /**
@@ -149,17 +309,128 @@ export class DebugOverlay {
       }
     }
 
-    this.element.textContent = lines.join('\n');
+    this._appendPacingLines(lines);
+
+    // Toggles with their keys
+    if (this._toggles.size > 0) {
+      lines.push('');
+      for (const [name, toggle] of this._toggles) {
+        const key = toggle.code.replace(/^(Digit|Key)/, '');
+        lines.push(`[${key}] ${name}: ${toggle.enabled ? 'ON' : 'OFF'}`);
+      }
+    }
+
+    if (this.profiler) {
+      this._appendProfileLines(lines);
+      this._drawGraph();
+    }
+
+    this._textElement.textContent = lines.join('\n');
+  }
+
+  /**
+   * Append frame pacing: percentiles and lows over Time's window, hitch
+   * counts per threshold, and the latest hitches with their tags.
+   * @param {Array<string>} lines - Output lines
+   * @private
+   */
+  _appendPacingLines(lines) {
+    const pacing = this.time.pacing;
+    const stats = pacing.getStats();
+
+    lines.push('');
+    lines.push(`Pacing (${stats.frames} frames)`);
+    lines.push(
+      `p95 ${stats.p95Ms.toFixed(1)}ms  p99 ${stats.p99Ms.toFixed(1)}ms  max ${stats.maxMs.toFixed(1)}ms`
+    );
+    lines.push(`1% low ${stats.low1Fps.toFixed(1)} FPS  0.1% low ${stats.low01Fps.toFixed(1)} FPS`);
+    lines.push(
+      `Hitches ${stats.hitches.map((h) => `>=${Math.round(h.thresholdMs)}ms: ${h.count}`).join('  ')}`
+    );
+    for (const hitch of pacing.getHitches().slice(-PACING_RECENT_HITCHES).reverse()) {
+      const tags = hitch.tags.length > 0 ? hitch.tags.join(', ') : 'untagged';
+      lines.push(`  #${hitch.frame} ${hitch.ms.toFixed(1)}ms ${tags}`);
+    }
+    lines.push(`${this.csvKey}: download CSV`);
+  }
+
+  /**
+   * Append the profiler breakdown: frame stats, then the most expensive
+   * sections with average and max ms. Sections that spiked in the latest
+   * frame are marked with '!'.
+   * @param {Array<string>} lines - Output lines
+   * @private
+   */
+  _appendProfileLines(lines) {
+    const profiler = this.profiler;
+    const frame = profiler.getFrameStats();
+
+    lines.push('');
+    lines.push(
+      `CPU: ${frame.avg.toFixed(2)}ms avg  ${frame.max.toFixed(2)}ms max  ${frame.spikes} spikes`
+    );
+    lines.push(`${'Section'.padEnd(28)}${'avg'.padStart(7)}${'max'.padStart(7)}`);
+
+    const stats = profiler.getStats();
+    for (const stat of stats.slice(0, PROFILE_TOP_SECTIONS)) {
+      const marker = profiler.isSpike(stat.last, stat.avg) ? '!' : ' ';
+      const label = stat.label.length > 26 ? `${stat.label.slice(0, 25)}~` : stat.label;
+      lines.push(
+        `${marker} ${label.padEnd(26)}${stat.avg.toFixed(2).padStart(7)}${stat.max.toFixed(2).padStart(7)}`
+      );
+    }
+    if (stats.length > PROFILE_TOP_SECTIONS) {
+      lines.push(`  (+${stats.length - PROFILE_TOP_SECTIONS} more)`);
+    }
+    lines.push(`${this.exportKey}: export capture`);
+  }
+
+  /**
+   * Draw the frame-time history with 60 and 30 FPS reference lines.
+   * Spiking frames are drawn in red.
+   * @private
+   */
+  _drawGraph() {
+    const canvas = this._graphCanvas;
+    const ctx = canvas.getContext('2d');
+    if (!ctx) return;
+
+    const { width, height } = canvas;
+    const frames = this.profiler.frames;
+    const avg = this.profiler.getFrameStats().avg;
+    const toY = (ms) => height - (Math.min(ms, GRAPH_MAX_MS) / GRAPH_MAX_MS) * height;
+
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fillRect(0, toY(1000 / 60), width, 1);
+    ctx.fillRect(0, toY(1000 / 30), width, 1);
+
+    const barWidth = width / this.profiler.windowSize;
+    const offset = this.profiler.windowSize - frames.length;
+    for (let i = 0; i < frames.length; i++) {
+      const total = frames[i].total;
+      const y = toY(total);
+      ctx.fillStyle = this.profiler.isSpike(total, avg) ? '#ff3030' : '#00ff00';
+      ctx.fillRect((offset + i) * barWidth, y, Math.max(barWidth - 1, 1), height - y);
+    }
   }
 
   /**
    * Clean up overlay.
    */
   dispose() {
-    window.removeEventListener('keydown', this._boundKeyHandler);
+    this.context.offKey(this.toggleKey);
+    this.context.offKey(this.exportKey);
+    this.context.offKey(this.csvKey);
+    for (const toggle of this._toggles.values()) {
+      this.context.offKey(toggle.code);
+    }
     if (this.element && this.element.parentNode) {
       this.element.parentNode.removeChild(this.element);
     }
     this.element = null;
+    this._textElement = null;
+    this._graphCanvas = null;
   }
 }
@@ -0,0 +1,333 @@
+import { InputContext, InputContexts } from './inputContext.js';
+
+/**
+ * Developer console for running registered commands in-game.
+ * Toggle-able with a configurable key (default: Backquote). Opening it
+ * pushes a blocking input context, which releases pointer lock and hides
+ * game input, and routes keyboard input to the text field.
+ */
+
+/** @type {number} Maximum remembered command lines */
+const MAX_HISTORY = 50;
+
+/** @type {number} Maximum lines kept in the output log */
+const MAX_LOG_LINES = 200;
+
+/**
+ * DOM console bound to a command registry.
+ */
+export class DevConsole {
+  /**
+   * Create a developer console.
+   * @param {import('./commands.js').CommandRegistry} commands - Commands to run
+   * @param {import('./input.js').Input} input - Input suppressed while typing
+   * @param {string} [toggleKey='Backquote'] - Key code to toggle the console
+   */
+  constructor(commands, input, toggleKey = 'Backquote') {
+    /** @type {import('./commands.js').CommandRegistry} Command registry */
+    this.commands = commands;
+
+    /** @type {import('./input.js').Input} Input system */
+    this.input = input;
+
+    /** @type {string} Key code to toggle the console */
+    this.toggleKey = toggleKey;
+
+    /** @type {InputContext} Context pushed while open */
+    this.context = new InputContext(InputContexts.CONSOLE, { pointerLock: false, blocking: true });
+
+    /** @type {boolean} Whether the console is open */
+    this.isOpen = false;
+
+    /** @type {HTMLDivElement|null} Console root element */
+    this.element = null;
+
+    /** @type {HTMLDivElement|null} Output log */
+    this._logElement = null;
+
+    /** @type {HTMLInputElement|null} Command line field */
+    this._field = null;
+
+    /** @type {Array<string>} Previously run lines, oldest first */
+    this._history = [];
+
+    /** @type {number} Index into history while browsing, or history.length when editing a new line */
+    this._historyIndex = 0;
+
+    /** @type {import('./inputRecorder.js').InputRecorder|null} Recorder; the console stays shut while it records (see canOpen) */
+    this.recorder = null;
+
+    /** @type {Function} Bound field key handler */
+    this._boundFieldKeyHandler = this._onFieldKeyDown.bind(this);
+
+    if (!commands.has('clear')) {
+      commands.register('clear', {
+        description: 'Clear the console output',
+        run: () => this.clear(),
+      });
+    }
+
+    this._createElements();
+    input.gameplayContext.onKey(toggleKey, () => {
+      if (!this.canOpen()) {
+        if (this.recorder && this.recorder.isRecording) {
+          console.warn('Developer console is disabled while recording a replay');
+        }
+        return false;
+      }
+      this.open();
+      return true;
+    });
+
+    this.print("Type 'help' for a list of commands");
+  }
+
+  /**
+   * Create the console DOM elements.
+   * @private
+   */
+  _createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'dev-console';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      right: 0;
+      height: 40%;
+      display: none;
+      flex-direction: column;
+      background: rgba(0, 0, 0, 0.85);
+      border-bottom: 1px solid #00ff00;
+      font-family: 'Courier New', monospace;
+      font-size: 14px;
+      color: #00ff00;
+      z-index: 10001;
+    `;
+
+    this._logElement = document.createElement('div');
+    this._logElement.style.cssText = `
+      flex: 1;
+      overflow-y: auto;
+      padding: 8px;
+      white-space: pre-wrap;
+    `;
+
+    this._field = document.createElement('input');
+    this._field.type = 'text';
+    this._field.spellcheck = false;
+    this._field.autocomplete = 'off';
+    this._field.style.cssText = `
+      background: transparent;
+      border: none;
+      border-top: 1px solid rgba(0, 255, 0, 0.4);
+      color: #00ff00;
+      font: inherit;
+      padding: 6px 8px;
+      outline: none;
+    `;
+    this._field.addEventListener('keydown', this._boundFieldKeyHandler);
+
+    this.element.appendChild(this._logElement);
+    this.element.appendChild(this._field);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Handle editing keys in the command field.
+   * @param {KeyboardEvent} event - Keyboard event
+   * @private
+   */
+  _onFieldKeyDown(event) {
+    // Keys typed here must not reach game or overlay handlers on window
+    event.stopPropagation();
+
+    switch (event.code) {
+      case this.toggleKey:
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'Enter':
+      case 'NumpadEnter':
+        event.preventDefault();
+        this.execute(this._field.value);
+        this._field.value = '';
+        break;
+      case 'Tab':
+        event.preventDefault();
+        this._autocomplete();
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this._browseHistory(-1);
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        this._browseHistory(1);
+        break;
+    }
+  }
+
+  /**
+   * Check whether the console may open. Replays drive the game, and commands
+   * run while recording would be missing from the log, so either would desync.
+   * @returns {boolean} True unless a replay is playing or being recorded
+   */
+  canOpen() {
+    if (this.input.playbackMode) return false;
+    return !(this.recorder && this.recorder.isRecording);
+  }
+
+  /**
+   * Open the console and focus the command field, unless canOpen() refuses.
+   */
+  open() {
+    if (this.isOpen || !this.canOpen()) return;
+    this.isOpen = true;
+    this.element.style.display = 'flex';
+
+    this.input.pushContext(this.context);
+    this.input.setTextInputActive(true);
+    this._historyIndex = this._history.length;
+    this._field.focus();
+  }
+
+  /**
+   * Close the console and hand the keyboard back to the context below.
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.element.style.display = 'none';
+    this._field.blur();
+    this.input.setTextInputActive(false);
+    this.input.removeContext(this.context);
+  }
+
+  /**
+   * Toggle the console.
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Run a command line, echoing it and its output to the log.
+   * @param {string} line - Command line
+   * @returns {boolean} True if the command succeeded
+   */
+  execute(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return true;
+
+    if (this._history[this._history.length - 1] !== trimmed) {
+      this._history.push(trimmed);
+      if (this._history.length > MAX_HISTORY) {
+        this._history.shift();
+      }
+    }
+    this._historyIndex = this._history.length;
+
+    this.print(`> ${trimmed}`, '#aaaaaa');
+    const result = this.commands.execute(trimmed);
+    for (const output of result.output) {
+      this.print(output, result.ok ? '#00ff00' : '#ff5050');
+    }
+    return result.ok;
+  }
+
+  /**
+   * Append a line to the output log.
+   * @param {string} text - Line text
+   * @param {string} [color] - CSS color (defaults to the console color)
+   */
+  print(text, color = null) {
+    if (!this._logElement) return;
+
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (color) {
+      line.style.color = color;
+    }
+    this._logElement.appendChild(line);
+    while (this._logElement.childNodes.length > MAX_LOG_LINES) {
+      this._logElement.removeChild(this._logElement.firstChild);
+    }
+    this._logElement.scrollTop = this._logElement.scrollHeight;
+  }
+
+  /**
+   * Clear the output log.
+   */
+  clear() {
+    if (this._logElement) {
+      this._logElement.textContent = '';
+    }
+  }
+
+  /**
+   * Complete the word at the end of the field. A single match is filled in;
+   * several matches are extended to their common prefix and listed.
+   * @private
+   */
+  _autocomplete() {
+    const { prefix, candidates } = this.commands.complete(this._field.value);
+    if (candidates.length === 0) return;
+
+    if (candidates.length === 1) {
+      this._field.value = `${prefix}${candidates[0]} `;
+      return;
+    }
+
+    let common = candidates[0];
+    for (const candidate of candidates) {
+      while (!candidate.toLowerCase().startsWith(common.toLowerCase())) {
+        common = common.slice(0, -1);
+      }
+    }
+    const partial = this._field.value.slice(prefix.length);
+    if (common.length > partial.length) {
+      this._field.value = `${prefix}${common}`;
+    }
+    this.print(candidates.join('  '), '#aaaaaa');
+  }
+
+  /**
+   * Step through command history.
+   * @param {number} direction - -1 for older, 1 for newer
+   * @private
+   */
+  _browseHistory(direction) {
+    if (this._history.length === 0) return;
+
+    this._historyIndex = Math.max(
+      0,
+      Math.min(this._history.length, this._historyIndex + direction)
+    );
+    this._field.value = this._history[this._historyIndex] || '';
+    const end = this._field.value.length;
+    this._field.setSelectionRange(end, end);
+  }
+
+  /**
+   * Clean up the console.
+   */
+  dispose() {
+    this.close();
+    this.input.gameplayContext.offKey(this.toggleKey);
+    if (this._field) {
+      this._field.removeEventListener('keydown', this._boundFieldKeyHandler);
+    }
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this._logElement = null;
+    this._field = null;
+  }
+}
@@ -1,23 +1,103 @@
+import * as mat4 from '../math/mat4.js';
+import * as quat from '../math/quat.js';
+import {
+  getComponentTypeName,
+  createSavedComponent,
+} from './serialization.js';
+
+/** @type {Float32Array} Scratch quat for Euler rotations */
+const _eulerQuat = quat.create();
+
+/**
+ * Compose a transform matrix from position, rotation and scale.
+ * Euler rotation is applied in Z-X-Y order, matching Renderer.buildModelMatrix.
+ * @param {Float32Array} out - Output matrix
+ * @param {Float32Array} p - Position [x, y, z]
+ * @param {Float32Array} r - Rotation [pitch, yaw, roll] in radians, used when q is null
+ * @param {Float32Array} s - Scale [x, y, z]
+ * @param {Float32Array|null} q - Rotation quat, or null to use r
+ * @returns {Float32Array} out
+ */
+function composeTransform(out, p, r, s, q) {
+  const rotation = q || quat.fromEuler(_eulerQuat, r[0], r[1], r[2]);
+  return mat4.fromRotationTranslationScale(out, rotation, p, s);
+}
+
+/**
+ * Interpolate between two angles along the shortest arc.
+ * @param {number} a - Start angle in radians
+ * @param {number} b - End angle in radians
+ * @param {number} t - Blend factor (0-1)
+ * @returns {number} Interpolated angle
+ */
+function lerpAngle(a, b, t) {
+  let delta = (b - a) % (Math.PI * 2);
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+  return a + delta * t;
+}
+
+/** @type {number} Counter for automatically assigned ids */
+let nextEntityId = 1;
+
+/**
+ * Take an id for a new entity, keeping the counter ahead of explicit ids in
+ * the automatic "e<n>" form (e.g. loaded from a save) so they never repeat.
+ * @param {string|null} id - Explicit id, or null to allocate one
+ * @returns {string} Entity id
+ */
+function allocateEntityId(id) {
+  if (id === null || id === undefined) {
+    return `e${nextEntityId++}`;
+  }
+  const match = /^e(\d+)$/.exec(id);
+  if (match) {
+    nextEntityId = Math.max(nextEntityId, Number(match[1]) + 1);
+  }
+  return String(id);
+}
+
 /**
  * Base Entity class with transform and component management.
  * Entities are simple containers; all behavior is in components.
  */
 export class Entity {
-  constructor() {
+  /**
+   * @param {Object} [options] - Identity options
+   * @param {string} [options.id] - Stable unique id; allocated ("e1", "e2", ...) if omitted
+   * @param {string} [options.name] - Optional human-readable name (need not be unique)
+   */
+  constructor({ id = null, name = null } = {}) {
+    /**
+     * Stable unique id, saved with the entity. Read-only.
+     * @type {string}
+     */
+    this._id = allocateEntityId(id);
+
+    /** @type {string|null} Backing field for `name` */
+    this._name = name;
+
     /** @type {Float32Array} Position [x, y, z] */
     this.position = new Float32Array([0, 0, 0]);
 
-    /** @type {Float32Array} Rotation [pitch, yaw, roll] in radians */
+    /** @type {Float32Array} Rotation [pitch, yaw, roll] in radians; ignored while quaternion is set */
     this.rotation = new Float32Array([0, 0, 0]);
 
+    /**
+     * Rotation quat [x, y, z, w] that replaces the Euler rotation when set.
+     * Enable with useQuaternion() for slerped turning and arbitrary-axis swings.
+     * @type {Float32Array|null}
+     */
+    this.quaternion = null;
+
     /** @type {Float32Array} Scale [x, y, z] */
     this.scale = new Float32Array([1, 1, 1]);
 
     /** @type {Array<import('./component.js').Component>} List of attached components */
     this.components = [];
 
-    /** @type {boolean} Whether entity is active and should update */
-    this.active = true;
+    /** @type {boolean} Backing field for `active` */
+    this._active = true;
 
     /** @type {Set<string>} Tags for entity lookup */
     this.tags = new Set();
@@ -27,6 +107,133 @@ export class Entity {
 
     /** @type {boolean} Whether entity has been destroyed */
     this._destroyed = false;
+
+    // Hierarchy
+    /** @type {Entity|null} Parent entity; transform is relative to it */
+    this.parent = null;
+
+    /** @type {Array<Entity>} Child entities */
+    this.children = [];
+
+    // Cached transforms. position/rotation/scale are mutated in place, so the
+    // local matrix is rebuilt whenever they differ from the last snapshot.
+    /** @type {Float32Array} Cached local (parent-relative) matrix */
+    this._localMatrix = mat4.create();
+
+    /** @type {Float32Array} Cached world matrix */
+    this._worldMatrix = mat4.create();
+
+    /** @type {Float32Array} Position, rotation, scale and quaternion used for the cached local matrix */
+    this._localSnapshot = new Float32Array(13);
+
+    /** @type {boolean} Whether the local matrix must be rebuilt */
+    this._localDirty = true;
+
+    /** @type {boolean} Whether the world matrix must be rebuilt */
+    this._worldDirty = true;
+
+    /** @type {number} Incremented each time the local matrix is rebuilt */
+    this._localVersion = 0;
+
+    /** @type {number} Incremented each time the world matrix is rebuilt */
+    this._worldVersion = 0;
+
+    /** @type {number} Local version the world matrix was built from */
+    this._worldLocalVersion = -1;
+
+    /** @type {number} Parent world version the world matrix was built from */
+    this._worldParentVersion = -1;
+
+    // Fixed-step render interpolation
+    /** @type {boolean} Whether rendering blends between previous and current fixed-step transforms */
+    this.interpolate = false;
+
+    /** @type {Float32Array} Position at the start of the last fixed step */
+    this.previousPosition = new Float32Array([0, 0, 0]);
+
+    /** @type {Float32Array} Rotation at the start of the last fixed step */
+    this.previousRotation = new Float32Array([0, 0, 0]);
+
+    /** @type {Float32Array} Scale at the start of the last fixed step */
+    this.previousScale = new Float32Array([1, 1, 1]);
+
+    /** @type {Float32Array|null} Quaternion at the start of the last fixed step, while one is used */
+    this.previousQuaternion = null;
+
+    /** @type {Float32Array} Scratch quat for interpolation */
+    this._interpolatedQuat = quat.create();
+
+    /** @type {Float32Array} Scratch transform for interpolation */
+    this._interpolated = new Float32Array(9);
+
+    /** @type {Float32Array} Cached interpolated world matrix */
+    this._interpolatedMatrix = mat4.create();
+  }
+
+  /**
+   * Derive a deterministic id for generated content, so the same seed and
+   * keys give the same id in every session (e.g. seededId(levelSeed, 'door', 3)).
+   * @param {number|string} seed - Generation seed
+   * @param {...(number|string)} keys - Values identifying the entity within the seed
+   * @returns {string} Id of the form "g<hex>"
+   */
+  static seededId(seed, ...keys) {
+    // FNV-1a over the joined key string
+    const text = [seed, ...keys].join(':');
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `g${(hash >>> 0).toString(16).padStart(8, '0')}`;
+  }
+
+  /**
+   * Stable unique id.
+   * @type {string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  /**
+   * Optional name for lookups and debugging. Renaming keeps the scene's
+   * name index in sync.
+   * @type {string|null}
+   */
+  get name() {
+    return this._name;
+  }
+
+  set name(value) {
+    if (this._name === value) return;
+    if (this.scene) {
+      this.scene._removeEntityFromNameIndex(this);
+    }
+    this._name = value;
+    if (this.scene) {
+      this.scene._addEntityToNameIndex(this);
+    }
+  }
+
+  /**
+   * Whether entity is active and should update.
+   * Toggling it calls onEnable()/onDisable() on enabled components while
+   * the entity is in a scene.
+   * @type {boolean}
+   */
+  get active() {
+    return this._active;
+  }
+
+  set active(value) {
+    if (this._active === value) return;
+    this._active = value;
+    for (const component of this.components) {
+      if (component._refreshEnabledState) {
+        component._refreshEnabledState();
+      }
+    }
   }
 
   /**
@@ -38,10 +245,18 @@ export class Entity {
     component.entity = this;
     this.components.push(component);
 
+    // Keep scene queries and update order in sync
+    if (this.scene) {
+      this.scene._onEntityComponentsChanged(this);
+    }
+
     // Call start if entity is already in scene
     if (this.scene && component.start) {
       component.start();
     }
+    if (this.scene && component._refreshEnabledState) {
+      component._refreshEnabledState();
+    }
 
     return component;
   }
@@ -53,11 +268,22 @@ export class Entity {
   removeComponent(component) {
     const index = this.components.indexOf(component);
     if (index >= 0) {
+      if (component._refreshEnabledState) {
+        component._refreshEnabledState(true);
+      }
       if (component.onDestroy) {
         component.onDestroy();
       }
+      if (component._dispose) {
+        component._dispose();
+      }
       component.entity = null;
       this.components.splice(index, 1);
+
+      // Keep scene queries and update order in sync
+      if (this.scene) {
+        this.scene._onEntityComponentsChanged(this);
+      }
     }
   }
 
@@ -124,29 +350,372 @@ export class Entity {
   }
 
   /**
-   * Update all components.
-   * @param {number} dt - Delta time in seconds
+   * Set the parent entity. Pass null to detach.
+   * @param {Entity|null} parent - New parent
+   * @param {boolean} [keepWorldTransform=false] - Adjust the local transform so the world transform is unchanged
+   * @throws {Error} If the parent is this entity or one of its descendants
    */
-  update(dt) {
-    if (!this.active || this._destroyed) return;
+  setParent(parent, keepWorldTransform = false) {
+    if (parent === this.parent) return;
 
-    for (const component of this.components) {
-      if (component.update && component.enabled) {
-        component.update(dt);
+    for (let p = parent; p; p = p.parent) {
+      if (p === this) {
+        throw new Error('Cannot parent an entity to itself or its descendant');
+      }
+    }
+
+    let world = null;
+    if (keepWorldTransform) {
+      world = mat4.copy(mat4.create(), this.getWorldMatrix());
+    }
+
+    if (this.parent) {
+      const index = this.parent.children.indexOf(this);
+      if (index >= 0) {
+        this.parent.children.splice(index, 1);
       }
     }
+
+    this.parent = parent;
+    if (parent) {
+      parent.children.push(this);
+    }
+
+    if (world) {
+      if (parent) {
+        const inverseParent = mat4.invert(mat4.create(), parent.getWorldMatrix());
+        if (inverseParent) {
+          mat4.multiply(world, inverseParent, world);
+        }
+      }
+      this._setLocalFromMatrix(world);
+    }
+
+    this._worldDirty = true;
+  }
+
+  /**
+   * Add a child entity.
+   * @param {Entity} child - Entity to parent to this one
+   * @param {boolean} [keepWorldTransform=false] - Preserve the child's world transform
+   * @returns {Entity} The child
+   */
+  addChild(child, keepWorldTransform = false) {
+    child.setParent(this, keepWorldTransform);
+    return child;
+  }
+
+  /**
+   * Switch between a quaternion and Euler rotation. The current orientation
+   * is kept: enabling converts rotation into the new quaternion, and
+   * disabling converts the quaternion back into rotation.
+   * @param {boolean} [enabled=true] - True to rotate by quaternion
+   */
+  useQuaternion(enabled = true) {
+    if (enabled === (this.quaternion !== null)) return;
+
+    if (enabled) {
+      const r = this.rotation;
+      this.quaternion = quat.fromEuler(quat.create(), r[0], r[1], r[2]);
+      this.previousQuaternion = quat.copy(quat.create(), this.quaternion);
+    } else {
+      const local = mat4.copy(mat4.create(), this.getLocalMatrix());
+      const scale = Float32Array.from(this.scale);
+      this.quaternion = null;
+      this.previousQuaternion = null;
+      this._setLocalFromMatrix(local);
+      // Only the rotation changes; keep scale exact rather than re-derived
+      this.scale.set(scale);
+      this.previousRotation.set(this.rotation);
+    }
+    this._localDirty = true;
+  }
+
+  /**
+   * Force the cached matrices to be rebuilt on next access.
+   * Only needed if position/rotation/scale arrays are replaced rather than mutated.
+   */
+  markTransformDirty() {
+    this._localDirty = true;
+  }
+
+  /**
+   * Get the local (parent-relative) transform matrix.
+   * Rotation is the quaternion if set, otherwise Euler angles applied in
+   * Z-X-Y order, matching Renderer.buildModelMatrix.
+   * @returns {Float32Array} Cached local matrix (do not modify)
+   */
+  getLocalMatrix() {
+    const snap = this._localSnapshot;
+    const p = this.position;
+    const r = this.rotation;
+    const s = this.scale;
+    const q = this.quaternion;
+
+    if (
+      this._localDirty ||
+      snap[0] !== p[0] || snap[1] !== p[1] || snap[2] !== p[2] ||
+      snap[3] !== r[0] || snap[4] !== r[1] || snap[5] !== r[2] ||
+      snap[6] !== s[0] || snap[7] !== s[1] || snap[8] !== s[2] ||
+      (q && (snap[9] !== q[0] || snap[10] !== q[1] || snap[11] !== q[2] || snap[12] !== q[3]))
+    ) {
+      composeTransform(this._localMatrix, p, r, s, q);
+
+      snap.set(p, 0);
+      snap.set(r, 3);
+      snap.set(s, 6);
+      if (q) snap.set(q, 9);
+      this._localDirty = false;
+      this._localVersion++;
+    }
+
+    return this._localMatrix;
+  }
+
+  /**
+   * Get the world transform matrix (parent world * local).
+   * @returns {Float32Array} Cached world matrix (do not modify)
+   */
+  getWorldMatrix() {
+    const local = this.getLocalMatrix();
+    const parentWorld = this.parent ? this.parent.getWorldMatrix() : null;
+    const parentVersion = this.parent ? this.parent._worldVersion : 0;
+
+    if (
+      this._worldDirty ||
+      this._worldLocalVersion !== this._localVersion ||
+      this._worldParentVersion !== parentVersion
+    ) {
+      if (parentWorld) {
+        mat4.multiply(this._worldMatrix, parentWorld, local);
+      } else {
+        mat4.copy(this._worldMatrix, local);
+      }
+      this._worldDirty = false;
+      this._worldLocalVersion = this._localVersion;
+      this._worldParentVersion = parentVersion;
+      this._worldVersion++;
+    }
+
+    return this._worldMatrix;
+  }
+
+  /**
+   * Get the world-space position.
+   * @param {Float32Array} [out] - Output vector (allocated if omitted)
+   * @returns {Float32Array} World position [x, y, z]
+   */
+  getWorldPosition(out = new Float32Array(3)) {
+    const m = this.getWorldMatrix();
+    out[0] = m[12];
+    out[1] = m[13];
+    out[2] = m[14];
+    return out;
+  }
+
+  /**
+   * Copy the current transform into the previous-transform buffers.
+   * Called before each fixed step; call after teleporting an interpolated
+   * entity so it does not visibly blend across the jump.
+   */
+  storePreviousTransform() {
+    this.previousPosition.set(this.position);
+    this.previousRotation.set(this.rotation);
+    this.previousScale.set(this.scale);
+    if (this.quaternion) {
+      this.previousQuaternion.set(this.quaternion);
+    }
+  }
+
+  /**
+   * Get the world matrix blended between the previous and current fixed-step
+   * transforms. Parent transforms are not interpolated.
+   * @param {number} alpha - Blend factor (0 = previous, 1 = current), usually Time.interpolationAlpha
+   * @returns {Float32Array} Cached interpolated matrix (do not modify)
+   */
+  getInterpolatedWorldMatrix(alpha) {
+    const t = this._interpolated;
+    const p = t.subarray(0, 3);
+    const r = t.subarray(3, 6);
+    const s = t.subarray(6, 9);
+
+    for (let i = 0; i < 3; i++) {
+      const prevP = this.previousPosition[i];
+      const prevS = this.previousScale[i];
+      p[i] = prevP + (this.position[i] - prevP) * alpha;
+      r[i] = lerpAngle(this.previousRotation[i], this.rotation[i], alpha);
+      s[i] = prevS + (this.scale[i] - prevS) * alpha;
+    }
+
+    const q = this.quaternion
+      ? quat.slerp(this._interpolatedQuat, this.previousQuaternion, this.quaternion, alpha)
+      : null;
+
+    const m = composeTransform(this._interpolatedMatrix, p, r, s, q);
+    if (this.parent) {
+      mat4.multiply(m, this.parent.getWorldMatrix(), m);
+    }
+    return m;
+  }
+
+  /**
+   * Decompose a matrix into position, Z-X-Y Euler rotation (and the
+   * quaternion, if used) and scale.
+   * Assumes no shear (true for matrices built by getLocalMatrix).
+   * @param {Float32Array} m - Source matrix
+   * @private
+   */
+  _setLocalFromMatrix(m) {
+    this.position[0] = m[12];
+    this.position[1] = m[13];
+    this.position[2] = m[14];
+
+    const sx = Math.hypot(m[0], m[1], m[2]) || 1;
+    const sy = Math.hypot(m[4], m[5], m[6]) || 1;
+    const sz = Math.hypot(m[8], m[9], m[10]) || 1;
+    this.scale[0] = sx;
+    this.scale[1] = sy;
+    this.scale[2] = sz;
+
+    // Rotation matrix R = Rz * Rx * Ry, read column-major with scale removed
+    const r01 = m[4] / sy;
+    const r11 = m[5] / sy;
+    const r21 = m[6] / sy;
+    const r00 = m[0] / sx;
+    const r10 = m[1] / sx;
+    const r20 = m[2] / sx;
+    const r22 = m[10] / sz;
+
+    const pitch = Math.asin(Math.max(-1, Math.min(1, r21)));
+    if (Math.abs(r21) < 0.9999) {
+      this.rotation[0] = pitch;
+      this.rotation[1] = Math.atan2(-r20, r22);
+      this.rotation[2] = Math.atan2(-r01, r11);
+    } else {
+      // Gimbal lock: fold yaw into roll
+      this.rotation[0] = pitch;
+      this.rotation[1] = 0;
+      this.rotation[2] = Math.atan2(r10, r00);
+    }
+
+    if (this.quaternion) {
+      const r = this.rotation;
+      quat.fromEuler(this.quaternion, r[0], r[1], r[2]);
+    }
   }
 
   /**
    * Called when entity is added to scene.
-   * Calls start on all components.
+   * Calls start on all components, then onEnable on those that are enabled.
    */
   _onAddedToScene() {
     for (const component of this.components) {
       if (component.start) {
         component.start();
       }
+      if (component._refreshEnabledState) {
+        component._refreshEnabledState();
+      }
+
+      // Restore timers and coroutines loaded from a save
+      if (component._pendingTasks) {
+        const tasks = this.scene.scheduler.restoreOwner(
+          component,
+          component._pendingTasks
+        );
+        for (const task of tasks) {
+          component._trackTask(task);
+        }
+        component._pendingTasks = null;
+      }
+    }
+  }
+
+  /**
+   * Serialize transform, tags, active flag and opted-in component state.
+   * Components whose toJSON() returns undefined are not saved. Timers and
+   * coroutines scheduled by method name are saved with their component.
+   * @returns {Object} Plain JSON-compatible entity data
+   */
+  serialize() {
+    const components = [];
+    for (const component of this.components) {
+      const data = component.toJSON();
+      if (data !== undefined) {
+        const entry = { type: getComponentTypeName(component), data };
+        if (this.scene) {
+          entry.tasks = this.scene.scheduler.serializeOwner(component);
+        }
+        components.push(entry);
+      }
+    }
+
+    const data = {
+      id: this.id,
+      name: this.name,
+      position: Array.from(this.position),
+      rotation: Array.from(this.rotation),
+      scale: Array.from(this.scale),
+      active: this.active,
+      tags: Array.from(this.tags),
+      components,
+      children: this.children.map((child) => child.serialize()),
+    };
+    if (this.quaternion) {
+      data.quaternion = Array.from(this.quaternion);
     }
+    return data;
+  }
+
+  /**
+   * Create an entity from data produced by serialize().
+   * Components are built by the registry's create() when it has one, so
+   * factories can pass in services, or else constructed without arguments;
+   * either way they are restored via fromJSON(). Their saved timers resume
+   * when the entity is added to a scene.
+   * Nested children are created and parented as well.
+   * @param {Object} data - Serialized entity data
+   * @param {{create: function(string): Object, has: function(string): boolean}|Map<string, Function>|Object<string, Function>} registry - Component types by name
+   * @returns {Entity} New entity (not yet added to a scene)
+   * @throws {Error} If a component type is not in the registry
+   */
+  static deserialize(data, registry) {
+    const entity = new Entity({ id: data.id, name: data.name });
+
+    if (data.position) entity.position.set(data.position);
+    if (data.rotation) entity.rotation.set(data.rotation);
+    if (data.scale) entity.scale.set(data.scale);
+    if (data.quaternion) {
+      entity.useQuaternion();
+      entity.quaternion.set(data.quaternion);
+    }
+    // Interpolate from the saved transform, not the constructor's identity
+    entity.storePreviousTransform();
+    entity.active = data.active !== false;
+
+    for (const tag of data.tags || []) {
+      entity.addTag(tag);
+    }
+
+    for (const entry of data.components || []) {
+      const created = createSavedComponent(registry, entry.type);
+      if (!created) {
+        throw new Error(`Unknown component type "${entry.type}" in scene data`);
+      }
+      const component = entity.addComponent(created);
+      component.fromJSON(entry.data);
+
+      // Timers are restored once the entity joins a scene
+      if (entry.tasks) {
+        component._pendingTasks = entry.tasks;
+      }
+    }
+
+    for (const childData of data.children || []) {
+      Entity.deserialize(childData, registry).setParent(entity);
+    }
+
+    return entity;
   }
 
   /**
@@ -158,11 +727,26 @@ export class Entity {
 
     this._destroyed = true;
 
-    // Call onDestroy on all components
+    // Destroy children first; copy since each child detaches itself
+    for (const child of this.children.slice()) {
+      child.destroy();
+    }
+
+    if (this.parent) {
+      this.setParent(null);
+    }
+
+    // Call onDisable and onDestroy on all components
     for (const component of this.components) {
+      if (component._refreshEnabledState) {
+        component._refreshEnabledState(true);
+      }
       if (component.onDestroy) {
         component.onDestroy();
       }
+      if (component._dispose) {
+        component._dispose();
+      }
       component.entity = null;
     }
     this.components = [];
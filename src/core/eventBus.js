@@ -0,0 +1,178 @@
+/**
+ * Event bus for decoupled communication between components.
+ * Supports immediate dispatch (emit) and deferred dispatch (queue + flush).
+ */
+
+/**
+ * @callback EventHandler
+ * @param {*} payload - Event payload
+ * @param {string} type - Event type
+ */
+
+/**
+ * Event bus keyed by event type string.
+ */
+export class EventBus {
+  constructor() {
+    /** @type {Map<string, Array<{handler: EventHandler, owner: Object|null, once: boolean}>>} Listeners by type */
+    this._listeners = new Map();
+
+    /** @type {Array<{type: string, payload: *}>} Events waiting for flush() */
+    this._queue = [];
+  }
+
+  /**
+   * Subscribe to an event type.
+   * @param {string} type - Event type (e.g. 'door_opened')
+   * @param {EventHandler} handler - Called with (payload, type)
+   * @param {Object} [owner] - Owner for bulk removal with offOwner()
+   * @returns {function(): void} Function that removes this subscription
+   */
+  on(type, handler, owner = null) {
+    return this._add(type, handler, owner, false);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event type only.
+   * @param {string} type - Event type
+   * @param {EventHandler} handler - Called with (payload, type)
+   * @param {Object} [owner] - Owner for bulk removal with offOwner()
+   * @returns {function(): void} Function that removes this subscription
+   */
+  once(type, handler, owner = null) {
+    return this._add(type, handler, owner, true);
+  }
+
+  /**
+   * Add a listener entry.
+   * @param {string} type - Event type
+   * @param {EventHandler} handler - Handler
+   * @param {Object|null} owner - Owner
+   * @param {boolean} once - Remove after first call
+   * @returns {function(): void} Unsubscribe function
+   * @private
+   */
+  _add(type, handler, owner, once) {
+    if (!this._listeners.has(type)) {
+      this._listeners.set(type, []);
+    }
+    const entry = { handler, owner, once };
+    this._listeners.get(type).push(entry);
+    // Remove this exact subscription, even if the handler is subscribed again
+    return () => this._remove(type, entry);
+  }
+
+  /**
+   * Remove one listener entry.
+   * @param {string} type - Event type
+   * @param {{handler: EventHandler, owner: Object|null, once: boolean}} entry - Entry created by _add()
+   * @private
+   */
+  _remove(type, entry) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+
+    const index = listeners.indexOf(entry);
+    if (index >= 0) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this._listeners.delete(type);
+    }
+  }
+
+  /**
+   * Unsubscribe a handler from an event type. If the handler is subscribed
+   * more than once, the earliest subscription is removed; use the function
+   * returned by on()/once() to remove a specific one.
+   * @param {string} type - Event type
+   * @param {EventHandler} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+
+    const entry = listeners.find((l) => l.handler === handler);
+    if (entry) {
+      this._remove(type, entry);
+    }
+  }
+
+  /**
+   * Remove every subscription registered with an owner.
+   * @param {Object} owner - Owner passed to on()/once()
+   */
+  offOwner(owner) {
+    for (const [type, listeners] of this._listeners) {
+      const remaining = listeners.filter((l) => l.owner !== owner);
+      if (remaining.length === 0) {
+        this._listeners.delete(type);
+      } else if (remaining.length !== listeners.length) {
+        this._listeners.set(type, remaining);
+      }
+    }
+  }
+
+  /**
+   * Dispatch an event to all handlers immediately.
+   * A throwing handler is logged and does not stop other handlers.
+   * @param {string} type - Event type
+   * @param {*} [payload] - Event payload
+   */
+  emit(type, payload) {
+    const listeners = this._listeners.get(type);
+    if (!listeners) return;
+
+    // Iterate a snapshot so handlers can subscribe/unsubscribe safely
+    for (const listener of listeners.slice()) {
+      if (listener.once) {
+        this._remove(type, listener);
+      }
+      try {
+        listener.handler(payload, type);
+      } catch (error) {
+        console.error(`Error in "${type}" event handler:`, error);
+      }
+    }
+  }
+
+  /**
+   * Queue an event for deferred dispatch on the next flush().
+   * @param {string} type - Event type
+   * @param {*} [payload] - Event payload
+   */
+  queue(type, payload) {
+    this._queue.push({ type, payload });
+  }
+
+  /**
+   * Dispatch all queued events in order.
+   * Events queued by handlers during the flush wait for the next flush.
+   */
+  flush() {
+    if (this._queue.length === 0) return;
+
+    const events = this._queue;
+    this._queue = [];
+    for (const { type, payload } of events) {
+      this.emit(type, payload);
+    }
+  }
+
+  /**
+   * Check if an event type has any listeners.
+   * @param {string} type - Event type
+   * @returns {boolean} True if at least one handler is subscribed
+   */
+  hasListeners(type) {
+    return this._listeners.has(type);
+  }
+
+  /**
+   * Remove all listeners and drop queued events.
+   */
+  clear() {
+    this._listeners.clear();
+    this._queue = [];
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Frame pacing analytics.
+ * Keeps a rolling window of real frame times (before Time clamps them) and
+ * reports what averages hide: percentiles, 1% and 0.1% lows, and hitches
+ * above configurable thresholds. Code doing expensive one-off work tags the
+ * frame, so each hitch says what happened during it.
+ *
+ * The window lives in preallocated typed arrays, so recording a frame
+ * allocates nothing, and getStats() sorts into a reused scratch buffer.
+ * Reading stats or hitches still allocates the small result objects, so
+ * an overlay polling them every frame adds a little garbage of its own.
+ */
+
+/**
+ * Standard frame tags.
+ * @readonly
+ * @enum {string}
+ */
+export const FrameTags = Object.freeze({
+  /** Procedural textures were generated */
+  TEXTURE_GENERATION: 'texture_generation',
+  /** Level geometry was built or streamed in */
+  LEVEL_STREAMING: 'level_streaming',
+  /** The JS heap shrank (a collection ran), or an untagged hitch with no heap info */
+  GC_SUSPECT: 'gc_suspect',
+});
+
+/**
+ * Rolling pacing statistics.
+ * @typedef {Object} FramePacingStats
+ * @property {number} frames - Frames in the window
+ * @property {number} avgMs - Mean frame time
+ * @property {number} maxMs - Longest frame
+ * @property {number} p95Ms - 95th percentile frame time
+ * @property {number} p99Ms - 99th percentile frame time
+ * @property {number} low1Fps - FPS over the slowest 1% of frames
+ * @property {number} low01Fps - FPS over the slowest 0.1% of frames
+ * @property {Array<{thresholdMs: number, count: number}>} hitches - Frames at or above each threshold
+ */
+
+/**
+ * One recorded frame.
+ * @typedef {Object} FrameRecord
+ * @property {number} frame - Frame number (Time.frameCount)
+ * @property {number} time - Unscaled seconds when the frame was recorded
+ * @property {number} ms - Real frame time
+ * @property {Array<string>} tags - What happened during the frame
+ */
+
+/**
+ * Read the JS heap size where the browser exposes it (Chromium only).
+ * @returns {number|null} Used heap bytes, or null if unavailable
+ */
+function readHeapSize() {
+  if (typeof performance === 'undefined' || !performance.memory) return null;
+  return performance.memory.usedJSHeapSize;
+}
+
+/**
+ * Rolling frame-time window with percentile and hitch analysis.
+ */
+export class FramePacing {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.windowSize=1800] - Frames kept (30 s at 60 FPS)
+   * @param {Array<number>} [options.hitchThresholds=[33.4, 50, 100]] - Hitch thresholds in ms
+   * @param {function(): (number|null)} [options.getHeapSize] - Heap size reader for GC detection
+   */
+  constructor({
+    windowSize = 1800,
+    hitchThresholds = [33.4, 50, 100],
+    getHeapSize = readHeapSize,
+  } = {}) {
+    /** @type {number} Frames kept */
+    this.windowSize = windowSize;
+
+    /** @type {Array<number>} Hitch thresholds in ms, ascending */
+    this.hitchThresholds = [];
+
+    /** @type {function(): (number|null)} Heap size reader */
+    this.getHeapSize = getHeapSize;
+
+    /** @type {Float64Array} Frame times, as a ring buffer */
+    this._ms = new Float64Array(windowSize);
+
+    /** @type {Float64Array} Unscaled timestamps in seconds */
+    this._times = new Float64Array(windowSize);
+
+    /** @type {Int32Array} Frame numbers */
+    this._frames = new Int32Array(windowSize);
+
+    /** @type {Float64Array} Scratch copy of the frame times, sorted by getStats() */
+    this._sorted = new Float64Array(windowSize);
+
+    /** @type {Array<Array<string>|null>} Tags per frame; null when untagged */
+    this._tags = new Array(windowSize).fill(null);
+
+    /** @type {number} Slot the next frame is written to */
+    this._head = 0;
+
+    /** @type {number} Frames in the window */
+    this.count = 0;
+
+    /** @type {Array<string>} Tags for the frame in progress */
+    this._pendingTags = [];
+
+    /** @type {number|null} Heap size at the previous frame */
+    this._lastHeapSize = null;
+
+    this.setHitchThresholds(hitchThresholds);
+  }
+
+  /**
+   * Set the hitch thresholds.
+   * @param {Array<number>} thresholds - Frame times in ms that count as hitches
+   * @throws {Error} If the list is empty or has a non-positive value
+   */
+  setHitchThresholds(thresholds) {
+    if (thresholds.length === 0 || thresholds.some((ms) => !(ms > 0))) {
+      throw new Error('Hitch thresholds must be a non-empty list of positive ms');
+    }
+    this.hitchThresholds = [...thresholds].sort((a, b) => a - b);
+  }
+
+  /**
+   * Tag the frame in progress. Its time is measured when the next frame
+   * starts, so work done now shows up in that recording.
+   * @param {string} tag - What is happening (see FrameTags)
+   */
+  tag(tag) {
+    if (!this._pendingTags.includes(tag)) {
+      this._pendingTags.push(tag);
+    }
+  }
+
+  /**
+   * Drop tags for a frame that won't be recorded (e.g. loading before the first frame).
+   */
+  discardTags() {
+    this._pendingTags.length = 0;
+  }
+
+  /**
+   * Record a finished frame with the tags collected for it.
+   * @param {number} ms - Real frame time
+   * @param {number} frame - Frame number
+   * @param {number} time - Unscaled seconds
+   */
+  record(ms, frame, time) {
+    const heapSize = this.getHeapSize();
+    if (heapSize !== null) {
+      if (this._lastHeapSize !== null && heapSize < this._lastHeapSize) {
+        this.tag(FrameTags.GC_SUSPECT);
+      }
+      this._lastHeapSize = heapSize;
+    } else if (this._pendingTags.length === 0 && ms >= this.hitchThresholds[0]) {
+      // Without heap info an unexplained hitch is most likely a collection
+      this.tag(FrameTags.GC_SUSPECT);
+    }
+
+    const slot = this._head;
+    this._ms[slot] = ms;
+    this._times[slot] = time;
+    this._frames[slot] = frame;
+    this._tags[slot] = this._pendingTags.length > 0 ? this._pendingTags : null;
+    if (this._tags[slot]) {
+      this._pendingTags = [];
+    }
+
+    this._head = (slot + 1) % this.windowSize;
+    this.count = Math.min(this.count + 1, this.windowSize);
+  }
+
+  /**
+   * Get a recorded frame.
+   * @param {number} index - 0 for the oldest frame in the window
+   * @returns {FrameRecord} Frame
+   */
+  getFrame(index) {
+    const slot = (this._head - this.count + index + this.windowSize) % this.windowSize;
+    return {
+      frame: this._frames[slot],
+      time: this._times[slot],
+      ms: this._ms[slot],
+      tags: this._tags[slot] ? [...this._tags[slot]] : [],
+    };
+  }
+
+  /**
+   * Compute statistics over the window.
+   * @returns {FramePacingStats} Stats
+   */
+  getStats() {
+    const n = this.count;
+    const hitches = this.hitchThresholds.map((thresholdMs) => ({ thresholdMs, count: 0 }));
+    if (n === 0) {
+      return { frames: 0, avgMs: 0, maxMs: 0, p95Ms: 0, p99Ms: 0, low1Fps: 0, low01Fps: 0, hitches };
+    }
+
+    // Slots 0..n-1 are filled whether or not the ring has wrapped
+    const sorted = this._sorted.subarray(0, n);
+    for (let i = 0; i < n; i++) sorted[i] = this._ms[i];
+    sorted.sort();
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      const ms = sorted[i];
+      sum += ms;
+      for (const hitch of hitches) {
+        if (ms >= hitch.thresholdMs) hitch.count++;
+      }
+    }
+
+    // Nearest-rank percentile on the ascending times
+    const percentile = (p) => sorted[Math.max(0, Math.ceil(p * n) - 1)];
+    // FPS over the slowest fraction of frames (at least one)
+    const low = (fraction) => {
+      const worst = Math.max(1, Math.floor(n * fraction));
+      let total = 0;
+      for (let i = n - worst; i < n; i++) total += sorted[i];
+      return total > 0 ? (1000 * worst) / total : 0;
+    };
+
+    return {
+      frames: n,
+      avgMs: sum / n,
+      maxMs: sorted[n - 1],
+      p95Ms: percentile(0.95),
+      p99Ms: percentile(0.99),
+      low1Fps: low(0.01),
+      low01Fps: low(0.001),
+      hitches,
+    };
+  }
+
+  /**
+   * Get the frames at or above the lowest hitch threshold, oldest first.
+   * @returns {Array<FrameRecord>} Hitches
+   */
+  getHitches() {
+    const hitches = [];
+    const minMs = this.hitchThresholds[0];
+    for (let i = 0; i < this.count; i++) {
+      const slot = (this._head - this.count + i + this.windowSize) % this.windowSize;
+      if (this._ms[slot] >= minMs) {
+        hitches.push(this.getFrame(i));
+      }
+    }
+    return hitches;
+  }
+
+  /**
+   * Export the window as CSV: one row per frame, oldest first, with the
+   * highest hitch threshold each frame reached (0 if none).
+   * @returns {string} CSV text
+   */
+  toCSV() {
+    const rows = ['frame,time_s,frame_ms,hitch_ms,tags'];
+    for (let i = 0; i < this.count; i++) {
+      const { frame, time, ms, tags } = this.getFrame(i);
+      let hitch = 0;
+      for (const threshold of this.hitchThresholds) {
+        if (ms >= threshold) hitch = threshold;
+      }
+      rows.push(`${frame},${time.toFixed(3)},${ms.toFixed(3)},${hitch},${tags.join(';')}`);
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  /**
+   * Clear the window and pending tags.
+   */
+  reset() {
+    this._head = 0;
+    this.count = 0;
+    this._tags.fill(null);
+    this._pendingTags = [];
+    this._lastHeapSize = null;
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Gamepad polling through the Gamepad API.
+ * Reads the first connected pad each frame into stick values (with deadzone
+ * and response curve applied) and a set of held buttons. Input turns these
+ * into 'Pad<n>' button codes and analog axes.
+ *
+ * Button and axis indices follow the W3C "standard" gamepad mapping.
+ */
+
+/**
+ * Standard mapping button indices.
+ * @readonly
+ * @enum {number}
+ */
+export const GamepadButtons = Object.freeze({
+  A: 0,
+  B: 1,
+  X: 2,
+  Y: 3,
+  LEFT_BUMPER: 4,
+  RIGHT_BUMPER: 5,
+  LEFT_TRIGGER: 6,
+  RIGHT_TRIGGER: 7,
+  SELECT: 8,
+  START: 9,
+  LEFT_STICK: 10,
+  RIGHT_STICK: 11,
+  DPAD_UP: 12,
+  DPAD_DOWN: 13,
+  DPAD_LEFT: 14,
+  DPAD_RIGHT: 15,
+});
+
+/**
+ * Get the binding string for a gamepad button.
+ * @param {number} button - Standard mapping button index (see GamepadButtons)
+ * @returns {string} Binding, e.g. 'Pad0'
+ */
+export function gamepadBinding(button) {
+  return `Pad${button}`;
+}
+
+/**
+ * Apply a radial deadzone and response curve to a stick.
+ * Magnitudes inside the deadzone read as zero; the rest is rescaled to
+ * [0, 1] and raised to `exponent`, so small deflections give fine control.
+ * @param {number} x - Raw horizontal value in [-1, 1]
+ * @param {number} y - Raw vertical value in [-1, 1]
+ * @param {number} deadzone - Deadzone radius in [0, 1)
+ * @param {number} exponent - Response curve exponent (1 is linear)
+ * @param {{x: number, y: number}} out - Receives the shaped values
+ * @returns {{x: number, y: number}} out
+ */
+export function shapeStick(x, y, deadzone, exponent, out) {
+  const magnitude = Math.hypot(x, y);
+  if (magnitude <= deadzone) {
+    out.x = 0;
+    out.y = 0;
+    return out;
+  }
+  const clamped = Math.min(magnitude, 1);
+  const shaped = Math.pow((clamped - deadzone) / (1 - deadzone), exponent);
+  out.x = (x / magnitude) * shaped;
+  out.y = (y / magnitude) * shaped;
+  return out;
+}
+
+/**
+ * Gamepad state and tuning, refreshed by poll().
+ */
+export class GamepadInput {
+  constructor() {
+    /** @type {number} Stick deadzone radius in [0, 1) */
+    this.deadzone = 0.15;
+
+    /** @type {number} Move stick response curve exponent (1 is linear) */
+    this.moveExponent = 1.5;
+
+    /** @type {number} Look stick response curve exponent (1 is linear) */
+    this.lookExponent = 2;
+
+    /** @type {number} Look speed at full deflection, in radians per second */
+    this.lookSensitivity = 3;
+
+    /** @type {boolean} Push up to look down */
+    this.invertY = false;
+
+    /** @type {number} Analog button value that counts as pressed (triggers) */
+    this.buttonThreshold = 0.5;
+
+    /** @type {boolean} Whether a gamepad was found by the last poll() */
+    this.connected = false;
+
+    /** @type {string} Id of the polled gamepad, or '' when none */
+    this.id = '';
+
+    /** @type {{x: number, y: number}} Left stick, +x right and +y forward */
+    this.move = { x: 0, y: 0 };
+
+    /** @type {{x: number, y: number}} Right stick, +x right and +y down */
+    this.look = { x: 0, y: 0 };
+
+    /** @type {Set<number>} Buttons held as of the last poll() */
+    this.buttons = new Set();
+  }
+
+  /**
+   * Read the first connected gamepad, preferring one with the standard mapping.
+   * @param {ArrayLike<Gamepad|null>} [gamepads] - Pads to read (defaults to navigator.getGamepads())
+   * @returns {boolean} True if a gamepad was read
+   */
+  poll(gamepads = GamepadInput.getGamepads()) {
+    let pad = null;
+    for (const candidate of Array.from(gamepads)) {
+      if (!candidate || !candidate.connected) continue;
+      if (candidate.mapping === 'standard') {
+        pad = candidate;
+        break;
+      }
+      pad = pad || candidate;
+    }
+
+    this.buttons.clear();
+    if (!pad) {
+      this.connected = false;
+      this.id = '';
+      this.move.x = this.move.y = 0;
+      this.look.x = this.look.y = 0;
+      return false;
+    }
+
+    this.connected = true;
+    this.id = pad.id;
+
+    const axes = pad.axes;
+    shapeStick(axes[0] || 0, axes[1] || 0, this.deadzone, this.moveExponent, this.move);
+    // Stick up reads negative; movement wants forward positive
+    this.move.y = -this.move.y;
+    shapeStick(axes[2] || 0, axes[3] || 0, this.deadzone, this.lookExponent, this.look);
+    if (this.invertY) {
+      this.look.y = -this.look.y;
+    }
+
+    pad.buttons.forEach((button, index) => {
+      if (button.pressed || button.value >= this.buttonThreshold) {
+        this.buttons.add(index);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Get the browser's gamepads, or none outside a browser.
+   * @returns {ArrayLike<Gamepad|null>} Gamepads
+   */
+  static getGamepads() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+    return navigator.getGamepads();
+  }
+}
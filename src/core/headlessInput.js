@@ -0,0 +1,73 @@
+import { Input } from './input.js';
+
+/**
+ * Input without DOM listeners, driven from code.
+ * Exposes the same query API as Input so components run unchanged in Node;
+ * simulations press keys and move the mouse through the methods below.
+ * The pointer starts locked, since there is no pointer to capture.
+ */
+export class HeadlessInput extends Input {
+  constructor() {
+    super(null);
+    this.isPointerLocked = true;
+  }
+
+  /**
+   * Press and hold a key. Counts as pressed this frame if it was up.
+   * @param {string} code - Key code (e.g., 'KeyW', 'Space')
+   */
+  keyDown(code) {
+    this._press(code);
+  }
+
+  /**
+   * Release a held key.
+   * @param {string} code - Key code
+   */
+  keyUp(code) {
+    this._release(code);
+  }
+
+  /**
+   * Add mouse movement for this frame, in raw pixels (sensitivity and invertY are applied).
+   * @param {number} dx - Horizontal movement
+   * @param {number} dy - Vertical movement
+   */
+  moveMouse(dx, dy) {
+    this.mouseDelta.x += dx * this.mouseSensitivity;
+    this.mouseDelta.y += dy * this.mouseSensitivity * (this.invertY ? -1 : 1);
+  }
+
+  /**
+   * Set a mouse button state. Also drives actions bound to 'Mouse<n>'.
+   * @param {number} button - 0 for left, 1 for middle, 2 for right
+   * @param {boolean} down - True to press, false to release
+   */
+  setMouseButton(button, down) {
+    this._setMouseButton(button, down);
+  }
+
+  /**
+   * Simulate pointer lock being granted.
+   */
+  requestPointerLock() {
+    this.isPointerLocked = true;
+  }
+
+  /**
+   * Simulate pointer lock being released.
+   */
+  exitPointerLock() {
+    this.isPointerLocked = false;
+  }
+
+  /**
+   * Switch between live and replayed input. The pointer stays as it was.
+   * @param {boolean} enabled - True while an InputRecorder replay drives input
+   */
+  setPlaybackMode(enabled) {
+    const locked = this.isPointerLocked;
+    super.setPlaybackMode(enabled);
+    this.isPointerLocked = locked;
+  }
+}
@@ -7,15 +7,59 @@
 export { Entity } from './entity.js';
 export { Component } from './component.js';
 export { Scene } from './scene.js';
+export { SceneManager, SceneEvents } from './sceneManager.js';
+export { EventBus } from './eventBus.js';
+export { Query } from './query.js';
+export { BoundsComponent } from './bounds.js';
+export { SpatialHash, intersectRayAABB } from './spatialHash.js';
+export { Scheduler, ScheduledTask, wait, until } from './scheduler.js';
+
+// Component registry and prefabs
+export { ComponentRegistry, applyComponentProps } from './componentRegistry.js';
+export { PrefabLibrary } from './prefab.js';
+
+// Scene save/load
+export {
+  SCENE_SCHEMA_VERSION,
+  registerSceneMigration,
+  migrateSceneData,
+} from './serialization.js';
 
 // Input handling
 export { Input } from './input.js';
+export { HeadlessInput } from './headlessInput.js';
+export {
+  InputMap,
+  Actions,
+  Axes,
+  AXIS_ACTIONS,
+  DEFAULT_BINDINGS,
+  BINDINGS_STORAGE_KEY,
+  mouseBinding,
+} from './inputActions.js';
+export { GamepadInput, GamepadButtons, gamepadBinding, shapeStick } from './gamepad.js';
+export { TouchInput, DEFAULT_TOUCH_BUTTONS } from './touch.js';
+export { InputContext, InputContexts } from './inputContext.js';
+export { InputRecorder, REPLAY_LOG_VERSION } from './inputRecorder.js';
 
 // Time management
 export { Time } from './time.js';
+export { FramePacing, FrameTags } from './framePacing.js';
+
+// Player settings
+export { Settings, SETTINGS_CHANGED } from './settings.js';
+export { OptionsMenu } from './optionsMenu.js';
+
+// Developer console
+export { CommandRegistry, parseCommandLine, parseNumberArg } from './commands.js';
+export { DevConsole } from './devConsole.js';
+
+// Entity inspector
+export { Inspector, getInspectableFields } from './inspector.js';
 
-// Debug overlay
+// Debug overlay and profiling
 export { DebugOverlay } from './debugOverlay.js';
+export { Profiler, PROFILE_CAPTURE_VERSION } from './profiler.js';
 
 // Object pooling for reduced GC pressure
 export {
@@ -1,14 +1,25 @@
+import { InputMap, AXIS_ACTIONS, Actions, Axes, mouseBinding } from './inputActions.js';
+import { GamepadInput, gamepadBinding } from './gamepad.js';
+import { TouchInput } from './touch.js';
+import { InputContext, InputContexts } from './inputContext.js';
+
 /**
- * Centralized input handling for keyboard and mouse.
- * Tracks key states and provides pointer lock management.
+ * Centralized input handling for keyboard, mouse, gamepad and touch.
+ * Tracks key states, maps them to named actions, and provides pointer lock management.
+ * Mouse, gamepad and on-screen touch buttons are also tracked as 'Mouse<n>',
+ * 'Pad<n>' and 'Touch<Name>' key codes so actions can bind them.
+ *
+ * Action queries are made on behalf of an input context (gameplay by
+ * default) and return nothing when a context higher on the stack consumes
+ * the action. Key handlers registered on contexts see keydowns before gameplay.
  */
 export class Input {
   /**
    * Create a new Input handler.
-   * @param {HTMLElement} [element=document.body] - Element to attach event listeners to
+   * @param {HTMLElement|null} [element=document.body] - Element to attach event listeners to; null attaches none (headless)
    */
-  constructor(element = document.body) {
-    /** @type {HTMLElement} Element for pointer lock and events */
+  constructor(element = typeof document !== 'undefined' ? document.body : null) {
+    /** @type {HTMLElement|null} Element for pointer lock and events */
     this.element = element;
 
     /** @type {Set<string>} Keys currently held down */
@@ -32,6 +43,9 @@ export class Input {
     /** @type {number} Mouse sensitivity multiplier */
     this.mouseSensitivity = 0.002;
 
+    /** @type {boolean} Moving the mouse or dragging up looks down */
+    this.invertY = false;
+
     /** @type {boolean} Whether left mouse button is down */
     this.mouseLeftDown = false;
 
@@ -44,6 +58,39 @@ export class Input {
     /** @type {boolean} Right mouse button pressed this frame */
     this.mouseRightPressed = false;
 
+    /** @type {boolean} When true, DOM events are ignored and state is driven by an InputRecorder replay */
+    this.playbackMode = false;
+
+    /** @type {boolean} When true, a text field has focus and key presses are not game input */
+    this.textInputActive = false;
+
+    /** @type {InputMap} Action bindings */
+    this.actions = new InputMap();
+
+    /** @type {GamepadInput} Gamepad state and stick tuning, refreshed by pollGamepad() */
+    this.gamepad = new GamepadInput();
+
+    /** @type {Map<string, number>} Stick values per axis, added to digital actions by getAxis() */
+    this.analogAxes = new Map();
+
+    /** @type {Set<string>} 'Pad<n>' codes held as of the last pollGamepad() */
+    this._padCodes = new Set();
+
+    /** @type {boolean} Whether the last pollGamepad() read live stick input */
+    this._gamepadLive = false;
+
+    /** @type {TouchInput} Touch stick, look drag and on-screen buttons */
+    this.touch = new TouchInput();
+
+    /** @type {InputContext} Bottom context, which wants the pointer locked */
+    this.gameplayContext = new InputContext(InputContexts.GAMEPLAY, { pointerLock: true });
+
+    /** @type {Array<InputContext>} Context stack, bottom first */
+    this.contexts = [this.gameplayContext];
+
+    /** @type {function(string|null): void|null} Resolves a pending captureBinding() */
+    this._captureResolve = null;
+
     // Bound event handlers for cleanup
     this._boundKeyDown = this._onKeyDown.bind(this);
     this._boundKeyUp = this._onKeyUp.bind(this);
@@ -52,8 +99,13 @@ export class Input {
     this._boundMouseUp = this._onMouseUp.bind(this);
     this._boundPointerLockChange = this._onPointerLockChange.bind(this);
     this._boundClick = this._onClick.bind(this);
+    this._boundTouchStart = this._onTouchStart.bind(this);
+    this._boundTouchMove = this._onTouchMove.bind(this);
+    this._boundTouchEnd = this._onTouchEnd.bind(this);
 
-    this._setupEventListeners();
+    if (this.element) {
+      this._setupEventListeners();
+    }
   }
 
   /**
@@ -68,6 +120,11 @@ export class Input {
     document.addEventListener('mouseup', this._boundMouseUp);
     document.addEventListener('pointerlockchange', this._boundPointerLockChange);
     this.element.addEventListener('click', this._boundClick);
+    // Not passive: default touch handling would scroll and zoom the page
+    this.element.addEventListener('touchstart', this._boundTouchStart, { passive: false });
+    this.element.addEventListener('touchmove', this._boundTouchMove, { passive: false });
+    this.element.addEventListener('touchend', this._boundTouchEnd);
+    this.element.addEventListener('touchcancel', this._boundTouchEnd);
   }
 
   /**
@@ -76,11 +133,25 @@ export class Input {
    * @private
    */
   _onKeyDown(event) {
-    // Only track if not already down (prevents repeat events)
-    if (!this.keysDown.has(event.code)) {
-      this.keysPressed.add(event.code);
+    if (this.textInputActive) return;
+
+    if (this._captureResolve && !this.playbackMode) {
+      event.preventDefault();
+      this._finishCapture(event.code === 'Escape' ? null : event.code);
+      return;
+    }
+
+    // Context key handlers (overlay, console...) also work during playback
+    if (this._dispatchKey(event)) {
+      event.preventDefault();
+      return;
     }
-    this.keysDown.add(event.code);
+
+    if (this.playbackMode) return;
+
+    // Back on the keyboard: hide touch controls until the next touch
+    this.touch.enabled = false;
+    this._press(event.code);
 
     // Prevent default for game keys to avoid browser shortcuts
     if (this._isGameKey(event.code)) {
@@ -94,8 +165,9 @@ export class Input {
    * @private
    */
   _onKeyUp(event) {
-    this.keysDown.delete(event.code);
-    this.keysReleased.add(event.code);
+    if (this.playbackMode) return;
+
+    this._release(event.code);
   }
 
   /**
@@ -104,10 +176,12 @@ export class Input {
    * @private
    */
   _onMouseMove(event) {
+    if (this.playbackMode) return;
+
     if (this.isPointerLocked) {
       // Accumulate mouse delta during frame
       this.mouseDelta.x += event.movementX * this.mouseSensitivity;
-      this.mouseDelta.y += event.movementY * this.mouseSensitivity;
+      this.mouseDelta.y += event.movementY * this.mouseSensitivity * (this.invertY ? -1 : 1);
     }
 
     this.mousePosition.x = event.clientX;
@@ -120,17 +194,17 @@ export class Input {
    * @private
    */
   _onMouseDown(event) {
-    if (event.button === 0) {
-      if (!this.mouseLeftDown) {
-        this.mouseLeftPressed = true;
-      }
-      this.mouseLeftDown = true;
-    } else if (event.button === 2) {
-      if (!this.mouseRightDown) {
-        this.mouseRightPressed = true;
-      }
-      this.mouseRightDown = true;
+    if (this.playbackMode) return;
+
+    if (this._captureResolve) {
+      event.preventDefault();
+      this._finishCapture(mouseBinding(event.button));
+      return;
     }
+
+    // Back on the mouse: hide touch controls until the next touch
+    this.touch.enabled = false;
+    this._setMouseButton(event.button, true);
   }
 
   /**
@@ -139,10 +213,117 @@ export class Input {
    * @private
    */
   _onMouseUp(event) {
-    if (event.button === 0) {
-      this.mouseLeftDown = false;
-    } else if (event.button === 2) {
-      this.mouseRightDown = false;
+    if (this.playbackMode) return;
+
+    this._setMouseButton(event.button, false);
+  }
+
+  /**
+   * Handle touchstart event.
+   * @param {TouchEvent} event - Touch event
+   * @private
+   */
+  _onTouchStart(event) {
+    if (this.playbackMode || this.textInputActive) return;
+    // Also stops the emulated mouse click, which would request pointer lock
+    event.preventDefault();
+
+    const rect = this.element.getBoundingClientRect();
+    for (const t of event.changedTouches) {
+      const touch = this.touch.touchStart(
+        t.identifier,
+        t.clientX - rect.left,
+        t.clientY - rect.top,
+        rect.width,
+        rect.height
+      );
+      if (touch.code) {
+        this._press(touch.code);
+      }
+    }
+    this._updateAnalogAxes();
+  }
+
+  /**
+   * Handle touchmove event. Look drags are added to the mouse delta.
+   * @param {TouchEvent} event - Touch event
+   * @private
+   */
+  _onTouchMove(event) {
+    if (this.playbackMode) return;
+    event.preventDefault();
+
+    const rect = this.element.getBoundingClientRect();
+    for (const t of event.changedTouches) {
+      this.touch.touchMove(t.identifier, t.clientX - rect.left, t.clientY - rect.top);
+    }
+    const look = this.touch.takeLookDelta();
+    this.mouseDelta.x += look.x;
+    this.mouseDelta.y += this.invertY ? -look.y : look.y;
+    this._updateAnalogAxes();
+  }
+
+  /**
+   * Handle touchend and touchcancel events.
+   * @param {TouchEvent} event - Touch event
+   * @private
+   */
+  _onTouchEnd(event) {
+    if (this.playbackMode) return;
+
+    for (const t of event.changedTouches) {
+      const touch = this.touch.touchEnd(t.identifier);
+      // Another finger may still be on the same button
+      if (touch && touch.code && !this.touch.isButtonHeld(touch.code)) {
+        this._release(touch.code);
+      }
+    }
+    this._updateAnalogAxes();
+  }
+
+  /**
+   * Mark a key or button held, and pressed this frame if it was up.
+   * @param {string} code - Key code or 'Mouse<n>'
+   * @protected
+   */
+  _press(code) {
+    // Only track if not already down (prevents repeat events)
+    if (!this.keysDown.has(code)) {
+      this.keysPressed.add(code);
+    }
+    this.keysDown.add(code);
+  }
+
+  /**
+   * Mark a held key or button released this frame.
+   * @param {string} code - Key code or 'Mouse<n>'
+   * @protected
+   */
+  _release(code) {
+    if (this.keysDown.delete(code)) {
+      this.keysReleased.add(code);
+    }
+  }
+
+  /**
+   * Update mouse button state, both the left/right flags and the 'Mouse<n>' code.
+   * @param {number} button - MouseEvent.button
+   * @param {boolean} down - True if pressed
+   * @protected
+   */
+  _setMouseButton(button, down) {
+    if (button === 0) {
+      this.mouseLeftPressed = this.mouseLeftPressed || (down && !this.mouseLeftDown);
+      this.mouseLeftDown = down;
+    } else if (button === 2) {
+      this.mouseRightPressed = this.mouseRightPressed || (down && !this.mouseRightDown);
+      this.mouseRightDown = down;
+    }
+
+    if (down) {
+      this._press(mouseBinding(button));
+    } else {
+      this._release(mouseBinding(button));
     }
   }
 
@@ -151,6 +332,8 @@ export class Input {
    * @private
    */
   _onPointerLockChange() {
+    if (this.playbackMode) return;
+
     this.isPointerLocked = document.pointerLockElement === this.element;
   }
 
@@ -159,37 +342,175 @@ export class Input {
    * @private
    */
   _onClick() {
-    if (!this.isPointerLocked) {
+    if (this.playbackMode) return;
+
+    if (!this.isPointerLocked && this.wantsPointerLock()) {
+      this.requestPointerLock();
+    }
+  }
+
+  /**
+   * Offer a keydown to the context stack, top first, stopping at the first
+   * blocking context.
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if a context handled the key
+   * @private
+   */
+  _dispatchKey(event) {
+    for (let i = this.contexts.length - 1; i >= 0; i--) {
+      const context = this.contexts[i];
+      if (context.handleKey(event)) return true;
+      if (context.blocking) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Push a context on top of the stack (moving it there if already present)
+   * and apply its pointer lock preference.
+   * @param {InputContext} context - Context to activate
+   */
+  pushContext(context) {
+    const index = this.contexts.indexOf(context);
+    if (index !== -1) {
+      this.contexts.splice(index, 1);
+    }
+    this.contexts.push(context);
+    this._applyPointerLock();
+  }
+
+  /**
+   * Remove a context from wherever it is in the stack and apply the pointer
+   * lock preference of what is left.
+   * @param {InputContext} context - Context to remove
+   */
+  removeContext(context) {
+    const index = this.contexts.indexOf(context);
+    if (index === -1) return;
+    this.contexts.splice(index, 1);
+    this._applyPointerLock();
+  }
+
+  /**
+   * Get the topmost context.
+   * @returns {InputContext} Active context
+   */
+  getActiveContext() {
+    return this.contexts[this.contexts.length - 1];
+  }
+
+  /**
+   * Check whether a context receives an action: it is on the stack and no
+   * context above it consumes the action.
+   * @param {InputContext} context - Context asking
+   * @param {string|null} name - Action or axis name; null asks about input in general
+   * @returns {boolean} True if the context gets the input
+   */
+  receives(context, name) {
+    for (let i = this.contexts.length - 1; i >= 0; i--) {
+      const current = this.contexts[i];
+      if (current === context) return true;
+      if (current.consumesAction(name)) return false;
+    }
+    return false;
+  }
+
+  /**
+   * Check whether the pointer should be locked: the preference of the
+   * topmost context that has one.
+   * @returns {boolean} True if the pointer should be locked
+   */
+  wantsPointerLock() {
+    for (let i = this.contexts.length - 1; i >= 0; i--) {
+      const preference = this.contexts[i].pointerLock;
+      if (preference !== null) return preference;
+    }
+    return false;
+  }
+
+  /**
+   * Lock or release the pointer to match the context stack.
+   * @private
+   */
+  _applyPointerLock() {
+    if (this.playbackMode) return;
+
+    const wanted = this.wantsPointerLock();
+    if (wanted && !this.isPointerLocked) {
       this.requestPointerLock();
+    } else if (!wanted && this.isPointerLocked) {
+      this.exitPointerLock();
     }
   }
 
   /**
    * Check if a key code is a game key that should prevent default.
+   * Keys handled by contexts are prevented when dispatched; otherwise bound keys are game keys.
    * @param {string} code - Key code
    * @returns {boolean} True if game key
    * @private
    */
   _isGameKey(code) {
-    const gameKeys = [
-      'KeyW',
-      'KeyA',
-      'KeyS',
-      'KeyD',
-      'Space',
-      'ShiftLeft',
-      'ShiftRight',
-      'KeyE',
-      'Tab',
-    ];
-    return gameKeys.includes(code);
+    return this.actions.isBound(code);
+  }
+
+  /**
+   * Wait for the next key or mouse button, without it reaching the game.
+   * Escape cancels. Starting a new capture cancels the pending one.
+   * @returns {Promise<string|null>} The key code or 'Mouse<n>', or null if cancelled
+   */
+  captureBinding() {
+    this.cancelCapture();
+    return new Promise((resolve) => {
+      this._captureResolve = resolve;
+    });
+  }
+
+  /**
+   * Cancel a pending captureBinding(), resolving it with null.
+   */
+  cancelCapture() {
+    this._finishCapture(null);
   }
 
   /**
-   * Request pointer lock on the element.
+   * Rebind an action to the next key or button pressed and save the bindings.
+   * The binding is taken away from any other action that used it.
+   * @param {string} action - Action name (see Actions)
+   * @param {number} [slot] - Binding slot to replace; appends when omitted
+   * @param {Storage} [storage] - Storage to save to (defaults to localStorage)
+   * @returns {Promise<string|null>} The new binding, or null if cancelled
+   */
+  async rebindAction(action, slot, storage) {
+    const binding = await this.captureBinding();
+    if (binding) {
+      this.actions.bind(action, binding, slot);
+      this.actions.save(storage);
+    }
+    return binding;
+  }
+
+  /**
+   * Resolve a pending capture.
+   * @param {string|null} binding - Captured binding or null
+   * @private
+   */
+  _finishCapture(binding) {
+    const resolve = this._captureResolve;
+    this._captureResolve = null;
+    if (resolve) resolve(binding);
+  }
+
+  /**
+   * Request pointer lock on the element. Browsers only grant it during a
+   * user gesture, and some (mobile) don't support it; both fail quietly.
    */
   requestPointerLock() {
-    this.element.requestPointerLock();
+    if (!this.element || !this.element.requestPointerLock) return;
+    const result = this.element.requestPointerLock();
+    if (result && result.catch) {
+      result.catch(() => {});
+    }
   }
 
   /**
@@ -241,7 +562,7 @@ export class Input {
   getMouseDeltaRaw() {
     return {
       x: this.mouseDelta.x / this.mouseSensitivity,
-      y: this.mouseDelta.y / this.mouseSensitivity,
+      y: (this.mouseDelta.y / this.mouseSensitivity) * (this.invertY ? -1 : 1),
     };
   }
 
@@ -254,75 +575,249 @@ export class Input {
   }
 
   /**
-   * Check if forward movement key is pressed (W or ArrowUp).
-   * @returns {boolean} True if forward key is down
+   * Check if any binding of an action is held down.
+   * @param {string} action - Action name (see Actions)
+   * @param {InputContext} [context=this.gameplayContext] - Context asking
+   * @returns {boolean} True if the action is active
+   */
+  isActionDown(action, context = this.gameplayContext) {
+    if (!this.receives(context, action)) return false;
+    return this.actions.getBindings(action).some((code) => this.keysDown.has(code));
+  }
+
+  /**
+   * Check if an action was triggered this frame. Holding one binding and
+   * pressing another doesn't trigger it again.
+   * @param {string} action - Action name (see Actions)
+   * @param {InputContext} [context=this.gameplayContext] - Context asking
+   * @returns {boolean} True if the action started this frame
+   */
+  isActionPressed(action, context = this.gameplayContext) {
+    if (!this.receives(context, action)) return false;
+    let pressed = false;
+    for (const code of this.actions.getBindings(action)) {
+      if (this.keysPressed.has(code)) {
+        pressed = true;
+      } else if (this.keysDown.has(code)) {
+        return false;
+      }
+    }
+    return pressed;
+  }
+
+  /**
+   * Check if an action ended this frame (a binding was released and none is held).
+   * @param {string} action - Action name (see Actions)
+   * @param {InputContext} [context=this.gameplayContext] - Context asking
+   * @returns {boolean} True if the action ended this frame
+   */
+  isActionReleased(action, context = this.gameplayContext) {
+    if (!this.receives(context, action)) return false;
+    const bindings = this.actions.getBindings(action);
+    return (
+      bindings.some((code) => this.keysReleased.has(code)) &&
+      !bindings.some((code) => this.keysDown.has(code))
+    );
+  }
+
+  /**
+   * Get an axis value: its negative and positive actions plus any stick input.
+   * @param {string} axis - Axis name (see Axes)
+   * @param {InputContext} [context=this.gameplayContext] - Context asking
+   * @returns {number} Value in [-1, 1]
+   */
+  getAxis(axis, context = this.gameplayContext) {
+    if (!this.receives(context, axis)) return 0;
+    let value = this.analogAxes.get(axis) || 0;
+    const def = AXIS_ACTIONS[axis];
+    if (def) {
+      value +=
+        (this.isActionDown(def.positive, context) ? 1 : 0) -
+        (this.isActionDown(def.negative, context) ? 1 : 0);
+    }
+    return Math.max(-1, Math.min(1, value));
+  }
+
+  /**
+   * Get this frame's look rotation from the mouse and the look stick.
+   * Mouse movement is already per frame; the stick is a rate, scaled by dt
+   * and the gamepad's own look sensitivity. Consuming a look axis in a
+   * context above also hides the mouse movement on that axis.
+   * @param {number} dt - Delta time in seconds
+   * @param {InputContext} [context=this.gameplayContext] - Context asking
+   * @returns {{x: number, y: number}} Yaw and pitch change in radians (+x right, +y down)
+   */
+  getLookDelta(dt, context = this.gameplayContext) {
+    const rate = this.gamepad.lookSensitivity * dt;
+    const x = this.receives(context, Axes.LOOK_X) ? this.mouseDelta.x : 0;
+    const y = this.receives(context, Axes.LOOK_Y) ? this.mouseDelta.y : 0;
+    return {
+      x: x + this.getAxis(Axes.LOOK_X, context) * rate,
+      y: y + this.getAxis(Axes.LOOK_Y, context) * rate,
+    };
+  }
+
+  /**
+   * Check whether gameplay input should drive the player: the pointer is
+   * locked, or a gamepad or touch controls are in use (neither needs pointer lock).
+   * @returns {boolean} True if gameplay controls are live
+   */
+  isControlActive() {
+    return this.isPointerLocked || this.gamepad.connected || this.touch.enabled;
+  }
+
+  /**
+   * Read the gamepad and turn it into 'Pad<n>' key codes and stick axes.
+   * Call once per frame before anything reads input. Does nothing during
+   * playback, and reports no input while a text field has focus.
+   * @param {ArrayLike<Gamepad|null>} [gamepads] - Pads to read (defaults to navigator.getGamepads())
+   */
+  pollGamepad(gamepads) {
+    if (this.playbackMode) return;
+
+    const gamepad = this.gamepad;
+    const live = gamepad.poll(gamepads) && !this.textInputActive;
+
+    const held = new Set();
+    if (live) {
+      for (const button of gamepad.buttons) {
+        held.add(gamepadBinding(button));
+      }
+    }
+    for (const code of this._padCodes) {
+      if (!held.has(code)) this._release(code);
+    }
+    for (const code of held) {
+      this._press(code);
+    }
+    this._padCodes = held;
+    this._gamepadLive = live;
+    this._updateAnalogAxes();
+  }
+
+  /**
+   * Combine the gamepad sticks and the touch stick into analogAxes.
+   * @private
+   */
+  _updateAnalogAxes() {
+    const pad = this._gamepadLive ? this.gamepad : null;
+    const touch = this.touch.move;
+    this.analogAxes.set(Axes.MOVE_X, (pad ? pad.move.x : 0) + touch.x);
+    this.analogAxes.set(Axes.MOVE_Y, (pad ? pad.move.y : 0) + touch.y);
+    this.analogAxes.set(Axes.LOOK_X, pad ? pad.look.x : 0);
+    this.analogAxes.set(Axes.LOOK_Y, pad ? pad.look.y : 0);
+  }
+
+  /**
+   * Check if the move forward action is active.
+   * @returns {boolean} True if forward is held
    */
   isMoveForward() {
-    return this.isKeyDown('KeyW') || this.isKeyDown('ArrowUp');
+    return this.isActionDown(Actions.MOVE_FORWARD);
   }
 
   /**
-   * Check if backward movement key is pressed (S or ArrowDown).
-   * @returns {boolean} True if backward key is down
+   * Check if the move backward action is active.
+   * @returns {boolean} True if backward is held
    */
   isMoveBackward() {
-    return this.isKeyDown('KeyS') || this.isKeyDown('ArrowDown');
+    return this.isActionDown(Actions.MOVE_BACKWARD);
   }
 
   /**
-   * Check if left strafe key is pressed (A or ArrowLeft).
-   * @returns {boolean} True if left key is down
+   * Check if the move left action is active.
+   * @returns {boolean} True if left is held
    */
   isMoveLeft() {
-    return this.isKeyDown('KeyA') || this.isKeyDown('ArrowLeft');
+    return this.isActionDown(Actions.MOVE_LEFT);
   }
 
   /**
-   * Check if right strafe key is pressed (D or ArrowRight).
-   * @returns {boolean} True if right key is down
+   * Check if the move right action is active.
+   * @returns {boolean} True if right is held
    */
   isMoveRight() {
-    return this.isKeyDown('KeyD') || this.isKeyDown('ArrowRight');
+    return this.isActionDown(Actions.MOVE_RIGHT);
   }
 
   /**
-   * Check if sprint key is pressed (Shift).
-   * @returns {boolean} True if sprint key is down
+   * Check if the sprint action is active.
+   * @returns {boolean} True if sprint is held
    */
   isSprinting() {
-    return this.isKeyDown('ShiftLeft') || this.isKeyDown('ShiftRight');
+    return this.isActionDown(Actions.SPRINT);
   }
 
   /**
-   * Check if jump key is pressed (Space).
-   * @returns {boolean} True if jump key is down
+   * Check if the jump action is active.
+   * @returns {boolean} True if jump is held
    */
   isJumping() {
-    return this.isKeyDown('Space');
+    return this.isActionDown(Actions.JUMP);
   }
 
   /**
-   * Check if jump key was pressed this frame.
-   * @returns {boolean} True if jump key was pressed this frame
+   * Check if the jump action was pressed this frame.
+   * @returns {boolean} True if jump was pressed this frame
    */
   isJumpPressed() {
-    return this.isKeyPressed('Space');
+    return this.isActionPressed(Actions.JUMP);
   }
 
   /**
-   * Check if interact key is pressed (E).
-   * @returns {boolean} True if interact key is down
+   * Check if the interact action is active.
+   * @returns {boolean} True if interact is held
    */
   isInteracting() {
-    return this.isKeyDown('KeyE');
+    return this.isActionDown(Actions.INTERACT);
   }
 
   /**
-   * Check if interact key was pressed this frame.
-   * @returns {boolean} True if interact key was pressed this frame
+   * Check if the interact action was pressed this frame.
+   * @returns {boolean} True if interact was pressed this frame
    */
   isInteractPressed() {
-    return this.isKeyPressed('KeyE');
+    return this.isActionPressed(Actions.INTERACT);
+  }
+
+  /**
+   * Switch between live DOM input and replayed input.
+   * Entering or leaving playback clears all held and per-frame state.
+   * @param {boolean} enabled - True to ignore DOM events
+   */
+  setPlaybackMode(enabled) {
+    this.playbackMode = enabled;
+    this.keysDown.clear();
+    this.analogAxes.clear();
+    this._padCodes.clear();
+    this.touch.reset();
+    // Replays record these from a disconnected start; live input sets them again when used
+    this.gamepad.connected = false;
+    this.touch.enabled = false;
+    this.mouseLeftDown = false;
+    this.mouseRightDown = false;
+    this.clearFrameState();
+    if (!enabled && this.element) {
+      this.isPointerLocked = document.pointerLockElement === this.element;
+    }
+  }
+
+  /**
+   * Route keyboard input to a text field (e.g. the developer console).
+   * While active, key presses are ignored and don't prevent browser
+   * defaults; held keys are released so movement doesn't stick.
+   * @param {boolean} active - True while a text field has focus
+   */
+  setTextInputActive(active) {
+    if (active && !this.textInputActive) {
+      for (const code of this.keysDown) {
+        this.keysReleased.add(code);
+      }
+      this.keysDown.clear();
+      this.touch.reset();
+      this._updateAnalogAxes();
+    }
+    this.textInputActive = active;
   }
 
   /**
@@ -342,6 +837,9 @@ export class Input {
    * Call when input handler is no longer needed.
    */
   dispose() {
+    if (!this.element) return;
+
+    this.cancelCapture();
     window.removeEventListener('keydown', this._boundKeyDown);
     window.removeEventListener('keyup', this._boundKeyUp);
     document.removeEventListener('mousemove', this._boundMouseMove);
@@ -349,6 +847,10 @@ export class Input {
     document.removeEventListener('mouseup', this._boundMouseUp);
     document.removeEventListener('pointerlockchange', this._boundPointerLockChange);
     this.element.removeEventListener('click', this._boundClick);
+    this.element.removeEventListener('touchstart', this._boundTouchStart);
+    this.element.removeEventListener('touchmove', this._boundTouchMove);
+    this.element.removeEventListener('touchend', this._boundTouchEnd);
+    this.element.removeEventListener('touchcancel', this._boundTouchEnd);
 
     // Exit pointer lock if active
     if (this.isPointerLocked) {
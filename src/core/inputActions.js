@@ -0,0 +1,278 @@
+/**
+ * Named input actions and their bindings.
+ * Gameplay code asks for actions ('interact') instead of key codes, and
+ * players can rebind each action to several keys or mouse buttons.
+ *
+ * Bindings are strings: KeyboardEvent.code values ('KeyW', 'Space'),
+ * 'Mouse<button>' for mouse buttons ('Mouse0' is left, 'Mouse2' is right),
+ * 'Pad<button>' for standard-mapping gamepad buttons ('Pad0' is A), or
+ * 'Touch<Name>' for on-screen touch buttons ('TouchInteract').
+ */
+
+/**
+ * Action names.
+ * @readonly
+ * @enum {string}
+ */
+export const Actions = Object.freeze({
+  MOVE_FORWARD: 'move_forward',
+  MOVE_BACKWARD: 'move_backward',
+  MOVE_LEFT: 'move_left',
+  MOVE_RIGHT: 'move_right',
+  SPRINT: 'sprint',
+  JUMP: 'jump',
+  CROUCH: 'crouch',
+  INTERACT: 'interact',
+  BLINK: 'blink',
+  FLASHLIGHT: 'flashlight',
+  INVENTORY: 'inventory',
+  PAUSE: 'pause',
+});
+
+/**
+ * Analog axis names. Move axes are also built from a negative and a
+ * positive action, so they read -1, 0 or 1 from digital bindings; gamepad
+ * sticks add to them.
+ * @readonly
+ * @enum {string}
+ */
+export const Axes = Object.freeze({
+  /** Strafe: -1 left, 1 right */
+  MOVE_X: 'move_x',
+  /** Walk: -1 backward, 1 forward */
+  MOVE_Y: 'move_y',
+  /** Turn: -1 left, 1 right */
+  LOOK_X: 'look_x',
+  /** Pitch: -1 up, 1 down */
+  LOOK_Y: 'look_y',
+});
+
+/**
+ * Default bindings per action.
+ * @type {Readonly<Object<string, ReadonlyArray<string>>>}
+ */
+export const DEFAULT_BINDINGS = Object.freeze({
+  [Actions.MOVE_FORWARD]: ['KeyW', 'ArrowUp', 'Pad12'],
+  [Actions.MOVE_BACKWARD]: ['KeyS', 'ArrowDown', 'Pad13'],
+  [Actions.MOVE_LEFT]: ['KeyA', 'ArrowLeft', 'Pad14'],
+  [Actions.MOVE_RIGHT]: ['KeyD', 'ArrowRight', 'Pad15'],
+  [Actions.SPRINT]: ['ShiftLeft', 'ShiftRight', 'Pad10', 'TouchSprint'],
+  [Actions.JUMP]: ['Space', 'Pad0'],
+  [Actions.CROUCH]: ['ControlLeft', 'KeyC', 'Pad1'],
+  [Actions.INTERACT]: ['KeyE', 'Mouse0', 'Pad2', 'TouchInteract'],
+  [Actions.BLINK]: ['KeyQ', 'Pad5', 'TouchBlink'],
+  [Actions.FLASHLIGHT]: ['KeyF', 'Pad4'],
+  [Actions.INVENTORY]: ['KeyI', 'Pad3'],
+  [Actions.PAUSE]: ['Escape', 'Pad9', 'TouchPause'],
+});
+
+/**
+ * Digital axis definitions as negative/positive action pairs.
+ * @type {Readonly<Object<string, {negative: string, positive: string}>>}
+ */
+export const AXIS_ACTIONS = Object.freeze({
+  [Axes.MOVE_X]: { negative: Actions.MOVE_LEFT, positive: Actions.MOVE_RIGHT },
+  [Axes.MOVE_Y]: { negative: Actions.MOVE_BACKWARD, positive: Actions.MOVE_FORWARD },
+});
+
+/** @type {string} localStorage key for saved bindings */
+export const BINDINGS_STORAGE_KEY = 'scp-input-bindings';
+
+/**
+ * Get the binding string for a mouse button.
+ * @param {number} button - MouseEvent.button
+ * @returns {string} Binding, e.g. 'Mouse0'
+ */
+export function mouseBinding(button) {
+  return `Mouse${button}`;
+}
+
+/**
+ * Action-to-binding table with persistence.
+ */
+export class InputMap {
+  /**
+   * @param {Object<string, ReadonlyArray<string>>} [defaults=DEFAULT_BINDINGS] - Bindings restored by resetToDefaults()
+   */
+  constructor(defaults = DEFAULT_BINDINGS) {
+    /** @type {Object<string, ReadonlyArray<string>>} Default bindings */
+    this.defaults = defaults;
+
+    /** @type {Map<string, Array<string>>} Bindings per action */
+    this._bindings = new Map();
+
+    /** @type {Set<string>} Every bound key or button, for quick lookups */
+    this._bound = new Set();
+
+    this.resetToDefaults();
+  }
+
+  /**
+   * Get all action names.
+   * @returns {Array<string>} Action names
+   */
+  getActions() {
+    return [...this._bindings.keys()];
+  }
+
+  /**
+   * Get an action's bindings.
+   * @param {string} action - Action name
+   * @returns {ReadonlyArray<string>} Bindings (empty if the action is unknown)
+   */
+  getBindings(action) {
+    return this._bindings.get(action) || [];
+  }
+
+  /**
+   * Replace an action's bindings.
+   * @param {string} action - Action name
+   * @param {Array<string>} bindings - New bindings
+   */
+  setBindings(action, bindings) {
+    this._bindings.set(action, [...new Set(bindings)]);
+    this._rebuildBound();
+  }
+
+  /**
+   * Bind a key or button to an action, taking it away from any other action.
+   * @param {string} action - Action name
+   * @param {string} binding - Key code or 'Mouse<n>'
+   * @param {number} [slot] - Binding slot to replace; appends when omitted or past the end
+   * @returns {Array<string>} Actions the binding was removed from
+   */
+  bind(action, binding, slot = Infinity) {
+    const unbound = [];
+    for (const [other, list] of this._bindings) {
+      const index = list.indexOf(binding);
+      if (other !== action && index !== -1) {
+        list.splice(index, 1);
+        unbound.push(other);
+      }
+    }
+
+    const list = this._bindings.get(action) || [];
+    const existing = list.indexOf(binding);
+    if (existing !== -1) {
+      list.splice(existing, 1);
+    }
+    if (slot < list.length) {
+      list[slot] = binding;
+    } else {
+      list.push(binding);
+    }
+    this._bindings.set(action, list);
+    this._rebuildBound();
+    return unbound;
+  }
+
+  /**
+   * Remove a binding from an action.
+   * @param {string} action - Action name
+   * @param {string} binding - Binding to remove
+   */
+  unbind(action, binding) {
+    const list = this._bindings.get(action);
+    if (!list) return;
+    const index = list.indexOf(binding);
+    if (index !== -1) {
+      list.splice(index, 1);
+      this._rebuildBound();
+    }
+  }
+
+  /**
+   * Check whether any action uses a key or button.
+   * @param {string} binding - Key code or 'Mouse<n>'
+   * @returns {boolean} True if bound
+   */
+  isBound(binding) {
+    return this._bound.has(binding);
+  }
+
+  /**
+   * Restore the default bindings.
+   */
+  resetToDefaults() {
+    this._bindings.clear();
+    for (const [action, bindings] of Object.entries(this.defaults)) {
+      this._bindings.set(action, [...bindings]);
+    }
+    this._rebuildBound();
+  }
+
+  /**
+   * @returns {Object<string, Array<string>>} Bindings per action
+   */
+  toJSON() {
+    return Object.fromEntries(this._bindings);
+  }
+
+  /**
+   * Apply saved bindings over the defaults. Unknown actions are ignored,
+   * so removed actions in old saves don't linger.
+   * @param {Object<string, Array<string>>} data - Data from toJSON()
+   */
+  fromJSON(data) {
+    this.resetToDefaults();
+    for (const [action, bindings] of Object.entries(data)) {
+      if (this._bindings.has(action) && Array.isArray(bindings)) {
+        this._bindings.set(action, bindings.filter((b) => typeof b === 'string'));
+      }
+    }
+    this._rebuildBound();
+  }
+
+  /**
+   * Save bindings to storage. Storage that is full or blocked only logs a
+   * warning; the bindings stay applied for this session.
+   * @param {Storage} [storage=localStorage] - Storage to write to
+   * @returns {boolean} True if the bindings were written
+   */
+  save(storage) {
+    try {
+      (storage ?? localStorage).setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.toJSON()));
+      return true;
+    } catch (error) {
+      console.warn('Could not save input bindings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load bindings from storage. Missing, unreadable or blocked storage keeps the defaults.
+   * @param {Storage} [storage=localStorage] - Storage to read from
+   * @returns {boolean} True if saved bindings were applied
+   */
+  load(storage) {
+    let json;
+    try {
+      json = (storage ?? localStorage).getItem(BINDINGS_STORAGE_KEY);
+    } catch (error) {
+      console.warn('Could not read input bindings:', error);
+      return false;
+    }
+    if (!json) return false;
+    try {
+      this.fromJSON(JSON.parse(json));
+      return true;
+    } catch (error) {
+      console.warn('Ignoring unreadable input bindings:', error);
+      this.resetToDefaults();
+      return false;
+    }
+  }
+
+  /**
+   * Rebuild the set of bound keys and buttons.
+   * @private
+   */
+  _rebuildBound() {
+    this._bound.clear();
+    for (const list of this._bindings.values()) {
+      for (const binding of list) {
+        this._bound.add(binding);
+      }
+    }
+  }
+}
@@ -0,0 +1,89 @@
+/**
+ * Input contexts.
+ * Input keeps a stack of contexts (gameplay at the bottom, then menus,
+ * console, inventory...). Keys go to the topmost context that handles them,
+ * and a context can consume actions so the ones below stop seeing them.
+ * The topmost context with a pointer lock preference decides whether the
+ * pointer is locked.
+ */
+
+/**
+ * Standard context names.
+ * @readonly
+ * @enum {string}
+ */
+export const InputContexts = Object.freeze({
+  GAMEPLAY: 'gameplay',
+  MENU: 'menu',
+  CONSOLE: 'console',
+  INVENTORY: 'inventory',
+  DEBUG: 'debug',
+});
+
+/**
+ * One layer of the input context stack.
+ */
+export class InputContext {
+  /**
+   * @param {string} name - Context name (see InputContexts)
+   * @param {Object} [options] - Options
+   * @param {boolean|null} [options.pointerLock=null] - Lock (true) or release (false) the pointer while topmost; null defers to the contexts below
+   * @param {boolean} [options.blocking=false] - Consume every action and key, so contexts below get no input
+   * @param {Iterable<string>} [options.consumes=[]] - Action or axis names consumed when not blocking
+   */
+  constructor(name, { pointerLock = null, blocking = false, consumes = [] } = {}) {
+    /** @type {string} Context name */
+    this.name = name;
+
+    /** @type {boolean|null} Pointer lock preference while topmost */
+    this.pointerLock = pointerLock;
+
+    /** @type {boolean} Whether all input stops here */
+    this.blocking = blocking;
+
+    /** @type {Set<string>} Actions and axes consumed by this context */
+    this.consumes = new Set(consumes);
+
+    /** @type {Map<string, function(KeyboardEvent): (boolean|void)>} Key handlers by key code */
+    this._keyHandlers = new Map();
+  }
+
+  /**
+   * Handle a key while this context is on the stack and nothing above
+   * blocks or handles it. The handler may return false to pass the key on.
+   * @param {string} code - Key code (e.g. 'Tab')
+   * @param {function(KeyboardEvent): (boolean|void)} handler - Called on keydown
+   * @returns {InputContext} This context, for chaining
+   */
+  onKey(code, handler) {
+    this._keyHandlers.set(code, handler);
+    return this;
+  }
+
+  /**
+   * Remove a key handler.
+   * @param {string} code - Key code
+   */
+  offKey(code) {
+    this._keyHandlers.delete(code);
+  }
+
+  /**
+   * Offer a keydown to this context.
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if a handler took the key
+   */
+  handleKey(event) {
+    const handler = this._keyHandlers.get(event.code);
+    return handler !== undefined && handler(event) !== false;
+  }
+
+  /**
+   * Check whether this context hides an action (or axis) from the contexts below.
+   * @param {string|null} name - Action or axis name; null asks about input in general
+   * @returns {boolean} True if consumed
+   */
+  consumesAction(name) {
+    return this.blocking || (name !== null && this.consumes.has(name));
+  }
+}
@@ -0,0 +1,387 @@
+/**
+ * Input recording and replay.
+ * Captures per-frame keyboard/mouse state and frame timestamps into a compact
+ * JSON log, and plays a log back through the same Input API. Started from the
+ * same point (e.g. page load) with the same seeds, a replay reproduces the
+ * session frame for frame, so logs can be attached to bug reports.
+ */
+
+/** @type {number} Replay log format version */
+export const REPLAY_LOG_VERSION = 1;
+
+// Mouse button bit flags stored per frame
+const LEFT_DOWN = 1;
+const RIGHT_DOWN = 2;
+const LEFT_PRESSED = 4;
+const RIGHT_PRESSED = 8;
+
+/**
+ * One recorded frame. Fields other than `t` are omitted when empty or
+ * unchanged from the previous frame.
+ * @typedef {Object} ReplayFrame
+ * @property {number} t - Frame timestamp in ms, relative to the first frame
+ * @property {Array<number>} [p] - Key indices pressed this frame
+ * @property {Array<number>} [r] - Key indices released this frame
+ * @property {Array<number>} [a] - Key indices added to the held set
+ * @property {Array<number>} [x] - Key indices removed from the held set
+ * @property {Array<number>} [m] - Mouse delta [x, y] (sensitivity applied)
+ * @property {Array<number>} [mp] - Mouse position [x, y], when changed
+ * @property {number} [b] - Mouse button bit flags, when changed
+ * @property {number} [l] - Pointer lock (1 or 0), when changed
+ * @property {Object<string, number>} [g] - Stick values per analog axis, when changed
+ * @property {number} [gp] - Gamepad connected (1 or 0), when changed
+ * @property {number} [tc] - Touch controls enabled (1 or 0), when changed
+ */
+
+/**
+ * Replay log produced by InputRecorder.stopRecording().
+ * @typedef {Object} ReplayLog
+ * @property {number} version - Log format version
+ * @property {Object} meta - Caller-supplied metadata (seeds, build, notes)
+ * @property {Array<string>} keys - Key code table referenced by frame indices
+ * @property {Array<ReplayFrame>} frames - Recorded frames in order
+ */
+
+/**
+ * Records and replays Input state and Time deltas.
+ * Call update(currentTime) in place of time.update(currentTime) each frame.
+ */
+export class InputRecorder {
+  /**
+   * @param {import('./input.js').Input} input - Input to record from or drive
+   * @param {import('./time.js').Time} time - Time system fed with frame timestamps
+   */
+  constructor(input, time) {
+    /** @type {import('./input.js').Input} */
+    this.input = input;
+
+    /** @type {import('./time.js').Time} */
+    this.time = time;
+
+    /** @type {'idle'|'recording'|'playing'} Current mode */
+    this.mode = 'idle';
+
+    /** @type {ReplayLog|null} Log being recorded or played */
+    this._log = null;
+
+    /** @type {Map<string, number>} Key code to index in the log key table */
+    this._keyIndex = new Map();
+
+    /** @type {number} Timestamp of the first recorded frame */
+    this._startTime = 0;
+
+    /** @type {number} Next frame to play */
+    this._frameIndex = 0;
+
+    /** @type {Set<string>} Held keys as of the previous frame */
+    this._lastKeysDown = new Set();
+
+    /** @type {number} Mouse button flags of the previous frame (held bits only) */
+    this._lastButtons = 0;
+
+    /** @type {boolean} Pointer lock state of the previous frame */
+    this._lastLocked = false;
+
+    /** @type {string} Analog axis values of the previous frame, as JSON */
+    this._lastAnalog = '{}';
+
+    /** @type {boolean} Gamepad connection state of the previous frame */
+    this._lastGamepad = false;
+
+    /** @type {boolean} Touch controls state of the previous frame */
+    this._lastTouch = false;
+
+    /** @type {number} Mouse position of the previous frame */
+    this._lastMouseX = 0;
+    this._lastMouseY = 0;
+  }
+
+  /**
+   * Whether a recording is in progress.
+   * @returns {boolean} True while recording
+   */
+  get isRecording() {
+    return this.mode === 'recording';
+  }
+
+  /**
+   * Whether a replay is in progress.
+   * @returns {boolean} True while playing
+   */
+  get isPlaying() {
+    return this.mode === 'playing';
+  }
+
+  /**
+   * Start recording. Time is reset so the replay starts from the same state.
+   * @param {Object} [meta] - Metadata stored with the log (e.g. {seed: 12345})
+   * @throws {Error} If a replay is playing
+   */
+  startRecording(meta = {}) {
+    if (this.isPlaying) {
+      throw new Error('Cannot record while a replay is playing');
+    }
+
+    this._log = { version: REPLAY_LOG_VERSION, meta, keys: [], frames: [] };
+    this._keyIndex.clear();
+    this._lastKeysDown.clear();
+    this._lastButtons = 0;
+    this._lastLocked = false;
+    this._lastAnalog = '{}';
+    this._lastGamepad = false;
+    this._lastTouch = false;
+    this._lastMouseX = 0;
+    this._lastMouseY = 0;
+    this._startTime = 0;
+    this.time.reset();
+    this.mode = 'recording';
+  }
+
+  /**
+   * Stop recording.
+   * @returns {ReplayLog|null} The recorded log, or null if not recording
+   */
+  stopRecording() {
+    if (!this.isRecording) return null;
+    this.mode = 'idle';
+    const log = this._log;
+    this._log = null;
+    return log;
+  }
+
+  /**
+   * Get the log recorded so far without stopping. It keeps growing while
+   * recording continues; serialize it to take a snapshot.
+   * @returns {ReplayLog|null} Log in progress, or null if not recording
+   */
+  getRecordedLog() {
+    return this.isRecording ? this._log : null;
+  }
+
+  /**
+   * Start replaying a log. Input stops listening to the DOM until the replay
+   * ends or stopPlayback() is called, and Time is reset.
+   * @param {ReplayLog|string} log - Log object or its JSON string
+   * @throws {Error} If recording, or the log version is unsupported
+   */
+  startPlayback(log) {
+    if (this.isRecording) {
+      throw new Error('Cannot play a replay while recording');
+    }
+
+    const data = typeof log === 'string' ? JSON.parse(log) : log;
+    if (!data || data.version !== REPLAY_LOG_VERSION) {
+      throw new Error(
+        `Unsupported replay log version ${data ? data.version : 'undefined'}`
+      );
+    }
+
+    this._log = data;
+    this._frameIndex = 0;
+    this.time.reset();
+    this.input.setPlaybackMode(true);
+    this.mode = 'playing';
+  }
+
+  /**
+   * Stop replaying and return control to live input.
+   */
+  stopPlayback() {
+    if (!this.isPlaying) return;
+    this.mode = 'idle';
+    this._log = null;
+    this.input.setPlaybackMode(false);
+  }
+
+  /**
+   * Advance time for a frame, recording or replaying input.
+   * While playing, currentTime is ignored in favour of the recorded timestamp;
+   * playback stops by itself after the last frame.
+   * @param {number} currentTime - Timestamp in ms (from requestAnimationFrame)
+   * @returns {number} Scaled delta time in seconds (see Time.update)
+   */
+  update(currentTime) {
+    if (this.isPlaying) {
+      const frame = this._log.frames[this._frameIndex++];
+      if (frame) {
+        this._applyFrame(frame);
+        return this.time.update(frame.t);
+      }
+      this.stopPlayback();
+    }
+
+    if (this.isRecording) {
+      if (this._log.frames.length === 0) {
+        this._startTime = currentTime;
+      }
+      // Feed Time the same relative timestamp the replay will, so float
+      // rounding of the deltas matches exactly
+      const t = currentTime - this._startTime;
+      this._captureFrame(t);
+      return this.time.update(t);
+    }
+
+    return this.time.update(currentTime);
+  }
+
+  /**
+   * Get playback progress.
+   * @returns {{frame: number, frameCount: number}} Current and total frames
+   */
+  getPlaybackProgress() {
+    return {
+      frame: this._frameIndex,
+      frameCount: this._log && this.isPlaying ? this._log.frames.length : 0,
+    };
+  }
+
+  /**
+   * Record the current input state as a frame.
+   * @param {number} t - Timestamp relative to the first frame, in ms
+   * @private
+   */
+  _captureFrame(t) {
+    const input = this.input;
+    const frame = { t };
+
+    if (input.keysPressed.size > 0) {
+      frame.p = this._indexKeys(input.keysPressed);
+    }
+    if (input.keysReleased.size > 0) {
+      frame.r = this._indexKeys(input.keysReleased);
+    }
+
+    const added = [];
+    for (const code of input.keysDown) {
+      if (!this._lastKeysDown.has(code)) added.push(code);
+    }
+    const removed = [];
+    for (const code of this._lastKeysDown) {
+      if (!input.keysDown.has(code)) removed.push(code);
+    }
+    if (added.length > 0) frame.a = this._indexKeys(added);
+    if (removed.length > 0) frame.x = this._indexKeys(removed);
+    this._lastKeysDown = new Set(input.keysDown);
+
+    if (input.mouseDelta.x !== 0 || input.mouseDelta.y !== 0) {
+      frame.m = [input.mouseDelta.x, input.mouseDelta.y];
+    }
+
+    const { x, y } = input.mousePosition;
+    if (x !== this._lastMouseX || y !== this._lastMouseY) {
+      frame.mp = [x, y];
+      this._lastMouseX = x;
+      this._lastMouseY = y;
+    }
+
+    let buttons = 0;
+    if (input.mouseLeftDown) buttons |= LEFT_DOWN;
+    if (input.mouseRightDown) buttons |= RIGHT_DOWN;
+    const held = buttons;
+    if (input.mouseLeftPressed) buttons |= LEFT_PRESSED;
+    if (input.mouseRightPressed) buttons |= RIGHT_PRESSED;
+    if (buttons !== this._lastButtons) {
+      frame.b = buttons;
+    }
+    // Pressed bits only last one frame, so compare against held bits next time
+    this._lastButtons = held;
+
+    if (input.isPointerLocked !== this._lastLocked) {
+      frame.l = input.isPointerLocked ? 1 : 0;
+      this._lastLocked = input.isPointerLocked;
+    }
+
+    const analog = Object.fromEntries(input.analogAxes);
+    const analogJson = JSON.stringify(analog);
+    if (analogJson !== this._lastAnalog) {
+      frame.g = analog;
+      this._lastAnalog = analogJson;
+    }
+
+    if (input.gamepad.connected !== this._lastGamepad) {
+      frame.gp = input.gamepad.connected ? 1 : 0;
+      this._lastGamepad = input.gamepad.connected;
+    }
+
+    if (input.touch.enabled !== this._lastTouch) {
+      frame.tc = input.touch.enabled ? 1 : 0;
+      this._lastTouch = input.touch.enabled;
+    }
+
+    this._log.frames.push(frame);
+  }
+
+  /**
+   * Write a recorded frame into Input.
+   * @param {ReplayFrame} frame - Frame to apply
+   * @private
+   */
+  _applyFrame(frame) {
+    const input = this.input;
+    const keys = this._log.keys;
+
+    input.keysPressed.clear();
+    input.keysReleased.clear();
+    for (const i of frame.p || []) input.keysPressed.add(keys[i]);
+    for (const i of frame.r || []) input.keysReleased.add(keys[i]);
+    for (const i of frame.a || []) input.keysDown.add(keys[i]);
+    for (const i of frame.x || []) input.keysDown.delete(keys[i]);
+
+    input.mouseDelta.x = frame.m ? frame.m[0] : 0;
+    input.mouseDelta.y = frame.m ? frame.m[1] : 0;
+
+    if (frame.mp) {
+      input.mousePosition.x = frame.mp[0];
+      input.mousePosition.y = frame.mp[1];
+    }
+
+    if (frame.b !== undefined) {
+      input.mouseLeftDown = (frame.b & LEFT_DOWN) !== 0;
+      input.mouseRightDown = (frame.b & RIGHT_DOWN) !== 0;
+      input.mouseLeftPressed = (frame.b & LEFT_PRESSED) !== 0;
+      input.mouseRightPressed = (frame.b & RIGHT_PRESSED) !== 0;
+    } else {
+      input.mouseLeftPressed = false;
+      input.mouseRightPressed = false;
+    }
+
+    if (frame.l !== undefined) {
+      input.isPointerLocked = frame.l === 1;
+    }
+
+    if (frame.g) {
+      input.analogAxes.clear();
+      for (const [axis, value] of Object.entries(frame.g)) {
+        input.analogAxes.set(axis, value);
+      }
+    }
+
+    if (frame.gp !== undefined) {
+      input.gamepad.connected = frame.gp === 1;
+    }
+
+    if (frame.tc !== undefined) {
+      input.touch.enabled = frame.tc === 1;
+    }
+  }
+
+  /**
+   * Map key codes to indices in the log key table, adding new codes.
+   * @param {Iterable<string>} codes - Key codes
+   * @returns {Array<number>} Key indices
+   * @private
+   */
+  _indexKeys(codes) {
+    const indices = [];
+    for (const code of codes) {
+      let index = this._keyIndex.get(code);
+      if (index === undefined) {
+        index = this._log.keys.length;
+        this._log.keys.push(code);
+        this._keyIndex.set(code, index);
+      }
+      indices.push(index);
+    }
+    return indices;
+  }
+}
@@ -0,0 +1,559 @@
+/**
+ * Live entity inspector panel.
+ * Lists scene entities (filterable by tag) and shows the selected entity's
+ * transform and each component's public numeric, boolean, color and vector
+ * fields as editable controls. Edits apply immediately; "Copy as JSON"
+ * copies the shown values in prefab layout.
+ * Toggle-able with a configurable key (default: F2).
+ */
+
+import { getComponentTypeName } from './serialization.js';
+import { InputContext, InputContexts } from './inputContext.js';
+
+/** @type {number} Frames between entity list refreshes */
+const LIST_REFRESH_FRAMES = 30;
+
+/**
+ * Kind of editable control for a field.
+ * @typedef {'number'|'boolean'|'color'|'vector'} InspectableKind
+ */
+
+/**
+ * An editable field on an object.
+ * @typedef {Object} InspectableField
+ * @property {Object} owner - Object holding the field
+ * @property {string} key - Property name
+ * @property {InspectableKind} kind - Control kind
+ */
+
+/**
+ * Classify a value for editing.
+ * Colors are 3 or 4 number arrays whose name ends in "color", in 0-1.
+ * @param {string} key - Property name
+ * @param {*} value - Property value
+ * @returns {InspectableKind|null} Control kind, or null if not editable
+ */
+function classifyField(key, value) {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+
+  const isNumberArray =
+    value instanceof Float32Array ||
+    (Array.isArray(value) && value.every((v) => typeof v === 'number'));
+  if (isNumberArray && value.length >= 2 && value.length <= 4) {
+    if (/colou?r$/i.test(key) && value.length >= 3) return 'color';
+    return 'vector';
+  }
+  return null;
+}
+
+/**
+ * Get the public editable fields of an object: own properties that don't
+ * start with '_' and aren't ALL_CAPS constants. Object-valued fields whose
+ * class sets `static inspectable = true` (e.g. Material) are expanded one
+ * level, so their fields appear as "material.color".
+ * @param {Object} target - Object to inspect
+ * @returns {Array<InspectableField & {path: string}>} Fields with display paths
+ */
+export function getInspectableFields(target) {
+  const fields = [];
+  for (const key of Object.keys(target)) {
+    if (key.startsWith('_') || key === 'entity' || /^[A-Z0-9_]+$/.test(key)) continue;
+
+    const value = target[key];
+    const kind = classifyField(key, value);
+    if (kind) {
+      fields.push({ owner: target, key, kind, path: key });
+    } else if (value && typeof value === 'object' && value.constructor.inspectable) {
+      for (const nested of getInspectableFields(value)) {
+        if (nested.owner === value) {
+          fields.push({ ...nested, path: `${key}.${nested.key}` });
+        }
+      }
+    }
+  }
+  return fields;
+}
+
+/**
+ * Convert a 0-1 RGB array to a '#rrggbb' string.
+ * @param {ArrayLike<number>} color - Color components
+ * @returns {string} Hex color
+ */
+function toHexColor(color) {
+  let hex = '#';
+  for (let i = 0; i < 3; i++) {
+    const byte = Math.round(Math.max(0, Math.min(1, color[i])) * 255);
+    hex += byte.toString(16).padStart(2, '0');
+  }
+  return hex;
+}
+
+/**
+ * Round a number for display and JSON output.
+ * @param {number} value - Value
+ * @returns {number} Value rounded to 4 decimals
+ */
+function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Copy a field value into JSON-friendly form.
+ * @param {*} value - Field value
+ * @returns {*} Plain value
+ */
+function toPlainValue(value) {
+  if (typeof value === 'number') return roundValue(value);
+  if (ArrayBuffer.isView(value) || Array.isArray(value)) {
+    return Array.from(value, roundValue);
+  }
+  return value;
+}
+
+/**
+ * Inspector panel bound to an Input (suppressed while editing).
+ */
+export class Inspector {
+  /**
+   * Create an inspector.
+   * @param {import('./input.js').Input} input - Input system; game keys are suppressed while a field has focus
+   * @param {string} [toggleKey='F2'] - Key code to toggle the panel
+   */
+  constructor(input, toggleKey = 'F2') {
+    /** @type {import('./input.js').Input} Input system */
+    this.input = input;
+
+    /** @type {string} Key code to toggle the panel */
+    this.toggleKey = toggleKey;
+
+    /** @type {InputContext} Context pushed while visible; frees the pointer but lets keys through */
+    this.context = new InputContext(InputContexts.DEBUG, { pointerLock: false });
+
+    /** @type {boolean} Whether the panel is visible */
+    this.visible = false;
+
+    /** @type {import('./scene.js').Scene|null} Scene being inspected */
+    this.scene = null;
+
+    /** @type {import('./entity.js').Entity|null} Selected entity */
+    this.selected = null;
+
+    /** @type {string} Tag filter, or '' for all entities */
+    this.tagFilter = '';
+
+    /** @type {Array<{owner: Object, name: string, fields: Array<Object>}>} Extra objects shown under the entity list (e.g. the renderer) */
+    this._targets = [];
+
+    /** @type {HTMLDivElement|null} Panel root */
+    this.element = null;
+
+    /** @type {HTMLSelectElement|null} Tag filter */
+    this._tagSelect = null;
+
+    /** @type {HTMLDivElement|null} Entity list */
+    this._listElement = null;
+
+    /** @type {HTMLDivElement|null} Selected entity's controls */
+    this._detailElement = null;
+
+    /** @type {HTMLDivElement|null} Extra targets' controls */
+    this._targetsElement = null;
+
+    /** @type {Array<function(): void>} Re-read displayed values from their fields */
+    this._syncs = [];
+
+    /** @type {number} Frames until the entity list is rebuilt */
+    this._listCountdown = 0;
+
+    this._createElements();
+    input.gameplayContext.onKey(toggleKey, () => this.toggle());
+  }
+
+  /**
+   * Create the panel DOM.
+   * @private
+   */
+  _createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'inspector';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      width: 320px;
+      max-height: calc(100% - 20px);
+      overflow-y: auto;
+      background: rgba(0, 0, 0, 0.8);
+      color: #00ff00;
+      font-family: 'Courier New', monospace;
+      font-size: 12px;
+      padding: 8px;
+      border: 1px solid #00ff00;
+      z-index: 10000;
+      display: none;
+    `;
+
+    // Keys typed into fields must not drive the game or other debug tools
+    this.element.addEventListener('keydown', (event) => event.stopPropagation());
+    this.element.addEventListener('focusin', () => this.input.setTextInputActive(true));
+    this.element.addEventListener('focusout', () => this.input.setTextInputActive(false));
+
+    this._tagSelect = document.createElement('select');
+    this._tagSelect.style.cssText = 'width: 100%; margin-bottom: 6px;';
+    this._tagSelect.addEventListener('change', () => {
+      this.tagFilter = this._tagSelect.value;
+      this._rebuildList();
+    });
+
+    this._listElement = document.createElement('div');
+    this._listElement.style.cssText =
+      'max-height: 160px; overflow-y: auto; border-bottom: 1px solid #00ff00; margin-bottom: 6px;';
+
+    this._detailElement = document.createElement('div');
+    this._targetsElement = document.createElement('div');
+
+    this.element.append(
+      this._tagSelect,
+      this._listElement,
+      this._detailElement,
+      this._targetsElement
+    );
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Toggle panel visibility. Showing it releases pointer lock so the
+   * controls can be clicked.
+   */
+  toggle() {
+    if (this.visible) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Show the panel.
+   */
+  show() {
+    this.visible = true;
+    this.element.style.display = 'block';
+    this.input.pushContext(this.context);
+    this._listCountdown = 0;
+    this._rebuildControls();
+  }
+
+  /**
+   * Hide the panel.
+   */
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+    if (this.element.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+    this.input.removeContext(this.context);
+  }
+
+  /**
+   * Show an object that isn't an entity, such as the renderer's lighting.
+   * @param {string} name - Section title
+   * @param {Object} owner - Object whose public fields to show
+   */
+  addTarget(name, owner) {
+    this._targets.push({ owner, name, fields: getInspectableFields(owner) });
+    if (this.visible) {
+      this._rebuildControls();
+    }
+  }
+
+  /**
+   * Select an entity to inspect.
+   * @param {import('./entity.js').Entity|null} entity - Entity or null to clear
+   */
+  select(entity) {
+    this.selected = entity;
+    this._rebuildControls();
+    this._rebuildList();
+  }
+
+  /**
+   * Refresh the panel. Call once per frame with the scene to inspect.
+   * @param {import('./scene.js').Scene} scene - Scene to inspect
+   */
+  update(scene) {
+    if (scene !== this.scene) {
+      this.scene = scene;
+      this.selected = null;
+      this._listCountdown = 0;
+      if (this.visible) this._rebuildControls();
+    }
+    if (!this.visible) return;
+
+    if (this.selected && (this.selected._destroyed || this.selected.scene !== scene)) {
+      this.select(null);
+    }
+
+    if (--this._listCountdown <= 0) {
+      this._listCountdown = LIST_REFRESH_FRAMES;
+      this._rebuildTagOptions();
+      this._rebuildList();
+    }
+
+    for (const sync of this._syncs) {
+      sync();
+    }
+  }
+
+  /**
+   * Build prefab-style JSON for an entity's inspected values.
+   * Component sections are keyed by registered type name, so they can be
+   * pasted into a PrefabLibrary definition. Expanded objects (e.g.
+   * material.color) appear as nested objects for reference; move those into
+   * the object's own definition rather than the prefab props.
+   * @param {import('./entity.js').Entity} entity - Entity to export
+   * @returns {Object} Plain JSON-compatible data
+   */
+  entityToJSON(entity) {
+    const components = {};
+    for (const component of entity.components) {
+      const props = {};
+      for (const field of getInspectableFields(component)) {
+        const [head, tail] = field.path.split('.');
+        if (tail) {
+          props[head] = props[head] || {};
+          props[head][tail] = toPlainValue(field.owner[field.key]);
+        } else {
+          props[head] = toPlainValue(field.owner[field.key]);
+        }
+      }
+      components[getComponentTypeName(component)] = props;
+    }
+
+    return {
+      name: entity.name || undefined,
+      position: toPlainValue(entity.position),
+      rotation: toPlainValue(entity.rotation),
+      scale: toPlainValue(entity.scale),
+      tags: [...entity.tags],
+      components,
+    };
+  }
+
+  /**
+   * Copy the selected entity's values to the clipboard, falling back to
+   * the browser console when the clipboard is unavailable.
+   */
+  copySelectedAsJSON() {
+    if (!this.selected) return;
+    const json = JSON.stringify(this.entityToJSON(this.selected), null, 2);
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(json).catch(() => console.log(json));
+    } else {
+      console.log(json);
+    }
+  }
+
+  /**
+   * Refill the tag filter with the scene's current tags.
+   * @private
+   */
+  _rebuildTagOptions() {
+    const tags = this.scene ? [...this.scene.taggedEntities.keys()].sort() : [];
+    const options = ['', ...tags];
+    const current = [...this._tagSelect.options].map((option) => option.value);
+    if (current.join('\n') === options.join('\n')) return;
+
+    this._tagSelect.textContent = '';
+    for (const tag of options) {
+      const option = document.createElement('option');
+      option.value = tag;
+      option.textContent = tag ? `#${tag}` : '(all entities)';
+      this._tagSelect.appendChild(option);
+    }
+    if (!options.includes(this.tagFilter)) {
+      this.tagFilter = '';
+    }
+    this._tagSelect.value = this.tagFilter;
+  }
+
+  /**
+   * Rebuild the entity list for the current filter.
+   * @private
+   */
+  _rebuildList() {
+    const list = this._listElement;
+    list.textContent = '';
+    if (!this.scene) return;
+
+    const entities = this.tagFilter ? this.scene.findByTag(this.tagFilter) : this.scene.entities;
+    for (const entity of entities) {
+      const row = document.createElement('div');
+      row.textContent = `${entity.name || '(unnamed)'}  ${entity.id}`;
+      row.style.cssText = `cursor: pointer; padding: 1px 2px;${
+        entity === this.selected ? ' background: rgba(0, 255, 0, 0.25);' : ''
+      }${entity.active ? '' : ' opacity: 0.5;'}`;
+      row.addEventListener('click', () => this.select(entity));
+      list.appendChild(row);
+    }
+  }
+
+  /**
+   * Rebuild controls for the selected entity and the extra targets.
+   * @private
+   */
+  _rebuildControls() {
+    this._syncs = [];
+
+    this._targetsElement.textContent = '';
+    for (const target of this._targets) {
+      this._addSection(this._targetsElement, target.name, target.fields);
+    }
+
+    const detail = this._detailElement;
+    detail.textContent = '';
+    const entity = this.selected;
+    if (!entity) return;
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; margin-bottom: 4px;';
+    const title = document.createElement('strong');
+    title.textContent = entity.name || entity.id;
+    const copyButton = document.createElement('button');
+    copyButton.textContent = 'Copy as JSON';
+    copyButton.addEventListener('click', () => this.copySelectedAsJSON());
+    header.append(title, copyButton);
+    detail.appendChild(header);
+
+    this._addSection(detail, 'Entity', [
+      { owner: entity, key: 'active', kind: 'boolean', path: 'active' },
+      { owner: entity, key: 'position', kind: 'vector', path: 'position' },
+      { owner: entity, key: 'rotation', kind: 'vector', path: 'rotation' },
+      { owner: entity, key: 'scale', kind: 'vector', path: 'scale' },
+    ]);
+
+    for (const component of entity.components) {
+      const fields = [
+        { owner: component, key: 'enabled', kind: 'boolean', path: 'enabled' },
+        ...getInspectableFields(component),
+      ];
+      this._addSection(detail, getComponentTypeName(component), fields);
+    }
+  }
+
+  /**
+   * Add a titled group of field controls.
+   * @param {HTMLElement} parent - Container
+   * @param {string} title - Section title
+   * @param {Array<InspectableField & {path: string}>} fields - Fields to show
+   * @private
+   */
+  _addSection(parent, title, fields) {
+    const heading = document.createElement('div');
+    heading.textContent = title;
+    heading.style.cssText = 'margin-top: 6px; color: #ffffff;';
+    parent.appendChild(heading);
+
+    for (const field of fields) {
+      parent.appendChild(this._createControl(field));
+    }
+  }
+
+  /**
+   * Create a labelled control that writes to a field and is kept in sync
+   * with it while not focused.
+   * @param {InspectableField & {path: string}} field - Field to edit
+   * @returns {HTMLElement} Control row
+   * @private
+   */
+  _createControl(field) {
+    const { owner, key, kind, path } = field;
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 4px; margin: 2px 0;';
+    const label = document.createElement('span');
+    label.textContent = path;
+    label.style.cssText = 'flex: 0 0 120px; overflow: hidden; text-overflow: ellipsis;';
+    row.appendChild(label);
+
+    // Let the owner react to edits (e.g. rebuild a projection matrix)
+    const changed = () => {
+      if (typeof owner.onInspectorChange === 'function') {
+        owner.onInspectorChange(key);
+      }
+    };
+    const inputStyle =
+      'flex: 1; min-width: 0; background: #111; color: #00ff00; border: 1px solid #0a0;';
+
+    if (kind === 'boolean') {
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.addEventListener('change', () => {
+        owner[key] = checkbox.checked;
+        changed();
+      });
+      this._syncs.push(() => {
+        checkbox.checked = owner[key];
+      });
+      row.appendChild(checkbox);
+    } else if (kind === 'color') {
+      const picker = document.createElement('input');
+      picker.type = 'color';
+      picker.addEventListener('input', () => {
+        const hex = picker.value;
+        const color = owner[key];
+        for (let i = 0; i < 3; i++) {
+          color[i] = parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16) / 255;
+        }
+        changed();
+      });
+      this._syncs.push(() => {
+        if (document.activeElement !== picker) {
+          picker.value = toHexColor(owner[key]);
+        }
+      });
+      row.appendChild(picker);
+    } else {
+      const count = kind === 'vector' ? owner[key].length : 1;
+      for (let i = 0; i < count; i++) {
+        const box = document.createElement('input');
+        box.type = 'number';
+        box.step = kind === 'vector' ? '0.1' : 'any';
+        box.style.cssText = inputStyle;
+        box.addEventListener('input', () => {
+          const value = parseFloat(box.value);
+          if (!Number.isFinite(value)) return;
+          if (kind === 'vector') {
+            owner[key][i] = value;
+          } else {
+            owner[key] = value;
+          }
+          changed();
+        });
+        this._syncs.push(() => {
+          if (document.activeElement !== box) {
+            const value = kind === 'vector' ? owner[key][i] : owner[key];
+            box.value = String(roundValue(value));
+          }
+        });
+        row.appendChild(box);
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Clean up the panel.
+   */
+  dispose() {
+    this.hide();
+    this.input.gameplayContext.offKey(this.toggleKey);
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this._syncs = [];
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Options menu.
+ * Builds a control for every setting in a Settings store: sliders for
+ * numbers, checkboxes, dropdowns and color pickers. Edits are applied to the
+ * store immediately, and controls follow changes made elsewhere.
+ * Toggle-able with a configurable key (default: F10).
+ */
+
+import { SETTINGS_CHANGED } from './settings.js';
+import { InputContext, InputContexts } from './inputContext.js';
+
+/**
+ * Format a number for display next to its slider.
+ * @param {number} value - Value
+ * @param {number} step - Slider step
+ * @returns {string} Text
+ */
+function formatNumber(value, step) {
+  const decimals = Math.max(0, Math.ceil(-Math.log10(step)));
+  return value.toFixed(decimals);
+}
+
+/**
+ * DOM options menu bound to a Settings store.
+ */
+export class OptionsMenu {
+  /**
+   * Create an options menu.
+   * @param {import('./settings.js').Settings} settings - Settings to edit
+   * @param {import('./input.js').Input} input - Input; the menu blocks game input while open
+   * @param {string} [toggleKey='F10'] - Key code to toggle the menu
+   */
+  constructor(settings, input, toggleKey = 'F10') {
+    /** @type {import('./settings.js').Settings} Settings store */
+    this.settings = settings;
+
+    /** @type {import('./input.js').Input} Input system */
+    this.input = input;
+
+    /** @type {string} Key code to toggle the menu */
+    this.toggleKey = toggleKey;
+
+    /** @type {boolean} Whether the menu is open */
+    this.isOpen = false;
+
+    /** @type {InputContext} Context pushed while open; frees the pointer and blocks game input */
+    this.context = new InputContext(InputContexts.MENU, { pointerLock: false, blocking: true });
+    this.context.onKey(toggleKey, () => this.close());
+    this.context.onKey('Escape', () => this.close());
+
+    /** @type {HTMLDivElement|null} Menu root */
+    this.element = null;
+
+    /** @type {Map<string, function(*): void>} Updates a control from a setting value */
+    this._syncs = new Map();
+
+    this._createElements();
+    input.gameplayContext.onKey(toggleKey, () => this.open());
+    this._unsubscribe = settings.events.on(SETTINGS_CHANGED, ({ key, value }) => {
+      const sync = this._syncs.get(key);
+      if (sync) sync(value);
+    });
+  }
+
+  /**
+   * Create the menu DOM.
+   * @private
+   */
+  _createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'options-menu';
+    this.element.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      width: 420px;
+      max-height: calc(100% - 40px);
+      overflow-y: auto;
+      background: rgba(0, 0, 0, 0.9);
+      color: #00ff00;
+      font-family: 'Courier New', monospace;
+      font-size: 14px;
+      padding: 16px;
+      border: 2px solid #00ff00;
+      z-index: 10002;
+      display: none;
+    `;
+
+    const title = document.createElement('h2');
+    title.textContent = 'Options';
+    title.style.cssText = 'margin-bottom: 12px;';
+    this.element.appendChild(title);
+
+    for (const key of this.settings.getKeys()) {
+      this.element.appendChild(this._createControl(key));
+    }
+
+    const buttons = document.createElement('div');
+    buttons.style.cssText = 'display: flex; justify-content: space-between; margin-top: 14px;';
+    buttons.append(
+      this._createButton('Reset to defaults', () => this.settings.reset()),
+      this._createButton('Close', () => this.close())
+    );
+    this.element.appendChild(buttons);
+
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Create a menu button.
+   * @param {string} text - Button text
+   * @param {function(): void} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText =
+      'background: #111; color: #00ff00; border: 1px solid #00ff00; font: inherit; padding: 4px 10px; cursor: pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Create a labelled control for one setting.
+   * @param {string} key - Setting key
+   * @returns {HTMLElement} Control row
+   * @private
+   */
+  _createControl(key) {
+    const settings = this.settings;
+    const definition = settings.definitions[key];
+    const row = document.createElement('label');
+    row.style.cssText = 'display: flex; align-items: center; gap: 8px; margin: 6px 0;';
+    const label = document.createElement('span');
+    label.textContent = definition.label || key;
+    label.style.cssText = 'flex: 0 0 170px;';
+    row.appendChild(label);
+
+    const inputStyle = 'flex: 1; min-width: 0; background: #111; color: #00ff00; border: 1px solid #0a0;';
+    let control;
+    let sync;
+
+    if (definition.type === 'number') {
+      const step = definition.step || 0.01;
+      control = document.createElement('input');
+      control.type = 'range';
+      control.min = String(definition.min);
+      control.max = String(definition.max);
+      control.step = String(step);
+      control.style.cssText = 'flex: 1;';
+      const readout = document.createElement('span');
+      readout.style.cssText = 'flex: 0 0 60px; text-align: right;';
+      control.addEventListener('input', () => settings.set(key, parseFloat(control.value)));
+      sync = (value) => {
+        control.value = String(value);
+        readout.textContent = formatNumber(value, step);
+      };
+      row.append(control, readout);
+    } else if (definition.type === 'boolean') {
+      control = document.createElement('input');
+      control.type = 'checkbox';
+      control.addEventListener('change', () => settings.set(key, control.checked));
+      sync = (value) => {
+        control.checked = value;
+      };
+      row.appendChild(control);
+    } else if (definition.type === 'enum') {
+      control = document.createElement('select');
+      control.style.cssText = inputStyle;
+      for (const option of definition.options) {
+        const element = document.createElement('option');
+        element.value = option;
+        element.textContent = option;
+        control.appendChild(element);
+      }
+      control.addEventListener('change', () => settings.set(key, control.value));
+      sync = (value) => {
+        control.value = value;
+      };
+      row.appendChild(control);
+    } else {
+      control = document.createElement('input');
+      control.type = 'color';
+      control.addEventListener('input', () => settings.set(key, control.value));
+      sync = (value) => {
+        control.value = value;
+      };
+      row.appendChild(control);
+    }
+
+    sync(settings.get(key));
+    this._syncs.set(key, sync);
+    return row;
+  }
+
+  /**
+   * Open the menu. Does nothing during input playback.
+   */
+  open() {
+    if (this.isOpen || this.input.playbackMode) return;
+    this.isOpen = true;
+    this.element.style.display = 'block';
+    this.input.pushContext(this.context);
+  }
+
+  /**
+   * Close the menu and return input to the context below.
+   */
+  close() {
+    if (!this.isOpen) return;
+    this.isOpen = false;
+    this.element.style.display = 'none';
+    if (this.element.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+    this.input.removeContext(this.context);
+  }
+
+  /**
+   * Toggle the menu.
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Clean up the menu.
+   */
+  dispose() {
+    this.close();
+    this.input.gameplayContext.offKey(this.toggleKey);
+    this._unsubscribe();
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+    this._syncs.clear();
+  }
+}
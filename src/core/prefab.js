@@ -0,0 +1,202 @@
+/**
+ * Declarative prefab system.
+ * Prefabs are plain objects describing transform, tags, components and
+ * child prefabs. A prefab may extend another by name and override it.
+ *
+ * @example
+ * library.define('static_box', {
+ *   tags: ['static'],
+ *   components: { Renderable: { mesh: boxMesh, material: concrete } },
+ * });
+ * library.define('wall_concrete', {
+ *   extends: 'static_box',
+ *   tags: ['wall'],
+ *   components: { Renderable: { mesh: wallMesh } },
+ * });
+ * scene.instantiate('wall_concrete', { position: [0, 1, -5] });
+ */
+
+import { Entity } from './entity.js';
+
+/**
+ * @typedef {Object} Prefab
+ * @property {string} [extends] - Name of a prefab to inherit from
+ * @property {string} [id] - Entity id; give it per instance in overrides, since every instance of a definition would share it. Children without an id derive "<parent id>.<index>"
+ * @property {string} [name] - Entity name
+ * @property {number[]} [position] - Position [x, y, z] (local to the parent prefab for children)
+ * @property {number[]} [rotation] - Rotation [pitch, yaw, roll] in radians
+ * @property {number[]} [scale] - Scale [x, y, z]
+ * @property {boolean} [active] - Whether the entity starts active
+ * @property {string[]} [tags] - Tags (merged with inherited tags)
+ * @property {Object<string, Object|null>} [components] - Component props keyed by registered type name; null removes an inherited component
+ * @property {Array<Prefab|string>} [children] - Nested prefabs (appended to inherited children)
+ */
+
+/**
+ * Merge a prefab over a base prefab.
+ * @param {Prefab} base - Resolved base prefab
+ * @param {Prefab} over - Prefab whose fields take precedence
+ * @returns {Prefab} New merged prefab (without extends)
+ */
+function mergePrefabs(base, over) {
+  const components = {};
+  for (const [type, props] of Object.entries(base.components || {})) {
+    components[type] = { ...props };
+  }
+  for (const [type, props] of Object.entries(over.components || {})) {
+    if (props === null) {
+      delete components[type];
+    } else {
+      components[type] = { ...components[type], ...props };
+    }
+  }
+
+  return {
+    id: over.id !== undefined ? over.id : base.id,
+    name: over.name !== undefined ? over.name : base.name,
+    position: over.position || base.position,
+    rotation: over.rotation || base.rotation,
+    scale: over.scale || base.scale,
+    active: over.active !== undefined ? over.active : base.active,
+    tags: [...new Set([...(base.tags || []), ...(over.tags || [])])],
+    components,
+    children: [...(base.children || []), ...(over.children || [])],
+  };
+}
+
+/**
+ * Library of named prefab definitions bound to a component registry.
+ */
+export class PrefabLibrary {
+  /**
+   * Create a prefab library.
+   * @param {import('./componentRegistry.js').ComponentRegistry} componentRegistry - Registry used to create components
+   */
+  constructor(componentRegistry) {
+    /** @type {import('./componentRegistry.js').ComponentRegistry} Component registry */
+    this.components = componentRegistry;
+
+    /** @type {Map<string, Prefab>} Named prefab definitions */
+    this._prefabs = new Map();
+  }
+
+  /**
+   * Define a named prefab.
+   * @param {string} name - Prefab name
+   * @param {Prefab} prefab - Prefab definition
+   * @returns {PrefabLibrary} This library for chaining
+   */
+  define(name, prefab) {
+    this._prefabs.set(name, prefab);
+    return this;
+  }
+
+  /**
+   * Check if a prefab is defined.
+   * @param {string} name - Prefab name
+   * @returns {boolean} True if defined
+   */
+  has(name) {
+    return this._prefabs.has(name);
+  }
+
+  /**
+   * Get the names of all defined prefabs.
+   * @returns {Array<string>} Prefab names in definition order
+   */
+  getNames() {
+    return [...this._prefabs.keys()];
+  }
+
+  /**
+   * Get a raw (unresolved) prefab definition.
+   * @param {string} name - Prefab name
+   * @returns {Prefab|null} Prefab definition or null
+   */
+  get(name) {
+    return this._prefabs.get(name) || null;
+  }
+
+  /**
+   * Resolve a prefab and its inheritance chain into a flat prefab.
+   * @param {Prefab|string} prefab - Prefab object or name
+   * @param {Set<string>} [_visiting] - Names on the current chain (cycle detection)
+   * @returns {Prefab} Flattened prefab
+   * @throws {Error} If a prefab name is unknown or inheritance is cyclic
+   */
+  resolve(prefab, _visiting = new Set()) {
+    if (typeof prefab === 'string') {
+      if (_visiting.has(prefab)) {
+        throw new Error(`Cyclic prefab inheritance at "${prefab}"`);
+      }
+      const definition = this._prefabs.get(prefab);
+      if (!definition) {
+        throw new Error(`Unknown prefab "${prefab}"`);
+      }
+      _visiting.add(prefab);
+      const resolved = this.resolve(definition, _visiting);
+      _visiting.delete(prefab);
+      return resolved;
+    }
+
+    const base = prefab.extends ? this.resolve(prefab.extends, _visiting) : {};
+    return mergePrefabs(base, prefab);
+  }
+
+  /**
+   * Build entities from a prefab without adding them to a scene.
+   * @param {Prefab|string} prefab - Prefab object or name
+   * @param {Prefab} [overrides] - Per-instance fields merged over the prefab
+   * @returns {Array<Entity>} Built entities, root first, then nested children
+   */
+  build(prefab, overrides = null) {
+    const resolved = this.resolve(prefab);
+    const flat = overrides ? mergePrefabs(resolved, overrides) : resolved;
+    const entities = [];
+    this._buildEntity(flat, null, null, entities);
+    return entities;
+  }
+
+  /**
+   * Build one resolved prefab and its children.
+   * @param {Prefab} prefab - Resolved prefab
+   * @param {Entity|null} parent - Entity to parent the built entity to
+   * @param {string|null} derivedId - Id derived from an explicitly identified parent
+   * @param {Array<Entity>} out - Output list of built entities
+   * @returns {Entity} Built entity
+   * @private
+   */
+  _buildEntity(prefab, parent, derivedId, out) {
+    const id = prefab.id !== undefined ? prefab.id : derivedId;
+    const entity = new Entity({ id, name: prefab.name });
+
+    if (prefab.position) entity.position.set(prefab.position);
+    if (prefab.rotation) entity.rotation.set(prefab.rotation);
+    if (prefab.scale) entity.scale.set(prefab.scale);
+    if (prefab.active !== undefined) entity.active = prefab.active;
+
+    // Child transforms are authored relative to the parent prefab
+    if (parent) {
+      entity.setParent(parent);
+    }
+
+    for (const tag of prefab.tags || []) {
+      entity.addTag(tag);
+    }
+
+    for (const [type, props] of Object.entries(prefab.components || {})) {
+      entity.addComponent(this.components.create(type, props));
+    }
+
+    out.push(entity);
+
+    // Children of an explicitly identified entity get stable derived ids
+    const children = prefab.children || [];
+    for (let i = 0; i < children.length; i++) {
+      const childId = id !== null ? `${id}.${i}` : null;
+      this._buildEntity(this.resolve(children[i]), entity, childId, out);
+    }
+
+    return entity;
+  }
+}
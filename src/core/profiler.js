@@ -0,0 +1,243 @@
+/**
+ * Lightweight frame profiler.
+ * Accumulates CPU milliseconds per labelled section within a frame and keeps
+ * a rolling window of frames for averages, maxima and spike detection.
+ * Timings cover JavaScript only; GPU work submitted by WebGL is asynchronous.
+ *
+ * @example
+ * profiler.beginFrame();
+ * profiler.begin('Renderer.render');
+ * renderer.render();
+ * profiler.end('Renderer.render');
+ * profiler.endFrame();
+ */
+
+/** @type {number} Capture export format version */
+export const PROFILE_CAPTURE_VERSION = 1;
+
+/**
+ * Rolling statistics for one section.
+ * @typedef {Object} ProfileSectionStats
+ * @property {string} label - Section label
+ * @property {number} avg - Average ms per frame over the window
+ * @property {number} max - Maximum ms in a single frame over the window
+ * @property {number} last - Ms in the most recent frame
+ * @property {number} spikes - Frames in the window where the section spiked
+ */
+
+/**
+ * Frame profiler with a rolling history window.
+ */
+export class Profiler {
+  /**
+   * @param {Object} [options] - Options
+   * @param {number} [options.windowSize=120] - Frames kept for statistics
+   * @param {number} [options.spikeFactor=2] - A value spikes above this multiple of its average...
+   * @param {number} [options.spikeMinMs=1] - ...and at least this many ms above it
+   */
+  constructor({ windowSize = 120, spikeFactor = 2, spikeMinMs = 1 } = {}) {
+    /** @type {boolean} Whether timings are recorded */
+    this.enabled = true;
+
+    /** @type {number} Frames kept for statistics */
+    this.windowSize = windowSize;
+
+    /** @type {number} Spike threshold as a multiple of the average */
+    this.spikeFactor = spikeFactor;
+
+    /** @type {number} Minimum ms above the average for a spike */
+    this.spikeMinMs = spikeMinMs;
+
+    /** @type {Array<{total: number, sections: Object<string, number>}>} Completed frames, oldest first */
+    this.frames = [];
+
+    /** @type {number} Frames completed since creation or reset() */
+    this.frameCount = 0;
+
+    /** @type {Map<string, number>} Section ms accumulated in the current frame */
+    this._current = new Map();
+
+    /** @type {Map<string, number>} Start times of open sections */
+    this._open = new Map();
+
+    /** @type {number} Start time of the current frame, or -1 outside a frame */
+    this._frameStart = -1;
+  }
+
+  /**
+   * Current high-resolution time in ms.
+   * @returns {number} Timestamp
+   */
+  now() {
+    return performance.now();
+  }
+
+  /**
+   * Start a frame. Sections recorded outside a frame are ignored.
+   */
+  beginFrame() {
+    if (!this.enabled) return;
+    this._current.clear();
+    this._open.clear();
+    this._frameStart = this.now();
+  }
+
+  /**
+   * Start timing a section. Sections may nest but a label can't be open twice.
+   * @param {string} label - Section label (e.g. 'Renderer.render')
+   */
+  begin(label) {
+    if (this._frameStart < 0) return;
+    this._open.set(label, this.now());
+  }
+
+  /**
+   * Stop timing a section and add the elapsed time to it.
+   * @param {string} label - Label passed to begin()
+   */
+  end(label) {
+    const start = this._open.get(label);
+    if (start === undefined) return;
+    this._open.delete(label);
+    this.record(label, this.now() - start);
+  }
+
+  /**
+   * Add time to a section in the current frame.
+   * @param {string} label - Section label
+   * @param {number} ms - Milliseconds to add
+   */
+  record(label, ms) {
+    if (this._frameStart < 0) return;
+    this._current.set(label, (this._current.get(label) || 0) + ms);
+  }
+
+  /**
+   * Time a function as a section.
+   * @param {string} label - Section label
+   * @param {Function} fn - Function to run
+   * @returns {*} The function's return value
+   */
+  measure(label, fn) {
+    this.begin(label);
+    try {
+      return fn();
+    } finally {
+      this.end(label);
+    }
+  }
+
+  /**
+   * Finish the frame and push it into the history window.
+   */
+  endFrame() {
+    if (this._frameStart < 0) return;
+
+    const sections = {};
+    for (const [label, ms] of this._current) {
+      sections[label] = ms;
+    }
+    this.frames.push({ total: this.now() - this._frameStart, sections });
+    if (this.frames.length > this.windowSize) {
+      this.frames.shift();
+    }
+    this.frameCount++;
+    this._frameStart = -1;
+  }
+
+  /**
+   * Check whether a value is a spike relative to an average.
+   * @param {number} value - Measured ms
+   * @param {number} avg - Average ms
+   * @returns {boolean} True if spiking
+   */
+  isSpike(value, avg) {
+    return value > avg * this.spikeFactor && value - avg >= this.spikeMinMs;
+  }
+
+  /**
+   * Get rolling statistics for the whole frame.
+   * @returns {ProfileSectionStats} Stats labelled 'Frame'
+   */
+  getFrameStats() {
+    return this._computeStats('Frame', (frame) => frame.total);
+  }
+
+  /**
+   * Get rolling statistics per section, highest average first.
+   * @returns {Array<ProfileSectionStats>} Section stats
+   */
+  getStats() {
+    const labels = new Set();
+    for (const frame of this.frames) {
+      for (const label in frame.sections) {
+        labels.add(label);
+      }
+    }
+
+    const stats = [];
+    for (const label of labels) {
+      stats.push(this._computeStats(label, (frame) => frame.sections[label] || 0));
+    }
+    return stats.sort((a, b) => b.avg - a.avg);
+  }
+
+  /**
+   * Export the history window and summary as JSON-compatible data.
+   * @returns {Object} Capture data
+   */
+  exportCapture() {
+    return {
+      version: PROFILE_CAPTURE_VERSION,
+      capturedAt: new Date().toISOString(),
+      frameCount: this.frameCount,
+      windowSize: this.windowSize,
+      spikeFactor: this.spikeFactor,
+      spikeMinMs: this.spikeMinMs,
+      frame: this.getFrameStats(),
+      sections: this.getStats(),
+      frames: this.frames.map((frame) => ({
+        total: frame.total,
+        sections: { ...frame.sections },
+      })),
+    };
+  }
+
+  /**
+   * Clear the history window.
+   */
+  reset() {
+    this.frames = [];
+    this.frameCount = 0;
+    this._current.clear();
+    this._open.clear();
+    this._frameStart = -1;
+  }
+
+  /**
+   * Compute stats for one value across the window.
+   * @param {string} label - Stats label
+   * @param {function(Object): number} getValue - Reads the value from a frame
+   * @returns {ProfileSectionStats} Stats
+   * @private
+   */
+  _computeStats(label, getValue) {
+    const count = this.frames.length;
+    let sum = 0;
+    let max = 0;
+    for (const frame of this.frames) {
+      const value = getValue(frame);
+      sum += value;
+      if (value > max) max = value;
+    }
+    const avg = count > 0 ? sum / count : 0;
+
+    let spikes = 0;
+    for (const frame of this.frames) {
+      if (this.isSpike(getValue(frame), avg)) spikes++;
+    }
+
+    const last = count > 0 ? getValue(this.frames[count - 1]) : 0;
+    return { label, avg, max, last, spikes };
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Cached component queries.
+ * A Query is a live view of scene entities that have every listed
+ * component type. Scene keeps it up to date as entities and components
+ * are added or removed, so systems avoid scanning every entity per frame.
+ */
+
+/** @type {WeakMap<Function, number>} Stable ids for component classes */
+const classIds = new WeakMap();
+let nextClassId = 1;
+
+/**
+ * Build a cache key for a list of component classes. The key is
+ * order-sensitive, since a query hands components to forEach() in the
+ * order they were requested.
+ * @param {Array<Function>} componentClasses - Component class constructors
+ * @returns {string} Cache key
+ */
+export function getQueryKey(componentClasses) {
+  const ids = componentClasses.map((componentClass) => {
+    let id = classIds.get(componentClass);
+    if (id === undefined) {
+      id = nextClassId++;
+      classIds.set(componentClass, id);
+    }
+    return id;
+  });
+  return ids.join(',');
+}
+
+/**
+ * Live view of entities matching a set of component types.
+ */
+export class Query {
+  /**
+   * Create a query. Use scene.query() rather than constructing directly.
+   * @param {Array<Function>} componentClasses - Required component classes
+   */
+  constructor(componentClasses) {
+    /** @type {Array<Function>} Required component classes, in request order */
+    this.componentClasses = componentClasses.slice();
+
+    /** @type {Map<import('./entity.js').Entity, Array<import('./component.js').Component>>} Matching entity to its components (in componentClasses order) */
+    this._matches = new Map();
+  }
+
+  /**
+   * Number of matching entities (including inactive ones).
+   * @returns {number} Match count
+   */
+  get size() {
+    return this._matches.size;
+  }
+
+  /**
+   * Re-evaluate whether an entity matches.
+   * @param {import('./entity.js').Entity} entity - Entity to test
+   * @private
+   */
+  _check(entity) {
+    const components = [];
+    for (const componentClass of this.componentClasses) {
+      const component = entity.getComponent(componentClass);
+      if (!component) {
+        this._matches.delete(entity);
+        return;
+      }
+      components.push(component);
+    }
+    this._matches.set(entity, components);
+  }
+
+  /**
+   * Remove an entity from the view.
+   * @param {import('./entity.js').Entity} entity - Entity to remove
+   * @private
+   */
+  _remove(entity) {
+    this._matches.delete(entity);
+  }
+
+  /**
+   * Remove all entities from the view.
+   * @private
+   */
+  _clear() {
+    this._matches.clear();
+  }
+
+  /**
+   * Check if an entity is in the view.
+   * @param {import('./entity.js').Entity} entity - Entity to check
+   * @returns {boolean} True if matching
+   */
+  has(entity) {
+    return this._matches.has(entity);
+  }
+
+  /**
+   * Get the matched components of an entity.
+   * @param {import('./entity.js').Entity} entity - Entity in the view
+   * @returns {Array<import('./component.js').Component>|null} Components in componentClasses order, or null
+   */
+  getComponents(entity) {
+    return this._matches.get(entity) || null;
+  }
+
+  /**
+   * Call a function for each active matching entity.
+   * Inactive and destroyed entities are skipped.
+   * @param {function(import('./entity.js').Entity, ...import('./component.js').Component): void} callback - Receives the entity followed by its components in componentClasses order
+   */
+  forEach(callback) {
+    for (const [entity, components] of this._matches) {
+      if (entity.active && !entity._destroyed) {
+        callback(entity, ...components);
+      }
+    }
+  }
+
+  /**
+   * Get a snapshot array of active matching entities.
+   * @returns {Array<import('./entity.js').Entity>} Matching entities
+   */
+  getEntities() {
+    const result = [];
+    for (const entity of this._matches.keys()) {
+      if (entity.active && !entity._destroyed) {
+        result.push(entity);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the first active matching entity.
+   * @returns {import('./entity.js').Entity|null} Entity or null
+   */
+  first() {
+    for (const entity of this._matches.keys()) {
+      if (entity.active && !entity._destroyed) {
+        return entity;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Iterate all matching entities, including inactive ones.
+   * @returns {Iterator<import('./entity.js').Entity>} Entity iterator
+   */
+  [Symbol.iterator]() {
+    return this._matches.keys();
+  }
+}
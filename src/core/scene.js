@@ -1,3 +1,36 @@
+import { Component } from './component.js';
+import { Entity } from './entity.js';
+import { EventBus } from './eventBus.js';
+import { Query, getQueryKey } from './query.js';
+import { Scheduler } from './scheduler.js';
+import { SpatialHash } from './spatialHash.js';
+import {
+  SCENE_SCHEMA_VERSION,
+  migrateSceneData,
+  getComponentTypeName,
+} from './serialization.js';
+
+/** @type {WeakMap<Function, Object<string, string>>} Cached profiler labels per component class and method */
+const profileLabels = new WeakMap();
+
+/**
+ * Get the profiler label for a component class method, e.g. "PlayerController.update".
+ * @param {import('./component.js').Component} component - Component instance
+ * @param {string} method - Lifecycle method name
+ * @returns {string} Label
+ */
+function getProfileLabel(component, method) {
+  let labels = profileLabels.get(component.constructor);
+  if (!labels) {
+    labels = {};
+    profileLabels.set(component.constructor, labels);
+  }
+  if (!labels[method]) {
+    labels[method] = `${getComponentTypeName(component)}.${method}`;
+  }
+  return labels[method];
+}
+
 /**
  * Scene manages all entities and coordinates update/render cycles.
  * Provides entity lifecycle management with creation/destruction queues.
@@ -15,6 +48,94 @@ export class Scene {
 
     /** @type {Map<string, Set<import('./entity.js').Entity>>} Tag to entity lookup */
     this.taggedEntities = new Map();
+
+    /** @type {Map<string, import('./entity.js').Entity>} Id to entity lookup */
+    this._entitiesById = new Map();
+
+    /** @type {Map<string, Set<import('./entity.js').Entity>>} Name to entity lookup */
+    this._entitiesByName = new Map();
+
+    /** @type {import('./prefab.js').PrefabLibrary|null} Prefab library used by instantiate() */
+    this.prefabs = null;
+
+    /** @type {EventBus} Scene-wide event bus */
+    this.events = new EventBus();
+
+    /** @type {Map<string, Query>} Cached component queries by key */
+    this._queries = new Map();
+
+    /** @type {number} Render interpolation alpha from the last update (0-1) */
+    this.interpolationAlpha = 1;
+
+    /** @type {Scheduler} Timers and coroutines, advanced in scaled time by update() */
+    this.scheduler = new Scheduler();
+
+    /** @type {Map<string, Function>} Named scene task callbacks and routines (see defineTask) */
+    this._taskHandlers = new Map();
+
+    /** @type {Array<import('./component.js').Component>} Components of all entities, sorted by executionOrder */
+    this._orderedComponents = [];
+
+    /** @type {boolean} Whether _orderedComponents must be rebuilt */
+    this._componentOrderDirty = false;
+
+    /** @type {Array<Object>} Renderables drawn while this scene is visible (see Renderer.addRenderable) */
+    this.renderables = [];
+
+    /** @type {boolean} When stacked in a SceneManager, whether scenes below keep updating */
+    this.updateBelow = false;
+
+    /** @type {boolean} When stacked in a SceneManager, whether scenes below are still rendered */
+    this.renderBelow = false;
+
+    /** @type {import('./sceneManager.js').SceneManager|null} Manager this scene is loaded in */
+    this.manager = null;
+
+    /** @type {SpatialHash} Broadphase index of entities with a BoundsComponent */
+    this.spatialIndex = new SpatialHash();
+
+    /** @type {import('./profiler.js').Profiler|null} When set, update() times each component class and scene phase */
+    this.profiler = null;
+  }
+
+  /**
+   * Subscribe to a scene event.
+   * Components should prefer Component.subscribe(), which unsubscribes on destroy.
+   * @param {string} type - Event type (e.g. 'door_opened')
+   * @param {import('./eventBus.js').EventHandler} handler - Called with (payload, type)
+   * @param {Object} [owner] - Owner for bulk removal via events.offOwner()
+   * @returns {function(): void} Function that removes this subscription
+   */
+  on(type, handler, owner = null) {
+    return this.events.on(type, handler, owner);
+  }
+
+  /**
+   * Unsubscribe a handler from a scene event.
+   * @param {string} type - Event type
+   * @param {import('./eventBus.js').EventHandler} handler - Handler passed to on()
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Dispatch a scene event to all handlers immediately.
+   * @param {string} type - Event type
+   * @param {*} [payload] - Event payload
+   */
+  emit(type, payload) {
+    this.events.emit(type, payload);
+  }
+
+  /**
+   * Queue a scene event, dispatched at the end of update() after
+   * pending entity changes are processed.
+   * @param {string} type - Event type
+   * @param {*} [payload] - Event payload
+   */
+  queue(type, payload) {
+    this.events.queue(type, payload);
   }
 
   /**
@@ -25,7 +146,8 @@ export class Scene {
    */
   addEntity(entity) {
     // Skip if already in scene or pending addition
-    if (!this.entities.includes(entity)) {
+    if (!this.entities.includes(entity) && !this.entitiesToAdd.has(entity)) {
+      this._assertIdAvailable(entity);
       this.entitiesToAdd.add(entity);
     }
     return entity;
@@ -42,14 +164,14 @@ export class Scene {
     if (this.entities.includes(entity)) {
       return entity;
     }
+    this._assertIdAvailable(entity);
 
     entity.scene = this;
     this.entities.push(entity);
+    this._addEntityToIndices(entity);
 
-    // Add to tag index
-    for (const tag of entity.tags) {
-      this._addEntityToTagIndex(entity, tag);
-    }
+    // Add to matching queries and the update order
+    this._onEntityComponentsChanged(entity);
 
     // Call start on all components
     entity._onAddedToScene();
@@ -57,6 +179,104 @@ export class Scene {
     return entity;
   }
 
+  /**
+   * Build an entity from a prefab and add it to the scene.
+   * Nested child prefabs are added as well.
+   * Entities are added at the end of the current frame.
+   * @param {import('./prefab.js').Prefab|string} prefab - Prefab object or name
+   * @param {import('./prefab.js').Prefab} [overrides] - Per-instance fields merged over the prefab
+   * @returns {import('./entity.js').Entity} The root entity
+   * @throws {Error} If no prefab library is set
+   */
+  instantiate(prefab, overrides = null) {
+    if (!this.prefabs) {
+      throw new Error('Scene has no prefab library; set scene.prefabs first');
+    }
+
+    const entities = this.prefabs.build(prefab, overrides);
+    for (const entity of entities) {
+      this.addEntity(entity);
+    }
+    return entities[0];
+  }
+
+  /**
+   * Name a callback or generator function for scene tasks. Tasks scheduled
+   * by name are saved with the scene; functions passed directly are not.
+   * Handlers run with the scene as `this`.
+   * @param {string} name - Task name
+   * @param {Function} handler - Callback or generator function
+   * @returns {Scene} This scene for chaining
+   */
+  defineTask(name, handler) {
+    this._taskHandlers.set(name, handler);
+    return this;
+  }
+
+  /**
+   * Look up a named scene task. Called by the scheduler for tasks this scene owns.
+   * @param {string} name - Task name
+   * @returns {Function|null} Handler, or null if not defined
+   */
+  resolveTask(name) {
+    return this._taskHandlers.get(name) || null;
+  }
+
+  /**
+   * Run a callback once after a delay in scene (scaled) time.
+   * Components should prefer Component.after(), which cancels on destroy.
+   * @param {number} seconds - Seconds to wait
+   * @param {Function|string} callback - Callback, or task name (see defineTask)
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  after(seconds, callback, ...args) {
+    return this.scheduler.after(seconds, callback, this, ...args);
+  }
+
+  /**
+   * Run a callback repeatedly in scene (scaled) time until cancelled.
+   * @param {number} seconds - Seconds between runs
+   * @param {Function|string} callback - Callback, or task name (see defineTask)
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  every(seconds, callback, ...args) {
+    return this.scheduler.every(seconds, callback, this, ...args);
+  }
+
+  /**
+   * Start a generator coroutine not owned by any component.
+   * @param {GeneratorFunction|string} routine - Generator function, or task name (see defineTask)
+   * @param {...*} args - Arguments passed to the routine
+   * @returns {import('./scheduler.js').ScheduledTask} Task handle
+   */
+  startCoroutine(routine, ...args) {
+    return this.scheduler.startCoroutine(routine, this, ...args);
+  }
+
+  /**
+   * Register a renderable to draw while this scene is visible.
+   * Renderable components usually call this from onEnable().
+   * @param {Object} renderable - Renderable object (see Renderer.addRenderable)
+   */
+  addRenderable(renderable) {
+    if (!this.renderables.includes(renderable)) {
+      this.renderables.push(renderable);
+    }
+  }
+
+  /**
+   * Unregister a renderable.
+   * @param {Object} renderable - Renderable passed to addRenderable()
+   */
+  removeRenderable(renderable) {
+    const index = this.renderables.indexOf(renderable);
+    if (index !== -1) {
+      this.renderables.splice(index, 1);
+    }
+  }
+
   /**
    * Remove an entity from the scene.
    * Entity will be removed at the end of the current frame.
@@ -75,10 +295,14 @@ export class Scene {
     for (const entity of this.entitiesToRemove) {
       const index = this.entities.indexOf(entity);
       if (index >= 0) {
-        // Remove from tag index
-        for (const tag of entity.tags) {
-          this._removeEntityFromTagIndex(entity, tag);
+        // Remove from tag, id and name indices
+        this._removeEntityFromIndices(entity);
+
+        // Remove from queries
+        for (const query of this._queries.values()) {
+          query._remove(entity);
         }
+        this._componentOrderDirty = true;
 
         // Destroy entity if not already destroyed
         if (!entity._destroyed) {
@@ -102,11 +326,10 @@ export class Scene {
       if (this.entities.includes(entity)) continue;
       entity.scene = this;
       this.entities.push(entity);
+      this._addEntityToIndices(entity);
 
-      // Add to tag index
-      for (const tag of entity.tags) {
-        this._addEntityToTagIndex(entity, tag);
-      }
+      // Add to matching queries and the update order
+      this._onEntityComponentsChanged(entity);
 
       // Call start on all components
       entity._onAddedToScene();
@@ -114,6 +337,86 @@ export class Scene {
     this.entitiesToAdd.clear();
   }
 
+  /**
+   * Throw if another entity in the scene, or pending addition, has this
+   * entity's id. Entities pending removal free their id, since removals are
+   * processed before additions.
+   * @param {import('./entity.js').Entity} entity - Entity about to be added
+   * @throws {Error} If the id is taken
+   * @private
+   */
+  _assertIdAvailable(entity) {
+    const existing = this._entitiesById.get(entity.id);
+    let taken = existing && existing !== entity && !this.entitiesToRemove.has(existing);
+    if (!taken) {
+      for (const pending of this.entitiesToAdd) {
+        if (pending !== entity && pending.id === entity.id) {
+          taken = true;
+          break;
+        }
+      }
+    }
+    if (taken) {
+      throw new Error(`An entity with id "${entity.id}" is already in the scene`);
+    }
+  }
+
+  /**
+   * Add an entity to the tag, id and name indices.
+   * @param {import('./entity.js').Entity} entity - Entity joining the scene
+   * @private
+   */
+  _addEntityToIndices(entity) {
+    for (const tag of entity.tags) {
+      this._addEntityToTagIndex(entity, tag);
+    }
+    this._entitiesById.set(entity.id, entity);
+    this._addEntityToNameIndex(entity);
+  }
+
+  /**
+   * Remove an entity from the tag, id and name indices.
+   * @param {import('./entity.js').Entity} entity - Entity leaving the scene
+   * @private
+   */
+  _removeEntityFromIndices(entity) {
+    for (const tag of entity.tags) {
+      this._removeEntityFromTagIndex(entity, tag);
+    }
+    if (this._entitiesById.get(entity.id) === entity) {
+      this._entitiesById.delete(entity.id);
+    }
+    this._removeEntityFromNameIndex(entity);
+  }
+
+  /**
+   * Add entity to name index (no-op for unnamed entities).
+   * @param {import('./entity.js').Entity} entity - Entity to add
+   * @private
+   */
+  _addEntityToNameIndex(entity) {
+    if (entity.name === null || entity.name === undefined) return;
+    if (!this._entitiesByName.has(entity.name)) {
+      this._entitiesByName.set(entity.name, new Set());
+    }
+    this._entitiesByName.get(entity.name).add(entity);
+  }
+
+  /**
+   * Remove entity from name index.
+   * @param {import('./entity.js').Entity} entity - Entity to remove
+   * @private
+   */
+  _removeEntityFromNameIndex(entity) {
+    const nameSet = this._entitiesByName.get(entity.name);
+    if (nameSet) {
+      nameSet.delete(entity);
+      if (nameSet.size === 0) {
+        this._entitiesByName.delete(entity.name);
+      }
+    }
+  }
+
   /**
    * Add entity to tag index.
    * @param {import('./entity.js').Entity} entity - Entity to add
@@ -166,6 +469,38 @@ export class Scene {
     return null;
   }
 
+  /**
+   * Find an entity by id.
+   * @param {string} id - Entity id
+   * @returns {import('./entity.js').Entity|null} Entity or null
+   */
+  findById(id) {
+    return this._entitiesById.get(id) || null;
+  }
+
+  /**
+   * Find the first entity with a name.
+   * @param {string} name - Entity name
+   * @returns {import('./entity.js').Entity|null} Entity or null
+   */
+  findByName(name) {
+    const nameSet = this._entitiesByName.get(name);
+    if (nameSet && nameSet.size > 0) {
+      return nameSet.values().next().value;
+    }
+    return null;
+  }
+
+  /**
+   * Find all entities with a name.
+   * @param {string} name - Entity name
+   * @returns {Array<import('./entity.js').Entity>} Array of entities with name
+   */
+  findAllByName(name) {
+    const nameSet = this._entitiesByName.get(name);
+    return nameSet ? Array.from(nameSet) : [];
+  }
+
   /**
    * Get all components of a specific type from all entities.
    * @param {Function} componentClass - Component class constructor
@@ -180,18 +515,179 @@ export class Scene {
     return result;
   }
 
+  /**
+   * Get a live view of entities that have all of the given component types.
+   * Views are cached per component set and maintained incrementally as
+   * entities and components are added or removed.
+   * @param {Array<Function>} componentClasses - Required component classes
+   * @returns {Query} Cached query view
+   */
+  query(componentClasses) {
+    const key = getQueryKey(componentClasses);
+    let query = this._queries.get(key);
+    if (!query) {
+      query = new Query(componentClasses);
+      for (const entity of this.entities) {
+        query._check(entity);
+      }
+      this._queries.set(key, query);
+    }
+    return query;
+  }
+
+  /**
+   * Re-evaluate an entity against all cached queries and mark the
+   * component update order for rebuilding.
+   * Called when the entity joins the scene or its components change.
+   * @param {import('./entity.js').Entity} entity - Entity to re-evaluate
+   * @private
+   */
+  _onEntityComponentsChanged(entity) {
+    for (const query of this._queries.values()) {
+      query._check(entity);
+    }
+    this._componentOrderDirty = true;
+  }
+
+  /**
+   * Get all components in the scene sorted by their class executionOrder.
+   * Rebuilt lazily after entities or components change; the sort is stable,
+   * so equal priorities keep entity and insertion order.
+   * @returns {Array<import('./component.js').Component>} Ordered components
+   * @private
+   */
+  _getOrderedComponents() {
+    if (this._componentOrderDirty) {
+      const components = [];
+      for (const entity of this.entities) {
+        components.push(...entity.components);
+      }
+      components.sort(
+        (a, b) =>
+          (a.constructor.executionOrder || 0) -
+          (b.constructor.executionOrder || 0)
+      );
+      this._orderedComponents = components;
+      this._componentOrderDirty = false;
+    }
+    return this._orderedComponents;
+  }
+
+  /**
+   * Call a lifecycle method on every enabled component of an active entity,
+   * in execution order.
+   * @param {'fixedUpdate'|'update'|'lateUpdate'} method - Component method name
+   * @param {number} dt - Delta time passed to the method
+   * @private
+   */
+  _runComponents(method, dt) {
+    const profiler = this.profiler && this.profiler.enabled ? this.profiler : null;
+
+    // The cached array is replaced, not mutated, when components change
+    for (const component of this._getOrderedComponents()) {
+      const entity = component.entity;
+      if (
+        entity &&
+        entity.scene === this &&
+        entity.active &&
+        !entity._destroyed &&
+        component.enabled &&
+        component[method]
+      ) {
+        // Base-class no-ops aren't worth listing in the breakdown
+        if (profiler && component[method] !== Component.prototype[method]) {
+          const start = profiler.now();
+          component[method](dt);
+          profiler.record(getProfileLabel(component, method), profiler.now() - start);
+        } else {
+          component[method](dt);
+        }
+      }
+    }
+  }
+
+  /**
+   * Find entities with a BoundsComponent whose world box intersects a sphere.
+   * @param {Float32Array|Array<number>} position - Sphere center [x, y, z]
+   * @param {number} radius - Sphere radius
+   * @param {Array<import('./entity.js').Entity>} [out=[]] - Array to append results to
+   * @returns {Array<import('./entity.js').Entity>} Matching entities
+   */
+  queryRadius(position, radius, out = []) {
+    return this.spatialIndex.queryRadius(position, radius, out);
+  }
+
+  /**
+   * Find entities with a BoundsComponent whose world box intersects a box.
+   * @param {import('./frustumCulling.js').AABB} aabb - World-space query box
+   * @param {Array<import('./entity.js').Entity>} [out=[]] - Array to append results to
+   * @returns {Array<import('./entity.js').Entity>} Matching entities
+   */
+  queryAABB(aabb, out = []) {
+    return this.spatialIndex.queryAABB(aabb, out);
+  }
+
+  /**
+   * Find entities with a BoundsComponent whose world box a ray passes
+   * through, nearest first. Use as candidates for precise ray tests.
+   * @param {Float32Array|Array<number>} origin - Ray origin [x, y, z]
+   * @param {Float32Array|Array<number>} direction - Ray direction (unit length)
+   * @param {number} [maxDistance=Infinity] - Maximum distance along the ray
+   * @param {Array<import('./entity.js').Entity>} [out=[]] - Array to append results to
+   * @returns {Array<import('./entity.js').Entity>} Candidate entities
+   */
+  queryRay(origin, direction, maxDistance = Infinity, out = []) {
+    return this.spatialIndex.queryRay(origin, direction, maxDistance, out);
+  }
+
+  /**
+   * Run one fixed-timestep pass over all active entities.
+   * @param {number} fixedDt - Fixed delta time in seconds
+   */
+  fixedUpdate(fixedDt) {
+    for (const entity of this.entities) {
+      if (entity.interpolate && entity.active && !entity._destroyed) {
+        entity.storePreviousTransform();
+      }
+    }
+    this._runComponents('fixedUpdate', fixedDt);
+  }
+
   /**
    * Update all active entities.
+   * When a Time instance is given, first runs time.fixedStepCount fixed
+   * passes of time.fixedDeltaTime and records the interpolation alpha.
+   * Components then run update() and, once all have updated, lateUpdate(),
+   * each pass ordered by the component class's executionOrder.
    * @param {number} dt - Delta time in seconds
+   * @param {import('./time.js').Time} [time] - Time system driving fixed steps
    */
-  update(dt) {
-    for (const entity of this.entities) {
-      if (entity.active && !entity._destroyed) {
-        entity.update(dt);
+  update(dt, time = null) {
+    if (time) {
+      for (let i = 0; i < time.fixedStepCount; i++) {
+        this.fixedUpdate(time.fixedDeltaTime);
       }
+      this.interpolationAlpha = time.interpolationAlpha;
     }
 
+    this._runComponents('update', dt);
+    this._runComponents('lateUpdate', dt);
+
+    const profiler = this.profiler && this.profiler.enabled ? this.profiler : null;
+
+    // Advance timers and coroutines (dt is already scaled by Time.timeScale)
+    if (profiler) profiler.begin('Scene.scheduler');
+    this.scheduler.update(dt);
+    if (profiler) profiler.end('Scene.scheduler');
+
+    if (profiler) profiler.begin('Scene.pendingChanges');
     this.processPendingChanges();
+    if (profiler) profiler.end('Scene.pendingChanges');
+
+    // Dispatch deferred events once entity changes have settled
+    if (profiler) profiler.begin('Scene.events');
+    this.events.flush();
+    if (profiler) profiler.end('Scene.events');
   }
 
   /**
@@ -203,7 +699,76 @@ export class Scene {
   }
 
   /**
-   * Clear all entities from the scene.
+   * Serialize the scene to versioned, JSON-compatible save data.
+   * Includes entities pending addition and skips those pending removal.
+   * Child entities are nested inside their root entity's data; scene tasks
+   * scheduled by name are saved alongside them.
+   * @returns {{version: number, entities: Array<Object>, tasks: Array<Object>}} Scene save data
+   */
+  serialize() {
+    const entities = [];
+    for (const entity of this.entities) {
+      if (
+        !entity.parent &&
+        !entity._destroyed &&
+        !this.entitiesToRemove.has(entity)
+      ) {
+        entities.push(entity.serialize());
+      }
+    }
+    for (const entity of this.entitiesToAdd) {
+      if (!entity.parent && !entity._destroyed) {
+        entities.push(entity.serialize());
+      }
+    }
+
+    return {
+      version: SCENE_SCHEMA_VERSION,
+      entities,
+      tasks: this.scheduler.serializeOwner(this),
+    };
+  }
+
+  /**
+   * Create a scene from save data produced by serialize().
+   * Older schema versions are migrated before loading. Saved scene tasks
+   * are restored once the entities are in, so their handlers must be
+   * passed here rather than defined on the returned scene.
+   * @param {string|Object} json - JSON string or parsed save data
+   * @param {{create: function(string): Object, has: function(string): boolean}|Map<string, Function>|Object<string, Function>} registry - Component types by name; a registry with create() builds components with its factories
+   * @param {Object<string, Function>} [taskHandlers] - Named scene tasks (see defineTask)
+   * @returns {Scene} New scene with all entities added and started
+   * @throws {Error} If the data version is unsupported or a component type is unknown
+   */
+  static deserialize(json, registry, taskHandlers = {}) {
+    const data = migrateSceneData(
+      typeof json === 'string' ? JSON.parse(json) : json
+    );
+
+    const scene = new Scene();
+    for (const [name, handler] of Object.entries(taskHandlers)) {
+      scene.defineTask(name, handler);
+    }
+
+    const addWithChildren = (entity) => {
+      scene.addEntityImmediate(entity);
+      for (const child of entity.children) {
+        addWithChildren(child);
+      }
+    };
+    for (const entityData of data.entities || []) {
+      addWithChildren(Entity.deserialize(entityData, registry));
+    }
+    if (data.tasks) {
+      scene.scheduler.restoreOwner(scene, data.tasks);
+    }
+
+    return scene;
+  }
+
+  /**
+   * Clear all entities from the scene, along with its scheduled tasks and
+   * event listeners.
    */
   clear() {
     // Destroy all entities
@@ -218,5 +783,16 @@ export class Scene {
     this.entitiesToAdd.clear();
     this.entitiesToRemove.clear();
     this.taggedEntities.clear();
+    this._entitiesById.clear();
+    this._entitiesByName.clear();
+    for (const query of this._queries.values()) {
+      query._clear();
+    }
+    this._orderedComponents = [];
+    this._componentOrderDirty = false;
+    this.renderables = [];
+    this.spatialIndex.clear();
+    this.scheduler.clear();
+    this.events.clear();
   }
 }
@@ -0,0 +1,291 @@
+/**
+ * Scene Manager
+ * Keeps a stack of scenes (e.g. gameplay with a pause overlay on top) plus
+ * additive scenes loaded alongside a stacked scene (e.g. facility zones).
+ * Each stacked scene's updateBelow/renderBelow flags decide whether the
+ * scenes beneath it keep updating and rendering.
+ */
+
+/**
+ * Event types emitted on a scene's own event bus by SceneManager.
+ * Payload for all: {manager: SceneManager}
+ * @readonly
+ * @enum {string}
+ */
+export const SceneEvents = Object.freeze({
+  /** The scene was pushed or loaded additively. */
+  ENTERED: 'scene_entered',
+  /** The scene was popped, replaced or unloaded. */
+  EXITED: 'scene_exited',
+  /** Another scene was pushed on top of this one. */
+  COVERED: 'scene_covered',
+  /** The scene above this one was popped. */
+  UNCOVERED: 'scene_uncovered',
+});
+
+/**
+ * @typedef {Object} SceneLayer
+ * @property {import('./scene.js').Scene} scene - Stacked scene
+ * @property {Array<import('./scene.js').Scene>} additive - Scenes loaded alongside it
+ */
+
+/**
+ * Stack of scenes with additive loading.
+ */
+export class SceneManager {
+  constructor() {
+    /** @type {Array<SceneLayer>} Stacked layers, bottom first */
+    this._layers = [];
+
+    /** @type {Array<Object>} Reused render list built by render() */
+    this._renderList = [];
+
+    /** @type {import('./profiler.js').Profiler|null} Profiler given to every loaded scene */
+    this.profiler = null;
+  }
+
+  /**
+   * Profile all loaded scenes and those loaded later.
+   * @param {import('./profiler.js').Profiler|null} profiler - Profiler, or null to stop profiling
+   */
+  setProfiler(profiler) {
+    this.profiler = profiler;
+    for (const scene of this.getScenes()) {
+      scene.profiler = profiler;
+    }
+  }
+
+  /**
+   * Get the top stacked scene.
+   * @returns {import('./scene.js').Scene|null} Active scene or null if empty
+   */
+  getActiveScene() {
+    const layer = this._layers[this._layers.length - 1];
+    return layer ? layer.scene : null;
+  }
+
+  /**
+   * Get all loaded scenes, bottom first, each followed by its additive scenes.
+   * @returns {Array<import('./scene.js').Scene>} Loaded scenes
+   */
+  getScenes() {
+    const scenes = [];
+    for (const layer of this._layers) {
+      scenes.push(layer.scene, ...layer.additive);
+    }
+    return scenes;
+  }
+
+  /**
+   * Check if a scene is loaded (stacked or additive).
+   * @param {import('./scene.js').Scene} scene - Scene to check
+   * @returns {boolean} True if loaded
+   */
+  has(scene) {
+    return this._findLayer(scene) !== null;
+  }
+
+  /**
+   * Push a scene on top of the stack.
+   * @param {import('./scene.js').Scene} scene - Scene to push
+   * @returns {import('./scene.js').Scene} The pushed scene
+   * @throws {Error} If the scene is already loaded
+   */
+  push(scene) {
+    this._assertNotLoaded(scene);
+
+    const below = this.getActiveScene();
+    this._layers.push({ scene, additive: [] });
+    if (below) {
+      below.emit(SceneEvents.COVERED, { manager: this });
+    }
+    this._enter(scene);
+    return scene;
+  }
+
+  /**
+   * Pop the top scene and unload its additive scenes.
+   * Popped scenes are not cleared; call scene.clear() to discard one.
+   * @returns {import('./scene.js').Scene|null} The popped scene, or null if empty
+   */
+  pop() {
+    const layer = this._layers.pop();
+    if (!layer) return null;
+
+    for (const additive of layer.additive) {
+      this._exit(additive);
+    }
+    this._exit(layer.scene);
+
+    const uncovered = this.getActiveScene();
+    if (uncovered) {
+      uncovered.emit(SceneEvents.UNCOVERED, { manager: this });
+    }
+    return layer.scene;
+  }
+
+  /**
+   * Replace the top scene (and its additive scenes) with another.
+   * The scene below is not uncovered in between.
+   * @param {import('./scene.js').Scene} scene - Scene to push
+   * @returns {import('./scene.js').Scene|null} The replaced scene, or null if the stack was empty
+   * @throws {Error} If the scene is already loaded
+   */
+  replace(scene) {
+    this._assertNotLoaded(scene);
+
+    const layer = this._layers.pop() || null;
+    if (layer) {
+      for (const additive of layer.additive) {
+        this._exit(additive);
+      }
+      this._exit(layer.scene);
+    }
+
+    this._layers.push({ scene, additive: [] });
+    this._enter(scene);
+    return layer ? layer.scene : null;
+  }
+
+  /**
+   * Load a scene additively alongside a stacked scene. Additive scenes update
+   * and render together with that scene and are unloaded when it is popped.
+   * @param {import('./scene.js').Scene} scene - Scene to load
+   * @param {import('./scene.js').Scene} [base] - Stacked scene to attach to (defaults to the active scene)
+   * @returns {import('./scene.js').Scene} The loaded scene
+   * @throws {Error} If the scene is already loaded or base is not a stacked scene
+   */
+  loadAdditive(scene, base = this.getActiveScene()) {
+    this._assertNotLoaded(scene);
+
+    const layer = this._layers.find((l) => l.scene === base);
+    if (!layer) {
+      throw new Error('loadAdditive() needs a stacked base scene; push one first');
+    }
+
+    layer.additive.push(scene);
+    this._enter(scene);
+    return scene;
+  }
+
+  /**
+   * Unload a scene previously loaded with loadAdditive().
+   * @param {import('./scene.js').Scene} scene - Additive scene to unload
+   * @returns {boolean} True if the scene was unloaded
+   */
+  unloadAdditive(scene) {
+    for (const layer of this._layers) {
+      const index = layer.additive.indexOf(scene);
+      if (index !== -1) {
+        layer.additive.splice(index, 1);
+        this._exit(scene);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Update the top layer and every layer below it that is allowed to update.
+   * Layers update bottom first; scenes popped mid-update are skipped.
+   * @param {number} dt - Delta time in seconds
+   * @param {import('./time.js').Time} [time] - Time system driving fixed steps
+   */
+  update(dt, time = null) {
+    const layers = this._getLayersThrough('updateBelow');
+    for (const layer of layers) {
+      for (const scene of [layer.scene, ...layer.additive]) {
+        if (scene.manager === this) {
+          scene.update(dt, time);
+        }
+      }
+    }
+  }
+
+  /**
+   * Render the top layer and every layer below it that is allowed to render.
+   * Scenes are drawn bottom first, each with its registered renderables.
+   * @param {import('../gl/renderer.js').Renderer} renderer - Renderer to draw with
+   */
+  render(renderer) {
+    const list = this._renderList;
+    list.length = 0;
+    for (const layer of this._getLayersThrough('renderBelow')) {
+      list.push(...layer.scene.renderables);
+      for (const additive of layer.additive) {
+        list.push(...additive.renderables);
+      }
+    }
+    renderer.render(list);
+  }
+
+  /**
+   * Pop every scene.
+   */
+  clear() {
+    while (this._layers.length > 0) {
+      this.pop();
+    }
+  }
+
+  /**
+   * Collect the top layer and those below it reachable through a flag.
+   * @param {'updateBelow'|'renderBelow'} flag - Scene flag to follow downwards
+   * @returns {Array<SceneLayer>} Layers, bottom first
+   * @private
+   */
+  _getLayersThrough(flag) {
+    let start = this._layers.length - 1;
+    while (start > 0 && this._layers[start].scene[flag]) {
+      start--;
+    }
+    return this._layers.slice(Math.max(start, 0));
+  }
+
+  /**
+   * Find the layer a scene is loaded in.
+   * @param {import('./scene.js').Scene} scene - Scene to find
+   * @returns {SceneLayer|null} Layer or null
+   * @private
+   */
+  _findLayer(scene) {
+    for (const layer of this._layers) {
+      if (layer.scene === scene || layer.additive.includes(scene)) {
+        return layer;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @param {import('./scene.js').Scene} scene - Scene about to be loaded
+   * @throws {Error} If the scene is already loaded
+   * @private
+   */
+  _assertNotLoaded(scene) {
+    if (this.has(scene)) {
+      throw new Error('Scene is already loaded in this SceneManager');
+    }
+  }
+
+  /**
+   * @param {import('./scene.js').Scene} scene - Scene being loaded
+   * @private
+   */
+  _enter(scene) {
+    scene.manager = this;
+    if (this.profiler) {
+      scene.profiler = this.profiler;
+    }
+    scene.emit(SceneEvents.ENTERED, { manager: this });
+  }
+
+  /**
+   * @param {import('./scene.js').Scene} scene - Scene being unloaded
+   * @private
+   */
+  _exit(scene) {
+    scene.emit(SceneEvents.EXITED, { manager: this });
+    scene.manager = null;
+  }
+}
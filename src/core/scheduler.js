@@ -0,0 +1,429 @@
+/**
+ * Timer and coroutine scheduler.
+ * Runs delayed callbacks, repeating timers and generator-based coroutines
+ * on scene time, so they respect Time.timeScale.
+ *
+ * @example
+ * *flickerThenOpen() {
+ *   this.light.flicker = true;
+ *   yield wait(2);
+ *   this.light.flicker = false;
+ *   this.door.open();
+ *   yield until(() => !this.player.isLookingAt(this.entity));
+ * }
+ */
+
+/**
+ * Coroutine instruction: resume after a number of seconds.
+ * @param {number} seconds - Scaled seconds to wait
+ * @returns {{wait: number}} Yield instruction
+ */
+export function wait(seconds) {
+  return { wait: seconds };
+}
+
+/**
+ * Coroutine instruction: resume once a predicate returns true.
+ * Checked once per scheduler update.
+ * @param {function(): boolean} predicate - Condition to wait for
+ * @returns {{until: function(): boolean}} Yield instruction
+ */
+export function until(predicate) {
+  return { until: predicate };
+}
+
+/**
+ * Handle for a scheduled timer or coroutine.
+ * Callbacks and routines given as method names (strings) are invoked on the
+ * owner and can be saved with the scene. An owner with a resolveTask(name)
+ * method (e.g. Scene) looks names up itself instead.
+ */
+export class ScheduledTask {
+  /**
+   * @param {Scheduler} scheduler - Owning scheduler
+   * @param {'after'|'every'|'coroutine'} kind - Task kind
+   * @param {Function|string} callback - Callback, generator function, or owner method name
+   * @param {Array<*>} args - Arguments for the callback or routine
+   * @param {Object|null} owner - Owner (usually a Component)
+   */
+  constructor(scheduler, kind, callback, args, owner) {
+    /** @type {Scheduler} */
+    this.scheduler = scheduler;
+
+    /** @type {'after'|'every'|'coroutine'} Task kind */
+    this.kind = kind;
+
+    /** @type {Function|string} Callback, generator function, or owner method name */
+    this.callback = callback;
+
+    /** @type {Array<*>} Arguments for the callback or routine */
+    this.args = args;
+
+    /** @type {Object|null} Owner the callback is invoked on */
+    this.owner = owner;
+
+    /** @type {number} Seconds until the next run (timers and coroutine waits) */
+    this.remaining = 0;
+
+    /** @type {number} Repeat interval in seconds (every) */
+    this.interval = 0;
+
+    /** @type {Iterator|null} Running coroutine */
+    this.iterator = null;
+
+    /** @type {function(): boolean|null} Coroutine resume condition */
+    this.condition = null;
+
+    /** @type {ScheduledTask|null} Coroutine waiting on another task */
+    this.awaiting = null;
+
+    /** @type {boolean} Whether the task has finished or been cancelled */
+    this.done = false;
+
+    /** @type {number} Yields the coroutine has reached; saved so a load resumes at the same one */
+    this.step = 0;
+
+    /** @type {boolean} Whether the coroutine body is currently executing */
+    this._running = false;
+  }
+
+  /**
+   * Whether the task can be written to a save (callback is a method name).
+   * @returns {boolean} True if serializable
+   */
+  get serializable() {
+    return typeof this.callback === 'string';
+  }
+
+  /**
+   * Cancel the task. Safe to call more than once.
+   */
+  cancel() {
+    this.scheduler.cancel(this);
+  }
+
+  /**
+   * Resolve the callback to a function.
+   * @returns {Function} Callable function
+   * @private
+   */
+  _resolve() {
+    if (typeof this.callback === 'string') {
+      const owner = this.owner;
+      let fn = null;
+      if (owner) {
+        fn =
+          typeof owner.resolveTask === 'function'
+            ? owner.resolveTask(this.callback)
+            : owner[this.callback];
+      }
+      if (typeof fn !== 'function') {
+        throw new Error(`Scheduled method "${this.callback}" not found on owner`);
+      }
+      return fn;
+    }
+    return this.callback;
+  }
+}
+
+/**
+ * Scheduler for timers and coroutines.
+ */
+export class Scheduler {
+  constructor() {
+    /** @type {Array<ScheduledTask>} Active tasks */
+    this._tasks = [];
+
+    /**
+     * True while restoreOwner() replays a coroutine up to its saved yield.
+     * The code between earlier yields runs again at once, so routines should
+     * skip one-shot effects (spawns, sounds) while this is set.
+     * @type {boolean}
+     */
+    this.restoring = false;
+  }
+
+  /**
+   * Run a callback once after a delay.
+   * @param {number} seconds - Scaled seconds to wait
+   * @param {Function|string} callback - Function, or method name on owner
+   * @param {Object} [owner] - Owner for cancelOwner() and method lookup
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {ScheduledTask} Task handle
+   */
+  after(seconds, callback, owner = null, ...args) {
+    const task = new ScheduledTask(this, 'after', callback, args, owner);
+    task.remaining = Math.max(0, seconds);
+    this._tasks.push(task);
+    return task;
+  }
+
+  /**
+   * Run a callback repeatedly at an interval until cancelled.
+   * @param {number} seconds - Scaled seconds between runs
+   * @param {Function|string} callback - Function, or method name on owner
+   * @param {Object} [owner] - Owner for cancelOwner() and method lookup
+   * @param {...*} args - Arguments passed to the callback
+   * @returns {ScheduledTask} Task handle
+   * @throws {Error} If the interval is not positive
+   */
+  every(seconds, callback, owner = null, ...args) {
+    if (!(seconds > 0)) {
+      throw new Error('every() interval must be greater than zero');
+    }
+    const task = new ScheduledTask(this, 'every', callback, args, owner);
+    task.interval = seconds;
+    task.remaining = seconds;
+    this._tasks.push(task);
+    return task;
+  }
+
+  /**
+   * Start a generator-based coroutine. It runs immediately up to its first yield.
+   * Yield wait(seconds), a number of seconds, until(predicate), another task
+   * (resume when it is done), or nothing (resume next update).
+   * @param {GeneratorFunction|string} routine - Generator function, or generator method name on owner
+   * @param {Object} [owner] - Owner used as `this` and for cancelOwner()
+   * @param {...*} args - Arguments passed to the routine
+   * @returns {ScheduledTask} Task handle
+   */
+  startCoroutine(routine, owner = null, ...args) {
+    const task = new ScheduledTask(this, 'coroutine', routine, args, owner);
+    task.iterator = task._resolve().apply(owner, args);
+    this._tasks.push(task);
+    this._resume(task);
+    return task;
+  }
+
+  /**
+   * Cancel a task.
+   * @param {ScheduledTask} task - Task to cancel
+   */
+  cancel(task) {
+    if (task.done) return;
+    task.done = true;
+    const index = this._tasks.indexOf(task);
+    if (index >= 0) {
+      this._tasks.splice(index, 1);
+    }
+    // A coroutine cancelling itself can't be closed while it is executing
+    if (task.iterator && !task._running) {
+      task.iterator.return();
+    }
+  }
+
+  /**
+   * Cancel all tasks registered with an owner.
+   * @param {Object} owner - Owner passed when scheduling
+   */
+  cancelOwner(owner) {
+    for (const task of this._tasks.slice()) {
+      if (task.owner === owner) {
+        this.cancel(task);
+      }
+    }
+  }
+
+  /**
+   * Advance all tasks.
+   * @param {number} dt - Scaled delta time in seconds
+   */
+  update(dt) {
+    // Snapshot: tasks scheduled during this update start next update
+    for (const task of this._tasks.slice()) {
+      if (task.done) continue;
+
+      try {
+        if (task.kind === 'coroutine') {
+          this._tickCoroutine(task, dt);
+        } else {
+          this._tickTimer(task, dt);
+        }
+      } catch (error) {
+        console.error('Error in scheduled task:', error);
+        this.cancel(task);
+      }
+    }
+  }
+
+  /**
+   * Advance a timer task.
+   * @param {ScheduledTask} task - Timer task
+   * @param {number} dt - Scaled delta time
+   * @private
+   */
+  _tickTimer(task, dt) {
+    task.remaining -= dt;
+    while (task.remaining <= 0 && !task.done) {
+      const fn = task._resolve();
+      if (task.kind === 'after') {
+        this.cancel(task);
+        fn.apply(task.owner, task.args);
+      } else {
+        task.remaining += task.interval;
+        fn.apply(task.owner, task.args);
+      }
+    }
+  }
+
+  /**
+   * Advance a coroutine task if its wait condition is met.
+   * @param {ScheduledTask} task - Coroutine task
+   * @param {number} dt - Scaled delta time
+   * @private
+   */
+  _tickCoroutine(task, dt) {
+    if (task.awaiting) {
+      if (!task.awaiting.done) return;
+      task.awaiting = null;
+    } else if (task.condition) {
+      if (!task.condition()) return;
+      task.condition = null;
+    } else if (task.remaining > 0) {
+      task.remaining -= dt;
+      if (task.remaining > 0) return;
+    }
+
+    this._resume(task);
+  }
+
+  /**
+   * Resume a coroutine and record what it yielded.
+   * @param {ScheduledTask} task - Coroutine task
+   * @private
+   */
+  _resume(task) {
+    task._running = true;
+    let result;
+    try {
+      result = task.iterator.next();
+    } finally {
+      task._running = false;
+    }
+
+    const { value, done } = result;
+    if (task.done) return;
+    if (done) {
+      task.iterator = null;
+      this.cancel(task);
+      return;
+    }
+
+    task.step++;
+    task.remaining = 0;
+    if (typeof value === 'number') {
+      task.remaining = value;
+    } else if (value instanceof ScheduledTask) {
+      task.awaiting = value;
+    } else if (value && typeof value.until === 'function') {
+      task.condition = value.until;
+    } else if (value && typeof value.wait === 'number') {
+      task.remaining = value.wait;
+    }
+  }
+
+  /**
+   * Serialize an owner's saveable tasks (those using method-name callbacks).
+   * Coroutines are saved by routine name and arguments, with the yield they
+   * reached and the time left on its wait; see restoreOwner().
+   * @param {Object} owner - Task owner
+   * @returns {Array<Object>} JSON-compatible task data
+   */
+  serializeOwner(owner) {
+    const result = [];
+    for (const task of this._tasks) {
+      if (task.owner !== owner || !task.serializable || task.done) continue;
+
+      const data = { kind: task.kind, callback: task.callback, args: task.args };
+      data.remaining = task.remaining;
+      if (task.kind === 'coroutine') {
+        data.step = task.step;
+      }
+      if (task.kind === 'every') {
+        data.interval = task.interval;
+      }
+      result.push(data);
+    }
+    return result;
+  }
+
+  /**
+   * Recreate an owner's tasks from serializeOwner() data.
+   * Saveable tasks the owner already has (e.g. scheduled again by start()
+   * during load) are cancelled first, so the saved set wins.
+   * Generators can't be saved, so a coroutine is restarted and run straight
+   * through to the yield it had reached (with `restoring` set), then waits
+   * out the time it had left there. Saves without a step restart it.
+   * @param {Object} owner - Task owner
+   * @param {Array<Object>} data - Serialized tasks
+   * @returns {Array<ScheduledTask>} Restored tasks
+   */
+  restoreOwner(owner, data) {
+    for (const task of this._tasks.slice()) {
+      if (task.owner === owner && task.serializable) {
+        this.cancel(task);
+      }
+    }
+
+    const tasks = [];
+    for (const entry of data) {
+      if (entry.kind === 'coroutine') {
+        tasks.push(this._restoreCoroutine(entry, owner));
+      } else if (entry.kind === 'every') {
+        const task = this.every(entry.interval, entry.callback, owner, ...entry.args);
+        task.remaining = entry.remaining;
+        tasks.push(task);
+      } else {
+        tasks.push(this.after(entry.remaining, entry.callback, owner, ...entry.args));
+      }
+    }
+    return tasks;
+  }
+
+  /**
+   * Restart a saved coroutine and advance it to the yield it had reached.
+   * @param {Object} entry - Serialized coroutine
+   * @param {Object} owner - Task owner
+   * @returns {ScheduledTask} Restored task
+   * @private
+   */
+  _restoreCoroutine(entry, owner) {
+    const step = entry.step ?? 1;
+    this.restoring = true;
+    let task;
+    try {
+      task = this.startCoroutine(entry.callback, owner, ...entry.args);
+      while (!task.done && task.step < step) {
+        // Earlier yields don't wait during the replay
+        task.awaiting = null;
+        task.condition = null;
+        this._resume(task);
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    const waiting = !task.awaiting && !task.condition;
+    if (!task.done && entry.step !== undefined && waiting) {
+      task.remaining = entry.remaining;
+    }
+    return task;
+  }
+
+  /**
+   * Get the number of active tasks.
+   * @returns {number} Task count
+   */
+  getTaskCount() {
+    return this._tasks.length;
+  }
+
+  /**
+   * Cancel all tasks.
+   */
+  clear() {
+    for (const task of this._tasks.slice()) {
+      this.cancel(task);
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Scene serialization helpers.
+ * Schema versioning, save-data migrations, and component type resolution.
+ */
+
+/**
+ * Current scene save schema version.
+ * Bump when the serialized layout changes and register a migration
+ * from the previous version with registerSceneMigration().
+ * @type {number}
+ */
+export const SCENE_SCHEMA_VERSION = 1;
+
+/** @type {Map<number, function(Object): Object>} Migrations keyed by source version */
+const migrations = new Map();
+
+/**
+ * Register a migration that upgrades save data by one schema version.
+ * @param {number} fromVersion - Version the migration accepts
+ * @param {function(Object): Object} migrate - Returns data for fromVersion + 1
+ */
+export function registerSceneMigration(fromVersion, migrate) {
+  migrations.set(fromVersion, migrate);
+}
+
+/**
+ * Upgrade scene save data to the current schema version.
+ * @param {Object} data - Parsed save data with a version field
+ * @returns {Object} Data at SCENE_SCHEMA_VERSION
+ * @throws {Error} If the version is unknown, newer than supported, or has no migration path
+ */
+export function migrateSceneData(data) {
+  if (typeof data !== 'object' || data === null || typeof data.version !== 'number') {
+    throw new Error('Invalid scene data: missing numeric version field');
+  }
+
+  if (data.version > SCENE_SCHEMA_VERSION) {
+    throw new Error(
+      `Scene data version ${data.version} is newer than supported version ${SCENE_SCHEMA_VERSION}`
+    );
+  }
+
+  let result = data;
+  while (result.version < SCENE_SCHEMA_VERSION) {
+    const migrate = migrations.get(result.version);
+    if (!migrate) {
+      throw new Error(`No scene migration registered from version ${result.version}`);
+    }
+    const fromVersion = result.version;
+    result = migrate(result);
+    result.version = fromVersion + 1;
+  }
+
+  return result;
+}
+
+/**
+ * Get the name a component is saved under.
+ * Uses a static typeName on the class when present, else the class name.
+ * @param {import('./component.js').Component} component - Component instance
+ * @returns {string} Component type name
+ */
+export function getComponentTypeName(component) {
+  const ctor = component.constructor;
+  return ctor.typeName || ctor.name;
+}
+
+/**
+ * Look up a component class by type name.
+ * @param {Map<string, Function>|Object<string, Function>|{get: function(string): Function}} registry - Name to class lookup
+ * @param {string} type - Component type name
+ * @returns {Function|null} Component class or null if not registered
+ */
+export function resolveComponentClass(registry, type) {
+  if (!registry) return null;
+  if (typeof registry.get === 'function') {
+    return registry.get(type) || null;
+  }
+  return Object.prototype.hasOwnProperty.call(registry, type) ? registry[type] : null;
+}
+
+/**
+ * Construct a component for loading saved data into.
+ * A registry with create() builds it through its factory, so components
+ * that need services (input, renderer...) get them; plain lookups
+ * construct the class without arguments.
+ * @param {{create: function(string): Object, has: function(string): boolean}|Map<string, Function>|Object<string, Function>} registry - Component types by name
+ * @param {string} type - Component type name
+ * @returns {import('./component.js').Component|null} New component, or null if the type is unknown
+ */
+export function createSavedComponent(registry, type) {
+  if (registry && typeof registry.create === 'function') {
+    return registry.has(type) ? registry.create(type) : null;
+  }
+  const ComponentClass = resolveComponentClass(registry, type);
+  return ComponentClass ? new ComponentClass() : null;
+}
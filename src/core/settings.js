@@ -0,0 +1,243 @@
+/**
+ * Settings store.
+ * Holds typed player settings with defaults and validation, announces
+ * changes through an EventBus, and persists to localStorage. Subsystems
+ * subscribe with apply() and receive the current value straight away, so
+ * they stay in sync with loads, resets and menu edits alike.
+ */
+
+import { EventBus } from './eventBus.js';
+
+/** @type {string} Event emitted for every change, with {key, value} */
+export const SETTINGS_CHANGED = 'settings_changed';
+
+/**
+ * How a setting is stored and edited.
+ * @typedef {Object} SettingDefinition
+ * @property {'number'|'boolean'|'enum'|'color'} type - Value type
+ * @property {*} default - Default value
+ * @property {string} label - Name shown in the options menu
+ * @property {number} [min] - Lowest allowed number
+ * @property {number} [max] - Highest allowed number
+ * @property {number} [step] - Slider step in the options menu
+ * @property {Array<string>} [options] - Allowed values for enums
+ */
+
+/**
+ * Store of validated settings values.
+ */
+export class Settings {
+  /**
+   * @param {Object<string, SettingDefinition>} definitions - Settings by key
+   * @param {Object} [options] - Options
+   * @param {Storage|null} [options.storage=null] - Where to persist; saved on every change when set
+   * @param {string} [options.storageKey='settings'] - Key in storage
+   */
+  constructor(definitions, { storage = null, storageKey = 'settings' } = {}) {
+    /** @type {Object<string, SettingDefinition>} Definitions by key */
+    this.definitions = definitions;
+
+    /** @type {Storage|null} Persistence target */
+    this.storage = storage;
+
+    /** @type {string} Key in storage */
+    this.storageKey = storageKey;
+
+    /** @type {EventBus} Emits each key with its new value, and SETTINGS_CHANGED */
+    this.events = new EventBus();
+
+    /** @type {Map<string, *>} Current values */
+    this._values = new Map();
+
+    for (const [key, definition] of Object.entries(definitions)) {
+      this._values.set(key, definition.default);
+    }
+  }
+
+  /**
+   * Get the setting keys in definition order.
+   * @returns {Array<string>} Keys
+   */
+  getKeys() {
+    return Object.keys(this.definitions);
+  }
+
+  /**
+   * Get a value.
+   * @param {string} key - Setting key
+   * @returns {*} Current value
+   * @throws {Error} If the key is unknown
+   */
+  get(key) {
+    this._getDefinition(key);
+    return this._values.get(key);
+  }
+
+  /**
+   * Set a value. Numbers are clamped to their range; anything else of the
+   * wrong type is rejected. Listeners run only if the value changed.
+   * @param {string} key - Setting key
+   * @param {*} value - New value
+   * @returns {*} The value stored
+   * @throws {Error} If the key is unknown or the value invalid
+   */
+  set(key, value) {
+    const stored = this.validate(key, value);
+    if (this._values.get(key) === stored) return stored;
+
+    this._values.set(key, stored);
+    this.events.emit(key, stored);
+    this.events.emit(SETTINGS_CHANGED, { key, value: stored });
+    if (this.storage) {
+      this.save();
+    }
+    return stored;
+  }
+
+  /**
+   * Check a value against a setting's definition.
+   * @param {string} key - Setting key
+   * @param {*} value - Candidate value
+   * @returns {*} The value to store (numbers clamped to range)
+   * @throws {Error} If the key is unknown or the value invalid
+   */
+  validate(key, value) {
+    const definition = this._getDefinition(key);
+    switch (definition.type) {
+      case 'number': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new Error(`Setting "${key}" must be a number`);
+        }
+        const min = definition.min ?? -Infinity;
+        const max = definition.max ?? Infinity;
+        return Math.min(max, Math.max(min, value));
+      }
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          throw new Error(`Setting "${key}" must be true or false`);
+        }
+        return value;
+      case 'enum':
+        if (!definition.options.includes(value)) {
+          throw new Error(`Setting "${key}" must be one of: ${definition.options.join(', ')}`);
+        }
+        return value;
+      case 'color':
+        if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) {
+          throw new Error(`Setting "${key}" must be a #rrggbb color`);
+        }
+        return value.toLowerCase();
+      default:
+        throw new Error(`Setting "${key}" has unknown type "${definition.type}"`);
+    }
+  }
+
+  /**
+   * Subscribe to one setting and call the handler with its current value now.
+   * @param {string} key - Setting key
+   * @param {function(*, string): void} handler - Called with (value, key)
+   * @param {Object} [owner] - Owner for bulk removal with events.offOwner()
+   * @returns {function(): void} Function that removes the subscription
+   * @throws {Error} If the key is unknown
+   */
+  apply(key, handler, owner = null) {
+    const unsubscribe = this.events.on(key, handler, owner);
+    handler(this.get(key), key);
+    return unsubscribe;
+  }
+
+  /**
+   * Restore defaults, for one setting or all of them.
+   * @param {string} [key] - Setting key; omit to reset everything
+   */
+  reset(key) {
+    const keys = key === undefined ? this.getKeys() : [key];
+    for (const k of keys) {
+      this.set(k, this._getDefinition(k).default);
+    }
+  }
+
+  /**
+   * @returns {Object<string, *>} Values by key
+   */
+  toJSON() {
+    return Object.fromEntries(this._values);
+  }
+
+  /**
+   * Apply saved values. Unknown keys and invalid values are skipped (and
+   * logged), so one bad entry doesn't lose the rest.
+   * @param {Object<string, *>} data - Data from toJSON()
+   */
+  fromJSON(data) {
+    for (const [key, value] of Object.entries(data)) {
+      if (!(key in this.definitions)) continue;
+      try {
+        this.set(key, value);
+      } catch (error) {
+        console.warn(`Ignoring saved setting: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Save all values to storage. Storage that is full or blocked only logs a
+   * warning; the values stay applied for this session.
+   * @param {Storage} [storage=this.storage] - Storage to write to
+   * @returns {boolean} True if the values were written
+   */
+  save(storage = this.storage) {
+    if (!storage) return false;
+    try {
+      storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+      return true;
+    } catch (error) {
+      console.warn('Could not save settings:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Load values from storage. Missing or unreadable data keeps the current values.
+   * @param {Storage} [storage=this.storage] - Storage to read from
+   * @returns {boolean} True if saved values were read
+   */
+  load(storage = this.storage) {
+    if (!storage) return false;
+
+    let data;
+    try {
+      const json = storage.getItem(this.storageKey);
+      if (!json) return false;
+      data = JSON.parse(json);
+    } catch (error) {
+      console.warn('Ignoring unreadable settings:', error);
+      return false;
+    }
+
+    // Don't write back while applying what was just read
+    const target = this.storage;
+    this.storage = null;
+    try {
+      this.fromJSON(data);
+    } finally {
+      this.storage = target;
+    }
+    return true;
+  }
+
+  /**
+   * Look up a definition.
+   * @param {string} key - Setting key
+   * @returns {SettingDefinition} Definition
+   * @throws {Error} If the key is unknown
+   * @private
+   */
+  _getDefinition(key) {
+    const definition = this.definitions[key];
+    if (!definition) {
+      throw new Error(`Unknown setting "${key}"`);
+    }
+    return definition;
+  }
+}
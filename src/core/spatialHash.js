@@ -0,0 +1,475 @@
+/**
+ * Uniform-grid spatial hash for broadphase queries.
+ * Items are stored with a world AABB in every grid cell it overlaps; queries
+ * gather items from the cells they touch and then test the stored AABBs, so
+ * results are exact with respect to the boxes, not just the cells.
+ */
+
+import { AABB } from './frustumCulling.js';
+
+/**
+ * Hash integer cell coordinates to a Map key.
+ * Distinct cells may collide; that only adds candidates that the exact AABB
+ * test then rejects.
+ * @param {number} x - Cell X
+ * @param {number} y - Cell Y
+ * @param {number} z - Cell Z
+ * @returns {number} Cell key
+ */
+function cellKey(x, y, z) {
+  return (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) | 0;
+}
+
+/**
+ * Distance along a ray to where it enters an AABB.
+ * @param {Float32Array|Array<number>} origin - Ray origin
+ * @param {Float32Array|Array<number>} direction - Ray direction (unit length)
+ * @param {AABB} aabb - Box to test
+ * @param {number} maxDistance - Maximum distance along the ray
+ * @returns {number} Entry distance (0 if the origin is inside), or -1 if missed
+ */
+export function intersectRayAABB(origin, direction, aabb, maxDistance) {
+  let tNear = 0;
+  let tFar = maxDistance;
+  for (let i = 0; i < 3; i++) {
+    if (Math.abs(direction[i]) < 1e-12) {
+      if (origin[i] < aabb.min[i] || origin[i] > aabb.max[i]) return -1;
+      continue;
+    }
+    const inv = 1 / direction[i];
+    let t0 = (aabb.min[i] - origin[i]) * inv;
+    let t1 = (aabb.max[i] - origin[i]) * inv;
+    if (t0 > t1) {
+      const swap = t0;
+      t0 = t1;
+      t1 = swap;
+    }
+    if (t0 > tNear) tNear = t0;
+    if (t1 < tFar) tFar = t1;
+    if (tNear > tFar) return -1;
+  }
+  return tNear;
+}
+
+/**
+ * Spatial hash over a uniform grid of cubic cells.
+ */
+export class SpatialHash {
+  /**
+   * @param {number} [cellSize=4] - Cell edge length in world units; roughly the size of a typical query
+   */
+  constructor(cellSize = 4) {
+    if (!(cellSize > 0)) {
+      throw new Error('SpatialHash cell size must be greater than zero');
+    }
+
+    /** @type {number} Cell edge length */
+    this.cellSize = cellSize;
+
+    /** @type {Map<number, Set<Object>>} Cell key to items overlapping it */
+    this._cells = new Map();
+
+    /** @type {Map<Object, {aabb: AABB, range: Int32Array, stamp: number}>} Item entries */
+    this._entries = new Map();
+
+    /** @type {number} Incremented per query to skip items seen in another cell */
+    this._stamp = 0;
+
+    /** @type {AABB|null} Box containing all items; grows as they move, rebuilt lazily after removals */
+    this._bounds = null;
+
+    /** @type {boolean} Whether _bounds must be rebuilt */
+    this._boundsDirty = false;
+
+    // Scratch storage reused by queries
+    this._queryRange = new Int32Array(6);
+    this._queryBox = new AABB(new Float32Array(3), new Float32Array(3));
+    this._rayHits = [];
+  }
+
+  /**
+   * Number of indexed items.
+   * @returns {number} Item count
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Check if an item is indexed.
+   * @param {Object} item - Item to check
+   * @returns {boolean} True if indexed
+   */
+  has(item) {
+    return this._entries.has(item);
+  }
+
+  /**
+   * Get the stored world box of an item.
+   * @param {Object} item - Indexed item
+   * @returns {AABB|null} Stored box (do not modify) or null
+   */
+  getAABB(item) {
+    const entry = this._entries.get(item);
+    return entry ? entry.aabb : null;
+  }
+
+  /**
+   * Add an item, or move it if already indexed.
+   * @param {Object} item - Item to index (e.g. an Entity)
+   * @param {AABB} aabb - World-space bounds; copied
+   */
+  insert(item, aabb) {
+    let entry = this._entries.get(item);
+    if (!entry) {
+      entry = {
+        aabb: new AABB(new Float32Array(aabb.min), new Float32Array(aabb.max)),
+        range: new Int32Array(6),
+        stamp: 0,
+      };
+      this._entries.set(item, entry);
+      this._computeRange(entry.aabb, entry.range);
+      this._addToCells(item, entry.range);
+      this._growBounds(entry.aabb);
+      return;
+    }
+    this.update(item, aabb);
+  }
+
+  /**
+   * Update an item's bounds, moving it between cells only if needed.
+   * Items not yet indexed are inserted.
+   * @param {Object} item - Item to update
+   * @param {AABB} aabb - New world-space bounds; copied
+   */
+  update(item, aabb) {
+    const entry = this._entries.get(item);
+    if (!entry) {
+      this.insert(item, aabb);
+      return;
+    }
+
+    entry.aabb.min.set(aabb.min);
+    entry.aabb.max.set(aabb.max);
+    this._growBounds(entry.aabb);
+
+    const range = this._queryRange;
+    this._computeRange(entry.aabb, range);
+    for (let i = 0; i < 6; i++) {
+      if (range[i] !== entry.range[i]) {
+        this._removeFromCells(item, entry.range);
+        entry.range.set(range);
+        this._addToCells(item, entry.range);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Remove an item.
+   * @param {Object} item - Item to remove
+   * @returns {boolean} True if the item was indexed
+   */
+  remove(item) {
+    const entry = this._entries.get(item);
+    if (!entry) return false;
+    this._removeFromCells(item, entry.range);
+    this._entries.delete(item);
+    this._boundsDirty = true;
+    return true;
+  }
+
+  /**
+   * Find items whose box intersects an AABB.
+   * @param {AABB} aabb - Query box
+   * @param {Array<Object>} [out=[]] - Array to append results to
+   * @returns {Array<Object>} out
+   */
+  queryAABB(aabb, out = []) {
+    const stamp = ++this._stamp;
+    const range = this._queryRange;
+    this._computeRange(aabb, range);
+    if (!this._clampToBounds(range)) return out;
+
+    this._forEachCell(range, (cell) => {
+      for (const item of cell) {
+        const entry = this._entries.get(item);
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        if (entry.aabb.intersects(aabb)) {
+          out.push(item);
+        }
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Find items whose box intersects a sphere.
+   * @param {Float32Array|Array<number>} center - Sphere center [x, y, z]
+   * @param {number} radius - Sphere radius
+   * @param {Array<Object>} [out=[]] - Array to append results to
+   * @returns {Array<Object>} out
+   */
+  queryRadius(center, radius, out = []) {
+    const box = this._queryBox;
+    for (let i = 0; i < 3; i++) {
+      box.min[i] = center[i] - radius;
+      box.max[i] = center[i] + radius;
+    }
+
+    const stamp = ++this._stamp;
+    const range = this._queryRange;
+    const radiusSq = radius * radius;
+    this._computeRange(box, range);
+    if (!this._clampToBounds(range)) return out;
+
+    this._forEachCell(range, (cell) => {
+      for (const item of cell) {
+        const entry = this._entries.get(item);
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+
+        // Squared distance from the sphere center to the closest point on the box
+        const { min, max } = entry.aabb;
+        let distSq = 0;
+        for (let i = 0; i < 3; i++) {
+          const c = center[i];
+          const d = c < min[i] ? min[i] - c : c > max[i] ? c - max[i] : 0;
+          distSq += d * d;
+        }
+        if (distSq <= radiusSq) {
+          out.push(item);
+        }
+      }
+    });
+    return out;
+  }
+
+  /**
+   * Find items whose box a ray passes through, nearest first.
+   * Walks only the grid cells along the ray (3D DDA), clipped to the
+   * indexed items' overall bounds.
+   * @param {Float32Array|Array<number>} origin - Ray origin [x, y, z]
+   * @param {Float32Array|Array<number>} direction - Ray direction (unit length)
+   * @param {number} [maxDistance=Infinity] - Maximum distance along the ray
+   * @param {Array<Object>} [out=[]] - Array to append results to
+   * @returns {Array<Object>} out
+   */
+  queryRay(origin, direction, maxDistance = Infinity, out = []) {
+    const bounds = this._getBounds();
+    if (!bounds) return out;
+
+    // Clip the ray to the populated region so the walk is finite
+    const tStart = intersectRayAABB(origin, direction, bounds, maxDistance);
+    if (tStart < 0) return out;
+    const tEnd = this._rayExit(origin, direction, bounds, maxDistance);
+
+    const size = this.cellSize;
+    const cell = [0, 0, 0];
+    const step = [0, 0, 0];
+    const tMax = [Infinity, Infinity, Infinity];
+    const tDelta = [Infinity, Infinity, Infinity];
+    for (let i = 0; i < 3; i++) {
+      const p = origin[i] + direction[i] * tStart;
+      cell[i] = Math.floor(p / size);
+      if (direction[i] > 0) {
+        step[i] = 1;
+        tMax[i] = tStart + ((cell[i] + 1) * size - p) / direction[i];
+        tDelta[i] = size / direction[i];
+      } else if (direction[i] < 0) {
+        step[i] = -1;
+        tMax[i] = tStart + (cell[i] * size - p) / direction[i];
+        tDelta[i] = -size / direction[i];
+      }
+    }
+
+    const stamp = ++this._stamp;
+    const hits = this._rayHits;
+    hits.length = 0;
+
+    for (;;) {
+      const items = this._cells.get(cellKey(cell[0], cell[1], cell[2]));
+      if (items) {
+        for (const item of items) {
+          const entry = this._entries.get(item);
+          if (entry.stamp === stamp) continue;
+          entry.stamp = stamp;
+          const t = intersectRayAABB(origin, direction, entry.aabb, maxDistance);
+          if (t >= 0) {
+            hits.push({ item, t });
+          }
+        }
+      }
+
+      // Step into the neighbouring cell the ray reaches first
+      let axis = 0;
+      if (tMax[1] < tMax[axis]) axis = 1;
+      if (tMax[2] < tMax[axis]) axis = 2;
+      if (tMax[axis] > tEnd || tMax[axis] === Infinity) break;
+      cell[axis] += step[axis];
+      tMax[axis] += tDelta[axis];
+    }
+
+    hits.sort((a, b) => a.t - b.t);
+    for (const hit of hits) {
+      out.push(hit.item);
+    }
+    hits.length = 0;
+    return out;
+  }
+
+  /**
+   * Remove all items.
+   */
+  clear() {
+    this._cells.clear();
+    this._entries.clear();
+    this._bounds = null;
+    this._boundsDirty = false;
+  }
+
+  /**
+   * Compute the inclusive cell range covered by a box.
+   * @param {AABB} aabb - Box
+   * @param {Int32Array} out - [minX, minY, minZ, maxX, maxY, maxZ]
+   * @private
+   */
+  _computeRange(aabb, out) {
+    const inv = 1 / this.cellSize;
+    for (let i = 0; i < 3; i++) {
+      out[i] = Math.floor(aabb.min[i] * inv);
+      out[i + 3] = Math.floor(aabb.max[i] * inv);
+    }
+  }
+
+  /**
+   * Clamp a cell range to the cells covered by the populated bounds, so
+   * oversized queries don't walk empty space.
+   * @param {Int32Array} range - Cell range, modified in place
+   * @returns {boolean} False if the range covers no populated cells
+   * @private
+   */
+  _clampToBounds(range) {
+    const bounds = this._getBounds();
+    if (!bounds) return false;
+    const inv = 1 / this.cellSize;
+    for (let i = 0; i < 3; i++) {
+      range[i] = Math.max(range[i], Math.floor(bounds.min[i] * inv));
+      range[i + 3] = Math.min(range[i + 3], Math.floor(bounds.max[i] * inv));
+      if (range[i] > range[i + 3]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Call a function for each existing cell in a range.
+   * @param {Int32Array} range - Cell range from _computeRange()
+   * @param {function(Set<Object>): void} callback - Receives each cell's item set
+   * @private
+   */
+  _forEachCell(range, callback) {
+    for (let x = range[0]; x <= range[3]; x++) {
+      for (let y = range[1]; y <= range[4]; y++) {
+        for (let z = range[2]; z <= range[5]; z++) {
+          const cell = this._cells.get(cellKey(x, y, z));
+          if (cell) callback(cell);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Object} item - Item
+   * @param {Int32Array} range - Cell range
+   * @private
+   */
+  _addToCells(item, range) {
+    for (let x = range[0]; x <= range[3]; x++) {
+      for (let y = range[1]; y <= range[4]; y++) {
+        for (let z = range[2]; z <= range[5]; z++) {
+          const key = cellKey(x, y, z);
+          let cell = this._cells.get(key);
+          if (!cell) {
+            cell = new Set();
+            this._cells.set(key, cell);
+          }
+          cell.add(item);
+        }
+      }
+    }
+  }
+
+  /**
+   * @param {Object} item - Item
+   * @param {Int32Array} range - Cell range
+   * @private
+   */
+  _removeFromCells(item, range) {
+    for (let x = range[0]; x <= range[3]; x++) {
+      for (let y = range[1]; y <= range[4]; y++) {
+        for (let z = range[2]; z <= range[5]; z++) {
+          const key = cellKey(x, y, z);
+          const cell = this._cells.get(key);
+          if (cell && cell.delete(item) && cell.size === 0) {
+            this._cells.delete(key);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get a box containing all items (not necessarily tight).
+   * @returns {AABB|null} Bounds, or null if empty
+   * @private
+   */
+  _getBounds() {
+    if (this._boundsDirty) {
+      this._boundsDirty = false;
+      this._bounds = null;
+      for (const { aabb } of this._entries.values()) {
+        this._growBounds(aabb);
+      }
+    }
+    return this._bounds;
+  }
+
+  /**
+   * Expand the overall bounds to contain a box.
+   * @param {AABB} aabb - Item box
+   * @private
+   */
+  _growBounds(aabb) {
+    if (this._boundsDirty) return;
+    if (!this._bounds) {
+      this._bounds = new AABB(new Float32Array(aabb.min), new Float32Array(aabb.max));
+      return;
+    }
+    for (let i = 0; i < 3; i++) {
+      if (aabb.min[i] < this._bounds.min[i]) this._bounds.min[i] = aabb.min[i];
+      if (aabb.max[i] > this._bounds.max[i]) this._bounds.max[i] = aabb.max[i];
+    }
+  }
+
+  /**
+   * Distance along a ray to where it leaves a box, capped at maxDistance.
+   * @param {Float32Array|Array<number>} origin - Ray origin
+   * @param {Float32Array|Array<number>} direction - Ray direction
+   * @param {AABB} aabb - Box the ray is known to hit
+   * @param {number} maxDistance - Maximum distance
+   * @returns {number} Exit distance
+   * @private
+   */
+  _rayExit(origin, direction, aabb, maxDistance) {
+    let tFar = maxDistance;
+    for (let i = 0; i < 3; i++) {
+      if (Math.abs(direction[i]) < 1e-12) continue;
+      const t0 = (aabb.min[i] - origin[i]) / direction[i];
+      const t1 = (aabb.max[i] - origin[i]) / direction[i];
+      const exit = Math.max(t0, t1);
+      if (exit < tFar) tFar = exit;
+    }
+    return tFar;
+  }
+}
@@ -1,3 +1,5 @@
+import { FramePacing } from './framePacing.js';
+
 /**
  * Time management system for frame delta tracking.
  * Provides consistent delta time and handles edge cases like tab switching.
@@ -46,6 +48,28 @@ export class Time {
 
     /** @type {number} FPS smoothing factor (0-1, higher = less smoothing) */
     this._fpsSmoothingFactor = 0.1;
+
+    // Fixed-timestep simulation
+    /** @type {number} Fixed simulation step in seconds (scaled time) */
+    this.fixedDeltaTime = 1 / 60;
+
+    /** @type {number} Maximum fixed steps per frame, prevents spiral of death on slow frames */
+    this.maxFixedSteps = 5;
+
+    /** @type {number} Fixed steps to run this frame (computed by update) */
+    this.fixedStepCount = 0;
+
+    /** @type {number} Fraction of a fixed step left in the accumulator (0-1), for render interpolation */
+    this.interpolationAlpha = 0;
+
+    /** @type {number} Scaled time not yet consumed by fixed steps */
+    this._fixedAccumulator = 0;
+
+    /** @type {FramePacing} Rolling window of real frame times, for percentiles and hitches */
+    this.pacing = new FramePacing();
+
+    /** @type {boolean} Whether the next frame follows a suspension and is left out of pacing */
+    this._suspended = false;
   }
 
   /**
@@ -59,6 +83,9 @@ export class Time {
       this._started = true;
       this.deltaTime = 0;
       this.unscaledDeltaTime = 0;
+      this.fixedStepCount = 0;
+      // Loading before the first frame isn't part of any measured frame
+      this.pacing.discardTags();
       return 0;
     }
 
@@ -75,12 +102,48 @@ export class Time {
     this.unscaledTime += this.unscaledDeltaTime;
     this.frameCount++;
 
+    // Pacing sees the unclamped time, since clamping would hide the worst hitches.
+    // The gap after a suspension isn't a hitch, just time the page wasn't running.
+    if (this._suspended) {
+      this._suspended = false;
+      this.pacing.discardTags();
+    } else {
+      this.pacing.record(rawDt * 1000, this.frameCount, this.unscaledTime);
+    }
+
     // Update FPS tracking
     this._updateFps();
 
+    // Accumulate scaled time into fixed steps
+    this._updateFixedSteps();
+
     return this.deltaTime;
   }
 
+  /**
+   * Compute how many fixed steps to run this frame and the interpolation alpha.
+   * @private
+   */
+  _updateFixedSteps() {
+    this._fixedAccumulator += this.deltaTime;
+
+    // Small epsilon so float error doesn't defer a step that is due
+    let steps = Math.floor(this._fixedAccumulator / this.fixedDeltaTime + 1e-6);
+    if (steps > this.maxFixedSteps) {
+      // Drop the backlog rather than trying to catch up forever
+      steps = this.maxFixedSteps;
+      this._fixedAccumulator = 0;
+    } else {
+      this._fixedAccumulator = Math.max(
+        0,
+        this._fixedAccumulator - steps * this.fixedDeltaTime
+      );
+    }
+
+    this.fixedStepCount = steps;
+    this.interpolationAlpha = this._fixedAccumulator / this.fixedDeltaTime;
+  }
+
   /**
    * Update FPS calculations.
    * @private
@@ -106,6 +169,24 @@ export class Time {
     }
   }
 
+  /**
+   * Tag the current frame for pacing analysis (e.g. FrameTags.TEXTURE_GENERATION),
+   * so a hitch it causes says why.
+   * @param {string} tag - What is happening this frame
+   */
+  tagFrame(tag) {
+    this.pacing.tag(tag);
+  }
+
+  /**
+   * Note that frames stopped (e.g. the tab was hidden), so the gap before the
+   * next frame isn't recorded as a hitch. Only pacing is affected; the delta
+   * is clamped as usual, so recorded input still replays the same.
+   */
+  suspend() {
+    this._suspended = true;
+  }
+
   /**
    * Get formatted FPS string.
    * @param {boolean} [smoothed=true] - Whether to use smoothed FPS
@@ -131,6 +212,11 @@ export class Time {
     this._fpsAccumulator = 0;
     this.fps = 0;
     this.smoothedFps = 0;
+    this.fixedStepCount = 0;
+    this.interpolationAlpha = 0;
+    this._fixedAccumulator = 0;
+    this._suspended = false;
+    this.pacing.reset();
   }
 
   /**
@@ -141,6 +227,14 @@ export class Time {
     this.timeScale = Math.max(0, scale);
   }
 
+  /**
+   * Set the fixed simulation step.
+   * @param {number} fixedDt - Fixed step in seconds (e.g. 1/60)
+   */
+  setFixedDeltaTime(fixedDt) {
+    this.fixedDeltaTime = Math.max(0.001, fixedDt);
+  }
+
   /**
    * Set maximum allowed delta time.
    * @param {number} maxDt - Maximum delta time in seconds
@@ -0,0 +1,245 @@
+/**
+ * Touch controls state.
+ * Tracks every active touch by identifier and gives each one a role for its
+ * whole lifetime: a floating move stick on the left half of the screen,
+ * drag-to-look on the right half, or one of the on-screen buttons. Input
+ * feeds it touch events; HUD draws it.
+ *
+ * Buttons hold 'Touch<Name>' key codes, bound to actions like any other key.
+ */
+
+/**
+ * An on-screen button. Positions are measured from the bottom-right corner
+ * in CSS pixels, so the layout stays under the right thumb on any screen.
+ * @typedef {Object} TouchButton
+ * @property {string} code - Key code held while touched (e.g. 'TouchInteract')
+ * @property {string} label - Text drawn on the button
+ * @property {number} right - Center distance from the right edge
+ * @property {number} bottom - Center distance from the bottom edge
+ * @property {number} radius - Hit and draw radius
+ */
+
+/** @type {ReadonlyArray<TouchButton>} Default button layout */
+export const DEFAULT_TOUCH_BUTTONS = Object.freeze([
+  { code: 'TouchInteract', label: 'USE', right: 70, bottom: 90, radius: 36 },
+  { code: 'TouchSprint', label: 'RUN', right: 160, bottom: 50, radius: 30 },
+  { code: 'TouchBlink', label: 'BLINK', right: 70, bottom: 190, radius: 30 },
+  { code: 'TouchPause', label: 'II', right: 160, bottom: 150, radius: 22 },
+]);
+
+/**
+ * One tracked touch.
+ * @typedef {Object} TrackedTouch
+ * @property {'move'|'look'|'button'} role - What the touch controls
+ * @property {string|null} code - Button code for button touches
+ * @property {number} startX - Where the touch began
+ * @property {number} startY - Where the touch began
+ * @property {number} x - Current position
+ * @property {number} y - Current position
+ */
+
+/**
+ * Touch state, updated from touch events.
+ */
+export class TouchInput {
+  /**
+   * @param {ReadonlyArray<TouchButton>} [buttons=DEFAULT_TOUCH_BUTTONS] - Button layout
+   */
+  constructor(buttons = DEFAULT_TOUCH_BUTTONS) {
+    /** @type {ReadonlyArray<TouchButton>} Button layout */
+    this.buttons = buttons;
+
+    /**
+     * Whether touch controls are shown and active. Set by the first touch and
+     * cleared by Input on keyboard or mouse use, so touchscreen laptops only
+     * show them while being used by touch.
+     * @type {boolean}
+     */
+    this.enabled = false;
+
+    /** @type {number} Stick travel in CSS pixels for full deflection */
+    this.stickRadius = 60;
+
+    /** @type {number} Stick deflection ignored as a fraction of stickRadius */
+    this.deadzone = 0.1;
+
+    /** @type {number} Look rotation per dragged CSS pixel, in radians */
+    this.lookSensitivity = 0.005;
+
+    /** @type {{x: number, y: number}} Move stick, +x right and +y forward */
+    this.move = { x: 0, y: 0 };
+
+    /** @type {{x: number, y: number}} Look drag since the last takeLookDelta(), in CSS pixels */
+    this.lookDelta = { x: 0, y: 0 };
+
+    /** @type {Map<number, TrackedTouch>} Active touches by Touch.identifier */
+    this.touches = new Map();
+
+    /** @type {number} Screen size used for hit tests, from the last touchStart() */
+    this._width = 0;
+    this._height = 0;
+  }
+
+  /**
+   * Get a button's center for a screen size.
+   * @param {TouchButton} button - Button
+   * @param {number} width - Screen width in CSS pixels
+   * @param {number} height - Screen height in CSS pixels
+   * @returns {{x: number, y: number}} Center in CSS pixels
+   */
+  static getButtonCenter(button, width, height) {
+    return { x: width - button.right, y: height - button.bottom };
+  }
+
+  /**
+   * Check whether a button is held by any touch.
+   * @param {string} code - Button code
+   * @returns {boolean} True if held
+   */
+  isButtonHeld(code) {
+    for (const touch of this.touches.values()) {
+      if (touch.code === code) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the active move stick touch, if any.
+   * @returns {TrackedTouch|null} Stick touch
+   */
+  getStickTouch() {
+    for (const touch of this.touches.values()) {
+      if (touch.role === 'move') return touch;
+    }
+    return null;
+  }
+
+  /**
+   * Start tracking a touch. Buttons win over the stick and look areas; only
+   * one touch drives the stick at a time, later left-side touches look instead.
+   * @param {number} id - Touch.identifier
+   * @param {number} x - Position in CSS pixels relative to the screen
+   * @param {number} y - Position in CSS pixels relative to the screen
+   * @param {number} width - Screen width in CSS pixels
+   * @param {number} height - Screen height in CSS pixels
+   * @returns {TrackedTouch} The tracked touch
+   */
+  touchStart(id, x, y, width, height) {
+    this.enabled = true;
+    this._width = width;
+    this._height = height;
+
+    let role = 'look';
+    let code = null;
+    const button = this._hitButton(x, y);
+    if (button) {
+      role = 'button';
+      code = button.code;
+    } else if (x < width / 2 && !this.getStickTouch()) {
+      role = 'move';
+    }
+
+    const touch = { role, code, startX: x, startY: y, x, y };
+    this.touches.set(id, touch);
+    return touch;
+  }
+
+  /**
+   * Move a tracked touch.
+   * @param {number} id - Touch.identifier
+   * @param {number} x - Position in CSS pixels
+   * @param {number} y - Position in CSS pixels
+   */
+  touchMove(id, x, y) {
+    const touch = this.touches.get(id);
+    if (!touch) return;
+
+    if (touch.role === 'look') {
+      this.lookDelta.x += x - touch.x;
+      this.lookDelta.y += y - touch.y;
+    }
+    touch.x = x;
+    touch.y = y;
+    if (touch.role === 'move') {
+      this._updateStick(touch);
+    }
+  }
+
+  /**
+   * Stop tracking a touch (ended or cancelled).
+   * @param {number} id - Touch.identifier
+   * @returns {TrackedTouch|null} The touch that ended, or null if unknown
+   */
+  touchEnd(id) {
+    const touch = this.touches.get(id);
+    if (!touch) return null;
+    this.touches.delete(id);
+    if (touch.role === 'move') {
+      this.move.x = 0;
+      this.move.y = 0;
+    }
+    return touch;
+  }
+
+  /**
+   * Get the look drag since the last call, in radians, and reset it.
+   * @returns {{x: number, y: number}} Yaw and pitch change (+x right, +y down)
+   */
+  takeLookDelta() {
+    const delta = {
+      x: this.lookDelta.x * this.lookSensitivity,
+      y: this.lookDelta.y * this.lookSensitivity,
+    };
+    this.lookDelta.x = 0;
+    this.lookDelta.y = 0;
+    return delta;
+  }
+
+  /**
+   * Drop every touch, e.g. when the page loses focus mid-gesture.
+   */
+  reset() {
+    this.touches.clear();
+    this.move.x = 0;
+    this.move.y = 0;
+    this.lookDelta.x = 0;
+    this.lookDelta.y = 0;
+  }
+
+  /**
+   * Find the button under a point.
+   * @param {number} x - Position in CSS pixels
+   * @param {number} y - Position in CSS pixels
+   * @returns {TouchButton|null} Button hit, or null
+   * @private
+   */
+  _hitButton(x, y) {
+    for (const button of this.buttons) {
+      const center = TouchInput.getButtonCenter(button, this._width, this._height);
+      if (Math.hypot(x - center.x, y - center.y) <= button.radius) {
+        return button;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Update the stick value from a move touch's offset from where it began.
+   * @param {TrackedTouch} touch - Move touch
+   * @private
+   */
+  _updateStick(touch) {
+    const dx = (touch.x - touch.startX) / this.stickRadius;
+    const dy = (touch.y - touch.startY) / this.stickRadius;
+    const magnitude = Math.hypot(dx, dy);
+    if (magnitude <= this.deadzone) {
+      this.move.x = 0;
+      this.move.y = 0;
+      return;
+    }
+    const scale = Math.min(magnitude, 1) / magnitude;
+    this.move.x = dx * scale;
+    // Dragging up walks forward
+    this.move.y = -dy * scale;
+  }
+}
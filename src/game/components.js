@@ -0,0 +1,128 @@
+/**
+ * Shared Game Components
+ * Small components used by the game setup and prefabs.
+ */
+
+import { Component } from '../core/component.js';
+
+/**
+ * Rotating component for demo purposes
+ */
+export class RotatingComponent extends Component {
+  constructor(speed = 0.5) {
+    super();
+    this.speed = speed;
+  }
+
+  update(dt) {
+    if (this.entity) {
+      this.entity.rotation[1] += dt * this.speed;
+    }
+  }
+
+  toJSON() {
+    return { speed: this.speed };
+  }
+
+  fromJSON(data) {
+    this.speed = data.speed;
+  }
+}
+
+/**
+ * Renderable component that bridges entity and renderer.
+ * Saves its mesh and material by name when given a RenderAssets library;
+ * without one it is left out of scene saves.
+ */
+export class RenderableComponent extends Component {
+  /**
+   * @param {Object} mesh - Mesh to draw
+   * @param {Object} material - Material to draw with
+   * @param {import('./renderAssets.js').RenderAssets} [assets] - Names for saving and loading
+   */
+  constructor(mesh, material, assets = null) {
+    super();
+    this.mesh = mesh;
+    this.material = material;
+    this.assets = assets;
+    this._renderable = null;
+    this._registeredScene = null;
+  }
+
+  start() {
+    // Create renderable object for the renderer
+    this._renderable = {
+      mesh: this.mesh,
+      material: this.material,
+      entity: this.entity,
+      position: this.entity.position,
+      rotation: this.entity.rotation,
+      scale: this.entity.scale,
+    };
+  }
+
+  /**
+   * Register with the scene so it is drawn while the scene is visible.
+   */
+  onEnable() {
+    this._registeredScene = this.getScene();
+    this._registeredScene.addRenderable(this.getRenderable());
+  }
+
+  /**
+   * Unregister from the scene. The entity may already be detached from
+   * its scene here, so use the scene registered with.
+   */
+  onDisable() {
+    if (this._registeredScene) {
+      this._registeredScene.removeRenderable(this._renderable);
+      this._registeredScene = null;
+    }
+  }
+
+  /**
+   * Save the mesh and material by asset name.
+   * @returns {{mesh: string, material: string|null}|undefined} Saved state, or undefined without assets
+   * @throws {Error} If the mesh or material was never added to the assets
+   */
+  toJSON() {
+    if (!this.assets) return undefined;
+
+    const mesh = this.assets.getMeshName(this.mesh);
+    if (mesh === null) {
+      throw new Error('Renderable mesh has no asset name and cannot be saved');
+    }
+    let material = null;
+    if (this.material) {
+      material = this.assets.getMaterialName(this.material);
+      if (material === null) {
+        throw new Error('Renderable material has no asset name and cannot be saved');
+      }
+    }
+    return { mesh, material };
+  }
+
+  /**
+   * Resolve saved asset names back to this game's mesh and material.
+   * @param {{mesh: string, material: string|null}} data - Saved state
+   * @throws {Error} If there are no assets or a name is unknown
+   */
+  fromJSON(data) {
+    if (!this.assets) {
+      throw new Error('Renderable needs render assets to load saved data');
+    }
+    this.mesh = this.assets.getMesh(data.mesh);
+    this.material = data.material === null ? null : this.assets.getMaterial(data.material);
+  }
+
+  /**
+   * Get the renderable object. Initializes if not yet created.
+   * @returns {Object|null} Renderable object or null if entity not set
+   */
+  getRenderable() {
+    if (!this._renderable && this.entity) {
+      this.start();
+    }
+    return this._renderable;
+  }
+}
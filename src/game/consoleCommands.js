@@ -0,0 +1,207 @@
+/**
+ * Console Commands
+ * Gameplay cheats and debug commands for the developer console.
+ */
+
+import { parseNumberArg } from '../core/commands.js';
+import { KEYCARD_LEVELS } from './inventory.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Live game state the commands act on. reload() replaces session.game,
+ * so commands read it on every run instead of capturing it.
+ * @typedef {Object} GameSession
+ * @property {import('./gameSetup.js').Game} game - Current game
+ * @property {import('../core/time.js').Time} time - Time system
+ * @property {import('./gameState.js').GameStateMachine} gameState - Game state; owns the time scale outside PLAYING
+ * @property {function({concrete: number}=): void} reload - Rebuild the game, optionally with new seeds
+ */
+
+/** @type {number} Distance in front of the player that spawned entities appear */
+const SPAWN_DISTANCE = 2;
+
+/**
+ * Format a toggle state for output.
+ * @param {string} name - Feature name
+ * @param {boolean} on - State
+ * @returns {string} Output line
+ */
+function toggleMessage(name, on) {
+  return `${name} ${on ? 'ON' : 'OFF'}`;
+}
+
+/**
+ * Find a prefab by console name. Dashes may stand in for underscores,
+ * so 'spawn scp-173' finds the 'scp_173' prefab.
+ * @param {import('../core/prefab.js').PrefabLibrary} prefabs - Prefab library
+ * @param {string} name - Name typed in the console
+ * @returns {string|null} Prefab name or null if none matches
+ */
+function findPrefabName(prefabs, name) {
+  const lower = name.toLowerCase();
+  if (prefabs.has(lower)) return lower;
+  const underscored = lower.replace(/-/g, '_');
+  return prefabs.has(underscored) ? underscored : null;
+}
+
+/**
+ * Register the gameplay commands: tp, noclip, god, give, spawn, timescale,
+ * seed, kill, win and reload.
+ * @param {import('../core/commands.js').CommandRegistry} commands - Registry to add to
+ * @param {GameSession} session - Game state the commands act on
+ * @returns {import('../core/commands.js').CommandRegistry} The registry
+ */
+export function registerGameCommands(commands, session) {
+  commands.register('tp', {
+    description: 'Teleport the player',
+    usage: '<x> <y> <z>',
+    run: (args) => {
+      const x = parseNumberArg(args[0], 'x');
+      const y = parseNumberArg(args[1], 'y');
+      const z = parseNumberArg(args[2], 'z');
+      const controller = session.game.playerController;
+      controller.setPosition(x, y, z);
+      controller.velocity.fill(0);
+      return `Teleported to ${x} ${y} ${z}`;
+    },
+  });
+
+  commands.register('noclip', {
+    description: 'Toggle flying through walls',
+    run: () => {
+      const controller = session.game.playerController;
+      controller.noclip = !controller.noclip;
+      return toggleMessage('noclip', controller.noclip);
+    },
+  });
+
+  commands.register('god', {
+    description: 'Toggle invulnerability',
+    run: () => {
+      const controller = session.game.playerController;
+      controller.godMode = !controller.godMode;
+      return toggleMessage('god mode', controller.godMode);
+    },
+  });
+
+  commands.register('give', {
+    description: 'Give the player a keycard or items',
+    usage: 'keycard <level> | <item> [count]',
+    run: (args) => {
+      const inventory = session.game.inventory;
+      const [item, value] = args;
+      if (!item) {
+        throw new Error('Missing item');
+      }
+
+      if (item.toLowerCase() === 'keycard') {
+        if (!value) {
+          throw new Error(`Missing keycard level (${KEYCARD_LEVELS.join(', ')})`);
+        }
+        inventory.addKeycard(value);
+        return `Gave keycard ${value.toUpperCase()}`;
+      }
+
+      const count = value === undefined ? 1 : parseNumberArg(value, 'count');
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('count must be a positive integer');
+      }
+      inventory.addItem(item, count);
+      return `Gave ${count} x ${item}`;
+    },
+    complete: (index, args) => {
+      if (index === 0) return ['keycard'];
+      if (index === 1 && args[0].toLowerCase() === 'keycard') return [...KEYCARD_LEVELS];
+      return [];
+    },
+  });
+
+  commands.register('spawn', {
+    description: 'Spawn a prefab in front of the player',
+    usage: '<prefab>',
+    run: (args) => {
+      const { scene, playerEntity, playerController } = session.game;
+      if (!args[0]) {
+        throw new Error('Missing prefab name');
+      }
+      const prefabName = findPrefabName(scene.prefabs, args[0]);
+      if (!prefabName) {
+        throw new Error(`Unknown prefab "${args[0]}"`);
+      }
+
+      const forward = playerController.getForwardVector(new Float32Array(3));
+      const position = playerEntity.position;
+      const entity = scene.instantiate(prefabName, {
+        position: [
+          position[0] + forward[0] * SPAWN_DISTANCE,
+          position[1],
+          position[2] + forward[2] * SPAWN_DISTANCE,
+        ],
+      });
+      return `Spawned ${prefabName} as ${entity.id}`;
+    },
+    complete: (index) =>
+      index === 0
+        ? session.game.scene.prefabs.getNames().map((name) => name.replace(/_/g, '-'))
+        : [],
+  });
+
+  commands.register('timescale', {
+    description: 'Show or set the game speed multiplier',
+    usage: '[scale]',
+    run: (args) => {
+      if (args[0] !== undefined) {
+        session.gameState.setPlayTimeScale(parseNumberArg(args[0], 'scale'));
+      }
+      return `timescale ${session.gameState.playTimeScale}`;
+    },
+  });
+
+  commands.register('seed', {
+    description: 'Show the world seed, or reload the world with a new one',
+    usage: '[seed]',
+    run: (args) => {
+      if (args[0] === undefined) {
+        return `seed ${session.game.seeds.concrete}`;
+      }
+      const seed = parseNumberArg(args[0], 'seed');
+      if (!Number.isInteger(seed)) {
+        throw new Error('seed must be an integer');
+      }
+      session.reload({ ...session.game.seeds, concrete: seed });
+      return `Reloaded with seed ${seed}`;
+    },
+  });
+
+  commands.register('kill', {
+    description: 'Kill the player',
+    run: () => {
+      const controller = session.game.playerController;
+      if (controller.isDead) {
+        return 'Player is already dead';
+      }
+      if (!controller.kill('console')) {
+        throw new Error('God mode is on; toggle it with god first');
+      }
+      return "Player killed; type 'reload' to restart";
+    },
+  });
+
+  commands.register('win', {
+    description: 'Complete the containment objective',
+    run: () => {
+      session.game.scene.emit(GameEvents.CONTAINMENT_SUCCEEDED, { scp: null });
+      return 'Containment succeeded';
+    },
+  });
+
+  commands.register('reload', {
+    description: 'Rebuild the world with the current seed',
+    run: () => {
+      session.reload();
+      return 'Reloaded';
+    },
+  });
+
+  return commands;
+}
@@ -0,0 +1,221 @@
+/**
+ * Debug Visualizer
+ * Feeds the debug draw queue with gameplay data each frame: static
+ * colliders, spatial index bounds, a frozen camera frustum, SCP sight lines
+ * and room nav nodes. Each layer is a DebugOverlay toggle.
+ */
+
+import { debugDraw as sharedDebugDraw, DebugColors } from '../gl/debugDraw.js';
+import { BoundsComponent } from '../core/bounds.js';
+import { Frustum, createViewProjectionMatrix } from '../core/frustumCulling.js';
+import * as mat4 from '../math/mat4.js';
+
+/**
+ * Debug layer names, as shown in the overlay.
+ * @readonly
+ * @enum {string}
+ */
+export const DebugLayers = Object.freeze({
+  COLLIDERS: 'Colliders',
+  BOUNDS: 'Bounds',
+  FRUSTUM: 'Frustum',
+  SIGHT_LINES: 'Sight lines',
+  NAV: 'Nav nodes',
+});
+
+/** @type {Array<[string, string]>} Layers and the overlay keys that toggle them */
+const LAYER_KEYS = [
+  [DebugLayers.COLLIDERS, 'Digit1'],
+  [DebugLayers.BOUNDS, 'Digit2'],
+  [DebugLayers.FRUSTUM, 'Digit3'],
+  [DebugLayers.SIGHT_LINES, 'Digit4'],
+  [DebugLayers.NAV, 'Digit5'],
+];
+
+/**
+ * Draws gameplay debug layers selected in the debug overlay.
+ */
+export class DebugVisualizer {
+  /**
+   * @param {import('../core/debugOverlay.js').DebugOverlay} overlay - Overlay providing the layer toggles
+   * @param {import('../gl/debugDraw.js').DebugDraw} [draw] - Queue to draw into (defaults to the shared one)
+   */
+  constructor(overlay, draw = sharedDebugDraw) {
+    /** @type {import('../core/debugOverlay.js').DebugOverlay} */
+    this.overlay = overlay;
+
+    /** @type {import('../gl/debugDraw.js').DebugDraw} */
+    this.draw = draw;
+
+    /** @type {Float32Array|null} Camera matrix captured when the frustum layer was turned on */
+    this._frozenViewProj = null;
+
+    /** @type {Float32Array} Current camera matrix */
+    this._viewProj = mat4.create();
+
+    /** @type {Frustum} Current camera frustum for sight tests */
+    this._frustum = new Frustum();
+
+    /** @type {Array<import('../core/entity.js').Entity>} Reused ray query results */
+    this._hits = [];
+
+    /** @type {Float32Array} Scratch vectors */
+    this._eye = new Float32Array(3);
+    this._target = new Float32Array(3);
+    this._direction = new Float32Array(3);
+    this._min = new Float32Array(3);
+    this._max = new Float32Array(3);
+
+    for (const [layer, code] of LAYER_KEYS) {
+      overlay.addToggle(layer, code);
+    }
+  }
+
+  /**
+   * Queue every enabled layer. Call once per frame before rendering.
+   * @param {import('./gameSetup.js').Game} game - Game to visualize
+   * @param {import('../gl/renderer.js').Renderer} renderer - Renderer providing the camera
+   */
+  update(game, renderer) {
+    const overlay = this.overlay;
+    createViewProjectionMatrix(this._viewProj, renderer.viewMatrix, renderer.projectionMatrix);
+
+    if (overlay.isToggled(DebugLayers.COLLIDERS)) {
+      this._drawColliders(game.playerController);
+    }
+    if (overlay.isToggled(DebugLayers.BOUNDS)) {
+      this._drawBounds(game.scene);
+    }
+    if (overlay.isToggled(DebugLayers.FRUSTUM)) {
+      // Freeze the frustum so you can step outside and look at it
+      if (!this._frozenViewProj) {
+        this._frozenViewProj = mat4.copy(mat4.create(), this._viewProj);
+      }
+      this.draw.frustum(this._frozenViewProj, DebugColors.YELLOW);
+    } else {
+      this._frozenViewProj = null;
+    }
+    if (overlay.isToggled(DebugLayers.SIGHT_LINES)) {
+      this._drawSightLines(game);
+    }
+    if (overlay.isToggled(DebugLayers.NAV)) {
+      this._drawRooms(game.rooms);
+    }
+  }
+
+  /**
+   * Draw the player's static colliders.
+   * @param {import('./player.js').PlayerController} controller - Player controller
+   * @private
+   */
+  _drawColliders(controller) {
+    const min = this._min;
+    const max = this._max;
+    for (const { position, halfSize } of controller.staticColliders) {
+      for (let i = 0; i < 3; i++) {
+        min[i] = position[i] - halfSize[i];
+        max[i] = position[i] + halfSize[i];
+      }
+      this.draw.box(min, max, DebugColors.ORANGE);
+    }
+  }
+
+  /**
+   * Draw the world boxes indexed by BoundsComponents, labelled with entity names.
+   * @param {import('../core/scene.js').Scene} scene - Scene to draw
+   * @private
+   */
+  _drawBounds(scene) {
+    scene.query([BoundsComponent]).forEach((entity, bounds) => {
+      const { min, max } = bounds.worldAABB;
+      this.draw.box(min, max, DebugColors.CYAN);
+      if (entity.name) {
+        this._target[0] = (min[0] + max[0]) / 2;
+        this._target[1] = max[1] + 0.2;
+        this._target[2] = (min[2] + max[2]) / 2;
+        this.draw.text3d(this._target, entity.name, DebugColors.CYAN);
+      }
+    });
+  }
+
+  /**
+   * Draw lines from the player's eyes to each SCP: green when the SCP is
+   * in view, red when something indexed blocks the line, yellow when it is
+   * outside the camera frustum.
+   * @param {import('./gameSetup.js').Game} game - Game to visualize
+   * @private
+   */
+  _drawSightLines(game) {
+    const { scene, playerEntity, playerController } = game;
+    const eye = this._eye;
+    eye[0] = playerEntity.position[0];
+    eye[1] = playerEntity.position[1] + playerController.eyeHeight;
+    eye[2] = playerEntity.position[2];
+    this._frustum.setFromViewProjectionMatrix(this._viewProj);
+
+    for (const scp of scene.findByTag('scp')) {
+      const bounds = scp.getComponent(BoundsComponent);
+      const target = this._target;
+      if (bounds) {
+        bounds.worldAABB.getCenter(target);
+      } else {
+        scp.getWorldPosition(target);
+      }
+
+      const direction = this._direction;
+      direction[0] = target[0] - eye[0];
+      direction[1] = target[1] - eye[1];
+      direction[2] = target[2] - eye[2];
+      const distance = Math.hypot(direction[0], direction[1], direction[2]);
+      if (distance === 0) continue;
+      direction[0] /= distance;
+      direction[1] /= distance;
+      direction[2] /= distance;
+
+      let color = DebugColors.GREEN;
+      const inView = bounds
+        ? this._frustum.intersectsAABB(bounds.worldAABB)
+        : this._frustum.containsPoint(target);
+      if (!inView) {
+        color = DebugColors.YELLOW;
+      } else {
+        this._hits.length = 0;
+        for (const hit of scene.queryRay(eye, direction, distance, this._hits)) {
+          if (hit !== scp && hit !== playerEntity) {
+            color = DebugColors.RED;
+            break;
+          }
+        }
+      }
+      this.draw.line(eye, target, color);
+    }
+  }
+
+  /**
+   * Draw the level rooms' nav nodes, the links between them, and spawn points.
+   * @param {Array<import('./gameSetup.js').LevelRoom>} rooms - Rooms to draw
+   * @private
+   */
+  _drawRooms(rooms) {
+    const a = this._min;
+    const b = this._max;
+    for (const { room, origin } of rooms) {
+      const nodes = room.navNodes;
+      for (let i = 0; i < nodes.length; i++) {
+        for (let k = 0; k < 3; k++) a[k] = origin[k] + nodes[i][k];
+        this.draw.sphere(a, 0.15, DebugColors.MAGENTA, 8);
+        // Node 0 is the room center; link it to the others
+        if (i > 0) {
+          for (let k = 0; k < 3; k++) b[k] = origin[k] + nodes[0][k];
+          this.draw.line(a, b, DebugColors.MAGENTA);
+        }
+      }
+
+      for (const [name, point] of Object.entries(room.spawnPoints)) {
+        for (let k = 0; k < 3; k++) a[k] = origin[k] + point[k];
+        this.draw.sphere(a, 0.1, DebugColors.BLUE, 8);
+        this.draw.text3d(a, name, DebugColors.BLUE);
+      }
+    }
+  }
+}
@@ -0,0 +1,23 @@
+/**
+ * Gameplay Event Types
+ * Event names broadcast on the scene event bus by gameplay systems.
+ */
+
+/**
+ * Scene event type names.
+ * Use these instead of string literals so typos fail loudly.
+ * @readonly
+ * @enum {string}
+ */
+export const GameEvents = Object.freeze({
+  /** A door finished opening. Payload: {door: Entity, level: string} */
+  DOOR_OPENED: 'door_opened',
+  /** The player picked up a keycard. Payload: {keycard: Entity|null, level: string} */
+  KEYCARD_PICKED_UP: 'keycard_picked_up',
+  /** The player was killed. Payload: {cause: string, source: Entity|null} */
+  PLAYER_DIED: 'player_died',
+  /** An SCP escaped containment. Payload: {scp: Entity, designation: string} */
+  SCP_BREACH: 'scp_breach',
+  /** The player completed the containment objective. Payload: {scp: Entity|null} */
+  CONTAINMENT_SUCCEEDED: 'containment_succeeded',
+});
@@ -0,0 +1,114 @@
+/**
+ * Game Settings
+ * Player-facing settings and the wiring that applies them live to input,
+ * the renderer and the HUD.
+ */
+
+/** @type {string} localStorage key for saved settings */
+export const SETTINGS_STORAGE_KEY = 'scp-settings';
+
+/**
+ * Definitions for the Settings store, in options menu order.
+ * @type {Readonly<Object<string, import('../core/settings.js').SettingDefinition>>}
+ */
+export const GAME_SETTINGS = Object.freeze({
+  mouseSensitivity: {
+    type: 'number',
+    label: 'Mouse sensitivity',
+    default: 0.002,
+    min: 0.0005,
+    max: 0.01,
+    step: 0.0005,
+  },
+  gamepadLookSensitivity: {
+    type: 'number',
+    label: 'Gamepad look speed',
+    default: 3,
+    min: 0.5,
+    max: 10,
+    step: 0.5,
+  },
+  invertY: { type: 'boolean', label: 'Invert Y', default: false },
+  fov: { type: 'number', label: 'Field of view', default: 45, min: 40, max: 100, step: 1 },
+  resolutionScale: {
+    type: 'number',
+    label: 'Resolution scale',
+    default: 1,
+    min: 0.25,
+    max: 1,
+    step: 0.05,
+  },
+  masterVolume: { type: 'number', label: 'Volume', default: 1, min: 0, max: 1, step: 0.05 },
+  crosshairStyle: {
+    type: 'enum',
+    label: 'Crosshair',
+    default: 'cross',
+    options: ['cross', 'dot', 'none'],
+  },
+  crosshairColor: { type: 'color', label: 'Crosshair color', default: '#ffffff' },
+  crosshairSize: { type: 'number', label: 'Crosshair size', default: 12, min: 4, max: 32, step: 1 },
+});
+
+/**
+ * Systems that follow the settings. All are optional, so headless games
+ * can bind just input.
+ * @typedef {Object} SettingsTargets
+ * @property {import('../core/input.js').Input} [input] - Sensitivity and invert Y
+ * @property {import('../gl/renderer.js').Renderer} [renderer] - Field of view
+ * @property {import('./hud.js').HUD} [hud] - Crosshair
+ * @property {function(number): void} [setResolutionScale] - Resizes the drawing buffer
+ * @property {function(number): void} [setVolume] - Master volume, once something plays audio
+ */
+
+/**
+ * Apply the settings to each target now and whenever they change.
+ * @param {import('../core/settings.js').Settings} settings - Store created with GAME_SETTINGS
+ * @param {SettingsTargets} targets - Systems to keep in sync
+ * @returns {function(): void} Function that stops following the settings
+ */
+export function bindGameSettings(settings, { input, renderer, hud, setResolutionScale, setVolume }) {
+  const owner = {};
+  const apply = (key, handler) => settings.apply(key, handler, owner);
+
+  if (input) {
+    apply('mouseSensitivity', (value) => input.setMouseSensitivity(value));
+    apply('gamepadLookSensitivity', (value) => {
+      input.gamepad.lookSensitivity = value;
+    });
+    apply('invertY', (value) => {
+      input.invertY = value;
+      input.gamepad.invertY = value;
+    });
+  }
+
+  if (renderer) {
+    apply('fov', (value) => {
+      renderer.fov = (value * Math.PI) / 180;
+      renderer.updateProjectionMatrix();
+    });
+  }
+
+  if (hud) {
+    apply('crosshairStyle', (value) => {
+      hud.showCrosshair = value !== 'none';
+      if (value !== 'none') {
+        hud.crosshairStyle = value;
+      }
+    });
+    apply('crosshairColor', (value) => {
+      hud.crosshairColor = value;
+    });
+    apply('crosshairSize', (value) => {
+      hud.crosshairSize = value;
+    });
+  }
+
+  if (setResolutionScale) {
+    apply('resolutionScale', setResolutionScale);
+  }
+  if (setVolume) {
+    apply('masterVolume', setVolume);
+  }
+
+  return () => settings.events.offOwner(owner);
+}
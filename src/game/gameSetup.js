@@ -0,0 +1,286 @@
+/**
+ * Game Setup
+ * Builds the game world independent of the environment. The browser entry
+ * point passes WebGL-backed services; headless runs pass stubs, so the same
+ * scene, prefabs and player setup can be simulated under Node.
+ */
+
+import { buildBox, Material } from '../gl/index.js';
+import { Scene } from '../core/scene.js';
+import { SceneManager } from '../core/sceneManager.js';
+import { Entity } from '../core/entity.js';
+import { ComponentRegistry, applyComponentProps } from '../core/componentRegistry.js';
+import { PrefabLibrary } from '../core/prefab.js';
+import { BoundsComponent } from '../core/bounds.js';
+import {
+  buildSCP173Parts,
+  mergeMeshParts,
+  generateRoom,
+} from './proceduralGeometry.js';
+import {
+  generateConcreteTexture,
+  generateMetalFloorTexture,
+  generate173Texture,
+} from './proceduralTextures.js';
+import { PlayerController } from './player.js';
+import { RenderableComponent, RotatingComponent } from './components.js';
+import { Inventory } from './inventory.js';
+import { RenderAssets } from './renderAssets.js';
+
+/**
+ * Default seeds for procedural generation.
+ * @type {{concrete: number}}
+ */
+export const DEFAULT_SEEDS = Object.freeze({ concrete: 12345 });
+
+/**
+ * A generated room layout placed in the level, for its nav nodes and spawn points.
+ * @typedef {Object} LevelRoom
+ * @property {Object} room - Result of generateRoom()
+ * @property {Float32Array} origin - World position of the room origin (floor center)
+ */
+
+/**
+ * @typedef {Object} GameServices
+ * @property {import('../core/input.js').Input} input - Input (or HeadlessInput)
+ * @property {import('../gl/renderer.js').Renderer|import('../gl/headlessRenderer.js').HeadlessRenderer} renderer - Renderer used for the camera and lighting
+ * @property {import('../gl/graphics.js').GraphicsBackend} graphics - Mesh and texture factory
+ * @property {{concrete: number}} [seeds] - Procedural generation seeds (defaults to DEFAULT_SEEDS)
+ */
+
+/**
+ * @typedef {Object} Game
+ * @property {SceneManager} sceneManager - Scene stack; update and render through it
+ * @property {Scene} scene - Gameplay scene
+ * @property {ComponentRegistry} componentRegistry - Registered component types
+ * @property {RenderAssets} renderAssets - Named meshes and materials used by saved renderables
+ * @property {Entity} playerEntity - Player entity
+ * @property {PlayerController} playerController - Player controller
+ * @property {Inventory} inventory - Player inventory
+ * @property {Array<LevelRoom>} rooms - Room layouts of the level
+ * @property {{concrete: number}} seeds - Seeds the world was generated with
+ * @property {function(): void} dispose - Unload the scenes and free meshes and textures
+ */
+
+/**
+ * Build the game world and push the gameplay scene.
+ * Pending entities are flushed, so the world is ready to update on return.
+ * @param {GameServices} services - Environment-specific services
+ * @returns {Game} Created game
+ */
+export function createGame({ input, renderer, graphics, seeds = DEFAULT_SEEDS }) {
+  const sceneManager = new SceneManager();
+  const scene = new Scene();
+
+  // Generate procedural textures
+  const concreteTexture = graphics.createTexture(() =>
+    generateConcreteTexture(512, seeds.concrete)
+  );
+  const metalFloorTexture = graphics.createTexture(() =>
+    generateMetalFloorTexture(512)
+  );
+  const scp173Texture = graphics.createTexture(() => generate173Texture(256));
+
+  // Create meshes
+  const boxMesh = graphics.createMesh(buildBox(1, 1, 1));
+  const boxMaterial = new Material({ diffuseMap: concreteTexture });
+
+  const floorMesh = graphics.createMesh(buildBox(10, 0.1, 10));
+  const floorMaterial = new Material({ diffuseMap: metalFloorTexture });
+
+  const scp173Mesh = graphics.createMesh(mergeMeshParts(buildSCP173Parts()));
+  const scp173Material = new Material({ diffuseMap: scp173Texture });
+
+  // Create wall meshes
+  const wallMesh = graphics.createMesh(buildBox(10, 3, 0.3));
+
+  // Side wall geometry
+  const sideWallMesh = graphics.createMesh(buildBox(0.3, 3, 10));
+
+  const meshes = [boxMesh, floorMesh, scp173Mesh, wallMesh, sideWallMesh];
+  const textures = [concreteTexture, metalFloorTexture, scp173Texture];
+
+  // Name meshes and materials so saved renderables can find them again
+  const renderAssets = new RenderAssets()
+    .addMesh('box', boxMesh)
+    .addMesh('floor', floorMesh)
+    .addMesh('scp_173', scp173Mesh)
+    .addMesh('wall', wallMesh)
+    .addMesh('wall_side', sideWallMesh)
+    .addMaterial('concrete', boxMaterial)
+    .addMaterial('metal_floor', floorMaterial)
+    .addMaterial('scp_173', scp173Material);
+
+  /** @type {Array<{position: Float32Array, halfSize: Float32Array}>} Static level geometry the player collides with */
+  const levelColliders = [];
+
+  /**
+   * Create a player controller wired to this game's input, renderer and level.
+   * Used for the initial player and for controllers loaded from scene saves.
+   * @returns {PlayerController} New controller
+   */
+  const createPlayerController = () => {
+    const controller = new PlayerController(input, renderer);
+    for (const collider of levelColliders) {
+      controller.addStaticCollider(collider);
+    }
+    return controller;
+  };
+
+  // Register component types and prefabs for declarative entity creation
+  const componentRegistry = new ComponentRegistry()
+    .register('Renderable', RenderableComponent, (props) =>
+      applyComponentProps(new RenderableComponent(null, null, renderAssets), props)
+    )
+    .register('Rotating', RotatingComponent)
+    .register('Bounds', BoundsComponent)
+    .register('Inventory', Inventory)
+    .register('PlayerController', PlayerController, createPlayerController);
+
+  scene.prefabs = new PrefabLibrary(componentRegistry)
+    .define('static_box', {
+      components: {
+        Renderable: { mesh: boxMesh, material: boxMaterial },
+        Bounds: { halfExtents: [0.5, 0.5, 0.5] },
+      },
+    })
+    .define('demo_box', {
+      extends: 'static_box',
+      tags: ['demo'],
+      components: { Rotating: { speed: 0.5 } },
+    })
+    .define('floor_metal', {
+      extends: 'static_box',
+      tags: ['floor'],
+      components: {
+        Renderable: { mesh: floorMesh, material: floorMaterial },
+        Bounds: { halfExtents: [5, 0.05, 5] },
+      },
+    })
+    .define('wall_concrete', {
+      extends: 'static_box',
+      tags: ['wall'],
+      components: {
+        Renderable: { mesh: wallMesh },
+        Bounds: { halfExtents: [5, 1.5, 0.15] },
+      },
+    })
+    .define('wall_concrete_side', {
+      extends: 'wall_concrete',
+      components: {
+        Renderable: { mesh: sideWallMesh },
+        Bounds: { halfExtents: [0.15, 1.5, 5] },
+      },
+    })
+    .define('scp_173', {
+      tags: ['scp', 'scp-173'],
+      components: {
+        Renderable: { mesh: scp173Mesh, material: scp173Material },
+        Bounds: { halfExtents: [0.35, 0.9, 0.35], center: [0, 0.9, 0] },
+      },
+    });
+
+  // Create entities from prefabs
+  const boxEntity = scene.instantiate('demo_box', { position: [0, 0, 0] });
+  const floorEntity = scene.instantiate('floor_metal', {
+    position: [0, -0.55, 0],
+  });
+  const backWallEntity = scene.instantiate('wall_concrete', {
+    position: [0, 1, -5],
+  });
+  const leftWallEntity = scene.instantiate('wall_concrete_side', {
+    position: [-5, 1, 0],
+  });
+  const rightWallEntity = scene.instantiate('wall_concrete_side', {
+    position: [5, 1, 0],
+  });
+  scene.instantiate('scp_173', { name: 'SCP-173', position: [-3, -0.5, -4] });
+
+  // Create player entity with controller
+  const playerEntity = new Entity({ name: 'Player' });
+  const playerStartPosX = 4;
+  const playerStartPosY = -0.5;
+  const playerStartPosZ = 6;
+  playerEntity.addTag('player');
+  const playerController = createPlayerController();
+  playerController.groundLevel = playerStartPosY;
+  playerController.setPosition(playerStartPosX, playerStartPosY, playerStartPosZ);
+
+  // Calculate yaw to face toward the scene origin (0, 0, 0)
+  const sceneTargetX = 0;
+  const sceneTargetZ = 0;
+  const initialYaw = Math.atan2(
+    sceneTargetX - playerStartPosX,
+    sceneTargetZ - playerStartPosZ
+  );
+  playerController.setYaw(initialYaw);
+
+  /**
+   * Add a static box collider centered on an entity.
+   * @param {Entity} entity - Entity providing the collider center
+   * @param {number} width - Box width (X axis)
+   * @param {number} height - Box height (Y axis)
+   * @param {number} depth - Box depth (Z axis)
+   */
+  const addBoxCollider = (entity, width, height, depth) => {
+    const collider = {
+      position: new Float32Array(entity.position),
+      halfSize: new Float32Array([width / 2, height / 2, depth / 2]),
+    };
+    levelColliders.push(collider);
+    playerController.addStaticCollider(collider);
+  };
+
+  // Add static colliders for walls, floor and the rotating box
+  addBoxCollider(floorEntity, 10, 0.1, 10);
+  addBoxCollider(backWallEntity, 10, 3, 0.3);
+  addBoxCollider(leftWallEntity, 0.3, 3, 10);
+  addBoxCollider(rightWallEntity, 0.3, 3, 10);
+  addBoxCollider(boxEntity, 1, 1, 1);
+
+  playerEntity.addComponent(playerController);
+  const inventory = playerEntity.addComponent(new Inventory());
+  scene.addEntityImmediate(playerEntity);
+
+  // The walls and floor above form an open-fronted 10x10 room; describe it
+  // with a generated layout so its nav nodes and spawn points are available
+  const rooms = [
+    {
+      room: generateRoom({ width: 10, depth: 10, height: 3, openFront: true }),
+      origin: new Float32Array([0, playerStartPosY, 0]),
+    },
+  ];
+
+  // Flush prefab instances queued by instantiate()
+  scene.processPendingChanges();
+
+  // Make the gameplay scene active; its renderables are drawn via the manager
+  sceneManager.push(scene);
+
+  // Set lighting
+  renderer.setLightDirection(-0.5, -1.0, -0.3);
+  renderer.setLightColor(1.0, 0.95, 0.9);
+  renderer.setAmbientColor(0.15, 0.15, 0.2);
+
+  return {
+    sceneManager,
+    scene,
+    componentRegistry,
+    renderAssets,
+    playerEntity,
+    playerController,
+    inventory,
+    rooms,
+    seeds,
+    dispose() {
+      sceneManager.clear();
+      scene.clear();
+      for (const mesh of meshes) {
+        mesh.dispose();
+      }
+      for (const texture of textures) {
+        graphics.deleteTexture(texture);
+      }
+    },
+  };
+}
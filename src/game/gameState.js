@@ -0,0 +1,256 @@
+/**
+ * Game State
+ * Global state machine for PLAYING, PAUSED, DEAD and SUCCESS. World time
+ * only runs while playing: leaving PLAYING sets Time.timeScale to 0 and
+ * coming back restores it, so scenes freeze while UI keeps using unscaled
+ * time. Outside PLAYING an input context hides every action from gameplay
+ * and frees the pointer.
+ */
+
+import { EventBus } from '../core/eventBus.js';
+import { InputContext, InputContexts } from '../core/inputContext.js';
+import { Actions, Axes } from '../core/inputActions.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Game states.
+ * @readonly
+ * @enum {string}
+ */
+export const GameStates = Object.freeze({
+  PLAYING: 'playing',
+  PAUSED: 'paused',
+  DEAD: 'dead',
+  SUCCESS: 'success',
+});
+
+/** @type {string} Event emitted on every transition, with a GameStateChange */
+export const GAME_STATE_CHANGED = 'game_state_changed';
+
+/**
+ * Allowed transitions by state. Anything else is ignored, so a death
+ * arriving after success (or a second pause) is harmless.
+ * @type {Readonly<Object<string, ReadonlyArray<string>>>}
+ */
+const TRANSITIONS = Object.freeze({
+  [GameStates.PLAYING]: [GameStates.PAUSED, GameStates.DEAD, GameStates.SUCCESS],
+  [GameStates.PAUSED]: [GameStates.PLAYING],
+  [GameStates.DEAD]: [GameStates.PLAYING],
+  [GameStates.SUCCESS]: [GameStates.PLAYING],
+});
+
+/**
+ * Payload of enter, exit and GAME_STATE_CHANGED events.
+ * @typedef {Object} GameStateChange
+ * @property {string} from - State left
+ * @property {string} to - State entered
+ * @property {Object} details - Extra data passed to transition() (e.g. the cause of death)
+ */
+
+/**
+ * Game state machine with enter and exit hooks.
+ */
+export class GameStateMachine {
+  /**
+   * @param {import('../core/time.js').Time} time - Time system; its time scale is 0 outside PLAYING
+   * @param {import('../core/input.js').Input} input - Input; pause keys and pointer lock are read from it
+   */
+  constructor(time, input) {
+    /** @type {import('../core/time.js').Time} Time system */
+    this.time = time;
+
+    /** @type {import('../core/input.js').Input} Input system */
+    this.input = input;
+
+    /** @type {string} Current state */
+    this.state = GameStates.PLAYING;
+
+    /** @type {EventBus} Emits enter/exit events per state, and GAME_STATE_CHANGED */
+    this.events = new EventBus();
+
+    /** @type {InputContext} Pushed outside PLAYING; hides actions from gameplay but lets debug keys through */
+    this.context = new InputContext(InputContexts.MENU, {
+      pointerLock: false,
+      consumes: [...Object.values(Actions), ...Object.values(Axes)],
+    });
+
+    /** @type {boolean} Whether losing pointer lock pauses the game */
+    this.pauseOnUnlock = true;
+
+    /** @type {number} Time scale to restore when play resumes */
+    this._savedTimeScale = 1;
+
+    /** @type {boolean} Pointer lock state last frame */
+    this._wasLocked = input.isPointerLocked;
+
+    /** @type {function(): void|null} Removes the scene listeners */
+    this._unwatch = null;
+
+    this.onExit(GameStates.PLAYING, () => {
+      this._savedTimeScale = time.timeScale;
+      time.setTimeScale(0);
+      input.pushContext(this.context);
+    });
+    this.onEnter(GameStates.PLAYING, () => {
+      input.removeContext(this.context);
+      time.setTimeScale(this._savedTimeScale);
+    });
+  }
+
+  /**
+   * Check the current state.
+   * @param {string} state - State (see GameStates)
+   * @returns {boolean} True if in that state
+   */
+  is(state) {
+    return this.state === state;
+  }
+
+  /**
+   * Check whether a transition from the current state is allowed.
+   * @param {string} to - Target state
+   * @returns {boolean} True if allowed
+   */
+  canTransition(to) {
+    return TRANSITIONS[this.state].includes(to);
+  }
+
+  /**
+   * Move to another state: exit hooks run, then the state changes, then
+   * enter hooks and GAME_STATE_CHANGED.
+   * @param {string} to - Target state (see GameStates)
+   * @param {Object} [details={}] - Extra data for the hooks
+   * @returns {boolean} True if the state changed
+   * @throws {Error} If the state is unknown
+   */
+  transition(to, details = {}) {
+    if (!(to in TRANSITIONS)) {
+      throw new Error(`Unknown game state "${to}"`);
+    }
+    if (!this.canTransition(to)) return false;
+
+    const change = { from: this.state, to, details };
+    this.events.emit(`exit_${this.state}`, change);
+    this.state = to;
+    this.events.emit(`enter_${to}`, change);
+    this.events.emit(GAME_STATE_CHANGED, change);
+    return true;
+  }
+
+  /**
+   * Run a handler whenever a state is entered.
+   * @param {string} state - State (see GameStates)
+   * @param {function(GameStateChange): void} handler - Hook
+   * @param {Object} [owner] - Owner for bulk removal with events.offOwner()
+   * @returns {function(): void} Function that removes the hook
+   */
+  onEnter(state, handler, owner = null) {
+    return this.events.on(`enter_${state}`, handler, owner);
+  }
+
+  /**
+   * Run a handler whenever a state is left.
+   * @param {string} state - State (see GameStates)
+   * @param {function(GameStateChange): void} handler - Hook
+   * @param {Object} [owner] - Owner for bulk removal with events.offOwner()
+   * @returns {function(): void} Function that removes the hook
+   */
+  onExit(state, handler, owner = null) {
+    return this.events.on(`exit_${state}`, handler, owner);
+  }
+
+  /**
+   * Time scale the world runs at while playing. Outside PLAYING this is
+   * the scale play will resume with, not Time.timeScale (which is 0).
+   * @type {number}
+   */
+  get playTimeScale() {
+    return this.is(GameStates.PLAYING) ? this.time.timeScale : this._savedTimeScale;
+  }
+
+  /**
+   * Set the time scale for play. While playing it applies immediately;
+   * otherwise it is kept until play resumes, so the world stays frozen.
+   * @param {number} scale - Time scale (0 or more)
+   */
+  setPlayTimeScale(scale) {
+    if (this.is(GameStates.PLAYING)) {
+      this.time.setTimeScale(scale);
+    } else {
+      this._savedTimeScale = Math.max(0, scale);
+    }
+  }
+
+  /**
+   * Pause, if playing.
+   * @returns {boolean} True if the game paused
+   */
+  pause() {
+    return this.transition(GameStates.PAUSED);
+  }
+
+  /**
+   * Resume, if paused.
+   * @returns {boolean} True if play resumed
+   */
+  resume() {
+    if (!this.is(GameStates.PAUSED)) return false;
+    return this.transition(GameStates.PLAYING);
+  }
+
+  /**
+   * Start play in a freshly built scene: follow its death and success
+   * events (instead of the previous scene's) and return to PLAYING.
+   * Call after creating or reloading the game.
+   * @param {import('../core/scene.js').Scene} scene - Gameplay scene
+   */
+  begin(scene) {
+    if (this._unwatch) this._unwatch();
+    const owner = {};
+    scene.on(GameEvents.PLAYER_DIED, (event) => this.transition(GameStates.DEAD, event), owner);
+    scene.on(
+      GameEvents.CONTAINMENT_SUCCEEDED,
+      (event) => this.transition(GameStates.SUCCESS, event),
+      owner
+    );
+    this._unwatch = () => scene.events.offOwner(owner);
+
+    if (!this.is(GameStates.PLAYING)) {
+      this.transition(GameStates.PLAYING);
+    }
+  }
+
+  /**
+   * Handle pause input. Call once per frame after input is updated.
+   * The pause action toggles pause; losing pointer lock while gameplay
+   * wants it (e.g. the browser released it on Esc) pauses too.
+   */
+  update() {
+    const input = this.input;
+    const locked = input.isPointerLocked;
+
+    if (this.is(GameStates.PLAYING)) {
+      const unlocked = this.pauseOnUnlock && this._wasLocked && !locked && input.wantsPointerLock();
+      if (unlocked || input.isActionPressed(Actions.PAUSE)) {
+        this.pause();
+      }
+    } else if (this.is(GameStates.PAUSED) && input.isActionPressed(Actions.PAUSE, this.context)) {
+      this.resume();
+    }
+
+    this._wasLocked = locked;
+  }
+
+  /**
+   * Remove the scene listeners and hooks, and restore time and input if not playing.
+   */
+  dispose() {
+    if (this._unwatch) this._unwatch();
+    this._unwatch = null;
+    if (!this.is(GameStates.PLAYING)) {
+      this.input.removeContext(this.context);
+      this.time.setTimeScale(this._savedTimeScale);
+    }
+    this.events.clear();
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Game State Screens
+ * DOM overlays for the pause, death and success states. Each screen fades
+ * in on unscaled time, so it animates while the world is frozen.
+ */
+
+import { GameStates, GAME_STATE_CHANGED } from './gameState.js';
+
+/** @type {number} Seconds a screen takes to fade in */
+const FADE_IN_TIME = 0.4;
+
+/**
+ * Screen actions, wired up by the entry point.
+ * @typedef {Object} ScreenActions
+ * @property {function(): void} restart - Rebuild the world and play again
+ * @property {function(): void} [openOptions] - Open the options menu (pause screen only)
+ */
+
+/**
+ * Pause, death and success overlays driven by a GameStateMachine.
+ */
+export class GameStateScreens {
+  /**
+   * @param {import('./gameState.js').GameStateMachine} machine - State machine to follow
+   * @param {ScreenActions} actions - Button actions
+   */
+  constructor(machine, { restart, openOptions = null }) {
+    /** @type {import('./gameState.js').GameStateMachine} State machine */
+    this.machine = machine;
+
+    /** @type {function(): void} Restart action */
+    this.restart = restart;
+
+    /** @type {function(): void|null} Options action */
+    this.openOptions = openOptions;
+
+    /** @type {HTMLDivElement|null} Overlay root */
+    this.element = null;
+
+    /** @type {HTMLHeadingElement|null} Screen title */
+    this._titleElement = null;
+
+    /** @type {HTMLParagraphElement|null} Screen message */
+    this._messageElement = null;
+
+    /** @type {HTMLDivElement|null} Button row */
+    this._buttonsElement = null;
+
+    /** @type {number} Seconds since the current screen appeared */
+    this._shownFor = 0;
+
+    this._createElements();
+    this._unsubscribe = machine.events.on(GAME_STATE_CHANGED, (change) => this._onChange(change));
+  }
+
+  /**
+   * Create the overlay DOM.
+   * @private
+   */
+  _createElements() {
+    this.element = document.createElement('div');
+    this.element.id = 'game-state-screen';
+    this.element.style.cssText = `
+      position: fixed;
+      inset: 0;
+      display: none;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      gap: 12px;
+      background: rgba(0, 0, 0, 0.75);
+      color: #ddd;
+      font-family: 'Courier New', monospace;
+      text-align: center;
+      z-index: 9000;
+    `;
+
+    this._titleElement = document.createElement('h1');
+    this._titleElement.style.cssText = 'font-size: 40px; letter-spacing: 4px;';
+    this._messageElement = document.createElement('p');
+    this._messageElement.style.cssText = 'font-size: 16px; color: #aaa;';
+    this._buttonsElement = document.createElement('div');
+    this._buttonsElement.style.cssText = 'display: flex; gap: 12px; margin-top: 12px;';
+
+    this.element.append(this._titleElement, this._messageElement, this._buttonsElement);
+    document.body.appendChild(this.element);
+  }
+
+  /**
+   * Create a screen button.
+   * @param {string} text - Button text
+   * @param {function(): void} onClick - Click handler
+   * @returns {HTMLButtonElement} Button
+   * @private
+   */
+  _createButton(text, onClick) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.cssText =
+      'background: #111; color: #ddd; border: 1px solid #888; font: inherit; font-size: 16px; padding: 8px 18px; cursor: pointer;';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Show the screen for the new state, or hide it when play resumes.
+   * @param {import('./gameState.js').GameStateChange} change - Transition
+   * @private
+   */
+  _onChange({ to, details }) {
+    if (to === GameStates.PLAYING) {
+      this.hide();
+      return;
+    }
+
+    const buttons = [];
+    if (to === GameStates.PAUSED) {
+      this._show('PAUSED', 'Press Esc to resume');
+      buttons.push(this._createButton('Resume', () => this.machine.resume()));
+      if (this.openOptions) {
+        buttons.push(this._createButton('Options', this.openOptions));
+      }
+      buttons.push(this._createButton('Restart', this.restart));
+    } else if (to === GameStates.DEAD) {
+      const cause = details.source ? details.source.name : details.cause;
+      this._show('YOU DIED', cause ? `Cause of death: ${cause}` : '');
+      buttons.push(this._createButton('Restart', this.restart));
+    } else {
+      this._show('CONTAINMENT SUCCESSFUL', 'The anomaly has been secured');
+      buttons.push(this._createButton('Play again', this.restart));
+    }
+    this._buttonsElement.replaceChildren(...buttons);
+  }
+
+  /**
+   * Show the overlay with a title and message, starting the fade-in.
+   * @param {string} title - Screen title
+   * @param {string} message - Line under the title
+   * @private
+   */
+  _show(title, message) {
+    this._titleElement.textContent = title;
+    this._messageElement.textContent = message;
+    this._shownFor = 0;
+    this.element.style.opacity = '0';
+    this.element.style.display = 'flex';
+  }
+
+  /**
+   * Hide the overlay.
+   */
+  hide() {
+    this.element.style.display = 'none';
+    if (this.element.contains(document.activeElement)) {
+      document.activeElement.blur();
+    }
+  }
+
+  /**
+   * Animate the visible screen. Pass unscaled time, since world time is
+   * frozen whenever a screen is up.
+   * @param {number} dt - Unscaled delta time in seconds
+   */
+  update(dt) {
+    if (this.element.style.display === 'none' || this._shownFor >= FADE_IN_TIME) return;
+    this._shownFor = Math.min(FADE_IN_TIME, this._shownFor + dt);
+    this.element.style.opacity = String(this._shownFor / FADE_IN_TIME);
+  }
+
+  /**
+   * Remove the overlay and stop following the state machine.
+   */
+  dispose() {
+    this._unsubscribe();
+    if (this.element && this.element.parentNode) {
+      this.element.parentNode.removeChild(this.element);
+    }
+    this.element = null;
+  }
+}
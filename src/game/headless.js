@@ -0,0 +1,72 @@
+/**
+ * Headless Game Bootstrap
+ * Runs the shared game setup without DOM or WebGL, for simulating gameplay
+ * in Node (e.g. test runs or replay verification).
+ *
+ * @example
+ * const sim = createHeadlessGame();
+ * sim.input.keyDown('KeyW');
+ * sim.run(60);
+ * console.log(sim.game.playerEntity.position);
+ */
+
+import { HeadlessInput } from '../core/headlessInput.js';
+import { Time } from '../core/time.js';
+import { releaseAllTemp } from '../core/pool.js';
+import { HeadlessRenderer } from '../gl/headlessRenderer.js';
+import { createHeadlessGraphics } from '../gl/graphics.js';
+import { createGame } from './gameSetup.js';
+
+/**
+ * @typedef {Object} HeadlessGame
+ * @property {import('./gameSetup.js').Game} game - Game created by createGame()
+ * @property {HeadlessInput} input - Scriptable input
+ * @property {Time} time - Time system, advanced by step()
+ * @property {HeadlessRenderer} renderer - Stub renderer recording camera and draw counts
+ * @property {function(number=): number} step - Advance one frame of the given milliseconds; returns scaled dt
+ * @property {function(number, number=): void} run - Advance a number of frames of the given milliseconds
+ */
+
+/**
+ * Create a game that runs without a browser.
+ * Each step mirrors one browser frame: time, scene update, render, then
+ * per-frame input and pooled temporaries are cleared.
+ * @param {Object} [options] - Options
+ * @param {{concrete: number}} [options.seeds] - Procedural generation seeds
+ * @param {number} [options.frameMs=1000/60] - Default frame length in milliseconds
+ * @returns {HeadlessGame} Headless game handle
+ */
+export function createHeadlessGame({ seeds, frameMs = 1000 / 60 } = {}) {
+  const input = new HeadlessInput();
+  const time = new Time();
+  const renderer = new HeadlessRenderer();
+  const game = createGame({
+    input,
+    renderer,
+    graphics: createHeadlessGraphics(),
+    seeds,
+  });
+
+  let now = 0;
+  // Prime Time so the first step produces a real delta
+  time.update(now);
+
+  const step = (ms = frameMs) => {
+    now += ms;
+    const dt = time.update(now);
+    game.sceneManager.update(dt, time);
+    renderer.interpolationAlpha = time.interpolationAlpha;
+    game.sceneManager.render(renderer);
+    input.clearFrameState();
+    releaseAllTemp();
+    return dt;
+  };
+
+  const run = (frames, ms = frameMs) => {
+    for (let i = 0; i < frames; i++) {
+      step(ms);
+    }
+  };
+
+  return { game, input, time, renderer, step, run };
+}
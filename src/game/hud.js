@@ -1,8 +1,10 @@
 /**
  * HUD (Heads-Up Display) Component
- * Renders 2D overlay elements like crosshair over the game canvas.
+ * Renders 2D overlay elements like crosshair and touch controls over the game canvas.
  */
 
+import { TouchInput } from '../core/touch.js';
+
 /**
  * HUD class for rendering overlay elements.
  * Uses a 2D canvas overlay for crosshair and UI elements.
@@ -37,6 +39,8 @@ export class HUD {
     // Crosshair settings
     /** @type {boolean} Whether to show crosshair */
     this.showCrosshair = true;
+    /** @type {'cross'|'dot'} Crosshair shape */
+    this.crosshairStyle = 'cross';
     /** @type {string} Crosshair color */
     this.crosshairColor = 'rgba(255, 255, 255, 0.8)';
     /** @type {number} Crosshair size in pixels */
@@ -53,6 +57,16 @@ export class HUD {
     this.promptColor = 'rgba(255, 255, 255, 0.9)';
     /** @type {string} Prompt font */
     this.promptFont = '16px "Courier New", monospace';
+
+    // Touch controls
+    /** @type {TouchInput|null} Touch state to draw; drawn only while enabled */
+    this.touchControls = null;
+    /** @type {string} Touch control outline color */
+    this.touchColor = 'rgba(255, 255, 255, 0.35)';
+    /** @type {string} Touch control fill while held */
+    this.touchActiveColor = 'rgba(255, 255, 255, 0.25)';
+    /** @type {number} Distance of the idle stick hint from the bottom-left corner */
+    this.touchStickInset = 110;
     
     /** @type {boolean} Whether HUD has been disposed */
     this._disposed = false;
@@ -90,6 +104,14 @@ export class HUD {
     this.interactionPrompt = text;
   }
 
+  /**
+   * Show touch controls for an input's touch state.
+   * @param {TouchInput|null} touch - Touch state (e.g. input.touch), or null to hide
+   */
+  setTouchControls(touch) {
+    this.touchControls = touch;
+  }
+
   /**
    * Render the HUD overlay.
    */
@@ -113,6 +135,11 @@ export class HUD {
     if (this.interactionPrompt) {
       this.drawInteractionPrompt(ctx, width / 2, height / 2 + 50);
     }
+
+    // Draw touch controls
+    if (this.touchControls && this.touchControls.enabled) {
+      this.drawTouchControls(ctx, this.touchControls, width, height);
+    }
   }
 
   /**
@@ -122,6 +149,14 @@ export class HUD {
    * @param {number} y - Center Y position
    */
   drawCrosshair(ctx, x, y) {
+    if (this.crosshairStyle === 'dot') {
+      ctx.fillStyle = this.crosshairColor;
+      ctx.beginPath();
+      ctx.arc(x, y, Math.max(this.crosshairSize / 4, 1.5), 0, Math.PI * 2);
+      ctx.fill();
+      return;
+    }
+
     ctx.strokeStyle = this.crosshairColor;
     ctx.lineWidth = this.crosshairThickness;
     ctx.lineCap = 'round';
@@ -179,6 +214,49 @@ export class HUD {
     ctx.shadowOffsetY = 0;
   }
 
+  /**
+   * Draw the move stick and on-screen buttons. The stick follows the thumb
+   * that holds it; when idle a faint hint shows where to put it.
+   * @param {CanvasRenderingContext2D} ctx - 2D context
+   * @param {TouchInput} touch - Touch state
+   * @param {number} width - Screen width in CSS pixels
+   * @param {number} height - Screen height in CSS pixels
+   */
+  drawTouchControls(ctx, touch, width, height) {
+    ctx.lineWidth = 2;
+    ctx.strokeStyle = this.touchColor;
+
+    // Move stick: base ring and knob
+    const stick = touch.getStickTouch();
+    const baseX = stick ? stick.startX : this.touchStickInset;
+    const baseY = stick ? stick.startY : height - this.touchStickInset;
+    const radius = touch.stickRadius;
+    ctx.beginPath();
+    ctx.arc(baseX, baseY, radius, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.fillStyle = stick ? this.touchActiveColor : this.touchColor;
+    ctx.beginPath();
+    ctx.arc(baseX + touch.move.x * radius, baseY - touch.move.y * radius, radius * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Buttons
+    ctx.font = '12px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const button of touch.buttons) {
+      const { x, y } = TouchInput.getButtonCenter(button, width, height);
+      ctx.beginPath();
+      ctx.arc(x, y, button.radius, 0, Math.PI * 2);
+      if (touch.isButtonHeld(button.code)) {
+        ctx.fillStyle = this.touchActiveColor;
+        ctx.fill();
+      }
+      ctx.stroke();
+      ctx.fillStyle = this.promptColor;
+      ctx.fillText(button.label, x, y);
+    }
+  }
+
   /**
    * Clean up HUD resources.
    */
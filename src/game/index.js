@@ -29,8 +29,33 @@ export {
 // Player controller
 export { PlayerController } from './player.js';
 
+// Shared components
+export { RotatingComponent, RenderableComponent } from './components.js';
+export { RenderAssets } from './renderAssets.js';
+export { Inventory, KEYCARD_LEVELS } from './inventory.js';
+
+// Game setup (browser and headless)
+export { createGame, DEFAULT_SEEDS } from './gameSetup.js';
+export { createHeadlessGame } from './headless.js';
+
+// Debug draw layers
+export { DebugVisualizer, DebugLayers } from './debugVisualizer.js';
+
+// Developer console commands
+export { registerGameCommands } from './consoleCommands.js';
+
 // HUD overlay
 export { HUD } from './hud.js';
 
+// Player settings
+export { GAME_SETTINGS, SETTINGS_STORAGE_KEY, bindGameSettings } from './gameSettings.js';
+
+// Scene event types
+export { GameEvents } from './events.js';
+
+// Game state machine and its pause, death and success screens
+export { GameStateMachine, GameStates, GAME_STATE_CHANGED } from './gameState.js';
+export { GameStateScreens } from './gameStateScreens.js';
+
 // Placeholder for future game systems
-// Will include SCP behaviors, Doors, Keycards, Levels, GameState
+// Will include SCP behaviors, Doors, Keycards, Levels
@@ -0,0 +1,109 @@
+/**
+ * Inventory Component
+ * Item counts and keycard access levels carried by an entity (the player).
+ */
+
+import { Component } from '../core/component.js';
+import { GameEvents } from './events.js';
+
+/**
+ * Keycard access levels, lowest first. OMNI opens every door.
+ * @type {ReadonlyArray<string>}
+ */
+export const KEYCARD_LEVELS = Object.freeze(['L1', 'L2', 'L3', 'L4', 'L5', 'OMNI']);
+
+/**
+ * Inventory of stackable items and keycards.
+ */
+export class Inventory extends Component {
+  constructor() {
+    super();
+
+    /** @type {Map<string, number>} Item counts by item id */
+    this.items = new Map();
+
+    /** @type {Set<string>} Keycard levels held */
+    this.keycards = new Set();
+  }
+
+  /**
+   * Add items.
+   * @param {string} item - Item id
+   * @param {number} [count=1] - Number to add
+   */
+  addItem(item, count = 1) {
+    this.items.set(item, this.getItemCount(item) + count);
+  }
+
+  /**
+   * Remove items.
+   * @param {string} item - Item id
+   * @param {number} [count=1] - Number to remove
+   * @returns {boolean} True if enough were held and they were removed
+   */
+  removeItem(item, count = 1) {
+    const held = this.getItemCount(item);
+    if (held < count) return false;
+    if (held === count) {
+      this.items.delete(item);
+    } else {
+      this.items.set(item, held - count);
+    }
+    return true;
+  }
+
+  /**
+   * Get how many of an item are held.
+   * @param {string} item - Item id
+   * @returns {number} Count
+   */
+  getItemCount(item) {
+    return this.items.get(item) || 0;
+  }
+
+  /**
+   * Add a keycard and announce it on the scene.
+   * @param {string} level - Keycard level from KEYCARD_LEVELS
+   * @param {import('../core/entity.js').Entity|null} [keycard=null] - Picked-up keycard entity, if any
+   * @throws {Error} If the level is unknown
+   */
+  addKeycard(level, keycard = null) {
+    const normalized = level.toUpperCase();
+    if (!KEYCARD_LEVELS.includes(normalized)) {
+      throw new Error(`Unknown keycard level "${level}" (expected ${KEYCARD_LEVELS.join(', ')})`);
+    }
+    this.keycards.add(normalized);
+
+    const scene = this.getScene();
+    if (scene) {
+      scene.emit(GameEvents.KEYCARD_PICKED_UP, { keycard, level: normalized });
+    }
+  }
+
+  /**
+   * Check whether a held keycard grants a level. Higher cards open lower
+   * doors, and OMNI opens everything.
+   * @param {string} level - Required level from KEYCARD_LEVELS
+   * @returns {boolean} True if access is granted
+   */
+  hasAccess(level) {
+    const required = KEYCARD_LEVELS.indexOf(level.toUpperCase());
+    if (required === -1) return false;
+    for (const held of this.keycards) {
+      if (KEYCARD_LEVELS.indexOf(held) >= required) return true;
+    }
+    return false;
+  }
+
+  toJSON() {
+    return {
+      items: Object.fromEntries(this.items),
+      keycards: [...this.keycards],
+    };
+  }
+
+  fromJSON(data) {
+    this.items = new Map(Object.entries(data.items));
+    this.keycards = new Set(data.keycards);
+  }
+}
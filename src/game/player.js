@@ -1,11 +1,13 @@
 /**
  * Player Controller Component
- * First-person movement with WASD, mouse look, sprint modifier, and optional jump.
+ * First-person movement from input actions, mouse look, sprint modifier, and optional jump.
  * Handles collision with environment geometry using AABB collision volumes.
  */
 
 import { Component } from '../core/component.js';
+import { Actions, Axes } from '../core/inputActions.js';
 import * as vec3 from '../math/vec3.js';
+import { GameEvents } from './events.js';
 
 /**
  * PlayerController component for first-person movement and camera control.
@@ -70,50 +72,126 @@ export class PlayerController extends Component {
     /** @type {Array<Object>} Static colliders in the scene */
     this.staticColliders = [];
 
+    // Debug and life state
+    /** @type {boolean} Fly freely along the look direction, ignoring gravity and colliders */
+    this.noclip = false;
+    /** @type {boolean} Ignore kill() unless forced */
+    this.godMode = false;
+    /** @type {boolean} Whether the player has died; stops movement and look */
+    this.isDead = false;
+
     // Temp vectors for calculations
     this._tempForward = vec3.create();
     this._tempRight = vec3.create();
     
     // Reusable array for collision resolution to reduce allocations
     this._resolvedPosition = new Float32Array([0, 0, 0]);
+
+    /** @type {boolean} Whether state was restored from a save (skips start-time init) */
+    this._restoredFromSave = false;
+
+    /** @type {boolean} Jump pressed since the last fixed step (presses are per-frame, steps are not) */
+    this._jumpRequested = false;
   }
 
   /**
    * Called when component is added to scene.
    */
   start() {
-    // Set initial ground level based on entity position
-    if (this.entity) {
+    // Set initial ground level based on entity position (saves keep their own)
+    if (this.entity && !this._restoredFromSave) {
       this.groundLevel = this.entity.position[1];
     }
+
+    // Movement runs in fixedUpdate, so blend the rendered transform between steps
+    if (this.entity) {
+      this.entity.interpolate = true;
+      this.entity.storePreviousTransform();
+    }
+  }
+
+  /**
+   * Serialize look direction and movement state for scene saves.
+   * Static colliders are level data and are rebuilt by the level, not saved.
+   * @returns {Object} Serializable controller state
+   */
+  toJSON() {
+    return {
+      yaw: this.yaw,
+      pitch: this.pitch,
+      velocity: Array.from(this.velocity),
+      isGrounded: this.isGrounded,
+      groundLevel: this.groundLevel,
+    };
   }
 
   /**
-   * Update player movement and camera each frame.
+   * Restore controller state from a scene save.
+   * @param {Object} data - State produced by toJSON()
+   */
+  fromJSON(data) {
+    this.yaw = data.yaw;
+    this.pitch = data.pitch;
+    this.velocity.set(data.velocity);
+    this.isGrounded = data.isGrounded;
+    this.groundLevel = data.groundLevel;
+    this._restoredFromSave = true;
+  }
+
+  /**
+   * Update camera look each frame and latch jump presses for the next fixed step.
    * @param {number} dt - Delta time in seconds
    */
   update(dt) {
-    if (!this.entity || !this.input) return;
+    if (!this.entity || !this.input || this.isDead) return;
 
-    // Only process movement when pointer is locked
-    if (this.input.isPointerLocked) {
-      this.updateCamera();
-      this.updateMovement(dt);
+    // Only process look input when pointer is locked or a gamepad is in use
+    if (this.input.isControlActive()) {
+      this.updateCamera(dt);
+      if (this.input.isActionPressed(Actions.JUMP)) {
+        this._jumpRequested = true;
+      }
     }
+  }
 
-    // Sync camera with entity
+  /**
+   * Sync the camera after all components have updated, so anything that
+   * moves the player this frame is reflected without a frame of lag.
+   * @param {number} dt - Delta time in seconds
+   */
+  lateUpdate(dt) {
+    void dt;
+    if (!this.entity) return;
     this.syncCameraToEntity();
   }
 
   /**
-   * Update camera rotation from mouse input.
+   * Step player physics at the fixed timestep.
+   * @param {number} fixedDt - Fixed delta time in seconds
+   */
+  fixedUpdate(fixedDt) {
+    if (!this.entity || !this.input || this.isDead) return;
+
+    // Only process movement when pointer is locked or a gamepad is in use
+    if (this.input.isControlActive()) {
+      if (this.noclip) {
+        this.updateNoclipMovement(fixedDt);
+      } else {
+        this.updateMovement(fixedDt);
+      }
+    }
+  }
+
+  /**
+   * Update camera rotation from mouse and look stick input.
+   * @param {number} dt - Delta time in seconds (scales the look stick)
    */
-  updateCamera() {
-    const mouseDelta = this.input.getMouseDelta();
+  updateCamera(dt) {
+    const lookDelta = this.input.getLookDelta(dt);
 
     // Update yaw (horizontal rotation) and pitch (vertical rotation)
-    this.yaw -= mouseDelta.x;
-    this.pitch -= mouseDelta.y;
+    this.yaw -= lookDelta.x;
+    this.pitch -= lookDelta.y;
 
     // Clamp pitch to prevent over-rotation
     this.pitch = Math.max(-this.maxPitch, Math.min(this.maxPitch, this.pitch));
@@ -124,7 +202,7 @@ export class PlayerController extends Component {
   }
 
   /**
-   * Update player movement from keyboard input.
+   * Update player movement from the move axes.
    * @param {number} dt - Delta time in seconds
    */
   updateMovement(dt) {
@@ -133,35 +211,20 @@ export class PlayerController extends Component {
     this.getRightVector(this._tempRight);
 
     // Calculate desired movement direction
-    let moveX = 0;
-    let moveZ = 0;
+    const forwardInput = this.input.getAxis(Axes.MOVE_Y);
+    const rightInput = this.input.getAxis(Axes.MOVE_X);
+    let moveX = this._tempForward[0] * forwardInput + this._tempRight[0] * rightInput;
+    let moveZ = this._tempForward[2] * forwardInput + this._tempRight[2] * rightInput;
 
-    if (this.input.isMoveForward()) {
-      moveX += this._tempForward[0];
-      moveZ += this._tempForward[2];
-    }
-    if (this.input.isMoveBackward()) {
-      moveX -= this._tempForward[0];
-      moveZ -= this._tempForward[2];
-    }
-    if (this.input.isMoveLeft()) {
-      moveX -= this._tempRight[0];
-      moveZ -= this._tempRight[2];
-    }
-    if (this.input.isMoveRight()) {
-      moveX += this._tempRight[0];
-      moveZ += this._tempRight[2];
-    }
-
-    // Normalize diagonal movement
+    // Cap diagonal movement at full speed; partial axis values walk slower
     const mag = Math.sqrt(moveX * moveX + moveZ * moveZ);
-    if (mag > this.MOVEMENT_EPSILON) {
+    if (mag > 1) {
       moveX /= mag;
       moveZ /= mag;
     }
 
     // Apply sprint modifier
-    const targetSpeed = this.input.isSprinting()
+    const targetSpeed = this.input.isActionDown(Actions.SPRINT)
       ? this.moveSpeed * this.sprintMultiplier
       : this.moveSpeed;
 
@@ -179,10 +242,11 @@ export class PlayerController extends Component {
     this.velocity[2] += (targetVelZ - this.velocity[2]) * Math.min(lerpFactor, 1);
 
     // Handle jump
-    if (this.jumpEnabled && this.isGrounded && this.input.isJumpPressed()) {
+    if (this.jumpEnabled && this.isGrounded && this._jumpRequested) {
       this.velocity[1] = this.jumpForce;
       this.isGrounded = false;
     }
+    this._jumpRequested = false;
 
     // Apply gravity
     if (!this.isGrounded) {
@@ -203,6 +267,56 @@ export class PlayerController extends Component {
     this.entity.position[2] = resolvedPos[2];
   }
 
+  /**
+   * Fly along the camera direction without gravity or collisions.
+   * Space rises; the player falls back to the ground when noclip ends.
+   * @param {number} dt - Delta time in seconds
+   */
+  updateNoclipMovement(dt) {
+    const forward = this.getCameraForward(this._tempForward);
+    const right = this.getRightVector(this._tempRight);
+
+    const forwardInput = this.input.getAxis(Axes.MOVE_Y);
+    const rightInput = this.input.getAxis(Axes.MOVE_X);
+    const moveX = forward[0] * forwardInput + right[0] * rightInput;
+    const moveY = forward[1] * forwardInput + (this.input.isActionDown(Actions.JUMP) ? 1 : 0);
+    const moveZ = forward[2] * forwardInput + right[2] * rightInput;
+
+    // Twice walking speed, so crossing the level while testing is quick
+    const mag = Math.sqrt(moveX * moveX + moveY * moveY + moveZ * moveZ);
+    const speed = 2 * (this.input.isActionDown(Actions.SPRINT) ? this.moveSpeed * this.sprintMultiplier : this.moveSpeed);
+    const scale = mag > this.MOVEMENT_EPSILON ? speed / Math.max(mag, 1) : 0;
+
+    this.velocity[0] = moveX * scale;
+    this.velocity[1] = moveY * scale;
+    this.velocity[2] = moveZ * scale;
+    this.isGrounded = false;
+    this._jumpRequested = false;
+
+    this.entity.position[0] += this.velocity[0] * dt;
+    this.entity.position[1] += this.velocity[1] * dt;
+    this.entity.position[2] += this.velocity[2] * dt;
+  }
+
+  /**
+   * Kill the player and announce it with GameEvents.PLAYER_DIED.
+   * @param {string} [cause='unknown'] - Cause of death
+   * @param {import('../core/entity.js').Entity|null} [source=null] - Entity responsible, if any
+   * @param {boolean} [force=false] - Kill even in god mode
+   * @returns {boolean} True if the player died
+   */
+  kill(cause = 'unknown', source = null, force = false) {
+    if (this.isDead || (this.godMode && !force)) return false;
+
+    this.isDead = true;
+    this.velocity.fill(0);
+    const scene = this.getScene();
+    if (scene) {
+      scene.emit(GameEvents.PLAYER_DIED, { cause, source });
+    }
+    return true;
+  }
+
   /**
    * Resolve collisions with static geometry.
    * @param {number} newX - Proposed X position
@@ -369,10 +483,14 @@ export class PlayerController extends Component {
   syncCameraToEntity() {
     if (!this.renderer || !this.entity) return;
 
-    // Camera position at player eye height
-    const camX = this.entity.position[0];
-    const camY = this.entity.position[1] + this.eyeHeight;
-    const camZ = this.entity.position[2];
+    // Camera position at player eye height, blended between fixed steps
+    const scene = this.getScene();
+    const alpha = scene ? scene.interpolationAlpha : 1;
+    const prev = this.entity.previousPosition;
+    const pos = this.entity.position;
+    const camX = prev[0] + (pos[0] - prev[0]) * alpha;
+    const camY = prev[1] + (pos[1] - prev[1]) * alpha + this.eyeHeight;
+    const camZ = prev[2] + (pos[2] - prev[2]) * alpha;
 
     this.renderer.setCameraPosition(camX, camY, camZ);
 
@@ -396,6 +514,8 @@ export class PlayerController extends Component {
       this.entity.position[0] = x;
       this.entity.position[1] = y;
       this.entity.position[2] = z;
+      // Teleport: don't blend from the old position
+      this.entity.storePreviousTransform();
     }
   }
 
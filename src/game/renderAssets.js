@@ -0,0 +1,102 @@
+/**
+ * Render Assets
+ * Named meshes and materials, so renderables can be saved by name and
+ * resolved back to the GPU resources of the game that loads them.
+ */
+
+/**
+ * Two-way lookup between asset names and mesh or material objects.
+ */
+export class RenderAssets {
+  constructor() {
+    /** @type {Map<string, Object>} Meshes by name */
+    this._meshes = new Map();
+
+    /** @type {Map<Object, string>} Mesh names by mesh */
+    this._meshNames = new Map();
+
+    /** @type {Map<string, Object>} Materials by name */
+    this._materials = new Map();
+
+    /** @type {Map<Object, string>} Material names by material */
+    this._materialNames = new Map();
+  }
+
+  /**
+   * Add a mesh under a name.
+   * @param {string} name - Asset name used in saves
+   * @param {Object} mesh - Mesh
+   * @returns {RenderAssets} This library for chaining
+   * @throws {Error} If the name is already taken
+   */
+  addMesh(name, mesh) {
+    if (this._meshes.has(name)) {
+      throw new Error(`Mesh "${name}" is already defined`);
+    }
+    this._meshes.set(name, mesh);
+    this._meshNames.set(mesh, name);
+    return this;
+  }
+
+  /**
+   * Add a material under a name.
+   * @param {string} name - Asset name used in saves
+   * @param {Object} material - Material
+   * @returns {RenderAssets} This library for chaining
+   * @throws {Error} If the name is already taken
+   */
+  addMaterial(name, material) {
+    if (this._materials.has(name)) {
+      throw new Error(`Material "${name}" is already defined`);
+    }
+    this._materials.set(name, material);
+    this._materialNames.set(material, name);
+    return this;
+  }
+
+  /**
+   * Get a mesh by name.
+   * @param {string} name - Asset name
+   * @returns {Object} Mesh
+   * @throws {Error} If no mesh has that name
+   */
+  getMesh(name) {
+    const mesh = this._meshes.get(name);
+    if (!mesh) {
+      throw new Error(`Unknown mesh "${name}"`);
+    }
+    return mesh;
+  }
+
+  /**
+   * Get a material by name.
+   * @param {string} name - Asset name
+   * @returns {Object} Material
+   * @throws {Error} If no material has that name
+   */
+  getMaterial(name) {
+    const material = this._materials.get(name);
+    if (!material) {
+      throw new Error(`Unknown material "${name}"`);
+    }
+    return material;
+  }
+
+  /**
+   * Get the name a mesh was added under.
+   * @param {Object} mesh - Mesh
+   * @returns {string|null} Asset name, or null if the mesh was never added
+   */
+  getMeshName(mesh) {
+    return this._meshNames.get(mesh) ?? null;
+  }
+
+  /**
+   * Get the name a material was added under.
+   * @param {Object} material - Material
+   * @returns {string|null} Asset name, or null if the material was never added
+   */
+  getMaterialName(material) {
+    return this._materialNames.get(material) ?? null;
+  }
+}
@@ -0,0 +1,258 @@
+/**
+ * Immediate-mode debug drawing.
+ * Shapes queued during a frame are drawn as lines after the scene by a
+ * DebugRenderer, then cleared. Calls are no-ops while disabled, so debug
+ * code can stay in place at little cost.
+ *
+ * @example
+ * debugDraw.line(from, to, DebugColors.RED);
+ * debugDraw.box(aabb.min, aabb.max);
+ * debugDraw.text3d(entity.position, entity.name);
+ */
+
+import * as mat4 from '../math/mat4.js';
+
+/** @type {number} Floats per line vertex: position xyz, color rgb */
+export const DEBUG_VERTEX_FLOATS = 6;
+
+/**
+ * Common debug colors as [r, g, b] in 0-1.
+ * @readonly
+ * @enum {ReadonlyArray<number>}
+ */
+export const DebugColors = Object.freeze({
+  WHITE: Object.freeze([1, 1, 1]),
+  RED: Object.freeze([1, 0.2, 0.2]),
+  GREEN: Object.freeze([0.2, 1, 0.2]),
+  BLUE: Object.freeze([0.3, 0.5, 1]),
+  YELLOW: Object.freeze([1, 1, 0.2]),
+  CYAN: Object.freeze([0.2, 1, 1]),
+  MAGENTA: Object.freeze([1, 0.3, 1]),
+  ORANGE: Object.freeze([1, 0.6, 0.1]),
+});
+
+/** @type {Array<Array<number>>} Unit cube corners in NDC, indexed by bits (x, y, z) */
+const NDC_CORNERS = [
+  [-1, -1, -1],
+  [1, -1, -1],
+  [-1, 1, -1],
+  [1, 1, -1],
+  [-1, -1, 1],
+  [1, -1, 1],
+  [-1, 1, 1],
+  [1, 1, 1],
+];
+
+/** @type {Array<number>} Corner index pairs for the 12 edges of a box */
+const BOX_EDGES = [0, 1, 2, 3, 4, 5, 6, 7, 0, 2, 1, 3, 4, 6, 5, 7, 0, 4, 1, 5, 2, 6, 3, 7];
+
+/**
+ * A queued world-space label.
+ * @typedef {Object} DebugText
+ * @property {Float32Array} position - World position
+ * @property {string} text - Label text
+ * @property {ReadonlyArray<number>} color - [r, g, b] in 0-1
+ */
+
+/**
+ * Queue of debug lines and labels for one frame.
+ */
+export class DebugDraw {
+  /**
+   * @param {number} [initialLines=1024] - Line capacity to preallocate
+   */
+  constructor(initialLines = 1024) {
+    /** @type {boolean} Whether draw calls are recorded */
+    this.enabled = true;
+
+    /** @type {Float32Array} Interleaved line vertices */
+    this.vertices = new Float32Array(initialLines * 2 * DEBUG_VERTEX_FLOATS);
+
+    /** @type {number} Vertices queued this frame */
+    this.vertexCount = 0;
+
+    /** @type {Array<DebugText>} Labels queued this frame */
+    this.texts = [];
+
+    /** @type {Float32Array} Scratch matrix for frustum() */
+    this._inverse = mat4.create();
+
+    /** @type {Array<Float32Array>} Scratch corners for box() and frustum() */
+    this._corners = NDC_CORNERS.map(() => new Float32Array(3));
+  }
+
+  /**
+   * Number of lines queued this frame.
+   * @returns {number} Line count
+   */
+  get lineCount() {
+    return this.vertexCount / 2;
+  }
+
+  /**
+   * Queue a line segment.
+   * @param {ArrayLike<number>} from - Start point
+   * @param {ArrayLike<number>} to - End point
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   */
+  line(from, to, color = DebugColors.WHITE) {
+    if (!this.enabled) return;
+
+    this._reserve(2);
+    const v = this.vertices;
+    let i = this.vertexCount * DEBUG_VERTEX_FLOATS;
+    v[i++] = from[0];
+    v[i++] = from[1];
+    v[i++] = from[2];
+    v[i++] = color[0];
+    v[i++] = color[1];
+    v[i++] = color[2];
+    v[i++] = to[0];
+    v[i++] = to[1];
+    v[i++] = to[2];
+    v[i++] = color[0];
+    v[i++] = color[1];
+    v[i++] = color[2];
+    this.vertexCount += 2;
+  }
+
+  /**
+   * Queue a ray as a line from an origin along a direction.
+   * @param {ArrayLike<number>} origin - Ray origin
+   * @param {ArrayLike<number>} direction - Ray direction (not necessarily normalized)
+   * @param {number} length - Length along the direction
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   */
+  ray(origin, direction, length, color = DebugColors.WHITE) {
+    if (!this.enabled) return;
+
+    const end = this._corners[0];
+    end[0] = origin[0] + direction[0] * length;
+    end[1] = origin[1] + direction[1] * length;
+    end[2] = origin[2] + direction[2] * length;
+    this.line(origin, end, color);
+  }
+
+  /**
+   * Queue an axis-aligned wire box.
+   * @param {ArrayLike<number>} min - Minimum corner
+   * @param {ArrayLike<number>} max - Maximum corner
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   */
+  box(min, max, color = DebugColors.WHITE) {
+    if (!this.enabled) return;
+
+    const corners = this._corners;
+    for (let i = 0; i < 8; i++) {
+      corners[i][0] = i & 1 ? max[0] : min[0];
+      corners[i][1] = i & 2 ? max[1] : min[1];
+      corners[i][2] = i & 4 ? max[2] : min[2];
+    }
+    this._boxEdges(corners, color);
+  }
+
+  /**
+   * Queue a wire sphere as three axis-aligned circles.
+   * @param {ArrayLike<number>} center - Sphere center
+   * @param {number} radius - Sphere radius
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   * @param {number} [segments=16] - Segments per circle
+   */
+  sphere(center, radius, color = DebugColors.WHITE, segments = 16) {
+    if (!this.enabled) return;
+
+    const a = this._corners[0];
+    const b = this._corners[1];
+    for (let axis = 0; axis < 3; axis++) {
+      // The circle lies in the plane of the two other axes
+      const u = (axis + 1) % 3;
+      const w = (axis + 2) % 3;
+      for (let i = 0; i < segments; i++) {
+        const t0 = (i / segments) * Math.PI * 2;
+        const t1 = ((i + 1) / segments) * Math.PI * 2;
+        a[axis] = center[axis];
+        a[u] = center[u] + Math.cos(t0) * radius;
+        a[w] = center[w] + Math.sin(t0) * radius;
+        b[axis] = center[axis];
+        b[u] = center[u] + Math.cos(t1) * radius;
+        b[w] = center[w] + Math.sin(t1) * radius;
+        this.line(a, b, color);
+      }
+    }
+  }
+
+  /**
+   * Queue the wire outline of a camera frustum.
+   * @param {Float32Array} viewProjMatrix - The camera's projection * view matrix
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   */
+  frustum(viewProjMatrix, color = DebugColors.WHITE) {
+    if (!this.enabled) return;
+    if (!mat4.invert(this._inverse, viewProjMatrix)) return;
+
+    // Unproject the NDC cube corners back into world space
+    const m = this._inverse;
+    const corners = this._corners;
+    for (let i = 0; i < 8; i++) {
+      const [x, y, z] = NDC_CORNERS[i];
+      const w = m[3] * x + m[7] * y + m[11] * z + m[15];
+      corners[i][0] = (m[0] * x + m[4] * y + m[8] * z + m[12]) / w;
+      corners[i][1] = (m[1] * x + m[5] * y + m[9] * z + m[13]) / w;
+      corners[i][2] = (m[2] * x + m[6] * y + m[10] * z + m[14]) / w;
+    }
+    this._boxEdges(corners, color);
+  }
+
+  /**
+   * Queue a text label anchored at a world position.
+   * @param {ArrayLike<number>} position - World position
+   * @param {string} text - Label text
+   * @param {ArrayLike<number>} [color=DebugColors.WHITE] - [r, g, b] in 0-1
+   */
+  text3d(position, text, color = DebugColors.WHITE) {
+    if (!this.enabled) return;
+    this.texts.push({ position: new Float32Array(position), text: String(text), color });
+  }
+
+  /**
+   * Drop everything queued. Called by the renderer after drawing.
+   */
+  clear() {
+    this.vertexCount = 0;
+    this.texts.length = 0;
+  }
+
+  /**
+   * Queue the 12 edges between 8 corners indexed by bits (x, y, z).
+   * @param {Array<Float32Array>} corners - Box corners
+   * @param {ArrayLike<number>} color - [r, g, b] in 0-1
+   * @private
+   */
+  _boxEdges(corners, color) {
+    for (let i = 0; i < BOX_EDGES.length; i += 2) {
+      this.line(corners[BOX_EDGES[i]], corners[BOX_EDGES[i + 1]], color);
+    }
+  }
+
+  /**
+   * Grow the vertex buffer to fit more vertices.
+   * @param {number} count - Vertices about to be added
+   * @private
+   */
+  _reserve(count) {
+    const needed = (this.vertexCount + count) * DEBUG_VERTEX_FLOATS;
+    if (needed <= this.vertices.length) return;
+
+    let size = this.vertices.length * 2;
+    while (size < needed) size *= 2;
+    const grown = new Float32Array(size);
+    grown.set(this.vertices.subarray(0, this.vertexCount * DEBUG_VERTEX_FLOATS));
+    this.vertices = grown;
+  }
+}
+
+/**
+ * Shared debug draw queue used by game code and drawn by the main loop.
+ * @type {DebugDraw}
+ */
+export const debugDraw = new DebugDraw();
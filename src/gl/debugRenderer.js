@@ -0,0 +1,145 @@
+/**
+ * Debug Renderer
+ * Draws a DebugDraw queue as unlit lines over the rendered scene, and its
+ * text labels onto a 2D canvas.
+ */
+
+import * as mat4 from '../math/mat4.js';
+import { DEBUG_VERTEX_FLOATS } from './debugDraw.js';
+import {
+  createProgram,
+  getUniformLocations,
+  debugVertexShader,
+  debugFragmentShader,
+} from './shader.js';
+
+/** @type {number} Opacity of lines hidden behind geometry when showOccluded is on */
+const OCCLUDED_ALPHA = 0.25;
+
+/**
+ * Renderer for debug lines and labels. Call render() after Renderer.render()
+ * so it shares the camera, then renderText() after the HUD has cleared its canvas.
+ */
+export class DebugRenderer {
+  /**
+   * Create a debug renderer.
+   * @param {WebGL2RenderingContext} gl - The WebGL2 context
+   */
+  constructor(gl) {
+    this.gl = gl;
+
+    this.program = createProgram(gl, debugVertexShader, debugFragmentShader);
+    this.uniformLocations = getUniformLocations(gl, this.program);
+
+    /** @type {boolean} Also draw lines hidden behind geometry, faded */
+    this.showOccluded = true;
+
+    /** @type {Float32Array} Camera matrix of the last render() */
+    this.viewProjMatrix = mat4.create();
+
+    /** @type {number} Lines drawn by the last render() */
+    this.lastLineCount = 0;
+
+    // Dynamic vertex buffer, grown to fit the queue
+    this._vao = gl.createVertexArray();
+    this._buffer = gl.createBuffer();
+    this._bufferSize = 0;
+
+    const stride = DEBUG_VERTEX_FLOATS * 4;
+    gl.bindVertexArray(this._vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._buffer);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 3, gl.FLOAT, false, stride, 0);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 3, gl.FLOAT, false, stride, 12);
+    gl.bindVertexArray(null);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+  }
+
+  /**
+   * Draw the queued lines with the renderer's camera.
+   * Text labels stay queued for renderText(); call debugDraw.clear() after both.
+   * @param {import('./debugDraw.js').DebugDraw} debugDraw - Queue to draw
+   * @param {import('./renderer.js').Renderer} renderer - Renderer whose camera to use (after its render())
+   */
+  render(debugDraw, renderer) {
+    const gl = this.gl;
+    mat4.multiply(this.viewProjMatrix, renderer.projectionMatrix, renderer.viewMatrix);
+
+    const count = debugDraw.vertexCount;
+    this.lastLineCount = count / 2;
+    if (count === 0) return;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._buffer);
+    const data = debugDraw.vertices.subarray(0, count * DEBUG_VERTEX_FLOATS);
+    if (data.byteLength > this._bufferSize) {
+      this._bufferSize = debugDraw.vertices.byteLength;
+      gl.bufferData(gl.ARRAY_BUFFER, this._bufferSize, gl.DYNAMIC_DRAW);
+    }
+    gl.bufferSubData(gl.ARRAY_BUFFER, 0, data);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    gl.useProgram(this.program);
+    const loc = this.uniformLocations;
+    gl.uniformMatrix4fv(loc.u_viewProjMatrix, false, this.viewProjMatrix);
+    gl.bindVertexArray(this._vao);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+
+    // Faded pass through walls, so colliders behind geometry stay visible
+    if (this.showOccluded) {
+      gl.disable(gl.DEPTH_TEST);
+      gl.uniform1f(loc.u_alpha, OCCLUDED_ALPHA);
+      gl.drawArrays(gl.LINES, 0, count);
+      gl.enable(gl.DEPTH_TEST);
+    }
+
+    gl.uniform1f(loc.u_alpha, 1);
+    gl.drawArrays(gl.LINES, 0, count);
+
+    gl.disable(gl.BLEND);
+    gl.bindVertexArray(null);
+  }
+
+  /**
+   * Draw queued text labels onto a 2D canvas, projected with the camera
+   * from the last render(). Labels behind the camera are skipped.
+   * @param {import('./debugDraw.js').DebugDraw} debugDraw - Queue to draw
+   * @param {CanvasRenderingContext2D} ctx - 2D context covering the game canvas
+   * @param {number} width - Canvas width in CSS pixels
+   * @param {number} height - Canvas height in CSS pixels
+   */
+  renderText(debugDraw, ctx, width, height) {
+    if (debugDraw.texts.length === 0) return;
+
+    const m = this.viewProjMatrix;
+    ctx.font = '12px "Courier New", monospace';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (const { position: p, text, color } of debugDraw.texts) {
+      const w = m[3] * p[0] + m[7] * p[1] + m[11] * p[2] + m[15];
+      if (w <= 0) continue;
+      const x = (m[0] * p[0] + m[4] * p[1] + m[8] * p[2] + m[12]) / w;
+      const y = (m[1] * p[0] + m[5] * p[1] + m[9] * p[2] + m[13]) / w;
+      if (x < -1 || x > 1 || y < -1 || y > 1) continue;
+
+      const r = Math.round(color[0] * 255);
+      const g = Math.round(color[1] * 255);
+      const b = Math.round(color[2] * 255);
+      ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+      ctx.fillText(text, ((x + 1) / 2) * width, ((1 - y) / 2) * height);
+    }
+  }
+
+  /**
+   * Clean up GPU resources.
+   */
+  dispose() {
+    const gl = this.gl;
+    gl.deleteBuffer(this._buffer);
+    gl.deleteVertexArray(this._vao);
+    gl.deleteProgram(this.program);
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Graphics Backends
+ * Resource factories used by the shared game setup, so the same setup code
+ * can upload to WebGL in the browser or build placeholders when headless.
+ */
+
+import { createMesh } from './mesh.js';
+import { createTextureFromCanvas, deleteTexture } from './material.js';
+
+/**
+ * @typedef {Object} GraphicsBackend
+ * @property {function(Object): Object} createMesh - Create a mesh from geometry ({positions, normals, uvs, indices})
+ * @property {function(function(): HTMLCanvasElement): (WebGLTexture|null)} createTexture - Create a texture from a canvas generator; headless backends may skip calling it
+ * @property {function((WebGLTexture|null)): void} deleteTexture - Free a texture returned by createTexture
+ */
+
+/**
+ * Create a backend that uploads meshes and textures to WebGL.
+ * @param {WebGL2RenderingContext} gl - The WebGL2 context
+ * @returns {GraphicsBackend} WebGL backend
+ */
+export function createGLGraphics(gl) {
+  return {
+    createMesh: (geometry) => createMesh(gl, geometry),
+    createTexture: (generate) => createTextureFromCanvas(gl, generate()),
+    deleteTexture: (texture) => deleteTexture(gl, texture),
+  };
+}
+
+/**
+ * Create a backend that needs no DOM or GL context.
+ * Meshes keep their geometry and index count but have no VAO, and texture
+ * generators are not run, since they need a 2D canvas.
+ * @returns {GraphicsBackend} Headless backend
+ */
+export function createHeadlessGraphics() {
+  return {
+    createMesh: (geometry) => ({
+      vao: null,
+      indexCount: geometry.indices ? geometry.indices.length : 0,
+      indexType: 0,
+      buffers: [],
+      geometry,
+      dispose() {},
+    }),
+    createTexture: () => null,
+    deleteTexture() {},
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * Headless Renderer
+ * Stand-in for Renderer with the same camera, lighting and render-list API
+ * but no GL context. Records camera state and draw counts so simulations
+ * can assert on them.
+ */
+
+import * as vec3 from '../math/vec3.js';
+
+/**
+ * Renderer replacement for headless runs
+ */
+export class HeadlessRenderer {
+  constructor() {
+    // Camera position and orientation
+    this.cameraPosition = vec3.create(0, 1, 5);
+    this.cameraTarget = vec3.create(0, 0, 0);
+    this.cameraUp = vec3.create(0, 1, 0);
+
+    // Lighting settings (directional light)
+    this.lightDir = vec3.create(-0.5, -1.0, -0.5);
+    vec3.normalize(this.lightDir, this.lightDir);
+    this.lightColor = vec3.create(1.0, 0.95, 0.9);
+    this.ambientColor = vec3.create(0.2, 0.2, 0.25);
+
+    // Render list
+    this.renderables = [];
+
+    // Blend factor for entities using fixed-step interpolation (Time.interpolationAlpha)
+    this.interpolationAlpha = 1;
+
+    /** @type {number} Objects submitted by the last render() call */
+    this.lastDrawCount = 0;
+
+    /** @type {number} Number of render() calls */
+    this.frameCount = 0;
+  }
+
+  /**
+   * Set camera position
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  setCameraPosition(x, y, z) {
+    vec3.set(this.cameraPosition, x, y, z);
+  }
+
+  /**
+   * Set camera look-at target
+   * @param {number} x - X coordinate
+   * @param {number} y - Y coordinate
+   * @param {number} z - Z coordinate
+   */
+  setCameraTarget(x, y, z) {
+    vec3.set(this.cameraTarget, x, y, z);
+  }
+
+  /**
+   * Set directional light direction
+   * @param {number} x - X component
+   * @param {number} y - Y component
+   * @param {number} z - Z component
+   */
+  setLightDirection(x, y, z) {
+    vec3.set(this.lightDir, x, y, z);
+    vec3.normalize(this.lightDir, this.lightDir);
+  }
+
+  /**
+   * Set light color
+   * @param {number} r - Red (0-1)
+   * @param {number} g - Green (0-1)
+   * @param {number} b - Blue (0-1)
+   */
+  setLightColor(r, g, b) {
+    vec3.set(this.lightColor, r, g, b);
+  }
+
+  /**
+   * Set ambient light color
+   * @param {number} r - Red (0-1)
+   * @param {number} g - Green (0-1)
+   * @param {number} b - Blue (0-1)
+   */
+  setAmbientColor(r, g, b) {
+    vec3.set(this.ambientColor, r, g, b);
+  }
+
+  /**
+   * Add a renderable object to the render list
+   * @param {Object} renderable - Object with mesh, material and transform
+   */
+  addRenderable(renderable) {
+    this.renderables.push(renderable);
+  }
+
+  /**
+   * Remove a renderable from the render list
+   * @param {Object} renderable - Object to remove
+   */
+  removeRenderable(renderable) {
+    const index = this.renderables.indexOf(renderable);
+    if (index !== -1) {
+      this.renderables.splice(index, 1);
+    }
+  }
+
+  /**
+   * Clear the render list
+   */
+  clearRenderables() {
+    this.renderables = [];
+  }
+
+  /**
+   * Count the objects that would be drawn
+   * @param {Array<Object>} [renderables] - Objects to draw instead of the render list
+   */
+  render(renderables = this.renderables) {
+    this.lastDrawCount = renderables.length;
+    this.frameCount++;
+  }
+
+  /**
+   * Handle canvas resize (no-op)
+   */
+  handleResize() {}
+
+  /**
+   * Clean up renderer resources (no-op)
+   */
+  dispose() {
+    this.renderables = [];
+  }
+}
@@ -11,6 +11,8 @@ export {
   getAttributeLocations,
   defaultVertexShader,
   defaultFragmentShader,
+  debugVertexShader,
+  debugFragmentShader,
 } from './shader.js';
 export { createMesh, buildBox } from './mesh.js';
 export {
@@ -21,3 +23,7 @@ export {
   Material,
 } from './material.js';
 export { Renderer } from './renderer.js';
+export { HeadlessRenderer } from './headlessRenderer.js';
+export { createGLGraphics, createHeadlessGraphics } from './graphics.js';
+export { DebugDraw, DebugColors, debugDraw } from './debugDraw.js';
+export { DebugRenderer } from './debugRenderer.js';
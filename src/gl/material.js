@@ -129,11 +129,14 @@ export function deleteTexture(gl, texture) {
  * Material class for managing shader uniforms and textures
  */
 export class Material {
+  /** Expand materials held by components in the entity inspector. */
+  static inspectable = true;
+
   /**
    * Create a new material
    * @param {Object} options - Material options
    * @param {WebGLTexture} [options.diffuseMap] - Diffuse texture
-   * @param {number[]} [options.color] - Base color [r, g, b] (0-1)
+   * @param {number[]} [options.color] - Base color [r, g, b] (0-1), multiplied with the diffuse map
    */
   constructor(options = {}) {
     this.diffuseMap = options.diffuseMap || null;
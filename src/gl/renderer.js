@@ -5,6 +5,7 @@
 
 import * as mat4 from '../math/mat4.js';
 import * as vec3 from '../math/vec3.js';
+import * as quat from '../math/quat.js';
 import {
   createProgram,
   getUniformLocations,
@@ -12,6 +13,15 @@ import {
   defaultFragmentShader,
 } from './shader.js';
 
+/** @type {Float32Array} Base color for renderables without a material */
+const WHITE = new Float32Array([1, 1, 1]);
+
+/** @type {Float32Array} Position for renderables without one */
+const ORIGIN = new Float32Array([0, 0, 0]);
+
+/** @type {Float32Array} Scale for renderables without one */
+const UNIT_SCALE = new Float32Array([1, 1, 1]);
+
 /**
  * Renderer class for managing WebGL2 rendering
  */
@@ -50,8 +60,12 @@ export class Renderer {
     // Render list
     this.renderables = [];
 
+    // Blend factor for entities using fixed-step interpolation (Time.interpolationAlpha)
+    this.interpolationAlpha = 1;
+
     // Temp matrices for transforms
     this._modelMatrix = mat4.create();
+    this._modelQuat = quat.create();
     this._normalMatrix = new Float32Array(9);
 
     // Update initial projection matrix
@@ -136,8 +150,9 @@ export class Renderer {
    * @param {Object} renderable.mesh - Mesh object from createMesh
    * @param {Object} [renderable.material] - Material object
    * @param {Float32Array} [renderable.position] - Position [x, y, z]
-   * @param {Float32Array} [renderable.rotation] - Rotation [x, y, z] in radians
+   * @param {Float32Array} [renderable.rotation] - Rotation [x, y, z] in radians, or a quat [x, y, z, w]
    * @param {Float32Array} [renderable.scale] - Scale [x, y, z]
+   * @param {{getWorldMatrix: function(): Float32Array}} [renderable.entity] - Transform source; when set, its world matrix is used instead of position/rotation/scale
    */
   addRenderable(renderable) {
     this.renderables.push(renderable);
@@ -175,36 +190,30 @@ export class Renderer {
   /**
    * Build model matrix from position, rotation, and scale
    * @param {Float32Array} out - Output matrix
-   * @param {Float32Array} position - Position [x, y, z]
-   * @param {Float32Array} rotation - Rotation [x, y, z] in radians
-   * @param {Float32Array} scale - Scale [x, y, z]
+   * @param {Float32Array|null} position - Position [x, y, z]
+   * @param {Float32Array|null} rotation - Euler rotation [x, y, z] in radians, or a quat [x, y, z, w]
+   * @param {Float32Array|null} scale - Scale [x, y, z]
    * @returns {Float32Array} out
    */
   buildModelMatrix(out, position, rotation, scale) {
-    mat4.identity(out);
-
-    if (position) {
-      mat4.translate(out, out, position);
-    }
-
-    if (rotation) {
-      // Apply rotations in Z-X-Y order for local-space rotations (standard convention)
-      mat4.rotateZ(out, out, rotation[2]);
-      mat4.rotateX(out, out, rotation[0]);
-      mat4.rotateY(out, out, rotation[1]);
+    const q = this._modelQuat;
+    if (!rotation) {
+      quat.identity(q);
+    } else if (rotation.length === 4) {
+      quat.copy(q, rotation);
+    } else {
+      // Euler angles apply in Z-X-Y order for local-space rotations (standard convention)
+      quat.fromEuler(q, rotation[0], rotation[1], rotation[2]);
     }
 
-    if (scale) {
-      mat4.scale(out, out, scale);
-    }
-
-    return out;
+    return mat4.fromRotationTranslationScale(out, q, position || ORIGIN, scale || UNIT_SCALE);
   }
 
   /**
    * Render all objects in the render list
+   * @param {Array<Object>} [renderables] - Objects to draw instead of the render list (e.g. from SceneManager)
    */
-  render() {
+  render(renderables = this.renderables) {
     const gl = this.gl;
 
     // Update view matrix
@@ -227,31 +236,41 @@ export class Renderer {
     gl.uniform1i(loc.u_diffuseMap, 0);
 
     // Render each object
-    for (const obj of this.renderables) {
+    for (const obj of renderables) {
       // Frustum culling check
       if (!this.isInFrustum(obj)) {
         continue;
       }
 
-      // Build model matrix
-      this.buildModelMatrix(
-        this._modelMatrix,
-        obj.position || null,
-        obj.rotation || null,
-        obj.scale || null
-      );
+      // Use the entity's world matrix (includes parent transforms, blended
+      // between fixed steps if it interpolates), otherwise build a model
+      // matrix from the loose transform
+      let modelMatrix;
+      if (obj.entity && obj.entity.interpolate) {
+        modelMatrix = obj.entity.getInterpolatedWorldMatrix(this.interpolationAlpha);
+      } else if (obj.entity) {
+        modelMatrix = obj.entity.getWorldMatrix();
+      } else {
+        modelMatrix = this.buildModelMatrix(
+          this._modelMatrix,
+          obj.position || null,
+          obj.rotation || null,
+          obj.scale || null
+        );
+      }
 
       // Compute and set normal matrix (inverse transpose of model matrix)
-      mat4.normalMatrix(this._normalMatrix, this._modelMatrix);
+      mat4.normalMatrix(this._normalMatrix, modelMatrix);
       gl.uniformMatrix3fv(loc.u_normalMatrix, false, this._normalMatrix);
 
       // Set model matrix uniform
-      gl.uniformMatrix4fv(loc.u_modelMatrix, false, this._modelMatrix);
+      gl.uniformMatrix4fv(loc.u_modelMatrix, false, modelMatrix);
 
-      // Bind material texture
+      // Bind material texture and tint
       if (obj.material && obj.material.bind) {
         obj.material.bind(gl, 0);
       }
+      gl.uniform3fv(loc.u_baseColor, obj.material ? obj.material.color : WHITE);
 
       // Draw mesh
       if (obj.mesh && obj.mesh.vao) {
@@ -272,6 +291,16 @@ export class Renderer {
     gl.bindVertexArray(null);
   }
 
+  /**
+   * Apply camera settings edited in the entity inspector.
+   * @param {string} key - Edited field
+   */
+  onInspectorChange(key) {
+    if (key === 'fov' || key === 'near' || key === 'far') {
+      this.updateProjectionMatrix();
+    }
+  }
+
   /**
    * Handle canvas resize
    */
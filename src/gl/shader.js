@@ -151,12 +151,13 @@ in vec2 v_uv;
 uniform vec3 u_ambientColor;
 uniform vec3 u_lightDir;
 uniform vec3 u_lightColor;
+uniform vec3 u_baseColor;
 uniform sampler2D u_diffuseMap;
 
 out vec4 outColor;
 
 void main() {
-  vec3 baseColor = texture(u_diffuseMap, v_uv).rgb;
+  vec3 baseColor = texture(u_diffuseMap, v_uv).rgb * u_baseColor;
 
   vec3 N = normalize(v_worldNormal);
   vec3 L = normalize(-u_lightDir);
@@ -170,3 +171,35 @@ void main() {
   outColor = vec4(color, 1.0);
 }
 `;
+
+// Unlit vertex-colored line shader for debug drawing (GLSL 300 ES)
+export const debugVertexShader = `#version 300 es
+precision highp float;
+
+layout(location = 0) in vec3 a_position;
+layout(location = 1) in vec3 a_color;
+
+uniform mat4 u_viewProjMatrix;
+
+out vec3 v_color;
+
+void main() {
+  v_color = a_color;
+  gl_Position = u_viewProjMatrix * vec4(a_position, 1.0);
+}
+`;
+
+// Debug line fragment shader: outputs the vertex color unlit (GLSL 300 ES)
+export const debugFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 v_color;
+
+uniform float u_alpha;
+
+out vec4 outColor;
+
+void main() {
+  outColor = vec4(v_color, u_alpha);
+}
+`;
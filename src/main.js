@@ -5,28 +5,34 @@
 
 import {
   initGL,
-  buildBox,
-  createMesh,
-  createTextureFromCanvas,
-  Material,
+  createGLGraphics,
   Renderer,
+  DebugRenderer,
+  debugDraw,
 } from './gl/index.js';
 import {
-  generateConcreteTexture,
-  generateMetalFloorTexture,
-  buildSCP173Parts,
-  generate173Texture,
-  mergeMeshParts,
-  PlayerController,
+  createGame,
   HUD,
+  registerGameCommands,
+  DebugVisualizer,
+  GAME_SETTINGS,
+  SETTINGS_STORAGE_KEY,
+  bindGameSettings,
+  GameStateMachine,
+  GameStateScreens,
 } from './game/index.js';
 import {
-  Scene,
-  Entity,
-  Component,
   Input,
+  InputRecorder,
   Time,
   DebugOverlay,
+  Profiler,
+  CommandRegistry,
+  DevConsole,
+  Inspector,
+  Settings,
+  OptionsMenu,
+  FrameTags,
   releaseAllTemp,
 } from './core/index.js';
 
@@ -35,9 +41,10 @@ import {
  * @param {HTMLCanvasElement} canvas - The canvas element
  * @param {WebGL2RenderingContext} gl - The WebGL2 context
  * @param {Renderer} [renderer] - Optional renderer to update
+ * @param {number} [scale=1] - Resolution scale; below 1 renders fewer pixels and stretches them
  */
-function resizeCanvas(canvas, gl, renderer) {
-  const dpr = window.devicePixelRatio || 1;
+function resizeCanvas(canvas, gl, renderer, scale = 1) {
+  const dpr = (window.devicePixelRatio || 1) * scale;
   const displayWidth = canvas.clientWidth;
   const displayHeight = canvas.clientHeight;
   const width = Math.round(displayWidth * dpr);
@@ -73,53 +80,64 @@ function showError(message) {
 }
 
 /**
- * Rotating component for demo purposes
+ * Get localStorage. Browsers throw when site data is blocked, in which
+ * case the game runs without saving settings.
+ * @returns {Storage|null} localStorage, or null if unavailable
  */
-class RotatingComponent extends Component {
-  constructor(speed = 0.5) {
-    super();
-    this.speed = speed;
-  }
-
-  update(dt) {
-    if (this.entity) {
-      this.entity.rotation[1] += dt * this.speed;
-    }
+function getLocalStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    console.warn('localStorage is unavailable:', error);
+    return null;
   }
 }
 
+/** @type {string} sessionStorage key holding a replay to play after reload */
+const REPLAY_STORAGE_KEY = 'scp-replay';
+
 /**
- * Renderable component that bridges entity and renderer
+ * Set up input recording and replay for bug reports.
+ * Load with ?record to record from startup; press F8 to download the log
+ * recorded so far.
+ * Drop a replay file on the page to reload and play it from startup.
+ * @param {InputRecorder} recorder - Recorder wrapping the game's Input and Time
+ * @param {Object} meta - Metadata stored with recordings (seeds etc.)
  */
-class RenderableComponent extends Component {
-  constructor(mesh, material) {
-    super();
-    this.mesh = mesh;
-    this.material = material;
-    this._renderable = null;
+function setupReplay(recorder, meta) {
+  const pending = sessionStorage.getItem(REPLAY_STORAGE_KEY);
+  if (pending) {
+    sessionStorage.removeItem(REPLAY_STORAGE_KEY);
+    recorder.startPlayback(pending);
+    console.log('Playing back recorded input');
+  } else if (new URLSearchParams(window.location.search).has('record')) {
+    recorder.startRecording(meta);
+    console.log('Recording input; press F8 to download the replay');
   }
 
-  start() {
-    // Create renderable object for the renderer
-    this._renderable = {
-      mesh: this.mesh,
-      material: this.material,
-      position: this.entity.position,
-      rotation: this.entity.rotation,
-      scale: this.entity.scale,
-    };
-  }
+  window.addEventListener('keydown', (event) => {
+    if (event.code !== 'F8' || !recorder.isRecording) return;
+    // Snapshot without stopping, so the replay always starts at page load
+    const json = JSON.stringify(recorder.getRecordedLog());
+    const blob = new Blob([json], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `replay-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  });
 
-  /**
-   * Get the renderable object. Initializes if not yet created.
-   * @returns {Object|null} Renderable object or null if entity not set
-   */
-  getRenderable() {
-    if (!this._renderable && this.entity) {
-      this.start();
-    }
-    return this._renderable;
-  }
+  // Replays must start from a fresh page to reproduce the session
+  window.addEventListener('dragover', (event) => event.preventDefault());
+  window.addEventListener('drop', (event) => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (!file) return;
+    file.text().then((text) => {
+      sessionStorage.setItem(REPLAY_STORAGE_KEY, text);
+      window.location.reload();
+    });
+  });
 }
 
 /**
@@ -151,199 +169,106 @@ function main() {
   // Initialize core systems
   const time = new Time();
   const input = new Input(canvas);
-  const debugOverlay = new DebugOverlay(time);
-  const scene = new Scene();
+  input.actions.load();
+  const debugOverlay = new DebugOverlay(time, input);
+  const profiler = new Profiler();
+  const recorder = new InputRecorder(input, time);
 
   console.log('Core systems initialized');
 
   // Create renderer
   const renderer = new Renderer(gl);
+  const debugRenderer = new DebugRenderer(gl);
+  const debugVisualizer = new DebugVisualizer(debugOverlay);
 
-  // Initial resize
-  resizeCanvas(canvas, gl, renderer);
+  // Entity inspector (F2), with the renderer's camera and lighting tweakable too
+  const inspector = new Inspector(input);
+  inspector.addTarget('Renderer', renderer);
+
+  // Initial resize (settings may change the scale below)
+  let resolutionScale = 1;
+  resizeCanvas(canvas, gl, renderer, resolutionScale);
 
   // Handle window resize
-  window.addEventListener('resize', () => resizeCanvas(canvas, gl, renderer));
-
-  // Generate procedural textures
-  console.log('Generating procedural textures...');
-  const concreteCanvas = generateConcreteTexture(512, 12345);
-  const metalFloorCanvas = generateMetalFloorTexture(512);
-  const scp173Canvas = generate173Texture(256);
-
-  const concreteTexture = createTextureFromCanvas(gl, concreteCanvas);
-  const metalFloorTexture = createTextureFromCanvas(gl, metalFloorCanvas);
-  const scp173Texture = createTextureFromCanvas(gl, scp173Canvas);
-  console.log('Procedural textures generated successfully');
-
-  // Create meshes
-  const boxGeometry = buildBox(1, 1, 1);
-  const boxMesh = createMesh(gl, boxGeometry);
-  const boxMaterial = new Material({ diffuseMap: concreteTexture });
-
-  const floorGeometry = buildBox(10, 0.1, 10);
-  const floorMesh = createMesh(gl, floorGeometry);
-  const floorMaterial = new Material({ diffuseMap: metalFloorTexture });
-
-  console.log('Building SCP-173 model...');
-  const scp173Parts = buildSCP173Parts();
-  const scp173Merged = mergeMeshParts(scp173Parts);
-  const scp173Mesh = createMesh(gl, scp173Merged);
-  const scp173Material = new Material({ diffuseMap: scp173Texture });
-  console.log('SCP-173 model built successfully');
-
-  // Create entities using the entity-component system
-  // Rotating box entity
-  const boxEntity = new Entity();
-  boxEntity.position[0] = 0;
-  boxEntity.position[1] = 0;
-  boxEntity.position[2] = 0;
-  boxEntity.addTag('demo');
-  boxEntity.addComponent(new RotatingComponent(0.5));
-  boxEntity.addComponent(new RenderableComponent(boxMesh, boxMaterial));
-  scene.addEntityImmediate(boxEntity);
-
-  // Floor entity
-  const floorEntity = new Entity();
-  const floorPosX = 0;
-  const floorPosY = -0.55;
-  const floorPosZ = 0;
-  floorEntity.position[0] = floorPosX;
-  floorEntity.position[1] = floorPosY;
-  floorEntity.position[2] = floorPosZ;
-  floorEntity.addTag('floor');
-  floorEntity.addComponent(new RenderableComponent(floorMesh, floorMaterial));
-  scene.addEntityImmediate(floorEntity);
-
-  // Create wall meshes
-  const wallGeometry = buildBox(10, 3, 0.3);
-  const wallMesh = createMesh(gl, wallGeometry);
-
-  // Back wall entity
-  const backWallEntity = new Entity();
-  const backWallPosX = 0;
-  const backWallPosY = 1;
-  const backWallPosZ = -5;
-  const backWallWidth = 10;
-  const backWallHeight = 3;
-  const backWallDepth = 0.3;
-  backWallEntity.position[0] = backWallPosX;
-  backWallEntity.position[1] = backWallPosY;
-  backWallEntity.position[2] = backWallPosZ;
-  backWallEntity.addTag('wall');
-  backWallEntity.addComponent(new RenderableComponent(wallMesh, boxMaterial));
-  scene.addEntityImmediate(backWallEntity);
-
-  // Side wall geometry
-  const sideWallGeometry = buildBox(0.3, 3, 10);
-  const sideWallMesh = createMesh(gl, sideWallGeometry);
-
-  // Left wall entity
-  const leftWallEntity = new Entity();
-  const leftWallPosX = -5;
-  const leftWallPosY = 1;
-  const leftWallPosZ = 0;
-  const sideWallWidth = 0.3;
-  const sideWallHeight = 3;
-  const sideWallDepth = 10;
-  leftWallEntity.position[0] = leftWallPosX;
-  leftWallEntity.position[1] = leftWallPosY;
-  leftWallEntity.position[2] = leftWallPosZ;
-  leftWallEntity.addTag('wall');
-  leftWallEntity.addComponent(new RenderableComponent(sideWallMesh, boxMaterial));
-  scene.addEntityImmediate(leftWallEntity);
-
-  // Right wall entity
-  const rightWallEntity = new Entity();
-  const rightWallPosX = 5;
-  const rightWallPosY = 1;
-  const rightWallPosZ = 0;
-  rightWallEntity.position[0] = rightWallPosX;
-  rightWallEntity.position[1] = rightWallPosY;
-  rightWallEntity.position[2] = rightWallPosZ;
-  rightWallEntity.addTag('wall');
-  rightWallEntity.addComponent(new RenderableComponent(sideWallMesh, boxMaterial));
-  scene.addEntityImmediate(rightWallEntity);
-
-  // SCP-173 entity
-  const scp173Entity = new Entity();
-  scp173Entity.position[0] = -3;
-  scp173Entity.position[1] = -0.5;
-  scp173Entity.position[2] = -4;
-  scp173Entity.addTag('scp');
-  scp173Entity.addTag('scp-173');
-  scp173Entity.addComponent(new RenderableComponent(scp173Mesh, scp173Material));
-  scene.addEntityImmediate(scp173Entity);
-
-  // Create player entity with controller
-  const playerEntity = new Entity();
-  const playerStartPosX = 4;
-  const playerStartPosY = -0.5;
-  const playerStartPosZ = 6;
-  playerEntity.addTag('player');
-  const playerController = new PlayerController(input, renderer);
-  playerController.groundLevel = playerStartPosY;
-  playerController.setPosition(playerStartPosX, playerStartPosY, playerStartPosZ);
-  
-  // Calculate yaw to face toward the scene origin (0, 0, 0)
-  const sceneTargetX = 0;
-  const sceneTargetZ = 0;
-  const initialYaw = Math.atan2(
-    sceneTargetX - playerStartPosX,
-    sceneTargetZ - playerStartPosZ
-  );
-  playerController.setYaw(initialYaw);
-
-  // Add static colliders for walls and floor
-  // Floor collider
-  playerController.addStaticCollider({
-    position: new Float32Array([floorPosX, floorPosY, floorPosZ]),
-    halfSize: new Float32Array([10 / 2, 0.1 / 2, 10 / 2]),
-  });
-  // Back wall collider
-  playerController.addStaticCollider({
-    position: new Float32Array([backWallPosX, backWallPosY, backWallPosZ]),
-    halfSize: new Float32Array([backWallWidth / 2, backWallHeight / 2, backWallDepth / 2]),
-  });
-  // Left wall collider
-  playerController.addStaticCollider({
-    position: new Float32Array([leftWallPosX, leftWallPosY, leftWallPosZ]),
-    halfSize: new Float32Array([sideWallWidth / 2, sideWallHeight / 2, sideWallDepth / 2]),
-  });
-  // Right wall collider
-  playerController.addStaticCollider({
-    position: new Float32Array([rightWallPosX, rightWallPosY, rightWallPosZ]),
-    halfSize: new Float32Array([sideWallWidth / 2, sideWallHeight / 2, sideWallDepth / 2]),
-  });
-  // Rotating box collider
-  playerController.addStaticCollider({
-    position: new Float32Array([boxEntity.position[0], boxEntity.position[1], boxEntity.position[2]]),
-    halfSize: new Float32Array([1 / 2, 1 / 2, 1 / 2]),
-  });
+  window.addEventListener('resize', () => resizeCanvas(canvas, gl, renderer, resolutionScale));
+
+  // Frames stop while the tab is hidden; keep that gap out of frame pacing
+  document.addEventListener('visibilitychange', () => time.suspend());
+
+  // Build the world with WebGL-backed resources
+  console.log('Generating procedural textures and meshes...');
+  // Tag texture generation so the hitches it causes are attributed in frame pacing
+  const glGraphics = createGLGraphics(gl);
+  const graphics = {
+    ...glGraphics,
+    createTexture(generate) {
+      time.tagFrame(FrameTags.TEXTURE_GENERATION);
+      return glGraphics.createTexture(generate);
+    },
+  };
+
+  // Pause (Esc or losing pointer lock), death and success; world time only runs while playing
+  const gameState = new GameStateMachine(time, input);
+
+  /** @type {import('./game/consoleCommands.js').GameSession} */
+  const session = {
+    game: null,
+    time,
+    gameState,
+    reload(seeds = session.game.seeds) {
+      session.game.dispose();
+      startGame(seeds);
+    },
+  };
 
-  playerEntity.addComponent(playerController);
-  scene.addEntityImmediate(playerEntity);
+  /**
+   * Build the world and make it the session's game.
+   * @param {{concrete: number}} [seeds] - Procedural generation seeds
+   */
+  function startGame(seeds) {
+    time.tagFrame(FrameTags.LEVEL_STREAMING);
+    session.game = createGame({ input, renderer, graphics, seeds });
+    // Profile scene updates per component class; enabled while the overlay is shown
+    session.game.sceneManager.setProfiler(profiler);
+    gameState.begin(session.game.scene);
+  }
+
+  startGame();
+  debugOverlay.setProfiler(profiler);
+
+  // Developer console (Backquote) with gameplay commands
+  const commands = registerGameCommands(new CommandRegistry(), session);
+  const devConsole = new DevConsole(commands, input);
+  devConsole.recorder = recorder;
 
   // Create HUD
   const hud = new HUD(canvas);
+  hud.setTouchControls(input.touch);
 
-  // Add all renderables to the renderer
-  for (const entity of scene.entities) {
-    const renderableComponent = entity.getComponent(RenderableComponent);
-    if (renderableComponent) {
-      const renderable = renderableComponent.getRenderable();
-      if (renderable) {
-        renderer.addRenderable(renderable);
-      }
-    }
-  }
+  // Player settings, saved to localStorage and applied live; options menu on F10
+  const settings = new Settings(GAME_SETTINGS, {
+    storage: getLocalStorage(),
+    storageKey: SETTINGS_STORAGE_KEY,
+  });
+  settings.load();
+  bindGameSettings(settings, {
+    input,
+    renderer,
+    hud,
+    setResolutionScale: (scale) => {
+      resolutionScale = scale;
+      resizeCanvas(canvas, gl, renderer, resolutionScale);
+    },
+  });
+  const optionsMenu = new OptionsMenu(settings, input);
 
-  console.log(`Scene initialized with ${scene.getEntityCount()} entities`);
+  // Overlays for the non-playing states; restart rebuilds the world in place
+  const screens = new GameStateScreens(gameState, {
+    restart: () => session.reload(),
+    openOptions: () => optionsMenu.open(),
+  });
 
-  // Set lighting
-  renderer.setLightDirection(-0.5, -1.0, -0.3);
-  renderer.setLightColor(1.0, 0.95, 0.9);
-  renderer.setAmbientColor(0.15, 0.15, 0.2);
+  console.log(`Scene initialized with ${session.game.scene.getEntityCount()} entities`);
 
   // Hide instructions when rendering starts
   const instructions = document.getElementById('instructions');
@@ -351,38 +276,76 @@ function main() {
     instructions.style.display = 'none';
   }
 
-  console.log('Press Tab to toggle debug overlay (FPS, frame time)');
+  console.log('Press Tab to toggle debug overlay (FPS, frame pacing; F7 downloads CSV)');
+  console.log('Press ` to open the developer console, F2 for the entity inspector');
+  console.log('Press F10 for options, Esc to pause');
+
+  setupReplay(recorder, { seeds: session.game.seeds });
 
   /**
    * Main game loop
    * @param {number} currentTime - Current timestamp in milliseconds
    */
   function gameLoop(currentTime) {
-    // Update time system
-    const dt = time.update(currentTime);
+    profiler.beginFrame();
+
+    // Read the gamepad before the recorder captures this frame's input
+    input.pollGamepad();
+
+    // Update time system (recording or replaying input if active)
+    const dt = recorder.update(currentTime);
+
+    // Pause input; screens animate on unscaled time since world time may be frozen
+    gameState.update();
+    screens.update(time.unscaledDeltaTime);
+    const { sceneManager } = session.game;
+
+    // Debug shapes are only queued while the overlay is shown
+    debugDraw.enabled = debugOverlay.visible;
 
     // Update debug overlay
-    debugOverlay.setValue('Entities', scene.getEntityCount());
+    debugOverlay.setValue('Entities', sceneManager.getActiveScene().getEntityCount());
     debugOverlay.setValue('Pointer Lock', input.isPointerLocked ? 'Yes' : 'No');
+    debugOverlay.setValue('State', gameState.state);
+    debugOverlay.setValue('Gamepad', input.gamepad.connected ? input.gamepad.id : 'None');
+    debugOverlay.setValue('Debug lines', debugRenderer.lastLineCount);
     debugOverlay.update();
+    inspector.update(sceneManager.getActiveScene());
 
-    // Update scene (all entities and their components)
-    scene.update(dt);
+    // Update scenes (fixed steps, then all entities and their components)
+    sceneManager.update(dt, time);
+    debugVisualizer.update(session.game, renderer);
 
     // Clear the canvas
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-    // Render the scene
-    renderer.render();
+    // Render the scene, blending interpolated entities between fixed steps
+    renderer.interpolationAlpha = time.interpolationAlpha;
+    profiler.begin('Renderer.render');
+    sceneManager.render(renderer);
+    profiler.end('Renderer.render');
 
-    // Render HUD overlay
+    // Draw debug lines over the scene
+    profiler.begin('DebugRenderer.render');
+    debugRenderer.render(debugDraw, renderer);
+    profiler.end('DebugRenderer.render');
+
+    // Render HUD overlay, then debug labels on top of it
+    profiler.begin('HUD.render');
     hud.render();
+    profiler.end('HUD.render');
+    debugRenderer.renderText(debugDraw, hud.ctx, canvas.clientWidth, canvas.clientHeight);
+    debugDraw.clear();
 
     // Clear per-frame input state
     input.clearFrameState();
 
     // Release temporary pooled objects
+    profiler.begin('releaseAllTemp');
     releaseAllTemp();
+    profiler.end('releaseAllTemp');
+
+    profiler.endFrame();
 
     // Continue the loop
     requestAnimationFrame(gameLoop);
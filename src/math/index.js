@@ -1,7 +1,8 @@
 /**
  * Math Utilities
- * Contains vector and matrix math utilities.
+ * Contains vector, matrix and quaternion math utilities.
  */
 
 export * as vec3 from './vec3.js';
 export * as mat4 from './mat4.js';
+export * as quat from './quat.js';
@@ -485,6 +485,55 @@ export function fromScaling(out, v) {
   return out;
 }
 
+/**
+ * Create a transform matrix that scales, then rotates by a quat, then
+ * translates (translation * rotation * scale)
+ * @param {Float32Array} out - Destination matrix
+ * @param {Float32Array} q - Rotation quat [x, y, z, w]
+ * @param {Float32Array} v - Translation vector
+ * @param {Float32Array} s - Scale vector
+ * @returns {Float32Array} out
+ */
+export function fromRotationTranslationScale(out, q, v, s) {
+  const x = q[0],
+    y = q[1],
+    z = q[2],
+    w = q[3];
+  const x2 = x + x,
+    y2 = y + y,
+    z2 = z + z;
+  const xx = x * x2,
+    xy = x * y2,
+    xz = x * z2;
+  const yy = y * y2,
+    yz = y * z2,
+    zz = z * z2;
+  const wx = w * x2,
+    wy = w * y2,
+    wz = w * z2;
+  const sx = s[0],
+    sy = s[1],
+    sz = s[2];
+
+  out[0] = (1 - (yy + zz)) * sx;
+  out[1] = (xy + wz) * sx;
+  out[2] = (xz - wy) * sx;
+  out[3] = 0;
+  out[4] = (xy - wz) * sy;
+  out[5] = (1 - (xx + zz)) * sy;
+  out[6] = (yz + wx) * sy;
+  out[7] = 0;
+  out[8] = (xz + wy) * sz;
+  out[9] = (yz - wx) * sz;
+  out[10] = (1 - (xx + yy)) * sz;
+  out[11] = 0;
+  out[12] = v[0];
+  out[13] = v[1];
+  out[14] = v[2];
+  out[15] = 1;
+  return out;
+}
+
 /**
  * Invert a mat4
  * @param {Float32Array} out - Destination matrix
@@ -0,0 +1,323 @@
+/**
+ * Quaternion Utilities
+ * Unit quaternions [x, y, z, w] for rotations that blend smoothly and
+ * don't gimbal lock. Euler conversions use the engine's Z-X-Y order
+ * (pitch, yaw, roll), and +Z is forward, as in Entity.rotation.
+ */
+
+/**
+ * Create a new identity quat
+ * @returns {Float32Array} New quat (identity)
+ */
+export function create() {
+  const out = new Float32Array(4);
+  out[3] = 1;
+  return out;
+}
+
+/**
+ * Set a quat to the identity rotation
+ * @param {Float32Array} out - Quat to set
+ * @returns {Float32Array} out
+ */
+export function identity(out) {
+  out[0] = 0;
+  out[1] = 0;
+  out[2] = 0;
+  out[3] = 1;
+  return out;
+}
+
+/**
+ * Set the components of a quat
+ * @param {Float32Array} out - Destination quat
+ * @param {number} x - X component
+ * @param {number} y - Y component
+ * @param {number} z - Z component
+ * @param {number} w - W component
+ * @returns {Float32Array} out
+ */
+export function set(out, x, y, z, w) {
+  out[0] = x;
+  out[1] = y;
+  out[2] = z;
+  out[3] = w;
+  return out;
+}
+
+/**
+ * Copy a quat
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} a - Source quat
+ * @returns {Float32Array} out
+ */
+export function copy(out, a) {
+  out[0] = a[0];
+  out[1] = a[1];
+  out[2] = a[2];
+  out[3] = a[3];
+  return out;
+}
+
+/**
+ * Normalize a quat (identity if it has zero length)
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} a - Quat to normalize
+ * @returns {Float32Array} out
+ */
+export function normalize(out, a) {
+  const len = Math.hypot(a[0], a[1], a[2], a[3]);
+  if (len > 0) {
+    const inv = 1 / len;
+    out[0] = a[0] * inv;
+    out[1] = a[1] * inv;
+    out[2] = a[2] * inv;
+    out[3] = a[3] * inv;
+  } else {
+    identity(out);
+  }
+  return out;
+}
+
+/**
+ * Calculate the dot product of two quats
+ * @param {Float32Array} a - First operand
+ * @param {Float32Array} b - Second operand
+ * @returns {number} Dot product
+ */
+export function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+/**
+ * Multiply two quats. The result applies b first, then a (like a * b for matrices).
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} a - First operand
+ * @param {Float32Array} b - Second operand
+ * @returns {Float32Array} out
+ */
+export function multiply(out, a, b) {
+  const ax = a[0],
+    ay = a[1],
+    az = a[2],
+    aw = a[3];
+  const bx = b[0],
+    by = b[1],
+    bz = b[2],
+    bw = b[3];
+
+  out[0] = aw * bx + ax * bw + ay * bz - az * by;
+  out[1] = aw * by - ax * bz + ay * bw + az * bx;
+  out[2] = aw * bz + ax * by - ay * bx + az * bw;
+  out[3] = aw * bw - ax * bx - ay * by - az * bz;
+  return out;
+}
+
+/**
+ * Set a quat to a rotation around an axis
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} axis - Rotation axis (must be normalized)
+ * @param {number} rad - Angle in radians
+ * @returns {Float32Array} out
+ */
+export function setAxisAngle(out, axis, rad) {
+  const half = rad * 0.5;
+  const s = Math.sin(half);
+  out[0] = axis[0] * s;
+  out[1] = axis[1] * s;
+  out[2] = axis[2] * s;
+  out[3] = Math.cos(half);
+  return out;
+}
+
+/**
+ * Set a quat from Euler angles, applied in Z-X-Y order like Entity.rotation
+ * @param {Float32Array} out - Destination quat
+ * @param {number} pitch - Rotation around X in radians
+ * @param {number} yaw - Rotation around Y in radians
+ * @param {number} roll - Rotation around Z in radians
+ * @returns {Float32Array} out
+ */
+export function fromEuler(out, pitch, yaw, roll) {
+  const sx = Math.sin(pitch * 0.5),
+    cx = Math.cos(pitch * 0.5);
+  const sy = Math.sin(yaw * 0.5),
+    cy = Math.cos(yaw * 0.5);
+  const sz = Math.sin(roll * 0.5),
+    cz = Math.cos(roll * 0.5);
+
+  // qz * qx * qy, expanded
+  out[0] = cz * sx * cy - sz * cx * sy;
+  out[1] = cz * cx * sy + sz * sx * cy;
+  out[2] = cz * sx * sy + sz * cx * cy;
+  out[3] = cz * cx * cy - sz * sx * sy;
+  return out;
+}
+
+/**
+ * Spherical linear interpolation between two quats, along the shorter arc
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} a - Start rotation
+ * @param {Float32Array} b - End rotation
+ * @param {number} t - Blend factor (0-1)
+ * @returns {Float32Array} out
+ */
+export function slerp(out, a, b, t) {
+  const ax = a[0],
+    ay = a[1],
+    az = a[2],
+    aw = a[3];
+  let bx = b[0],
+    by = b[1],
+    bz = b[2],
+    bw = b[3];
+
+  let cosom = ax * bx + ay * by + az * bz + aw * bw;
+  // q and -q are the same rotation; flip b to take the shorter way round
+  if (cosom < 0) {
+    cosom = -cosom;
+    bx = -bx;
+    by = -by;
+    bz = -bz;
+    bw = -bw;
+  }
+
+  let scale0;
+  let scale1;
+  if (1 - cosom > 1e-6) {
+    const omega = Math.acos(cosom);
+    const sinom = Math.sin(omega);
+    scale0 = Math.sin((1 - t) * omega) / sinom;
+    scale1 = Math.sin(t * omega) / sinom;
+  } else {
+    // Nearly identical: fall back to linear interpolation
+    scale0 = 1 - t;
+    scale1 = t;
+  }
+
+  out[0] = scale0 * ax + scale1 * bx;
+  out[1] = scale0 * ay + scale1 * by;
+  out[2] = scale0 * az + scale1 * bz;
+  out[3] = scale0 * aw + scale1 * bw;
+  return out;
+}
+
+/**
+ * Set a quat to the rotation that turns +Z toward a direction, keeping +Y
+ * as close to an up vector as possible
+ * @param {Float32Array} out - Destination quat
+ * @param {Float32Array} forward - Direction to face (need not be normalized)
+ * @param {Float32Array} [up=[0, 1, 0]] - Up direction
+ * @returns {Float32Array} out (identity if forward has zero length)
+ */
+export function lookRotation(out, forward, up = [0, 1, 0]) {
+  let len = Math.hypot(forward[0], forward[1], forward[2]);
+  if (len === 0) return identity(out);
+  const zx = forward[0] / len,
+    zy = forward[1] / len,
+    zz = forward[2] / len;
+
+  // Right = up x forward; if up is parallel to forward, use another up
+  let ux = up[0],
+    uy = up[1],
+    uz = up[2];
+  let xx = uy * zz - uz * zy;
+  let xy = uz * zx - ux * zz;
+  let xz = ux * zy - uy * zx;
+  len = Math.hypot(xx, xy, xz);
+  if (len < 1e-6) {
+    if (Math.abs(zz) < 0.9) {
+      ux = 0;
+      uy = 0;
+      uz = 1;
+    } else {
+      ux = 1;
+      uy = 0;
+      uz = 0;
+    }
+    xx = uy * zz - uz * zy;
+    xy = uz * zx - ux * zz;
+    xz = ux * zy - uy * zx;
+    len = Math.hypot(xx, xy, xz);
+  }
+  xx /= len;
+  xy /= len;
+  xz /= len;
+
+  // Up = forward x right
+  const yx = zy * xz - zz * xy;
+  const yy = zz * xx - zx * xz;
+  const yz = zx * xy - zy * xx;
+
+  // Rotation matrix with columns right, up, forward to quat
+  const trace = xx + yy + zz;
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    out[3] = 0.25 / s;
+    out[0] = (yz - zy) * s;
+    out[1] = (zx - xz) * s;
+    out[2] = (xy - yx) * s;
+  } else if (xx > yy && xx > zz) {
+    const s = 2 * Math.sqrt(1 + xx - yy - zz);
+    out[3] = (yz - zy) / s;
+    out[0] = 0.25 * s;
+    out[1] = (yx + xy) / s;
+    out[2] = (zx + xz) / s;
+  } else if (yy > zz) {
+    const s = 2 * Math.sqrt(1 + yy - xx - zz);
+    out[3] = (zx - xz) / s;
+    out[0] = (yx + xy) / s;
+    out[1] = 0.25 * s;
+    out[2] = (zy + yz) / s;
+  } else {
+    const s = 2 * Math.sqrt(1 + zz - xx - yy);
+    out[3] = (xy - yx) / s;
+    out[0] = (zx + xz) / s;
+    out[1] = (zy + yz) / s;
+    out[2] = 0.25 * s;
+  }
+  return out;
+}
+
+/**
+ * Create a rotation matrix from a quat
+ * @param {Float32Array} out - Destination mat4
+ * @param {Float32Array} q - Rotation quat
+ * @returns {Float32Array} out
+ */
+export function toMat4(out, q) {
+  const x = q[0],
+    y = q[1],
+    z = q[2],
+    w = q[3];
+  const x2 = x + x,
+    y2 = y + y,
+    z2 = z + z;
+  const xx = x * x2,
+    yx = y * x2,
+    yy = y * y2;
+  const zx = z * x2,
+    zy = z * y2,
+    zz = z * z2;
+  const wx = w * x2,
+    wy = w * y2,
+    wz = w * z2;
+
+  out[0] = 1 - yy - zz;
+  out[1] = yx + wz;
+  out[2] = zx - wy;
+  out[3] = 0;
+  out[4] = yx - wz;
+  out[5] = 1 - xx - zz;
+  out[6] = zy + wx;
+  out[7] = 0;
+  out[8] = zx + wy;
+  out[9] = zy - wx;
+  out[10] = 1 - xx - yy;
+  out[11] = 0;
+  out[12] = 0;
+  out[13] = 0;
+  out[14] = 0;
+  out[15] = 1;
+  return out;
+}
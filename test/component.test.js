@@ -0,0 +1,42 @@
+/**
+ * Component checks: scheduled tasks are tracked only while they are live.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from '../src/core/scene.js';
+import { Entity } from '../src/core/entity.js';
+import { Component } from '../src/core/component.js';
+
+class Ticker extends Component {}
+
+test('finished tasks are not kept for cancellation', () => {
+  const scene = new Scene();
+  const entity = new Entity();
+  const ticker = entity.addComponent(new Ticker());
+  scene.addEntityImmediate(entity);
+
+  let runs = 0;
+  for (let i = 0; i < 100; i++) {
+    ticker.after(0, () => runs++);
+    scene.scheduler.update(0.016);
+  }
+
+  assert.equal(runs, 100);
+  assert.ok(ticker._tasks.size <= 1);
+});
+
+test('destroying a component cancels its live tasks', () => {
+  const scene = new Scene();
+  const entity = new Entity();
+  const ticker = entity.addComponent(new Ticker());
+  scene.addEntityImmediate(entity);
+
+  let runs = 0;
+  ticker.every(0.01, () => runs++);
+  entity.destroy();
+  scene.scheduler.update(0.1);
+
+  assert.equal(runs, 0);
+  assert.equal(scene.scheduler.getTaskCount(), 0);
+});
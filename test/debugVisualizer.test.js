@@ -0,0 +1,31 @@
+/**
+ * Debug visualizer checks: the nav layer draws the level's rooms.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/game/headless.js';
+import { DebugVisualizer, DebugLayers } from '../src/game/debugVisualizer.js';
+import { DebugDraw } from '../src/gl/debugDraw.js';
+import * as mat4 from '../src/math/mat4.js';
+
+test('the nav layer shows the level room nav nodes and spawn points', () => {
+  const { game } = createHeadlessGame();
+  const overlay = {
+    addToggle() {},
+    isToggled: (layer) => layer === DebugLayers.NAV,
+  };
+  const draw = new DebugDraw();
+  const camera = { viewMatrix: mat4.create(), projectionMatrix: mat4.create() };
+
+  new DebugVisualizer(overlay, draw).update(game, camera);
+
+  assert.ok(game.rooms.length > 0, 'expected the level to describe its rooms');
+  assert.ok(draw.lineCount > 0, 'expected nav nodes to be drawn');
+  const labels = draw.texts.map((label) => label.text);
+  for (const { room } of game.rooms) {
+    for (const name of Object.keys(room.spawnPoints)) {
+      assert.ok(labels.includes(name), `expected spawn point ${name} to be labelled`);
+    }
+  }
+});
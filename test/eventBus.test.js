@@ -0,0 +1,34 @@
+/**
+ * EventBus checks: unsubscribing removes exactly the subscription it came from.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus } from '../src/core/eventBus.js';
+
+test('unsubscribe removes its own subscription when a handler is shared', () => {
+  const bus = new EventBus();
+  const calls = [];
+  const handler = (payload) => calls.push(payload);
+  bus.on('x', handler, {});
+  const unsubscribeOnce = bus.once('x', handler, {});
+
+  unsubscribeOnce();
+  bus.emit('x', 1);
+  bus.emit('x', 2);
+
+  assert.deepEqual(calls, [1, 2]);
+});
+
+test('once listener removes itself, not an earlier one with the same handler', () => {
+  const bus = new EventBus();
+  const calls = [];
+  const handler = (payload) => calls.push(payload);
+  bus.on('x', handler);
+  bus.once('x', handler);
+
+  bus.emit('x', 1);
+  bus.emit('x', 2);
+
+  assert.deepEqual(calls, [1, 1, 2]);
+});
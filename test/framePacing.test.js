@@ -0,0 +1,36 @@
+/**
+ * Frame pacing checks: suspended gaps stay out of the window, and stats
+ * come from the recorded frame times.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Time } from '../src/core/time.js';
+import { FramePacing } from '../src/core/framePacing.js';
+
+test('the frame after a suspension is not recorded as a hitch', () => {
+  const time = new Time();
+  time.pacing.getHeapSize = () => null;
+  time.update(0);
+  time.update(16);
+  time.suspend();
+  time.update(16 + 5000);
+  time.update(16 + 5016);
+
+  assert.equal(time.pacing.count, 2);
+  assert.equal(time.pacing.getStats().maxMs, 16);
+  assert.equal(time.pacing.getHitches().length, 0);
+});
+
+test('stats stay correct across calls and after the window wraps', () => {
+  const pacing = new FramePacing({ windowSize: 4, getHeapSize: () => null });
+  for (const ms of [40, 10, 20, 30]) pacing.record(ms, 0, 0);
+  assert.equal(pacing.getStats().maxMs, 40);
+  assert.equal(pacing.getStats().p95Ms, 40);
+
+  pacing.record(5, 0, 0);
+  const stats = pacing.getStats();
+  assert.equal(stats.frames, 4);
+  assert.equal(stats.maxMs, 30);
+  assert.equal(stats.avgMs, (5 + 10 + 20 + 30) / 4);
+});
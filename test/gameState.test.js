@@ -0,0 +1,112 @@
+/**
+ * Game state machine checks: allowed transitions, pause input and the
+ * world time scale across pauses.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Time } from '../src/core/time.js';
+import { HeadlessInput } from '../src/core/headlessInput.js';
+import { Actions } from '../src/core/inputActions.js';
+import { GameStateMachine, GameStates, GAME_STATE_CHANGED } from '../src/game/gameState.js';
+
+/**
+ * Create a state machine on a fresh time system and headless input.
+ * @returns {{time: Time, input: HeadlessInput, gameState: GameStateMachine}} Machine and its systems
+ */
+function createGameState() {
+  const time = new Time();
+  const input = new HeadlessInput();
+  return { time, input, gameState: new GameStateMachine(time, input) };
+}
+
+test('only listed transitions change state', () => {
+  const { gameState } = createGameState();
+  const changes = [];
+  gameState.events.on(GAME_STATE_CHANGED, (change) => changes.push(`${change.from}>${change.to}`));
+
+  assert.equal(gameState.resume(), false);
+  assert.equal(gameState.pause(), true);
+  assert.equal(gameState.pause(), false);
+  assert.equal(gameState.transition(GameStates.DEAD), false);
+  assert.equal(gameState.resume(), true);
+  assert.equal(gameState.transition(GameStates.SUCCESS), true);
+  assert.equal(gameState.transition(GameStates.DEAD), false);
+  assert.equal(gameState.resume(), false);
+  assert.equal(gameState.transition(GameStates.PLAYING), true);
+
+  assert.deepEqual(changes, [
+    'playing>paused',
+    'paused>playing',
+    'playing>success',
+    'success>playing',
+  ]);
+  assert.throws(() => gameState.transition('flying'), /Unknown game state/);
+});
+
+test('exit hooks run before the state changes and enter hooks after', () => {
+  const { gameState } = createGameState();
+  const log = [];
+  gameState.onExit(GameStates.PLAYING, () => log.push(`exit ${gameState.state}`));
+  gameState.onEnter(GameStates.DEAD, (change) =>
+    log.push(`enter ${gameState.state} ${change.details.cause}`)
+  );
+
+  gameState.transition(GameStates.DEAD, { cause: 'scp_173' });
+  assert.deepEqual(log, ['exit playing', 'enter dead scp_173']);
+});
+
+test('the pause action toggles pause and gameplay stops seeing actions', () => {
+  const { input, gameState } = createGameState();
+
+  input.keyDown('Escape');
+  gameState.update();
+  assert.equal(gameState.state, GameStates.PAUSED);
+  assert.equal(input.isActionDown(Actions.PAUSE), false);
+  input.clearFrameState();
+  input.keyUp('Escape');
+  gameState.update();
+  assert.equal(gameState.state, GameStates.PAUSED);
+
+  input.keyDown('Escape');
+  gameState.update();
+  assert.equal(gameState.state, GameStates.PLAYING);
+});
+
+test('time freezes outside play and the previous scale comes back', () => {
+  const { time, gameState } = createGameState();
+  time.setTimeScale(0.5);
+
+  gameState.pause();
+  assert.equal(time.timeScale, 0);
+  assert.equal(gameState.playTimeScale, 0.5);
+
+  gameState.resume();
+  assert.equal(time.timeScale, 0.5);
+});
+
+test('setting the play time scale while paused keeps the world frozen', () => {
+  const { time, gameState } = createGameState();
+  gameState.pause();
+
+  gameState.setPlayTimeScale(2);
+  assert.equal(time.timeScale, 0);
+  assert.equal(gameState.playTimeScale, 2);
+
+  gameState.resume();
+  assert.equal(time.timeScale, 2);
+
+  gameState.setPlayTimeScale(-1);
+  assert.equal(time.timeScale, 0);
+  assert.equal(gameState.playTimeScale, 0);
+});
+
+test('dispose restores time when not playing', () => {
+  const { time, gameState } = createGameState();
+  gameState.setPlayTimeScale(0.25);
+  gameState.transition(GameStates.DEAD);
+  assert.equal(time.timeScale, 0);
+
+  gameState.dispose();
+  assert.equal(time.timeScale, 0.25);
+});
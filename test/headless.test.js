@@ -0,0 +1,58 @@
+/**
+ * Headless game checks: the shared game setup runs under Node and
+ * responds to scripted input.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/game/headless.js';
+
+/**
+ * Create a headless game and let the player settle onto the ground.
+ * @returns {import('../src/game/headless.js').HeadlessGame} Headless game
+ */
+function createSettledGame() {
+  const sim = createHeadlessGame();
+  sim.run(10);
+  return sim;
+}
+
+test('player stays put without input', () => {
+  const sim = createSettledGame();
+  const start = Array.from(sim.game.playerEntity.position);
+  sim.run(60);
+  assert.deepEqual(Array.from(sim.game.playerEntity.position), start);
+});
+
+test('holding forward moves the player along its facing', () => {
+  const sim = createSettledGame();
+  const { playerEntity, playerController } = sim.game;
+  const start = Array.from(playerEntity.position);
+
+  sim.input.keyDown('KeyW');
+  sim.run(60);
+  sim.input.keyUp('KeyW');
+
+  const dx = playerEntity.position[0] - start[0];
+  const dz = playerEntity.position[2] - start[2];
+  const distance = Math.hypot(dx, dz);
+  assert.ok(distance > 1, `expected to move over 1m in a second, moved ${distance}`);
+
+  // Yaw 0 faces +Z, so forward is (sin yaw, cos yaw)
+  const facing = (dx * Math.sin(playerController.yaw) + dz * Math.cos(playerController.yaw)) / distance;
+  assert.ok(facing > 0.99, `expected movement along the facing, got cos ${facing}`);
+});
+
+test('jump leaves the ground and lands again', () => {
+  const sim = createSettledGame();
+  const { playerEntity } = sim.game;
+  const groundY = playerEntity.position[1];
+
+  sim.input.keyDown('Space');
+  sim.run(10);
+  sim.input.keyUp('Space');
+  assert.ok(playerEntity.position[1] > groundY, 'expected the player to rise');
+
+  sim.run(120);
+  assert.ok(Math.abs(playerEntity.position[1] - groundY) < 1e-3, 'expected the player to land');
+});
@@ -0,0 +1,106 @@
+/**
+ * Input map checks: rebinding steals keys from other actions, saved
+ * bindings are filtered on load, and blocked storage keeps the defaults.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InputMap, BINDINGS_STORAGE_KEY } from '../src/core/inputActions.js';
+
+/** @type {Object<string, ReadonlyArray<string>>} */
+const DEFAULTS = {
+  jump: ['Space'],
+  crouch: ['ControlLeft', 'KeyC'],
+  interact: ['KeyE', 'Mouse0'],
+};
+
+/**
+ * Create an in-memory Storage.
+ * @returns {Storage} Storage backed by a Map
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+test('binding a key takes it away from other actions', () => {
+  const map = new InputMap(DEFAULTS);
+  const unbound = map.bind('jump', 'KeyC');
+
+  assert.deepEqual(unbound, ['crouch']);
+  assert.deepEqual(map.getBindings('jump'), ['Space', 'KeyC']);
+  assert.deepEqual(map.getBindings('crouch'), ['ControlLeft']);
+  assert.equal(map.isBound('KeyC'), true);
+});
+
+test('binding into a slot replaces it and never duplicates', () => {
+  const map = new InputMap(DEFAULTS);
+  assert.deepEqual(map.bind('interact', 'KeyF', 0), []);
+  assert.deepEqual(map.getBindings('interact'), ['KeyF', 'Mouse0']);
+  assert.equal(map.isBound('KeyE'), false);
+
+  map.bind('interact', 'Mouse0');
+  assert.deepEqual(map.getBindings('interact'), ['KeyF', 'Mouse0']);
+
+  map.bind('interact', 'KeyG', 10);
+  assert.deepEqual(map.getBindings('interact'), ['KeyF', 'Mouse0', 'KeyG']);
+});
+
+test('unbind and reset keep the bound set in step', () => {
+  const map = new InputMap(DEFAULTS);
+  map.unbind('jump', 'Space');
+  assert.equal(map.isBound('Space'), false);
+  assert.deepEqual(map.getBindings('jump'), []);
+
+  map.resetToDefaults();
+  assert.equal(map.isBound('Space'), true);
+  assert.deepEqual(map.getBindings('missing'), []);
+});
+
+test('fromJSON drops unknown actions and non-string bindings', () => {
+  const map = new InputMap(DEFAULTS);
+  map.fromJSON({
+    jump: ['KeyJ', 42, null],
+    crouch: 'KeyC',
+    fly: ['KeyF'],
+  });
+
+  assert.deepEqual(map.getActions(), ['jump', 'crouch', 'interact']);
+  assert.deepEqual(map.getBindings('jump'), ['KeyJ']);
+  assert.deepEqual(map.getBindings('crouch'), ['ControlLeft', 'KeyC']);
+  assert.equal(map.isBound('KeyF'), false);
+  assert.equal(map.isBound('Space'), false);
+});
+
+test('bindings round-trip through storage', () => {
+  const storage = createStorage();
+  const map = new InputMap(DEFAULTS);
+  map.bind('jump', 'KeyJ', 0);
+  assert.equal(map.save(storage), true);
+
+  const loaded = new InputMap(DEFAULTS);
+  assert.equal(loaded.load(storage), true);
+  assert.deepEqual(loaded.toJSON(), map.toJSON());
+  assert.equal(new InputMap(DEFAULTS).load(createStorage()), false);
+});
+
+test('unreadable or blocked storage keeps the defaults', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const storage = createStorage();
+  storage.setItem(BINDINGS_STORAGE_KEY, '{not json');
+  const map = new InputMap(DEFAULTS);
+  map.bind('jump', 'KeyJ');
+  assert.equal(map.load(storage), false);
+  assert.deepEqual(map.toJSON(), new InputMap(DEFAULTS).toJSON());
+
+  const fail = () => {
+    throw new Error('SecurityError: storage is disabled');
+  };
+  const blocked = { getItem: fail, setItem: fail };
+  assert.equal(map.load(blocked), false);
+  assert.equal(map.save(blocked), false);
+  assert.equal(warn.mock.callCount(), 3);
+});
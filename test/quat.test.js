@@ -0,0 +1,167 @@
+/**
+ * Quaternion checks: Euler conversion matches the Z-X-Y matrix path,
+ * slerp blends along the short arc, lookRotation faces its target, and
+ * loaded entities interpolate from their saved orientation.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as quat from '../src/math/quat.js';
+import * as mat4 from '../src/math/mat4.js';
+import { Entity } from '../src/core/entity.js';
+
+/**
+ * Assert two number lists match within a tolerance.
+ * @param {ArrayLike<number>} actual - Values produced
+ * @param {ArrayLike<number>} expected - Values wanted
+ * @param {number} [epsilon=1e-5] - Allowed difference per element
+ */
+function assertClose(actual, expected, epsilon = 1e-5) {
+  assert.equal(actual.length, expected.length);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(
+      Math.abs(actual[i] - expected[i]) <= epsilon,
+      `element ${i}: ${actual[i]} is not close to ${expected[i]}`
+    );
+  }
+}
+
+/**
+ * Assert two quats are the same rotation (q and -q are equal).
+ * @param {Float32Array} actual - Quat produced
+ * @param {Float32Array} expected - Quat wanted
+ */
+function assertSameRotation(actual, expected) {
+  const sign = quat.dot(actual, expected) < 0 ? -1 : 1;
+  assertClose(
+    Array.from(actual, (v) => v * sign),
+    expected
+  );
+}
+
+/**
+ * Rotate a vector by a quat through its rotation matrix.
+ * @param {Float32Array} q - Rotation
+ * @param {Array<number>} v - Vector
+ * @returns {Array<number>} Rotated vector
+ */
+function rotate(q, v) {
+  const m = quat.toMat4(mat4.create(), q);
+  return [0, 1, 2].map((i) => m[i] * v[0] + m[4 + i] * v[1] + m[8 + i] * v[2]);
+}
+
+test('fromEuler agrees with Z, then X, then Y matrix rotations', () => {
+  const angles = [
+    [0.3, 0, 0],
+    [0, 1.1, 0],
+    [0, 0, -0.7],
+    [0.4, -2.2, 0.9],
+    [-1.2, 3.0, 2.5],
+  ];
+  for (const [pitch, yaw, roll] of angles) {
+    const expected = mat4.create();
+    mat4.rotateZ(expected, expected, roll);
+    mat4.rotateX(expected, expected, pitch);
+    mat4.rotateY(expected, expected, yaw);
+
+    const q = quat.fromEuler(quat.create(), pitch, yaw, roll);
+    assertClose(quat.toMat4(mat4.create(), q), expected);
+  }
+});
+
+test('multiply composes rotations like matrices', () => {
+  const a = quat.fromEuler(quat.create(), 0.5, 0, 0);
+  const b = quat.fromEuler(quat.create(), 0, 0.8, 0);
+  const expected = mat4.multiply(
+    mat4.create(),
+    quat.toMat4(mat4.create(), a),
+    quat.toMat4(mat4.create(), b)
+  );
+  const product = quat.multiply(quat.create(), a, b);
+  assertClose(quat.toMat4(mat4.create(), product), expected);
+});
+
+test('slerp hits both ends and turns at a constant rate', () => {
+  const a = quat.create();
+  const b = quat.setAxisAngle(quat.create(), [0, 1, 0], Math.PI / 2);
+  const out = quat.create();
+
+  assertSameRotation(quat.slerp(out, a, b, 0), a);
+  assertSameRotation(quat.slerp(out, a, b, 1), b);
+  for (const t of [0.25, 0.5, 0.8]) {
+    const expected = quat.setAxisAngle(
+      quat.create(),
+      [0, 1, 0],
+      (Math.PI / 2) * t
+    );
+    assertSameRotation(quat.slerp(out, a, b, t), expected);
+  }
+});
+
+test('slerp takes the short way round', () => {
+  const a = quat.setAxisAngle(quat.create(), [0, 1, 0], 0.1);
+  const b = quat.setAxisAngle(quat.create(), [0, 1, 0], -0.1);
+  // Same rotation as b, but on the far side of the sphere
+  const farB = Float32Array.from(b, (v) => -v);
+
+  const mid = quat.slerp(quat.create(), a, farB, 0.5);
+  assertSameRotation(mid, quat.create());
+});
+
+test('slerp between nearly equal quats stays finite', () => {
+  const a = quat.setAxisAngle(quat.create(), [1, 0, 0], 0.2);
+  const b = quat.setAxisAngle(quat.create(), [1, 0, 0], 0.2 + 1e-7);
+  const out = quat.slerp(quat.create(), a, b, 0.5);
+  assert.ok(out.every(Number.isFinite));
+  assertSameRotation(out, a);
+});
+
+test('lookRotation turns +Z toward the direction and keeps +Y up', () => {
+  const directions = [
+    [1, 0, 0],
+    [0, 0, -3],
+    [1, 1, 1],
+    [-0.2, -0.5, 0.8],
+  ];
+  for (const direction of directions) {
+    const q = quat.lookRotation(quat.create(), direction);
+    const length = Math.hypot(...direction);
+    assertClose(
+      rotate(q, [0, 0, 1]),
+      direction.map((v) => v / length)
+    );
+    const up = rotate(q, [0, 1, 0]);
+    assert.ok(up[1] > 0, `expected up to stay upright for ${direction}`);
+    assertClose(
+      [up[0] * direction[0] + up[1] * direction[1] + up[2] * direction[2]],
+      [0]
+    );
+  }
+});
+
+test('lookRotation copes with straight up, straight down and zero', () => {
+  for (const direction of [
+    [0, 1, 0],
+    [0, -2, 0],
+  ]) {
+    const q = quat.lookRotation(quat.create(), direction);
+    assert.ok(q.every(Number.isFinite));
+    assertClose(
+      rotate(q, [0, 0, 1]),
+      direction.map((v) => Math.sign(v))
+    );
+  }
+  assertClose(quat.lookRotation(quat.create(), [0, 0, 0]), [0, 0, 0, 1]);
+});
+
+test('loaded entities interpolate from their saved orientation', () => {
+  const entity = new Entity({ name: 'door' });
+  entity.position.set([1, 2, 3]);
+  entity.useQuaternion();
+  quat.setAxisAngle(entity.quaternion, [0, 1, 0], 1.3);
+
+  const loaded = Entity.deserialize(entity.serialize(), {});
+  assertClose(loaded.previousQuaternion, loaded.quaternion);
+  assertClose(loaded.previousPosition, [1, 2, 3]);
+  assertClose(loaded.getInterpolatedWorldMatrix(0), loaded.getWorldMatrix());
+});
@@ -0,0 +1,33 @@
+/**
+ * Query checks: components reach forEach() in the order each caller asked for.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from '../src/core/scene.js';
+import { Entity } from '../src/core/entity.js';
+import { Component } from '../src/core/component.js';
+
+class A extends Component {}
+class B extends Component {}
+
+test('queries for the same types in a different order keep their own order', () => {
+  const scene = new Scene();
+  const entity = new Entity();
+  const a = entity.addComponent(new A());
+  const b = entity.addComponent(new B());
+  scene.addEntityImmediate(entity);
+
+  scene.query([A, B]).forEach((_entity, first, second) => {
+    assert.equal(first, a);
+    assert.equal(second, b);
+  });
+
+  let visited = 0;
+  scene.query([B, A]).forEach((_entity, first, second) => {
+    assert.equal(first, b);
+    assert.equal(second, a);
+    visited++;
+  });
+  assert.equal(visited, 1);
+});
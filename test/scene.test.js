@@ -0,0 +1,24 @@
+/**
+ * Scene checks: clear() leaves nothing behind from the previous contents.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from '../src/core/scene.js';
+
+test('clear drops scheduled tasks and event listeners', () => {
+  const scene = new Scene();
+  let fired = 0;
+  scene.scheduler.after(0, () => fired++);
+  scene.on('ping', () => fired++);
+  scene.events.queue('ping');
+
+  scene.clear();
+  scene.scheduler.update(0.016);
+  scene.events.flush();
+  scene.emit('ping');
+
+  assert.equal(fired, 0);
+  assert.equal(scene.scheduler.getTaskCount(), 0);
+  assert.equal(scene.events.hasListeners('ping'), false);
+});
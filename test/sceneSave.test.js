@@ -0,0 +1,79 @@
+/**
+ * Scene save checks: the game scene survives a save and load, and loaded
+ * components are rebuilt with the services they need.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHeadlessGame } from '../src/game/headless.js';
+import { Scene } from '../src/core/scene.js';
+import { PlayerController } from '../src/game/player.js';
+import { Time } from '../src/core/time.js';
+import { RenderableComponent } from '../src/game/components.js';
+
+test('game scene round-trips through save data', () => {
+  const sim = createHeadlessGame();
+  const { scene, componentRegistry, playerEntity, playerController } = sim.game;
+  sim.run(10);
+  playerController.setYaw(1.25);
+
+  const json = JSON.stringify(scene.serialize());
+  const loaded = Scene.deserialize(json, componentRegistry);
+
+  assert.equal(loaded.getEntityCount(), scene.getEntityCount());
+
+  const player = loaded.findOneByTag('player');
+  assert.ok(player, 'expected the player entity to be loaded');
+  assert.deepEqual(Array.from(player.position), Array.from(playerEntity.position));
+
+  const controller = player.getComponent(PlayerController);
+  assert.ok(controller, 'expected the player controller to be loaded');
+  assert.equal(controller.input, sim.input);
+  assert.equal(controller.renderer, sim.renderer);
+  assert.equal(controller.staticColliders.length, playerController.staticColliders.length);
+  assert.equal(controller.yaw, playerController.yaw);
+});
+
+test('every renderable survives a save and load', () => {
+  const sim = createHeadlessGame();
+  const { scene, componentRegistry } = sim.game;
+  const loaded = Scene.deserialize(JSON.stringify(scene.serialize()), componentRegistry);
+
+  let drawn = 0;
+  for (const entity of scene.entities) {
+    const original = entity.getComponent(RenderableComponent);
+    if (!original) continue;
+    drawn++;
+
+    const copy = loaded.findById(entity.id).getComponent(RenderableComponent);
+    assert.ok(copy, `expected ${entity.name || entity.id} to keep its renderable`);
+    assert.equal(copy.mesh, original.mesh);
+    assert.equal(copy.material, original.material);
+  }
+
+  assert.equal(drawn, 6);
+  assert.equal(loaded.renderables.length, scene.renderables.length);
+});
+
+test('a loaded player still responds to input', () => {
+  const sim = createHeadlessGame();
+  const { scene, componentRegistry } = sim.game;
+  sim.run(10);
+
+  const loaded = Scene.deserialize(JSON.stringify(scene.serialize()), componentRegistry);
+  const player = loaded.findOneByTag('player');
+  const start = Array.from(player.position);
+
+  const time = new Time();
+  let now = 0;
+  time.update(now);
+  sim.input.keyDown('KeyW');
+  for (let i = 0; i < 60; i++) {
+    now += 1000 / 60;
+    loaded.update(time.update(now), time);
+    sim.input.clearFrameState();
+  }
+
+  const moved = Math.hypot(player.position[0] - start[0], player.position[2] - start[2]);
+  assert.ok(moved > 1, `expected the loaded player to move, moved ${moved}`);
+});
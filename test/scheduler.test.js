@@ -0,0 +1,70 @@
+/**
+ * Scheduler save checks: scene tasks survive a save and load, and
+ * coroutines pick up at the yield they had reached.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from '../src/core/scene.js';
+import { wait } from '../src/core/scheduler.js';
+
+/**
+ * Save a scene and load it back.
+ * @param {Scene} scene - Scene to save
+ * @param {Object<string, Function>} handlers - Named scene tasks
+ * @returns {Scene} Loaded scene
+ */
+function reload(scene, handlers) {
+  return Scene.deserialize(JSON.stringify(scene.serialize()), {}, handlers);
+}
+
+test('named scene timers keep their remaining time across a load', () => {
+  const fired = [];
+  const handlers = {
+    alarm(level) {
+      fired.push(level);
+    },
+  };
+  const scene = new Scene().defineTask('alarm', handlers.alarm);
+  scene.after(2, 'alarm', 3);
+  scene.scheduler.update(1.5);
+
+  const loaded = reload(scene, handlers);
+  loaded.scheduler.update(0.4);
+  assert.deepEqual(fired, []);
+  loaded.scheduler.update(0.2);
+  assert.deepEqual(fired, [3]);
+});
+
+test('a loaded coroutine resumes at its saved yield without repeating beats', () => {
+  const beats = [];
+  const handlers = {
+    *lightsThenDoor() {
+      if (!this.scheduler.restoring) beats.push('flicker');
+      yield wait(2);
+      if (!this.scheduler.restoring) beats.push('open');
+      yield wait(5);
+      beats.push('done');
+    },
+  };
+  const scene = new Scene().defineTask('lightsThenDoor', handlers.lightsThenDoor);
+  scene.startCoroutine('lightsThenDoor');
+  scene.scheduler.update(2);
+  scene.scheduler.update(0.5);
+  assert.deepEqual(beats, ['flicker', 'open']);
+
+  const loaded = reload(scene, handlers);
+  assert.deepEqual(beats, ['flicker', 'open']);
+  assert.equal(loaded.scheduler.restoring, false);
+
+  loaded.scheduler.update(4);
+  assert.deepEqual(beats, ['flicker', 'open']);
+  loaded.scheduler.update(0.6);
+  assert.deepEqual(beats, ['flicker', 'open', 'done']);
+});
+
+test('function callbacks are not saved', () => {
+  const scene = new Scene();
+  scene.after(1, () => {});
+  assert.deepEqual(scene.serialize().tasks, []);
+});
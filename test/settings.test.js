@@ -0,0 +1,124 @@
+/**
+ * Settings checks: validation, clamping, change events and persistence,
+ * including storage that refuses to be used.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Settings, SETTINGS_CHANGED } from '../src/core/settings.js';
+
+/** @type {Object<string, import('../src/core/settings.js').SettingDefinition>} */
+const DEFINITIONS = {
+  volume: { type: 'number', label: 'Volume', default: 0.5, min: 0, max: 1 },
+  invertY: { type: 'boolean', label: 'Invert Y', default: false },
+  quality: { type: 'enum', label: 'Quality', default: 'high', options: ['low', 'high'] },
+  tint: { type: 'color', label: 'Tint', default: '#ffffff' },
+};
+
+/**
+ * Create an in-memory Storage.
+ * @returns {Storage} Storage backed by a Map
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+/**
+ * Create a Storage that throws like a browser with site data blocked.
+ * @returns {Storage} Storage whose every call throws
+ */
+function createBlockedStorage() {
+  const fail = () => {
+    throw new Error('SecurityError: storage is disabled');
+  };
+  return { getItem: fail, setItem: fail };
+}
+
+test('settings start at their defaults', () => {
+  const settings = new Settings(DEFINITIONS);
+  assert.deepEqual(settings.toJSON(), {
+    volume: 0.5,
+    invertY: false,
+    quality: 'high',
+    tint: '#ffffff',
+  });
+});
+
+test('numbers are clamped to their range', () => {
+  const settings = new Settings(DEFINITIONS);
+  assert.equal(settings.validate('volume', 2), 1);
+  assert.equal(settings.validate('volume', -1), 0);
+  assert.equal(settings.set('volume', 0.25), 0.25);
+  assert.equal(settings.set('volume', 5), 1);
+  assert.equal(settings.get('volume'), 1);
+});
+
+test('values of the wrong type are rejected', () => {
+  const settings = new Settings(DEFINITIONS);
+  assert.throws(() => settings.set('volume', '1'), /must be a number/);
+  assert.throws(() => settings.set('volume', NaN), /must be a number/);
+  assert.throws(() => settings.set('invertY', 1), /true or false/);
+  assert.throws(() => settings.set('tint', 'red'), /#rrggbb/);
+  assert.throws(() => settings.set('missing', 1), /Unknown setting/);
+  assert.equal(settings.validate('tint', '#A0B0C0'), '#a0b0c0');
+});
+
+test('enums only accept their options', () => {
+  const settings = new Settings(DEFINITIONS);
+  assert.throws(() => settings.set('quality', 'ultra'), /one of: low, high/);
+  assert.equal(settings.get('quality'), 'high');
+  settings.set('quality', 'low');
+  assert.equal(settings.get('quality'), 'low');
+});
+
+test('changes are announced once per new value', () => {
+  const settings = new Settings(DEFINITIONS);
+  const changes = [];
+  settings.events.on(SETTINGS_CHANGED, (change) => changes.push(change));
+  const applied = [];
+  settings.apply('volume', (value) => applied.push(value));
+
+  settings.set('volume', 0.75);
+  settings.set('volume', 0.75);
+  assert.deepEqual(changes, [{ key: 'volume', value: 0.75 }]);
+  assert.deepEqual(applied, [0.5, 0.75]);
+});
+
+test('values round-trip through storage and bad entries are skipped', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const storage = createStorage();
+  const settings = new Settings(DEFINITIONS, { storage, storageKey: 'test' });
+  settings.set('volume', 0.2);
+  settings.set('quality', 'low');
+
+  const loaded = new Settings(DEFINITIONS, { storage, storageKey: 'test' });
+  assert.equal(loaded.load(), true);
+  assert.deepEqual(loaded.toJSON(), settings.toJSON());
+
+  storage.setItem('test', JSON.stringify({ volume: 'loud', invertY: true, removed: 1 }));
+  const partial = new Settings(DEFINITIONS, { storage, storageKey: 'test' });
+  assert.equal(partial.load(), true);
+  assert.equal(partial.get('volume'), 0.5);
+  assert.equal(partial.get('invertY'), true);
+});
+
+test('blocked storage only warns and keeps the values', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const settings = new Settings(DEFINITIONS, { storage: createBlockedStorage() });
+
+  assert.equal(settings.load(), false);
+  assert.equal(settings.set('volume', 0.1), 0.1);
+  assert.equal(settings.get('volume'), 0.1);
+  assert.equal(settings.save(), false);
+  assert.equal(warn.mock.callCount(), 3);
+});
+
+test('settings without storage neither load nor save', () => {
+  const settings = new Settings(DEFINITIONS);
+  assert.equal(settings.load(), false);
+  assert.equal(settings.save(), false);
+});
@@ -0,0 +1,216 @@
+/**
+ * Spatial hash checks: box, radius and ray queries return exactly what a
+ * brute-force scan of the same boxes returns, including after items move
+ * or are removed.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SpatialHash, intersectRayAABB } from '../src/core/spatialHash.js';
+import { AABB } from '../src/core/frustumCulling.js';
+
+/**
+ * Create a seeded random number generator, so failures reproduce.
+ * @param {number} seed - Seed
+ * @returns {function(): number} Generator of numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    return state / 4294967296;
+  };
+}
+
+/**
+ * Create a random box inside a 60-unit cube around the origin, from
+ * slivers to boxes spanning several cells.
+ * @param {function(): number} random - Random generator
+ * @returns {AABB} Box
+ */
+function randomBox(random) {
+  const min = new Float32Array(3);
+  const max = new Float32Array(3);
+  for (let i = 0; i < 3; i++) {
+    min[i] = random() * 60 - 30;
+    max[i] = min[i] + random() * (random() < 0.1 ? 12 : 3);
+  }
+  return new AABB(min, max);
+}
+
+/**
+ * Create a random unit vector.
+ * @param {function(): number} random - Random generator
+ * @returns {Array<number>} Direction
+ */
+function randomDirection(random) {
+  const v = [random() * 2 - 1, random() * 2 - 1, random() * 2 - 1];
+  const length = Math.hypot(...v) || 1;
+  return v.map((c) => c / length);
+}
+
+/**
+ * Fill a hash with random boxes.
+ * @param {number} count - Number of items
+ * @param {function(): number} random - Random generator
+ * @returns {{hash: SpatialHash, boxes: Map<Object, AABB>}} Hash and the boxes it holds
+ */
+function createWorld(count, random) {
+  const hash = new SpatialHash(4);
+  const boxes = new Map();
+  for (let i = 0; i < count; i++) {
+    const item = { id: i };
+    const box = randomBox(random);
+    hash.insert(item, box);
+    boxes.set(item, box);
+  }
+  return { hash, boxes };
+}
+
+/**
+ * Sort items by id for order-independent comparison.
+ * @param {Array<{id: number}>} items - Items
+ * @returns {Array<number>} Sorted ids
+ */
+function ids(items) {
+  return items.map((item) => item.id).sort((a, b) => a - b);
+}
+
+/**
+ * Brute-force sphere test against every box.
+ * @param {Map<Object, AABB>} boxes - Items and boxes
+ * @param {Array<number>} center - Sphere center
+ * @param {number} radius - Sphere radius
+ * @returns {Array<Object>} Items whose box touches the sphere
+ */
+function bruteRadius(boxes, center, radius) {
+  const found = [];
+  for (const [item, { min, max }] of boxes) {
+    let distSq = 0;
+    for (let i = 0; i < 3; i++) {
+      const d = Math.max(min[i] - center[i], 0, center[i] - max[i]);
+      distSq += d * d;
+    }
+    if (distSq <= radius * radius) found.push(item);
+  }
+  return found;
+}
+
+test('box queries match a brute-force scan', () => {
+  const random = createRandom(1);
+  const { hash, boxes } = createWorld(300, random);
+
+  for (let q = 0; q < 100; q++) {
+    const query = randomBox(random);
+    const expected = [...boxes].filter(([, box]) => box.intersects(query));
+    assert.deepEqual(
+      ids(hash.queryAABB(query)),
+      ids(expected.map(([item]) => item))
+    );
+  }
+});
+
+test('radius queries match a brute-force scan', () => {
+  const random = createRandom(2);
+  const { hash, boxes } = createWorld(300, random);
+
+  for (let q = 0; q < 100; q++) {
+    const center = [random() * 80 - 40, random() * 80 - 40, random() * 80 - 40];
+    const radius = random() * 10;
+    assert.deepEqual(
+      ids(hash.queryRadius(center, radius)),
+      ids(bruteRadius(boxes, center, radius))
+    );
+  }
+});
+
+test('ray queries match a brute-force scan, nearest first', () => {
+  const random = createRandom(3);
+  const { hash, boxes } = createWorld(300, random);
+
+  for (let q = 0; q < 100; q++) {
+    const origin = [random() * 80 - 40, random() * 80 - 40, random() * 80 - 40];
+    const direction = randomDirection(random);
+    const maxDistance = random() < 0.5 ? Infinity : random() * 40;
+
+    const expected = [];
+    for (const [item, box] of boxes) {
+      if (intersectRayAABB(origin, direction, box, maxDistance) >= 0) {
+        expected.push(item);
+      }
+    }
+    const hits = hash.queryRay(origin, direction, maxDistance);
+    assert.deepEqual(ids(hits), ids(expected));
+
+    const distances = hits.map((item) =>
+      intersectRayAABB(origin, direction, boxes.get(item), maxDistance)
+    );
+    for (let i = 1; i < distances.length; i++) {
+      assert.ok(
+        distances[i - 1] <= distances[i],
+        'expected nearest hits first'
+      );
+    }
+  }
+});
+
+test('axis-aligned rays still find what they pass through', () => {
+  const hash = new SpatialHash(2);
+  const near = { id: 0 };
+  const far = { id: 1 };
+  const beside = { id: 2 };
+  hash.insert(near, new AABB([-1, -1, 3], [1, 1, 4]));
+  hash.insert(far, new AABB([-1, -1, 10], [1, 1, 11]));
+  hash.insert(beside, new AABB([5, -1, 3], [6, 1, 4]));
+
+  assert.deepEqual(hash.queryRay([0, 0, 0], [0, 0, 1]), [near, far]);
+  assert.deepEqual(hash.queryRay([0, 0, 20], [0, 0, -1], 18), [far, near]);
+  assert.deepEqual(hash.queryRay([0, 0, 20], [0, 0, -1], 12), [far]);
+  assert.deepEqual(hash.queryRay([0, 0, 0], [0, 0, 1], 5), [near]);
+  assert.deepEqual(hash.queryRay([0, 0, 0], [0, 1, 0]), []);
+});
+
+test('moved and removed items are found only where they are now', () => {
+  const random = createRandom(4);
+  const { hash, boxes } = createWorld(200, random);
+
+  let removed = 0;
+  for (const item of [...boxes.keys()]) {
+    if (random() < 0.3) {
+      assert.equal(hash.remove(item), true);
+      boxes.delete(item);
+      removed++;
+    } else if (random() < 0.5) {
+      const box = randomBox(random);
+      hash.update(item, box);
+      boxes.set(item, box);
+    }
+  }
+  assert.equal(hash.size, 200 - removed);
+
+  for (let q = 0; q < 50; q++) {
+    const query = randomBox(random);
+    const expected = [...boxes].filter(([, box]) => box.intersects(query));
+    assert.deepEqual(
+      ids(hash.queryAABB(query)),
+      ids(expected.map(([item]) => item))
+    );
+
+    const center = [random() * 60 - 30, random() * 60 - 30, random() * 60 - 30];
+    assert.deepEqual(
+      ids(hash.queryRadius(center, 6)),
+      ids(bruteRadius(boxes, center, 6))
+    );
+  }
+});
+
+test('an emptied hash finds nothing', () => {
+  const { hash } = createWorld(20, createRandom(5));
+  hash.clear();
+  const everything = new AABB([-100, -100, -100], [100, 100, 100]);
+  assert.equal(hash.size, 0);
+  assert.deepEqual(hash.queryAABB(everything), []);
+  assert.deepEqual(hash.queryRadius([0, 0, 0], 100), []);
+  assert.deepEqual(hash.queryRay([0, 0, -50], [0, 0, 1]), []);
+  assert.throws(() => new SpatialHash(0), /greater than zero/);
+});
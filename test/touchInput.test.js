@@ -0,0 +1,42 @@
+/**
+ * Touch mode checks: touch controls appear on touch and give way to the
+ * keyboard and mouse.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Input } from '../src/core/input.js';
+
+/**
+ * Create an input with the pointer unlocked, as on a desktop before clicking in.
+ * @returns {Input} Input without DOM listeners
+ */
+function createInput() {
+  const input = new Input(null);
+  input.isPointerLocked = false;
+  return input;
+}
+
+test('touch controls start off and turn on with the first touch', () => {
+  const input = createInput();
+  assert.equal(input.touch.enabled, false);
+  assert.equal(input.isControlActive(), false);
+
+  input.touch.touchStart(0, 100, 300, 800, 600);
+  assert.equal(input.touch.enabled, true);
+  assert.equal(input.isControlActive(), true);
+});
+
+test('keyboard and mouse input turn touch controls off again', () => {
+  const input = createInput();
+  const preventDefault = () => {};
+
+  input.touch.touchStart(0, 100, 300, 800, 600);
+  input._onKeyDown({ code: 'KeyW', preventDefault });
+  assert.equal(input.touch.enabled, false);
+  assert.equal(input.isControlActive(), false);
+
+  input.touch.touchStart(1, 100, 300, 800, 600);
+  input._onMouseDown({ button: 0, preventDefault });
+  assert.equal(input.touch.enabled, false);
+});